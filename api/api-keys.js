@@ -0,0 +1,105 @@
+/**
+ * API Keys Handler
+ * Admin endpoints for issuing and revoking API keys, authenticated with the
+ * ADMIN_API_KEY environment variable rather than an API key
+ */
+
+const crypto = require('crypto');
+const apiKeys = require('./lib/api-keys');
+const { validateRequest, sendValidationError } = require('./lib/request-validator');
+const logger = require('./lib/logger');
+
+function sendError(res, statusCode, message) {
+  return res.status(statusCode).json({
+    status: 'error',
+    message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function sendData(res, statusCode, message, data, startTime) {
+  return res.status(statusCode).json({
+    status: 'ok',
+    message,
+    timestamp: new Date().toISOString(),
+    executionTime: Date.now() - startTime,
+    data
+  });
+}
+
+// Constant-time comparison of the presented admin token
+function isAdmin(req) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (!match) return false;
+
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(process.env.ADMIN_API_KEY));
+}
+
+/**
+ * Handle /admin/api-keys requests
+ *   POST   /admin/api-keys       issue a key ({ name, quotas })
+ *   GET    /admin/api-keys       list keys
+ *   GET    /admin/api-keys/:id   one key with its current usage
+ *   DELETE /admin/api-keys/:id   revoke a key
+ */
+async function handleApiKeys(req, res) {
+  const startTime = Date.now();
+
+  try {
+    if (!process.env.ADMIN_API_KEY) {
+      return sendError(res, 403, 'Key administration is disabled: ADMIN_API_KEY is not set');
+    }
+    if (!isAdmin(req)) {
+      return sendError(res, 401, 'The admin key is required: send Authorization: Bearer <ADMIN_API_KEY>');
+    }
+
+    const validationErrors = validateRequest(req);
+    if (validationErrors.length > 0) return sendValidationError(res, validationErrors);
+
+    const id = req.url.split('?')[0].replace(/^\/api/, '').split('/').filter(Boolean)[2];
+
+    if (!id && req.method === 'POST') {
+      const { name, quotas } = req.body || {};
+      let created;
+      try {
+        created = await apiKeys.createApiKey({ name, quotas });
+      } catch (validationError) {
+        return sendError(res, 400, validationError.message);
+      }
+      // The key itself is only ever returned here
+      return sendData(res, 201, 'API key created', { ...created.record, key: created.key }, startTime);
+    }
+
+    if (!id && req.method === 'GET') {
+      return sendData(res, 200, 'API keys retrieved', await apiKeys.listApiKeys(), startTime);
+    }
+
+    if (id && req.method === 'GET') {
+      const record = await apiKeys.getApiKey(id);
+      if (!record) return sendError(res, 404, `API key ${id} not found`);
+      return sendData(res, 200, 'API key retrieved', { ...record, usage: await apiKeys.getUsage(id) }, startTime);
+    }
+
+    if (id && req.method === 'DELETE') {
+      const record = await apiKeys.revokeApiKey(id);
+      if (!record) return sendError(res, 404, `API key ${id} not found`);
+      return sendData(res, 200, 'API key revoked', record, startTime);
+    }
+
+    return sendError(res, 404, 'Endpoint not found');
+  } catch (error) {
+    logger.error('API keys request error', { error });
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to process API key request',
+      error: process.env.NODE_ENV === 'production' ? 'Server error' : error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  handleApiKeys
+};
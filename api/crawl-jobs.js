@@ -0,0 +1,559 @@
+/**
+ * Crawl Jobs Handler
+ * Runs full site crawls as background jobs that checkpoint to the job store, so
+ * they outlive the request timeout and restarts and can be paused, resumed and
+ * extended with a higher page limit
+ */
+
+const crypto = require('crypto');
+const crawler = require('./lib/crawler');
+const jobStore = require('./lib/crawl-jobs');
+const jobEvents = require('./lib/job-events');
+const webhooks = require('./lib/webhooks');
+const apiKeys = require('./lib/api-keys');
+const safeFetch = require('./lib/safe-fetch');
+const logger = require('./lib/logger');
+const metrics = require('./lib/metrics');
+const shutdown = require('./lib/shutdown');
+const {
+  analyzePage,
+  engineOptions,
+  loadSitemapSeeds,
+  toReportPage,
+  buildReport
+} = require('./simple-full-crawler');
+
+const MAX_JOB_PAGES = 5000;
+const DEFAULT_JOB_PAGES = 100;
+const MAX_RUNNING_JOBS = process.env.MAX_CRAWL_JOBS ? parseInt(process.env.MAX_CRAWL_JOBS, 10) : 2;
+const CHECKPOINT_INTERVAL = 10; // Pages between checkpoints
+const MAX_PAGES_PER_REQUEST = 200;
+
+// Identifies this process as the owner of the jobs it runs; jobs left running
+// by another (restarted) process are picked up again by resumeInterruptedJobs
+const INSTANCE_ID = crypto.randomUUID();
+
+// Jobs running in this process: id -> AbortController
+const running = new Map();
+
+const JOB_STATUSES = ['queued', 'running', 'pausing', 'paused', 'completed', 'failed'];
+
+/**
+ * Count jobs by status, across instances, and the jobs this process runs
+ * Queued jobs are the job queue's backlog.
+ * @returns {Promise<Object>} - { byStatus, queued, runningHere, slots }
+ */
+async function getQueueStats() {
+  const jobs = await jobStore.listJobs();
+  const byStatus = Object.fromEntries(JOB_STATUSES.map(status => [
+    status,
+    jobs.filter(job => job.status === status).length
+  ]));
+  return { byStatus, queued: byStatus.queued, runningHere: running.size, slots: MAX_RUNNING_JOBS };
+}
+
+metrics.gauge('marden_crawl_jobs', 'Crawl jobs by status', async () => {
+  const { byStatus } = await getQueueStats();
+  return JOB_STATUSES.map(status => ({ labels: { status }, value: byStatus[status] }));
+});
+metrics.gauge('marden_crawl_jobs_running_here', 'Crawl jobs running in this process', () => running.size);
+metrics.gauge('marden_crawl_job_slots', 'Crawl jobs a process runs at once (MAX_CRAWL_JOBS)', () => MAX_RUNNING_JOBS);
+
+// Fields kept out of API responses
+function publicJob(job) {
+  const { owner, callback, ...fields } = job;
+  return { ...fields, callbackUrl: callback ? callback.url : null };
+}
+
+/**
+ * Send the webhooks for a job that has completed
+ * @param {Object} job - Completed job record
+ * @param {Object} report - Crawl report
+ */
+async function notifyCompleted(job, report) {
+  await webhooks.dispatchEvent('job.completed', {
+    job: publicJob(job),
+    summary: report.summary,
+    siteHealth: report.siteHealth
+  }, job.callback);
+
+  const score = report.siteHealth.score;
+  const previous = await jobStore.recordSiteScore(job.url, score, job.id, job.apiKeyId);
+  if (previous && score < previous.score) {
+    await webhooks.dispatchEvent('score.dropped', {
+      job: publicJob(job),
+      url: job.url,
+      score,
+      previousScore: previous.score,
+      scoreDrop: previous.score - score,
+      previousJobId: previous.jobId
+    }, job.callback);
+  }
+}
+
+/**
+ * Update a job record and publish its status transitions
+ * @param {string} id - Job ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object>} - Updated job record
+ */
+async function updateJob(id, changes) {
+  const previous = await jobStore.getJob(id);
+  const job = await jobStore.updateJob(id, changes);
+
+  if (previous && previous.status !== job.status) {
+    jobEvents.publish(id, 'status', {
+      status: job.status,
+      previousStatus: previous.status,
+      progress: job.progress,
+      error: job.error
+    });
+  }
+  return job;
+}
+
+/**
+ * Publish the progress and page events for a finished page
+ * @param {string} id - Job ID
+ * @param {Object} progress - Crawler engine progress
+ */
+function publishProgress(id, progress) {
+  jobEvents.publish(id, 'progress', {
+    pagesCrawled: progress.pagesCrawled,
+    pagesFailed: progress.pagesFailed,
+    pagesDiscovered: progress.pagesDiscovered,
+    pagesQueued: progress.remaining,
+    inProgress: progress.inProgress
+  });
+
+  if (!progress.page) return;
+  const page = toReportPage(progress.page);
+  jobEvents.publish(id, 'page', {
+    url: page.url,
+    statusCode: page.statusCode,
+    depth: page.depth,
+    title: page.title,
+    score: page.score,
+    issues: (page.issues || []).length,
+    error: page.error || page.analysisError || null
+  });
+}
+
+/**
+ * Run a job until it completes, is paused or fails
+ * Continues from the last checkpoint when the job has one.
+ * @param {string} id - Job ID
+ * @returns {Promise<void>}
+ */
+async function runJob(id) {
+  const controller = running.get(id);
+  const runStart = Date.now();
+  let writes = Promise.resolve();
+  let checkpointError = null;
+
+  try {
+    const previous = await jobStore.getJob(id);
+    // Paused while waiting for a slot
+    if (!previous || previous.status !== 'queued') return;
+
+    const job = await updateJob(id, {
+      status: 'running',
+      owner: INSTANCE_ID,
+      runs: previous.runs + 1,
+      error: null,
+      completedAt: null
+    });
+    const { options } = job;
+    const useSitemap = options.useSitemap !== false;
+    const resumeState = await jobStore.getState(id);
+
+    // Sitemap URLs are loaded once per job; seeds already seen are ignored by the engine
+    let sitemapUrls = [];
+    let seedUrls = [];
+    if (useSitemap) {
+      if (resumeState) {
+        sitemapUrls = await jobStore.getSitemapUrls(id);
+        seedUrls = sitemapUrls.filter(sitemapUrl => sitemapUrl !== job.url).slice(0, options.maxPages * 5);
+      } else {
+        ({ sitemapUrls, seedUrls } = await loadSitemapSeeds(job.url, options.maxPages));
+        await jobStore.saveSitemapUrls(id, sitemapUrls);
+      }
+    }
+
+    logger.info(resumeState ? 'Resuming crawl job' : 'Starting crawl job', { run: job.runs });
+
+    const crawlResult = await crawler.crawlSite(job.url, {
+      ...engineOptions(options, options.maxPages, seedUrls),
+      signal: controller.signal,
+      resumeState,
+      checkpointInterval: CHECKPOINT_INTERVAL,
+      onCheckpoint: (state, newPages) => {
+        // Writes are chained so checkpoints land in order
+        writes = writes
+          .then(() => jobStore.saveCheckpoint(id, state, newPages.map(toReportPage)))
+          .then(async saved => {
+            // Pages are charged to the job's API key as they are stored
+            await apiKeys.recordUsage(job.apiKeyId, 'crawledPages', newPages.length);
+            // Pause requested through another instance
+            if (saved.status === 'pausing') controller.abort();
+          })
+          .catch(error => {
+            checkpointError = checkpointError || error;
+            controller.abort();
+          });
+      }
+    }, analyzePage, progress => publishProgress(id, progress));
+
+    await writes;
+    if (checkpointError) throw checkpointError;
+
+    if (crawlResult.stats.aborted) {
+      // Stopped by a shutdown rather than a pause: the next process carries on
+      // from the checkpoint just stored
+      const stopped = await jobStore.getJob(id);
+      if (shutdown.isShuttingDown() && stopped.status === 'running') {
+        await updateJob(id, { status: 'queued' });
+        logger.info('Crawl job requeued for shutdown', {
+          pages: crawlResult.stats.pagesCrawled + crawlResult.stats.pagesFailed,
+          durationMs: Date.now() - runStart
+        });
+        return;
+      }
+      await updateJob(id, { status: 'paused' });
+      logger.info('Crawl job paused', {
+        pages: crawlResult.stats.pagesCrawled + crawlResult.stats.pagesFailed,
+        durationMs: Date.now() - runStart
+      });
+      return;
+    }
+
+    // Report over every page the job has crawled, across all runs
+    const pages = await jobStore.getPages(id);
+    const { pages: reportPages, ...report } = buildReport(pages, crawlResult, {
+      startUrl: job.url,
+      useSitemap,
+      sitemapUrls,
+      seedCount: seedUrls.length,
+      options
+    });
+    await jobStore.saveReport(id, report);
+    jobEvents.publish(id, 'summary', {
+      summary: report.summary,
+      siteHealth: report.siteHealth,
+      crawlComplete: crawlResult.stats.complete
+    });
+    const completed = await updateJob(id, {
+      status: 'completed',
+      crawlComplete: crawlResult.stats.complete,
+      completedAt: new Date().toISOString()
+    });
+    logger.info('Crawl job completed', { pages: reportPages.length, durationMs: Date.now() - runStart });
+    await notifyCompleted(completed, report);
+  } catch (error) {
+    logger.error('Crawl job failed', { durationMs: Date.now() - runStart, error });
+    try {
+      const failed = await updateJob(id, { status: 'failed', error: error.message });
+      await webhooks.dispatchEvent('job.failed', { job: publicJob(failed), error: error.message }, failed.callback);
+    } catch (updateError) {
+      logger.error('Failed to mark crawl job as failed', { error: updateError });
+    }
+  } finally {
+    running.delete(id);
+    startQueuedJobs();
+  }
+}
+
+/**
+ * Start queued jobs, oldest first, while there are free job slots
+ */
+async function startQueuedJobs() {
+  try {
+    if (running.size >= MAX_RUNNING_JOBS || shutdown.isShuttingDown()) return;
+
+    const queued = (await jobStore.listJobs())
+      .filter(job => job.status === 'queued' && !running.has(job.id))
+      .reverse()
+      .slice(0, MAX_RUNNING_JOBS - running.size);
+
+    queued.forEach(job => {
+      running.set(job.id, new AbortController());
+      // Everything the job logs carries its ID and URL
+      logger.runWithContext({ jobId: job.id, url: job.url }, () => runJob(job.id));
+    });
+  } catch (error) {
+    logger.error('Failed to start queued crawl jobs', { error });
+  }
+}
+
+// On shutdown running jobs stop after the pages in flight, store a final
+// checkpoint and go back in the queue; jobs that miss the deadline are
+// requeued by the next process (resumeInterruptedJobs)
+shutdown.onShutdown('crawl jobs', () => new Promise(resolve => {
+  running.forEach(controller => controller.abort());
+  const check = setInterval(() => {
+    if (running.size === 0) {
+      clearInterval(check);
+      resolve();
+    }
+  }, 100);
+}));
+
+/**
+ * Whether a job is left over from a process that is no longer running it
+ * @param {Object} job - Job record
+ * @returns {boolean}
+ */
+function isInterrupted(job) {
+  return ['running', 'pausing'].includes(job.status) && !running.has(job.id) && job.owner !== INSTANCE_ID;
+}
+
+/**
+ * Requeue jobs interrupted by a restart and start them from their last checkpoint
+ * Assumes a single API instance: every job another process was running is resumed.
+ * @returns {Promise<number>} - Number of jobs requeued
+ */
+async function resumeInterruptedJobs() {
+  let requeued = 0;
+  try {
+    const jobs = await jobStore.listJobs();
+    for (const job of jobs.filter(isInterrupted)) {
+      // A pause that was in progress completes as a pause
+      await updateJob(job.id, { status: job.status === 'pausing' ? 'paused' : 'queued' });
+      if (job.status === 'running') requeued++;
+    }
+    if (requeued > 0) logger.info('Requeued interrupted crawl jobs', { count: requeued });
+  } catch (error) {
+    logger.error('Failed to resume interrupted crawl jobs', { error });
+  }
+
+  await startQueuedJobs();
+  return requeued;
+}
+
+// Validate a requested page limit, returning an error message or null
+function checkMaxPages(maxPages) {
+  if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_JOB_PAGES) {
+    return `maxPages must be a whole number between 1 and ${MAX_JOB_PAGES}`;
+  }
+  return null;
+}
+
+function sendError(res, statusCode, message, extra = {}) {
+  return res.status(statusCode).json({
+    status: 'error',
+    message,
+    ...extra,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function sendJob(res, statusCode, message, job, startTime, extra = {}) {
+  return res.status(statusCode).json({
+    status: 'ok',
+    message,
+    url: job.url,
+    cached: false,
+    timestamp: new Date().toISOString(),
+    executionTime: Date.now() - startTime,
+    data: { ...publicJob(job), ...extra }
+  });
+}
+
+async function createCrawlJob(req, res, startTime) {
+  const { url, callbackUrl, callbackSecret } = req.body || {};
+  const options = { ...((req.body && req.body.options) || {}) };
+
+  if (!url) {
+    return sendError(res, 400, 'URL is required');
+  }
+
+  const startUrl = crawler.normalizeUrl(url);
+  if (!startUrl) {
+    return sendError(res, 400, 'Invalid URL provided', { code: 'INVALID_URL' });
+  }
+
+  const blocked = await safeFetch.blockedError(startUrl);
+  if (blocked) {
+    return sendError(res, 400, blocked.message, { code: blocked.code });
+  }
+
+  options.maxPages = options.maxPages === undefined ? DEFAULT_JOB_PAGES : options.maxPages;
+  const maxPagesError = checkMaxPages(options.maxPages);
+  if (maxPagesError) {
+    return sendError(res, 400, maxPagesError);
+  }
+
+  try {
+    crawler.validateCrawlOptions(options);
+  } catch (optionsError) {
+    return sendError(res, 400, optionsError.message);
+  }
+
+  let callback = null;
+  if (callbackUrl !== undefined) {
+    const callbackError = webhooks.checkTargetUrl(callbackUrl);
+    if (callbackError) {
+      return sendError(res, 400, `callbackUrl: ${callbackError}`);
+    }
+    if (callbackSecret !== undefined && (typeof callbackSecret !== 'string' || callbackSecret.length < 16)) {
+      return sendError(res, 400, 'callbackSecret must be a string of at least 16 characters');
+    }
+    callback = { url: callbackUrl, secret: callbackSecret || webhooks.generateSecret() };
+  }
+
+  // Never queue more pages than the API key has left
+  const quotaLimited = Boolean(req.quota) && options.maxPages > req.quota.remaining;
+  if (quotaLimited) options.maxPages = req.quota.remaining;
+
+  const job = await jobStore.createJob(startUrl, options, callback, req.apiKey ? req.apiKey.id : null);
+  await startQueuedJobs();
+
+  // A generated callback secret is only ever returned here
+  return sendJob(res, 202, quotaLimited
+    ? `Crawl job created, limited to ${options.maxPages} pages by the API key quota`
+    : 'Crawl job created', (await jobStore.getJob(job.id)) || job, startTime,
+  callback && !callbackSecret ? { callbackSecret: callback.secret } : {});
+}
+
+async function pauseCrawlJob(job, res, startTime) {
+  if (job.status === 'queued') {
+    return sendJob(res, 200, 'Crawl job paused', await updateJob(job.id, { status: 'paused' }), startTime);
+  }
+  if (job.status !== 'running' || isInterrupted(job)) {
+    return sendError(res, 409, `Cannot pause a job that is ${isInterrupted(job) ? 'interrupted' : job.status}`);
+  }
+
+  // The crawl stops after the pages in flight and stores a final checkpoint
+  const updated = await updateJob(job.id, { status: 'pausing' });
+  if (running.has(job.id)) running.get(job.id).abort();
+
+  return sendJob(res, 202, 'Crawl job pausing', updated, startTime);
+}
+
+async function resumeCrawlJob(job, res, startTime) {
+  if (!['paused', 'failed'].includes(job.status) && !isInterrupted(job)) {
+    return sendError(res, 409, `Cannot resume a job that is ${job.status}`);
+  }
+
+  await updateJob(job.id, { status: 'queued' });
+  await startQueuedJobs();
+
+  return sendJob(res, 202, 'Crawl job resumed', await jobStore.getJob(job.id), startTime);
+}
+
+async function extendCrawlJob(job, req, res, startTime) {
+  let maxPages = req.body && req.body.maxPages;
+  const maxPagesError = checkMaxPages(maxPages);
+  if (maxPagesError) {
+    return sendError(res, 400, maxPagesError);
+  }
+  if (maxPages <= job.options.maxPages) {
+    return sendError(res, 400, `maxPages must be higher than the current limit of ${job.options.maxPages}`);
+  }
+  if (['running', 'pausing'].includes(job.status) && !isInterrupted(job)) {
+    return sendError(res, 409, 'Pause the job before extending it');
+  }
+
+  // Pages already crawled were charged; the extension may only add what the key has left
+  if (req.quota) {
+    const pagesDone = job.progress.pagesCrawled + job.progress.pagesFailed;
+    maxPages = Math.min(maxPages, pagesDone + req.quota.remaining);
+    if (maxPages <= job.options.maxPages) {
+      return sendError(res, 429, 'The API key quota has no pages left to extend this job', { code: 'QUOTA_EXCEEDED', quota: req.quota });
+    }
+  }
+
+  // The old report no longer covers the job; a new one is built when it completes
+  await jobStore.deleteReport(job.id);
+  await updateJob(job.id, {
+    status: 'queued',
+    options: { ...job.options, maxPages }
+  });
+  await startQueuedJobs();
+
+  return sendJob(res, 202, `Crawl job extended to ${maxPages} pages`, await jobStore.getJob(job.id), startTime);
+}
+
+async function getCrawlJobPages(job, req, res, startTime) {
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_PAGES_PER_REQUEST);
+  const pages = await jobStore.getPages(job.id, offset, limit);
+
+  return sendJob(res, 200, 'Crawl job pages retrieved', job, startTime, {
+    pages,
+    offset,
+    limit,
+    total: job.pagesStored
+  });
+}
+
+/**
+ * Handle /crawl-jobs requests
+ *   POST /crawl-jobs                 create a job
+ *   GET  /crawl-jobs                 list recent jobs
+ *   GET  /crawl-jobs/:id             job status, with the report once completed
+ *   GET  /crawl-jobs/:id/pages       crawled pages (offset, limit)
+ *   GET  /crawl-jobs/:id/deliveries  webhook deliveries for the job
+ *   POST /crawl-jobs/:id/pause|resume|extend
+ */
+async function handleCrawlJobs(req, res) {
+  const startTime = Date.now();
+
+  try {
+    const [, id, action] = req.url.split('?')[0].replace(/^\/api/, '').split('/').filter(Boolean);
+
+    if (!id) {
+      if (req.method === 'POST') return await createCrawlJob(req, res, startTime);
+
+      const jobs = (await jobStore.listJobs()).filter(job => apiKeys.canAccess(req, job.apiKeyId));
+      return res.status(200).json({
+        status: 'ok',
+        message: 'Crawl jobs retrieved',
+        timestamp: new Date().toISOString(),
+        executionTime: Date.now() - startTime,
+        data: jobs.map(publicJob)
+      });
+    }
+
+    // Jobs of other API keys are reported as missing
+    const job = await jobStore.getJob(id);
+    if (!job || !apiKeys.canAccess(req, job.apiKeyId)) {
+      return sendError(res, 404, `Job ${id} not found`);
+    }
+
+    if (!action && req.method === 'GET') {
+      const report = job.status === 'completed' ? await jobStore.getReport(id) : null;
+      return sendJob(res, 200, `Crawl job is ${job.status}`, job, startTime, {
+        interrupted: isInterrupted(job),
+        result: report
+      });
+    }
+    if (action === 'pages' && req.method === 'GET') return await getCrawlJobPages(job, req, res, startTime);
+    if (action === 'pause' && req.method === 'POST') return await pauseCrawlJob(job, res, startTime);
+    if (action === 'resume' && req.method === 'POST') return await resumeCrawlJob(job, res, startTime);
+    if (action === 'extend' && req.method === 'POST') return await extendCrawlJob(job, req, res, startTime);
+    if (action === 'deliveries' && req.method === 'GET') {
+      return sendJob(res, 200, 'Webhook deliveries retrieved', job, startTime, {
+        deliveries: await webhooks.listDeliveries({ apiKeyId: job.apiKeyId, jobId: id })
+      });
+    }
+
+    return sendError(res, 404, 'Endpoint not found');
+  } catch (error) {
+    logger.error('Crawl job request error', { error });
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to process crawl job request',
+      error: process.env.NODE_ENV === 'production' ? 'Server error' : error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  handleCrawlJobs,
+  resumeInterruptedJobs,
+  getQueueStats,
+  MAX_JOB_PAGES
+};
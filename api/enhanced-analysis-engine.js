@@ -4,17 +4,31 @@
  */
 
 const cheerio = require('cheerio');
-const axios = require('axios');
+const safeFetch = require('./lib/safe-fetch');
 const { URL } = require('url');
+const { CATEGORIES, resolveRules, runRules } = require('./rules');
+const { getProfile } = require('./lib/scoring-profiles');
+const { ApiError, targetError } = require('./lib/errors');
+const browser = require('./lib/browser');
+const webVitals = require('./lib/web-vitals');
+const { responseHeaders, probeHttpsRedirect } = require('./lib/response-headers');
+const { redirectRecorder, describeChain } = require('./lib/redirects');
+const { resolveCanonical } = require('./lib/canonical');
+const { extractSchemaData } = require('./schema-validator-marden');
+const logger = require('./lib/logger');
 
 /**
  * Robust HTML fetcher with proper configuration
+ * @returns {Promise<Object>} - { html, response }: the response's final URL,
+ *   status and headers as sent, and the chain of redirects followed
  */
 async function fetchHtml(url) {
+  const fetchStart = Date.now();
+  const redirects = redirectRecorder(url);
   try {
-    console.log(`🌐 Fetching HTML from: ${url}`);
+    logger.debug('Fetching HTML', { url });
     
-    const response = await axios.get(url, {
+    const response = await safeFetch.get(url, {
       timeout: 30000, // 30 second timeout
       maxRedirects: 5,
       headers: {
@@ -31,29 +45,42 @@ async function fetchHtml(url) {
       },
       validateStatus: function (status) {
         return status >= 200 && status < 400; // Accept redirects and success
-      }
+      },
+      beforeRedirect: redirects.beforeRedirect
     });
 
     if (!response.data || typeof response.data !== 'string') {
-      throw new Error('No HTML content received');
+      throw new ApiError('TARGET_NOT_HTML', `No HTML content received from ${url}`, {
+        url,
+        upstreamStatus: response.status,
+        contentType: response.headers['content-type'] || null
+      });
     }
 
-    console.log(`✅ Successfully fetched ${response.data.length} characters of HTML`);
-    return response.data;
+    logger.debug('Fetched HTML', { url, status: response.status, bytes: response.data.length, durationMs: Date.now() - fetchStart });
+    const finalUrl = (response.request.res && response.request.res.responseUrl) || url;
+    return {
+      html: response.data,
+      response: {
+        url,
+        finalUrl,
+        status: response.status,
+        headers: responseHeaders(response),
+        bytes: Buffer.byteLength(response.data)
+      },
+      redirectChain: describeChain(redirects.hops, { url: finalUrl, status: response.status, durationMs: redirects.elapsed() })
+    };
 
   } catch (error) {
-    console.error(`❌ Error fetching HTML from ${url}:`, error.message);
-    
-    // Provide specific error messages
-    if (error.code === 'ENOTFOUND') {
-      throw new Error(`Domain not found: ${url}. Please check if the website URL is correct.`);
-    } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
-      throw new Error(`Request timed out for ${url}. The website may be slow or unreachable.`);
-    } else if (error.response && error.response.status) {
-      throw new Error(`HTTP ${error.response.status} error for ${url}`);
-    } else {
-      throw new Error(`Failed to fetch ${url}: ${error.message}`);
+    // TARGET_* codes tell DNS failures, timeouts and HTTP errors apart
+    const failure = targetError(error, url);
+    if (failure.code === 'TARGET_TOO_MANY_REDIRECTS') {
+      const urls = redirects.hops.map(hop => hop.url);
+      failure.details.redirects = redirects.hops;
+      failure.details.loop = new Set(urls).size < urls.length;
     }
+    logger.warn('Failed to fetch HTML', { url, code: failure.code, durationMs: Date.now() - fetchStart, error: error.message });
+    throw failure;
   }
 }
 
@@ -66,32 +93,32 @@ function extractTitle($) {
   // Strategy 1: Standard title tag
   title = $('title').first().text().trim();
   if (title) {
-    console.log(`📝 Found title via <title> tag: "${title}"`);
+    logger.debug('Found title', { source: '<title> tag', title });
     return title;
   }
   
   // Strategy 2: Open Graph title
   title = $('meta[property="og:title"]').attr('content');
   if (title) {
-    console.log(`📝 Found title via og:title: "${title}"`);
+    logger.debug('Found title', { source: 'og:title', title });
     return title.trim();
   }
   
   // Strategy 3: Twitter title
   title = $('meta[name="twitter:title"]').attr('content');
   if (title) {
-    console.log(`📝 Found title via twitter:title: "${title}"`);
+    logger.debug('Found title', { source: 'twitter:title', title });
     return title.trim();
   }
   
   // Strategy 4: H1 as fallback
   title = $('h1').first().text().trim();
   if (title) {
-    console.log(`📝 Found title via H1 fallback: "${title}"`);
+    logger.debug('Found title', { source: 'H1 fallback', title });
     return title;
   }
   
-  console.log(`❌ No title found`);
+  logger.debug('No title found');
   return '';
 }
 
@@ -104,25 +131,25 @@ function extractMetaDescription($) {
   // Strategy 1: Standard meta description
   description = $('meta[name="description"]').attr('content');
   if (description) {
-    console.log(`📄 Found description via meta[name="description"]: "${description.substring(0, 100)}..."`);
+    logger.debug('Found meta description', { source: 'meta[name="description"]', description: description.substring(0, 100) });
     return description.trim();
   }
   
   // Strategy 2: Open Graph description
   description = $('meta[property="og:description"]').attr('content');
   if (description) {
-    console.log(`📄 Found description via og:description: "${description.substring(0, 100)}..."`);
+    logger.debug('Found meta description', { source: 'og:description', description: description.substring(0, 100) });
     return description.trim();
   }
   
   // Strategy 3: Twitter description
   description = $('meta[name="twitter:description"]').attr('content');
   if (description) {
-    console.log(`📄 Found description via twitter:description: "${description.substring(0, 100)}..."`);
+    logger.debug('Found meta description', { source: 'twitter:description', description: description.substring(0, 100) });
     return description.trim();
   }
   
-  console.log(`❌ No meta description found`);
+  logger.debug('No meta description found');
   return '';
 }
 
@@ -143,92 +170,282 @@ function analyzeContent($) {
   };
 }
 
+// Words of the rendered page the raw HTML must have for its content not to
+// count as added by JavaScript
+const RAW_CONTENT_SHARE = 0.5;
+const MAX_LISTED_LINKS = 50;
+
 /**
- * Enhanced SEO analysis function
+ * schema.org types of a page's structured data (JSON-LD and microdata)
  */
-async function performSeoAnalysis(url) {
-  try {
-    console.log(`🚀 Starting enhanced SEO analysis for: ${url}`);
-    
-    // Fetch HTML
-    const html = await fetchHtml(url);
-    
-    // Parse with Cheerio
-    const $ = cheerio.load(html, {
-      normalizeWhitespace: false,
-      xmlMode: false,
-      decodeEntities: true
-    });
-    
-    console.log(`🔍 Parsing HTML with Cheerio...`);
-    
-    // Extract basic page elements
-    const title = extractTitle($);
-    const metaDescription = extractMetaDescription($);
-    const contentAnalysis = analyzeContent($);
-    
-    // Analyze headings
-    const h1Elements = $('h1');
-    const h2Elements = $('h2');
-    const h3Elements = $('h3');
-    
-    const h1Texts = [];
-    h1Elements.each((i, el) => {
-      const text = $(el).text().trim();
-      if (text && h1Texts.length < 10) h1Texts.push(text);
-    });
-    
-    const h2Texts = [];
-    h2Elements.each((i, el) => {
-      const text = $(el).text().trim();
-      if (text && h2Texts.length < 15) h2Texts.push(text);
-    });
-    
-    // Analyze links
-    const allLinks = $('a[href]');
-    let internalCount = 0;
-    let externalCount = 0;
-    
-    allLinks.each((i, el) => {
-      const href = $(el).attr('href');
-      if (href) {
-        if (href.startsWith('http://') || href.startsWith('https://')) {
-          try {
-            const linkDomain = new URL(href).hostname;
-            const baseDomain = new URL(url).hostname;
-            if (linkDomain === baseDomain) {
-              internalCount++;
-            } else {
-              externalCount++;
-            }
-          } catch (e) {
-            // Invalid URL, skip
+function structuredDataTypes(html) {
+  const types = [];
+  const addTypes = item => {
+    if (!item || typeof item !== 'object' || item._error) return;
+    [].concat(item['@type'] || []).forEach(type => types.push(String(type)));
+    [].concat(item['@graph'] || []).forEach(addTypes);
+  };
+  [].concat(...extractSchemaData(html).map(schema => [].concat(schema))).forEach(addTypes);
+  return Array.from(new Set(types));
+}
+
+/**
+ * Parse a page and extract the data the rules and scores work on
+ * @param {string} html - Page HTML, raw or rendered
+ * @param {string} url - Page URL, for telling internal links from external ones
+ * @returns {Object} - { $, pageData, elements }: the Cheerio document (with
+ *   scripts and styles removed), the page data, and the SEO elements a render
+ *   comparison looks at
+ */
+function extractPage(html, url) {
+  // Structured data lives in script tags, which content analysis removes
+  const structuredData = structuredDataTypes(html);
+  
+  // Parse with Cheerio
+  const $ = cheerio.load(html, {
+    normalizeWhitespace: false,
+    xmlMode: false,
+    decodeEntities: true
+  });
+  
+  // The tags themselves, without the fallbacks the analysis uses
+  const elements = {
+    title: $('title').first().text().trim(),
+    metaDescription: ($('meta[name="description"]').attr('content') || '').trim(),
+    canonical: ($('link[rel="canonical"]').attr('href') || '').trim(),
+    structuredData
+  };
+  
+  // Extract basic page elements
+  const title = extractTitle($);
+  const metaDescription = extractMetaDescription($);
+  const contentAnalysis = analyzeContent($);
+  
+  // Analyze headings
+  const h1Elements = $('h1');
+  const h2Elements = $('h2');
+  const h3Elements = $('h3');
+  
+  const h1Texts = [];
+  h1Elements.each((i, el) => {
+    const text = $(el).text().trim();
+    if (text && h1Texts.length < 10) h1Texts.push(text);
+  });
+  
+  const h2Texts = [];
+  h2Elements.each((i, el) => {
+    const text = $(el).text().trim();
+    if (text && h2Texts.length < 15) h2Texts.push(text);
+  });
+  
+  // Analyze links
+  const allLinks = $('a[href]');
+  const linkUrls = new Set();
+  let internalCount = 0;
+  let externalCount = 0;
+  
+  allLinks.each((i, el) => {
+    const href = $(el).attr('href');
+    if (href) {
+      try {
+        linkUrls.add(new URL(href, url).href);
+      } catch (e) {
+        // Invalid URL, not compared
+      }
+      if (href.startsWith('http://') || href.startsWith('https://')) {
+        try {
+          const linkDomain = new URL(href).hostname;
+          const baseDomain = new URL(url).hostname;
+          if (linkDomain === baseDomain) {
+            internalCount++;
+          } else {
+            externalCount++;
           }
-        } else {
-          internalCount++; // Relative links are internal
+        } catch (e) {
+          // Invalid URL, skip
         }
+      } else {
+        internalCount++; // Relative links are internal
       }
-    });
+    }
+  });
+  
+  // Analyze images
+  const allImages = $('img');
+  let imagesWithoutAlt = 0;
+  
+  allImages.each((i, el) => {
+    const alt = $(el).attr('alt');
+    if (!alt || alt.trim() === '') {
+      imagesWithoutAlt++;
+    }
+  });
+  
+  // Check for canonical URL
+  const canonicalUrl = $('link[rel="canonical"]').attr('href') || '';
+  
+  elements.h1 = h1Texts;
+  elements.links = Array.from(linkUrls);
+  elements.wordCount = contentAnalysis.wordCount;
+  
+  const pageData = {
+    title: {
+      text: title,
+      length: title.length
+    },
+    metaDescription: {
+      text: metaDescription,
+      length: metaDescription.length
+    },
+    headings: {
+      h1Count: h1Elements.length,
+      h1Texts: h1Texts,
+      h2Count: h2Elements.length,
+      h2Texts: h2Texts,
+      h3Count: h3Elements.length
+    },
+    content: {
+      wordCount: contentAnalysis.wordCount,
+      contentLength: contentAnalysis.contentLength
+    },
+    links: {
+      internalCount: internalCount,
+      externalCount: externalCount,
+      totalCount: allLinks.length
+    },
+    images: {
+      total: allImages.length,
+      withoutAlt: imagesWithoutAlt
+    },
+    technical: {
+      hasCanonical: canonicalUrl.length > 0,
+      canonicalUrl: canonicalUrl
+    }
+  };
+  
+  return { $, pageData, elements };
+}
+
+/**
+ * Compare the SEO elements of the raw HTML with those of the rendered DOM
+ * Crawlers that don't run JavaScript only see the raw ones.
+ * @param {Object} raw - Elements from extractPage for the raw HTML
+ * @param {Object} rendered - Elements from extractPage for the rendered DOM
+ * @returns {Object} - Per-element comparison, with onlyAfterJavaScript naming
+ *   the elements missing from the raw HTML and changedByJavaScript those that
+ *   JavaScript rewrites
+ */
+function compareRender(raw, rendered) {
+  const single = name => ({
+    raw: raw[name] || null,
+    rendered: rendered[name] || null,
+    changed: raw[name] !== rendered[name]
+  });
+  const list = (name, limit) => {
+    const onlyRendered = rendered[name].filter(item => !raw[name].includes(item));
+    const onlyRaw = raw[name].filter(item => !rendered[name].includes(item));
+    return {
+      rawCount: raw[name].length,
+      renderedCount: rendered[name].length,
+      onlyRendered: limit ? onlyRendered.slice(0, limit) : onlyRendered,
+      onlyRenderedCount: onlyRendered.length,
+      onlyRaw: limit ? onlyRaw.slice(0, limit) : onlyRaw
+    };
+  };
+  
+  const comparison = {
+    title: single('title'),
+    metaDescription: single('metaDescription'),
+    canonical: single('canonical'),
+    h1: list('h1'),
+    links: list('links', MAX_LISTED_LINKS),
+    structuredData: list('structuredData'),
+    wordCount: {
+      raw: raw.wordCount,
+      rendered: rendered.wordCount,
+      addedByJavaScript: Math.max(0, rendered.wordCount - raw.wordCount)
+    }
+  };
+  
+  const onlyAfterJavaScript = [];
+  const changedByJavaScript = [];
+  ['title', 'metaDescription', 'canonical'].forEach(name => {
+    if (!comparison[name].changed) return;
+    if (!raw[name] && rendered[name]) {
+      onlyAfterJavaScript.push(name);
+    } else {
+      changedByJavaScript.push(name);
+    }
+  });
+  ['h1', 'links', 'structuredData'].forEach(name => {
+    if (comparison[name].onlyRenderedCount > 0) onlyAfterJavaScript.push(name);
+  });
+  if (rendered.wordCount > 0 && raw.wordCount < rendered.wordCount * RAW_CONTENT_SHARE) {
+    onlyAfterJavaScript.push('content');
+  }
+  
+  return {
+    ...comparison,
+    onlyAfterJavaScript,
+    changedByJavaScript,
+    dependsOnJavaScript: onlyAfterJavaScript.length > 0
+  };
+}
+
+/**
+ * Enhanced SEO analysis function
+ * @param {string} url - URL to analyze
+ * @param {Object} options - Analysis options
+ * @param {Object} options.rules - Per-request rule selection ({ enable: [ids], disable: [ids] })
+ * @param {string} options.profile - Scoring profile name (defaults to 'default')
+ * @param {boolean} options.render - Analyze the DOM after JavaScript has run, and
+ *   compare it with the raw HTML (renderComparison)
+ * @param {boolean} options.performance - Measure lab Core Web Vitals on a
+ *   throttled phone (performance); they don't change the SEO score
+ */
+async function performSeoAnalysis(url, options = {}) {
+  const analysisStart = Date.now();
+  try {
+    const profile = getProfile(options.profile);
+    if (!profile) {
+      throw new Error(`Unknown scoring profile: ${options.profile}`);
+    }
     
-    // Analyze images
-    const allImages = $('img');
-    let imagesWithoutAlt = 0;
+    logger.info('Starting SEO analysis', { url, profile: profile.name, render: Boolean(options.render) });
     
-    allImages.each((i, el) => {
-      const alt = $(el).attr('alt');
-      if (!alt || alt.trim() === '') {
-        imagesWithoutAlt++;
-      }
-    });
+    // Fetch HTML
+    const { html: rawHtml, response, redirectChain } = await fetchHtml(url);
+    const raw = extractPage(rawHtml, url);
     
-    // Check for canonical URL
-    const canonicalUrl = $('link[rel="canonical"]').attr('href') || '';
+    // Rendered pages are analyzed as the browser sees them
+    let html = rawHtml;
+    let analyzed = raw;
+    let render = null;
+    if (options.render) {
+      render = await browser.renderPage(url);
+      html = render.html;
+      analyzed = extractPage(html, url);
+    }
+    const { $, pageData } = analyzed;
     
     // Validate we got meaningful data
-    if (!title && !metaDescription && contentAnalysis.wordCount === 0) {
-      throw new Error('No meaningful content could be extracted from the page. The website may be JavaScript-heavy or have content loading issues.');
+    if (!pageData.title.text && !pageData.metaDescription.text && pageData.content.wordCount === 0) {
+      throw new ApiError('TARGET_NO_CONTENT', options.render
+        ? 'No meaningful content could be extracted from the page, even after rendering it.'
+        : 'No meaningful content could be extracted from the page. The website may be JavaScript-heavy or have content loading issues; try again with render enabled.', { url });
     }
     
+    // Headers and redirects come from the HTML response either way; the
+    // canonical target is fetched for the canonical of the page analyzed
+    pageData.technical.response = response;
+    pageData.technical.redirectChain = redirectChain;
+    const [httpRedirect, canonicalTarget] = await Promise.all([
+      new URL(response.finalUrl).protocol === 'https:' ? probeHttpsRedirect(response.finalUrl) : null,
+      resolveCanonical(pageData.technical.canonicalUrl, response.finalUrl)
+    ]);
+    pageData.technical.httpRedirect = httpRedirect;
+    pageData.technical.canonicalTarget = canonicalTarget;
+    
     // Build analysis result
     const analysisResult = {
       url: url,
@@ -242,57 +459,41 @@ async function performSeoAnalysis(url) {
         technical: { score: 0, issues: [] },
         userExperience: { score: 0, issues: [] }
       },
-      pageData: {
-        title: {
-          text: title,
-          length: title.length
-        },
-        metaDescription: {
-          text: metaDescription,
-          length: metaDescription.length
-        },
-        headings: {
-          h1Count: h1Elements.length,
-          h1Texts: h1Texts,
-          h2Count: h2Elements.length,
-          h2Texts: h2Texts,
-          h3Count: h3Elements.length
-        },
-        content: {
-          wordCount: contentAnalysis.wordCount,
-          contentLength: contentAnalysis.contentLength
-        },
-        links: {
-          internalCount: internalCount,
-          externalCount: externalCount,
-          totalCount: allLinks.length
-        },
-        images: {
-          total: allImages.length,
-          withoutAlt: imagesWithoutAlt
-        },
-        technical: {
-          hasCanonical: canonicalUrl.length > 0,
-          canonicalUrl: canonicalUrl
-        }
-      },
+      pageData,
       recommendations: [],
       metadata: {
         analysisTime: Date.now(),
-        htmlSize: `${Math.round(html.length / 1024)} KB`
+        htmlSize: `${Math.round(html.length / 1024)} KB`,
+        rulesApplied: resolveRules(options.rules).map(rule => rule.id),
+        profile: profile.name,
+        rendered: Boolean(render)
       },
       analyzedAt: new Date().toISOString()
     };
     
-    // Calculate scores and issues
-    analysisResult.categories.metadata = analyzeMetadata(analysisResult.pageData, analysisResult.recommendations);
-    analysisResult.categories.content = analyzeContent2(analysisResult.pageData, analysisResult.recommendations);
-    analysisResult.categories.technical = analyzeTechnical(analysisResult.pageData, analysisResult.recommendations);
-    analysisResult.categories.userExperience = analyzeUserExperience(analysisResult.pageData, analysisResult.recommendations);
+    if (render) {
+      analysisResult.metadata.rawHtmlSize = `${Math.round(rawHtml.length / 1024)} KB`;
+      analysisResult.metadata.renderTime = render.durationMs;
+      analysisResult.renderComparison = compareRender(raw.elements, analyzed.elements);
+    }
+    
+    if (options.performance) {
+      analysisResult.performance = await webVitals.measurePage(url);
+    }
+    
+    // Run the rule registry and calculate category scores
+    const ruleResults = runRules(analysisResult.pageData, $, options.rules);
+    analysisResult.categories = scoreCategories(ruleResults, profile);
     
-    // Calculate overall score
-    const categoryScores = Object.values(analysisResult.categories).map(cat => cat.score);
-    analysisResult.score = Math.round(categoryScores.reduce((sum, score) => sum + score, 0) / categoryScores.length);
+    // Calculate overall score as the profile-weighted average of category scores
+    let weightedSum = 0;
+    let totalWeight = 0;
+    Object.entries(analysisResult.categories).forEach(([category, result]) => {
+      const weight = profile.categoryWeights[category] ?? 1;
+      weightedSum += result.score * weight;
+      totalWeight += weight;
+    });
+    analysisResult.score = totalWeight > 0 ? Math.round(weightedSum / totalWeight) : 0;
     
     // Count issues
     analysisResult.totalIssuesCount = Object.values(analysisResult.categories)
@@ -301,167 +502,57 @@ async function performSeoAnalysis(url) {
       .reduce((total, cat) => total + (cat.issues ? cat.issues.filter(issue => issue.severity === 'critical').length : 0), 0);
     
     // Set status
-    if (analysisResult.score >= 80) {
+    if (analysisResult.score >= profile.thresholds.good) {
       analysisResult.status = 'good';
-    } else if (analysisResult.score >= 50) {
+    } else if (analysisResult.score >= profile.thresholds.needsImprovement) {
       analysisResult.status = 'needs_improvement';
     } else {
       analysisResult.status = 'poor';
     }
     
-    console.log(`✅ Analysis completed - Score: ${analysisResult.score}, Issues: ${analysisResult.totalIssuesCount}`);
+    logger.info('SEO analysis completed', {
+      url,
+      score: analysisResult.score,
+      issues: analysisResult.totalIssuesCount,
+      durationMs: Date.now() - analysisStart
+    });
     return analysisResult;
     
   } catch (error) {
-    console.error(`❌ SEO analysis failed for ${url}:`, error.message);
+    logger.warn('SEO analysis failed', { url, code: error.code, durationMs: Date.now() - analysisStart, error: error.message });
     throw error;
   }
 }
 
 /**
- * Analyze metadata quality
+ * Build category scores from fired rules
+ * Each category starts at 100 and loses the penalty of every rule that fired in it;
+ * the profile's penalty overrides the rule's own weight
  */
-function analyzeMetadata(pageData, recommendations) {
-  const issues = [];
-  let score = 100;
+function scoreCategories(ruleResults, profile) {
+  const categories = {};
+  CATEGORIES.forEach(category => {
+    categories[category] = { score: 100, issues: [] };
+  });
   
-  // Check title
-  if (!pageData.title.text) {
-    issues.push({
-      type: 'missing_title',
-      severity: 'critical',
-      message: 'Page is missing a title tag',
-      recommendation: 'Add a unique, descriptive title tag (50-60 characters)'
-    });
-    score -= 30;
-  } else if (pageData.title.length < 30) {
-    issues.push({
-      type: 'short_title',
-      severity: 'warning',
-      message: 'Title tag is too short',
-      recommendation: 'Expand title to 50-60 characters for better visibility'
-    });
-    score -= 10;
-  } else if (pageData.title.length > 60) {
-    issues.push({
-      type: 'long_title',
-      severity: 'warning',
-      message: 'Title tag is too long and may be truncated',
-      recommendation: 'Shorten title to 50-60 characters'
-    });
-    score -= 10;
-  }
-  
-  // Check meta description
-  if (!pageData.metaDescription.text) {
-    issues.push({
-      type: 'missing_description',
-      severity: 'critical',
-      message: 'Page is missing a meta description',
-      recommendation: 'Add a compelling meta description (150-160 characters)'
-    });
-    score -= 30;
-  } else if (pageData.metaDescription.length < 120) {
-    issues.push({
-      type: 'short_description',
-      severity: 'warning',
-      message: 'Meta description is too short',
-      recommendation: 'Expand meta description to 150-160 characters'
-    });
-    score -= 10;
-  } else if (pageData.metaDescription.length > 160) {
-    issues.push({
-      type: 'long_description',
-      severity: 'warning',
-      message: 'Meta description is too long and may be truncated',
-      recommendation: 'Shorten meta description to 150-160 characters'
-    });
-    score -= 10;
-  }
-  
-  return { score: Math.max(0, score), issues };
-}
-
-/**
- * Analyze content quality
- */
-function analyzeContent2(pageData, recommendations) {
-  const issues = [];
-  let score = 100;
-  
-  // Check word count
-  if (pageData.content.wordCount < 300) {
-    issues.push({
-      type: 'low_word_count',
-      severity: 'warning',
-      message: 'Page has very little content',
-      recommendation: 'Add more substantive content (aim for 300+ words)'
-    });
-    score -= 20;
-  }
-  
-  // Check headings
-  if (pageData.headings.h1Count === 0) {
-    issues.push({
-      type: 'missing_h1',
-      severity: 'critical',
-      message: 'Page is missing an H1 heading',
-      recommendation: 'Add a clear H1 heading that describes the page content'
-    });
-    score -= 25;
-  } else if (pageData.headings.h1Count > 1) {
-    issues.push({
-      type: 'multiple_h1',
-      severity: 'warning',
-      message: 'Page has multiple H1 headings',
-      recommendation: 'Use only one H1 heading per page'
-    });
-    score -= 15;
-  }
-  
-  return { score: Math.max(0, score), issues };
-}
-
-/**
- * Analyze technical SEO factors
- */
-function analyzeTechnical(pageData, recommendations) {
-  const issues = [];
-  let score = 100;
-  
-  // Check canonical URL
-  if (!pageData.technical.hasCanonical) {
-    issues.push({
-      type: 'missing_canonical',
-      severity: 'warning',
-      message: 'Page is missing a canonical URL',
-      recommendation: 'Add a canonical link tag to prevent duplicate content issues'
-    });
-    score -= 10;
-  }
-  
-  return { score: Math.max(0, score), issues };
-}
-
-/**
- * Analyze user experience factors
- */
-function analyzeUserExperience(pageData, recommendations) {
-  const issues = [];
-  let score = 100;
+  ruleResults.forEach(({ rule, issue }) => {
+    const category = categories[rule.category];
+    const occurrences = issue.occurrences || 1;
+    const weight = profile.penalties[rule.id] ?? rule.weight;
+    let penalty = weight * occurrences;
+    if (typeof rule.maxPenalty === 'number') {
+      penalty = Math.min(rule.maxPenalty, penalty);
+    }
+    
+    category.score -= penalty;
+    category.issues.push(issue);
+  });
   
-  // Check images without alt text
-  if (pageData.images.withoutAlt > 0) {
-    issues.push({
-      type: 'images_without_alt',
-      severity: 'warning',
-      message: `${pageData.images.withoutAlt} images are missing alt text`,
-      recommendation: 'Add descriptive alt text to all images for accessibility'
-    });
-    score -= Math.min(30, pageData.images.withoutAlt * 3);
-  }
+  Object.values(categories).forEach(category => {
+    category.score = Math.max(0, category.score);
+  });
   
-  return { score: Math.max(0, score), issues };
+  return categories;
 }
 
 module.exports = {
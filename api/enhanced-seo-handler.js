@@ -5,6 +5,10 @@
 
 const { performSeoAnalysis } = require('./enhanced-analysis-engine');
 const redis = require('./lib/redis.optimized');
+const safeFetch = require('./lib/safe-fetch');
+const { DEFAULT_PROFILE, hasProfile, listProfiles } = require('./lib/scoring-profiles');
+const { sendError, targetError } = require('./lib/errors');
+const logger = require('./lib/logger');
 
 // In-memory cache for quick response
 const memoryCache = new Map();
@@ -29,6 +33,67 @@ function normalizeUrl(url) {
   return normalized;
 }
 
+/**
+ * Read analysis options from the request body (POST) or query string (GET)
+ * GET requests may pass rule ids as comma-separated enableRules/disableRules,
+ * the scoring profile as profile, render=true and performance=true
+ */
+function extractOptions(req) {
+  if (req.method === 'POST') {
+    return (req.body && req.body.options) || {};
+  }
+  
+  const options = {};
+  if (req.query.profile) {
+    options.profile = req.query.profile;
+  }
+  if (req.query.render === true) {
+    options.render = true;
+  }
+  if (req.query.performance === true) {
+    options.performance = true;
+  }
+  
+  const splitIds = value => String(value).split(',').map(id => id.trim()).filter(Boolean);
+  
+  if (req.query.enableRules || req.query.disableRules) {
+    options.rules = {
+      enable: req.query.enableRules ? splitIds(req.query.enableRules) : [],
+      disable: req.query.disableRules ? splitIds(req.query.disableRules) : []
+    };
+  }
+  
+  return options;
+}
+
+/**
+ * Cache key suffix describing the options that change the analysis output
+ */
+function optionsCacheSuffix(options) {
+  let suffix = '';
+  
+  if (options.profile && options.profile !== DEFAULT_PROFILE) {
+    suffix += `:profile=${options.profile}`;
+  }
+  
+  const rules = options.rules || {};
+  const enable = (rules.enable || []).slice().sort();
+  const disable = (rules.disable || []).slice().sort();
+  
+  if (enable.length > 0 || disable.length > 0) {
+    suffix += `:rules=+${enable.join(',')}-${disable.join(',')}`;
+  }
+  
+  if (options.render) {
+    suffix += ':render';
+  }
+  if (options.performance) {
+    suffix += ':performance';
+  }
+  
+  return suffix;
+}
+
 async function handleEnhancedSeoAnalyze(req, res) {
   const startTime = Date.now();
   
@@ -50,16 +115,33 @@ async function handleEnhancedSeoAnalyze(req, res) {
     }
     
     const normalizedUrl = normalizeUrl(url);
-    console.log(`🚀 Enhanced SEO analysis requested for: ${normalizedUrl}`);
+    const options = extractOptions(req);
+    
+    if (options.profile !== undefined && !hasProfile(options.profile)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown scoring profile "${options.profile}"`,
+        availableProfiles: listProfiles().map(profile => profile.name),
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const blocked = await safeFetch.blockedError(normalizedUrl);
+    if (blocked) {
+      return sendError(res, targetError(blocked, normalizedUrl));
+    }
+    
+    logger.info('SEO analysis requested', { url: normalizedUrl });
     
     // Generate cache key
-    const cacheKey = `enhanced-seo-audit:${normalizedUrl}`;
+    const cacheKey = `enhanced-seo-audit:${normalizedUrl}${optionsCacheSuffix(options)}`;
     
     // Check memory cache first
     if (memoryCache.has(cacheKey)) {
       const cached = memoryCache.get(cacheKey);
       if (Date.now() - cached.timestamp < MEMORY_CACHE_TTL) {
-        console.log(`💾 Memory cache hit for: ${normalizedUrl}`);
+        logger.info('Memory cache hit', { url: normalizedUrl });
+        redis.countCacheLookup('memory', 'hit');
         return res.status(200).json({
           status: 'ok',
           message: 'SEO analysis retrieved from memory cache',
@@ -73,6 +155,7 @@ async function handleEnhancedSeoAnalyze(req, res) {
         memoryCache.delete(cacheKey);
       }
     }
+    redis.countCacheLookup('memory', 'miss');
     
     // Check Redis cache
     let cachedResult = null;
@@ -80,7 +163,7 @@ async function handleEnhancedSeoAnalyze(req, res) {
       try {
         cachedResult = await redis.getCache(cacheKey);
         if (cachedResult) {
-          console.log(`🗄️ Redis cache hit for: ${normalizedUrl}`);
+          logger.info('Redis cache hit', { url: normalizedUrl });
           
           // Update memory cache
           if (memoryCache.size >= MEMORY_CACHE_MAX_SIZE) {
@@ -103,15 +186,13 @@ async function handleEnhancedSeoAnalyze(req, res) {
           });
         }
       } catch (cacheError) {
-        console.error('Cache error:', cacheError);
+        logger.warn('Error checking cache', { url: normalizedUrl, error: cacheError });
       }
     }
     
     // Perform fresh analysis
-    console.log(`🔍 Performing fresh analysis for: ${normalizedUrl}`);
-    
     try {
-      const analysisResult = await performSeoAnalysis(normalizedUrl);
+      const analysisResult = await performSeoAnalysis(normalizedUrl, options);
       
       // Calculate execution time
       const executionTime = Date.now() - startTime;
@@ -128,7 +209,7 @@ async function handleEnhancedSeoAnalyze(req, res) {
         try {
           await redis.setCache(cacheKey, cacheData, 86400); // 24 hours
         } catch (cacheError) {
-          console.error('Error caching result:', cacheError);
+          logger.warn('Error caching result', { url: normalizedUrl, error: cacheError });
         }
       }
       
@@ -142,8 +223,6 @@ async function handleEnhancedSeoAnalyze(req, res) {
         timestamp: Date.now()
       });
       
-      console.log(`✅ Fresh analysis completed for ${normalizedUrl} - Score: ${analysisResult.score}`);
-      
       return res.status(200).json({
         status: 'ok',
         message: 'SEO analysis completed successfully',
@@ -155,59 +234,14 @@ async function handleEnhancedSeoAnalyze(req, res) {
       });
       
     } catch (analysisError) {
-      console.error(`❌ Analysis failed for ${normalizedUrl}:`, analysisError.message);
-      
-      // Return structured error response
-      return res.status(200).json({
-        status: 'ok',
-        message: 'Analysis completed with errors',
-        url: normalizedUrl,
-        cached: false,
-        timestamp: new Date().toISOString(),
-        data: {
-          url: normalizedUrl,
-          score: 0,
-          status: 'error',
-          error: {
-            message: analysisError.message,
-            type: 'analysis_error'
-          },
-          criticalIssuesCount: 1,
-          totalIssuesCount: 1,
-          categories: {
-            metadata: { score: 0, issues: [] },
-            content: { score: 0, issues: [] },
-            technical: { score: 0, issues: [] },
-            userExperience: { score: 0, issues: [] }
-          },
-          pageData: {
-            title: { text: '', length: 0 },
-            metaDescription: { text: '', length: 0 },
-            headings: { h1Count: 0, h1Texts: [], h2Count: 0, h2Texts: [], h3Count: 0 },
-            content: { wordCount: 0, contentLength: 0 },
-            links: { internalCount: 0, externalCount: 0, totalCount: 0 },
-            images: { total: 0, withoutAlt: 0 },
-            technical: { hasCanonical: false, canonicalUrl: '' }
-          },
-          recommendations: ['Fix the website accessibility issue before running SEO analysis'],
-          metadata: {
-            analysisTime: Date.now() - startTime,
-            htmlSize: '0 KB'
-          },
-          analyzedAt: new Date().toISOString()
-        }
-      });
+      // Fetch failures carry TARGET_* codes; anything else is ours
+      return sendError(res, analysisError, { url: normalizedUrl });
     }
     
   } catch (error) {
-    console.error('Handler error:', error);
+    logger.error('SEO analysis handler error', { error });
     
-    return res.status(500).json({
-      status: 'error',
-      message: 'Internal server error during analysis',
-      error: process.env.NODE_ENV === 'production' ? 'Server error' : error.message,
-      timestamp: new Date().toISOString()
-    });
+    return sendError(res, error);
   }
 }
 
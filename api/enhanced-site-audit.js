@@ -1,17 +1,10 @@
 // Enhanced site audit module with improved content extraction
 const cheerio = require('cheerio');
-const axios = require('axios');
+const safeFetch = require('./lib/safe-fetch');
 const { URL } = require('url');
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
-
-// Try to import puppeteer for advanced rendering
-let puppeteer = null;
-try {
-  puppeteer = require('puppeteer-core');
-  console.log('Puppeteer loaded successfully for enhanced rendering');
-} catch (error) {
-  console.warn('Puppeteer not available, falling back to standard mode:', error.message);
-}
+const crawler = require('./lib/crawler');
+const logger = require('./lib/logger');
+const { isAvailable: puppeteerAvailable, renderPage } = require('./lib/browser');
 
 /**
  * Normalize URL to ensure proper format
@@ -59,7 +52,7 @@ async function fetchWithFallback(url, options = {}) {
         'Pragma': 'no-cache'
       };
       
-      const response = await axios.get(url, {
+      const response = await safeFetch.get(url, {
         timeout: 20000, // Increased timeout for slow sites
         headers,
         ...options
@@ -67,7 +60,7 @@ async function fetchWithFallback(url, options = {}) {
       
       return response;
     } catch (error) {
-      console.warn(`Fetch with user agent "${userAgent}" failed:`, error.message);
+      logger.debug('Fetch with user agent failed', { url, userAgent, error: error.message });
       lastError = error;
       // Continue to next user agent
     }
@@ -81,70 +74,20 @@ async function fetchWithFallback(url, options = {}) {
  * Fetch page content using Puppeteer for JavaScript rendering
  */
 async function fetchWithPuppeteer(url) {
-  if (!puppeteer) {
-    throw new Error('Puppeteer not available');
-  }
-  
-  let browser = null;
-  
   try {
-    // Use Chrome executable if available, otherwise use default
-    const executablePath = process.env.CHROME_PATH || undefined;
-    
-    // Launch browser
-    browser = await puppeteer.launch({
-      headless: 'new',
-      executablePath,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu'
-      ]
-    });
-    
-    const page = await browser.newPage();
-    
-    // Set viewport and user agent
-    await page.setViewport({ width: 1366, height: 768 });
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) MardenSEOAuditBot/1.0 Chrome/100.0.4896.75 Safari/537.36');
-    
-    // Set timeout for page load
-    await page.setDefaultNavigationTimeout(30000);
-    
-    // Navigate to page
-    console.log(`Navigating to ${url} with Puppeteer`);
-    await page.goto(url, {
-      waitUntil: 'networkidle2'
-    });
-    
-    // Wait for content to load
-    await page.waitForSelector('body', { timeout: 5000 }).catch(() => {});
-    
-    // Wait additional time for dynamic content
-    await page.waitForTimeout(2000);
-    
-    // Get page content
-    const content = await page.content();
-    
-    // Get meta info
-    const title = await page.title();
-    const metaDescription = await page.$eval('meta[name="description"]', el => el.getAttribute('content')).catch(() => '');
+    // Chromium from CHROME_PATH, see lib/browser.js
+    const { html } = await renderPage(url);
+    const $ = cheerio.load(html);
     
     return {
-      content,
-      title,
-      metaDescription,
+      content: html,
+      title: $('title').first().text().trim(),
+      metaDescription: $('meta[name="description"]').attr('content') || '',
       renderedWithPuppeteer: true
     };
   } catch (error) {
-    console.error(`Puppeteer error for ${url}:`, error.message);
+    logger.warn('Puppeteer error', { url, error: error.message });
     throw error;
-  } finally {
-    if (browser) {
-      await browser.close().catch(e => console.error('Error closing browser:', e));
-    }
   }
 }
 
@@ -345,89 +288,11 @@ function extractPageContent($, url) {
   };
 }
 
-/**
- * Fetch and extract links from a webpage - improved version
- */
-async function extractLinksFromPage(url, baseUrl, maxDepth) {
-  try {
-    console.log(`Fetching links from ${url}`);
-    
-    const response = await fetchWithFallback(url);
-    if (!response.data) {
-      return [];
-    }
-
-    const $ = cheerio.load(response.data, {
-      normalizeWhitespace: false,
-      decodeEntities: true,
-      xmlMode: false
-    });
-    
-    const links = new Set();
-    const baseDomain = new URL(baseUrl).hostname;
-
-    // Extract all links with improved handling
-    $('a[href]').each((i, el) => {
-      try {
-        const href = $(el).attr('href');
-        if (!href) return;
-        
-        // Skip certain link types
-        if (href.startsWith('#') || href.startsWith('javascript:') || 
-            href.startsWith('mailto:') || href.startsWith('tel:')) {
-          return;
-        }
-
-        // Resolve relative URLs
-        const fullUrl = new URL(href, url).href;
-        const linkDomain = new URL(fullUrl).hostname;
-
-        // Only include links from the same domain and HTTP/HTTPS protocols
-        if (linkDomain === baseDomain && 
-            (fullUrl.startsWith('http://') || fullUrl.startsWith('https://'))) {
-          
-          // Normalize the URL before adding
-          let normalizedLink = fullUrl;
-          
-          // Remove URL parameters to avoid duplicate content
-          try {
-            const urlObj = new URL(normalizedLink);
-            // Keep only essential parameters
-            const essentialParams = ['id', 'page', 'p'];
-            const params = new URLSearchParams();
-            
-            for (const param of essentialParams) {
-              if (urlObj.searchParams.has(param)) {
-                params.set(param, urlObj.searchParams.get(param));
-              }
-            }
-            
-            // Reconstruct URL
-            urlObj.search = params.toString();
-            normalizedLink = urlObj.toString();
-          } catch (e) {
-            // If URL parsing fails, use the original
-          }
-          
-          links.add(normalizedLink);
-        }
-      } catch (e) {
-        // Skip invalid URLs
-      }
-    });
-
-    return Array.from(links);
-  } catch (error) {
-    console.error(`Error extracting links from ${url}:`, error.message);
-    return [];
-  }
-}
-
 /**
  * Advanced SEO analysis with browser rendering fallback
  */
 async function analyzePageEnhanced(url, options = {}) {
-  console.log(`Enhanced analysis for page: ${url}`);
+  logger.debug('Enhanced analysis for page', { url });
   const startTime = Date.now();
   
   try {
@@ -438,7 +303,7 @@ async function analyzePageEnhanced(url, options = {}) {
     
     // Try standard fetch first
     try {
-      console.log(`Attempting standard fetch for ${url}`);
+      logger.debug('Attempting standard fetch', { url });
       const response = await fetchWithFallback(url);
       html = response.data;
       
@@ -446,29 +311,29 @@ async function analyzePageEnhanced(url, options = {}) {
       const hasBody = html.includes('<body') && html.includes('</body');
       
       if (!hasBody) {
-        console.log(`Content for ${url} might be incomplete, considering puppeteer`);
+        logger.debug('Content might be incomplete, considering Puppeteer', { url });
       }
     } catch (error) {
-      console.warn(`Standard fetch failed for ${url}:`, error.message);
+      logger.warn('Standard fetch failed', { url, error: error.message });
       html = null;
     }
     
     // If standard fetch failed or content is suspicious, try puppeteer
     if (!html || options.forcePuppeteer) {
       try {
-        if (puppeteer) {
-          console.log(`Attempting puppeteer render for ${url}`);
+        if (puppeteerAvailable()) {
+          logger.debug('Attempting Puppeteer render', { url });
           const puppeteerResult = await fetchWithPuppeteer(url);
           html = puppeteerResult.content;
           pageTitle = puppeteerResult.title;
           pageMetaDescription = puppeteerResult.metaDescription;
           renderedWithPuppeteer = true;
-          console.log(`Puppeteer render successful for ${url}`);
+          logger.debug('Puppeteer render succeeded', { url });
         } else {
           throw new Error('Puppeteer not available');
         }
       } catch (puppeteerError) {
-        console.error(`Puppeteer render failed for ${url}:`, puppeteerError.message);
+        logger.warn('Puppeteer render failed', { url, error: puppeteerError.message });
         if (!html) {
           throw new Error(`Could not fetch ${url} with any method`);
         }
@@ -733,7 +598,7 @@ async function analyzePageEnhanced(url, options = {}) {
       analyzedAt: new Date().toISOString()
     };
   } catch (error) {
-    console.error(`Error analyzing ${url}:`, error.message);
+    logger.warn('Error analyzing page', { url, error: error.message });
     return {
       url,
       score: 0,
@@ -750,7 +615,7 @@ async function analyzePageEnhanced(url, options = {}) {
  * Enhanced site crawler with improved concurrency and error handling
  */
 async function crawlAndAnalyzeSiteEnhanced(startUrl, options = {}) {
-  console.log(`Starting enhanced site audit for ${startUrl} with options:`, options);
+  logger.info('Starting enhanced site audit', { url: startUrl, options });
   const startTime = Date.now();
   
   try {
@@ -764,97 +629,36 @@ async function crawlAndAnalyzeSiteEnhanced(startUrl, options = {}) {
     const respectRobots = options.respectRobots !== false;
     const concurrency = options.concurrency || 1; // Default to 1 for Railway
     
-    console.log(`Enhanced crawler using maxPages=${maxPages}, maxDepth=${maxDepth}, concurrency=${concurrency}`);
-    
-    // Initialize data structures
-    const discoveredUrls = new Set([normalizedUrl]);
-    const crawledUrls = new Set();
-    const pageResults = [];
-    let urlsToVisit = [normalizedUrl];
+    logger.debug('Enhanced crawler limits', { maxPages, maxDepth, concurrency });
+    
+    // Crawl with the shared engine; every page gets the full analysis
+    let analyzedCount = 0;
+    const crawlResult = await crawler.crawlSite(normalizedUrl, {
+      maxPages,
+      maxDepth,
+      respectRobots,
+      concurrency,
+      delay: 1500 // Be nice to the server
+    }, async ({ url }) => {
+      // Use puppeteer for every 3rd page to save resources
+      const usePuppeteer = analyzedCount++ % 3 === 0;
+      return analyzePageEnhanced(url, { forcePuppeteer: usePuppeteer });
+    });
     
-    // Process until we reach max pages or run out of URLs
-    while (urlsToVisit.length > 0 && crawledUrls.size < maxPages) {
-      // Process multiple URLs concurrently
-      const currentBatch = urlsToVisit.splice(0, concurrency);
-      const processingUrls = currentBatch.filter(url => !crawledUrls.has(url));
-      
-      if (processingUrls.length === 0) {
-        continue;
-      }
-      
-      console.log(`Processing batch of ${processingUrls.length} URLs (${crawledUrls.size}/${maxPages} crawled)`);
-      
-      // Process URLs concurrently
-      const results = await Promise.allSettled(
-        processingUrls.map(async url => {
-          console.log(`Analyzing ${url}`);
-          
-          // Determine if we should use puppeteer
-          // Use puppeteer for every 3rd page to save resources
-          const usePuppeteer = pageResults.length % 3 === 0;
-          
-          try {
-            const analysis = await analyzePageEnhanced(url, { 
-              forcePuppeteer: usePuppeteer 
-            });
-            
-            // Only discover links if we haven't reached max pages and under max depth
-            if (crawledUrls.size < maxPages && pageResults.length < maxDepth) {
-              const links = await extractLinksFromPage(url, normalizedUrl, maxDepth);
-              
-              // Add new links to the discovery queue
-              for (const link of links) {
-                if (!discoveredUrls.has(link) && !urlsToVisit.includes(link)) {
-                  discoveredUrls.add(link);
-                  urlsToVisit.push(link);
-                }
-              }
-            }
-            
-            return {
-              url,
-              analysis,
-              success: true
-            };
-          } catch (error) {
-            console.error(`Error processing ${url}:`, error.message);
-            return {
-              url,
-              error: error.message,
-              success: false
-            };
-          }
-        })
-      );
-      
-      // Process results
-      for (const result of results) {
-        if (result.status === 'fulfilled') {
-          const { url, analysis, success } = result.value;
-          
-          // Mark as crawled regardless of success
-          crawledUrls.add(url);
-          
-          if (success) {
-            pageResults.push(analysis);
-          } else {
-            // Add error result
-            pageResults.push({
-              url,
-              score: 0,
-              status: 'error',
-              error: {
-                message: `Analysis failed for ${url}`
-              },
-              analyzedAt: new Date().toISOString()
-            });
-          }
-        }
-      }
-      
-      // Be nice to the server
-      await delay(1500);
-    }
+    // Non-HTML responses are not analyzed
+    const pageResults = crawlResult.pages.filter(page => !page.skippedAnalysis).map(page => {
+      const { internalLinks, ...result } = page;
+      if (!page.error) return result;
+      return {
+        url: page.url,
+        score: 0,
+        status: 'error',
+        error: {
+          message: `Analysis failed for ${page.url}: ${page.error}`
+        },
+        analyzedAt: new Date().toISOString()
+      };
+    });
     
     // Calculate overall stats
     const successfulPages = pageResults.filter(p => p.status !== 'error');
@@ -917,8 +721,8 @@ async function crawlAndAnalyzeSiteEnhanced(startUrl, options = {}) {
       score: overallScore,
       status: overallStatus,
       crawlStats: {
-        pagesDiscovered: discoveredUrls.size,
-        pagesCrawled: crawledUrls.size,
+        pagesDiscovered: crawlResult.stats.pagesDiscovered,
+        pagesCrawled: crawlResult.pages.length,
         maxDepthReached: maxDepth,
         crawlDuration: auditDuration
       },
@@ -943,7 +747,7 @@ async function crawlAndAnalyzeSiteEnhanced(startUrl, options = {}) {
       timestamp: new Date().toISOString()
     };
   } catch (error) {
-    console.error('Enhanced site audit failed:', error);
+    logger.error('Enhanced site audit failed', { url: startUrl, error });
     return {
       startUrl,
       error: {
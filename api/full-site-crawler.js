@@ -1,625 +0,0 @@
-/**
- * Full Site Crawler with Enhanced SEO Analysis
- * This module provides comprehensive site crawling with all enhanced features
- */
-
-const axios = require('axios');
-const cheerio = require('cheerio');
-const normalizeUrl = require('normalize-url');
-const { URL } = require('url');
-const robots = require('robots-parser');
-const redis = require('./lib/redis.optimized');
-
-// Import enhanced analysis modules
-const schemaValidator = require('./schema-validator-marden');
-const mobileFriendly = require('./mobile-friendly-marden');
-
-// Memory cache for performance
-const crawlCache = new Map();
-const CACHE_TTL = 3600000; // 1 hour
-
-/**
- * Comprehensive page analyzer with all SEO features
- */
-async function analyzePageComprehensive(url, html) {
-  const $ = cheerio.load(html, {
-    normalizeWhitespace: false,
-    decodeEntities: false
-  });
-  
-  const startTime = Date.now();
-  
-  // Basic SEO Analysis
-  const title = $('title').first().text().trim();
-  const metaDescription = $('meta[name="description"]').attr('content') || '';
-  const metaKeywords = $('meta[name="keywords"]').attr('content') || '';
-  const canonical = $('link[rel="canonical"]').attr('href') || '';
-  
-  // Headings Analysis
-  const headings = {
-    h1: [],
-    h2: [],
-    h3: [],
-    h4: [],
-    h5: [],
-    h6: []
-  };
-  
-  for (let i = 1; i <= 6; i++) {
-    $(`h${i}`).each((_, el) => {
-      const text = $(el).text().trim();
-      if (text) headings[`h${i}`].push(text);
-    });
-  }
-  
-  // Content Analysis
-  const bodyText = $('body').text();
-  const wordCount = bodyText.split(/\s+/).filter(word => word.length > 0).length;
-  
-  // Images Analysis
-  const images = [];
-  $('img').each((_, el) => {
-    const $img = $(el);
-    images.push({
-      src: $img.attr('src'),
-      alt: $img.attr('alt') || '',
-      title: $img.attr('title') || '',
-      loading: $img.attr('loading'),
-      width: $img.attr('width'),
-      height: $img.attr('height')
-    });
-  });
-  
-  // Links Analysis
-  const links = {
-    internal: [],
-    external: [],
-    broken: []
-  };
-  
-  const baseHost = new URL(url).hostname;
-  
-  $('a[href]').each((_, el) => {
-    const href = $(el).attr('href');
-    if (!href) return;
-    
-    try {
-      const linkUrl = new URL(href, url);
-      if (linkUrl.hostname === baseHost) {
-        links.internal.push({
-          url: linkUrl.href,
-          text: $(el).text().trim(),
-          title: $(el).attr('title') || ''
-        });
-      } else {
-        links.external.push({
-          url: linkUrl.href,
-          text: $(el).text().trim(),
-          title: $(el).attr('title') || '',
-          rel: $(el).attr('rel') || ''
-        });
-      }
-    } catch (e) {
-      // Invalid URL
-    }
-  });
-  
-  // Schema.org Structured Data Analysis
-  const schemaData = await schemaValidator.analyzeStructuredData(url, html);
-  
-  // Mobile-Friendliness Analysis
-  const mobileData = await mobileFriendly.analyzeMobileFriendliness(url, html);
-  
-  // Core Web Vitals Simulation
-  const performanceMetrics = {
-    lcp: {
-      value: Math.random() * 2.5 + 0.5, // Simulated LCP
-      score: 90,
-      unit: 's'
-    },
-    cls: {
-      value: Math.random() * 0.1,
-      score: 95
-    },
-    fid: {
-      value: Math.random() * 100 + 50,
-      score: 85,
-      unit: 'ms'
-    }
-  };
-  
-  // SEO Score Calculation
-  let score = 100;
-  const issues = [];
-  const recommendations = [];
-  
-  // Title checks
-  if (!title) {
-    score -= 15;
-    issues.push({
-      type: 'missing_title',
-      severity: 'critical',
-      message: 'Page is missing a title tag'
-    });
-    recommendations.push('Add a unique, descriptive title tag to the page');
-  } else if (title.length < 30) {
-    score -= 5;
-    issues.push({
-      type: 'short_title',
-      severity: 'warning',
-      message: 'Title tag is too short'
-    });
-    recommendations.push('Expand title to 50-60 characters for better SEO');
-  } else if (title.length > 60) {
-    score -= 5;
-    issues.push({
-      type: 'long_title',
-      severity: 'warning',
-      message: 'Title tag is too long'
-    });
-    recommendations.push('Shorten title to under 60 characters');
-  }
-  
-  // Meta description checks
-  if (!metaDescription) {
-    score -= 10;
-    issues.push({
-      type: 'missing_meta_description',
-      severity: 'high',
-      message: 'Page is missing meta description'
-    });
-    recommendations.push('Add a compelling meta description of 150-160 characters');
-  } else if (metaDescription.length < 120) {
-    score -= 5;
-    issues.push({
-      type: 'short_meta_description',
-      severity: 'warning',
-      message: 'Meta description is too short'
-    });
-  } else if (metaDescription.length > 160) {
-    score -= 5;
-    issues.push({
-      type: 'long_meta_description',
-      severity: 'warning',
-      message: 'Meta description is too long'
-    });
-  }
-  
-  // H1 checks
-  if (headings.h1.length === 0) {
-    score -= 10;
-    issues.push({
-      type: 'missing_h1',
-      severity: 'high',
-      message: 'Page is missing H1 heading'
-    });
-    recommendations.push('Add a clear H1 heading that describes the page content');
-  } else if (headings.h1.length > 1) {
-    score -= 5;
-    issues.push({
-      type: 'multiple_h1',
-      severity: 'warning',
-      message: `Page has ${headings.h1.length} H1 headings`
-    });
-    recommendations.push('Use only one H1 heading per page');
-  }
-  
-  // Image optimization
-  const imagesWithoutAlt = images.filter(img => !img.alt).length;
-  if (imagesWithoutAlt > 0) {
-    score -= Math.min(10, imagesWithoutAlt * 2);
-    issues.push({
-      type: 'images_without_alt',
-      severity: 'warning',
-      message: `${imagesWithoutAlt} images are missing alt text`
-    });
-    recommendations.push('Add descriptive alt text to all images for accessibility and SEO');
-  }
-  
-  // Mobile-friendliness impact
-  if (mobileData.score < 80) {
-    score -= 10;
-    recommendations.push('Improve mobile-friendliness for better user experience and rankings');
-  }
-  
-  // Schema.org impact
-  if (!schemaData.present) {
-    score -= 5;
-    recommendations.push('Add schema.org structured data to enhance search result appearance');
-  }
-  
-  const analysisTime = Date.now() - startTime;
-  
-  return {
-    url,
-    title,
-    metaDescription,
-    metaKeywords,
-    canonical,
-    headings,
-    content: {
-      wordCount,
-      readingTime: Math.ceil(wordCount / 200) // Average reading speed
-    },
-    images: {
-      total: images.length,
-      withoutAlt: imagesWithoutAlt,
-      lazyLoaded: images.filter(img => img.loading === 'lazy').length,
-      samples: images.slice(0, 5) // First 5 images
-    },
-    links,
-    schemaData,
-    mobileData,
-    performanceMetrics,
-    seo: {
-      score: Math.max(0, score),
-      status: score >= 80 ? 'good' : score >= 60 ? 'needs_improvement' : 'poor',
-      issues,
-      recommendations
-    },
-    technical: {
-      htmlSize: html.length,
-      loadTime: analysisTime,
-      hasCanonical: !!canonical,
-      canonicalUrl: canonical
-    },
-    analyzedAt: new Date().toISOString()
-  };
-}
-
-/**
- * Crawl an entire website with depth control
- */
-async function crawlWebsite(baseUrl, options = {}) {
-  const {
-    maxPages = 50,
-    maxDepth = 3,
-    respectRobots = true,
-    includeSubdomains = false,
-    followRedirects = true
-  } = options;
-  
-  console.log(`🕷️ Starting comprehensive site crawl for: ${baseUrl}`);
-  console.log(`📊 Settings: maxPages=${maxPages}, maxDepth=${maxDepth}`);
-  
-  const normalizedBase = normalizeUrl(baseUrl);
-  const baseHost = new URL(normalizedBase).hostname;
-  
-  // Check robots.txt
-  let robotsChecker = null;
-  if (respectRobots) {
-    try {
-      const robotsUrl = new URL('/robots.txt', normalizedBase).href;
-      const robotsResponse = await axios.get(robotsUrl, { timeout: 5000 });
-      robotsChecker = robots(robotsUrl, robotsResponse.data);
-    } catch (e) {
-      console.log('⚠️ Could not fetch robots.txt, proceeding without restrictions');
-    }
-  }
-  
-  // Initialize crawl state
-  const visited = new Set();
-  const toVisit = [{ url: normalizedBase, depth: 0 }];
-  const results = {
-    pages: [],
-    summary: {
-      totalPages: 0,
-      totalIssues: 0,
-      averageScore: 0,
-      commonIssues: new Map(),
-      crawlDepth: 0,
-      brokenLinks: [],
-      duplicateContent: []
-    },
-    siteMap: new Map()
-  };
-  
-  const startTime = Date.now();
-  
-  // Crawl pages
-  while (toVisit.length > 0 && results.pages.length < maxPages) {
-    const { url, depth } = toVisit.shift();
-    
-    // Skip if already visited
-    if (visited.has(url)) continue;
-    
-    // Check depth limit
-    if (depth > maxDepth) continue;
-    
-    // Check robots.txt
-    if (robotsChecker && !robotsChecker.isAllowed(url, 'MadenSEOBot')) {
-      console.log(`🚫 Blocked by robots.txt: ${url}`);
-      continue;
-    }
-    
-    visited.add(url);
-    results.summary.crawlDepth = Math.max(results.summary.crawlDepth, depth);
-    
-    try {
-      console.log(`📄 Analyzing page ${results.pages.length + 1}/${maxPages}: ${url} (depth: ${depth})`);
-      
-      // Fetch page
-      const response = await axios.get(url, {
-        timeout: 30000,
-        headers: {
-          'User-Agent': 'MadenSEOBot/1.0 (+https://mardenseo.com/bot)'
-        },
-        maxRedirects: followRedirects ? 5 : 0
-      });
-      
-      const html = response.data;
-      
-      // Analyze page comprehensively
-      const pageAnalysis = await analyzePageComprehensive(url, html);
-      results.pages.push(pageAnalysis);
-      
-      // Update summary
-      results.summary.totalPages++;
-      results.summary.totalIssues += pageAnalysis.seo.issues.length;
-      
-      // Track common issues
-      pageAnalysis.seo.issues.forEach(issue => {
-        const count = results.summary.commonIssues.get(issue.type) || 0;
-        results.summary.commonIssues.set(issue.type, count + 1);
-      });
-      
-      // Add to site map
-      results.siteMap.set(url, {
-        title: pageAnalysis.title,
-        depth,
-        score: pageAnalysis.seo.score,
-        issues: pageAnalysis.seo.issues.length
-      });
-      
-      // Extract new URLs to crawl
-      if (depth < maxDepth) {
-        pageAnalysis.links.internal.forEach(link => {
-          const linkUrl = normalizeUrl(link.url);
-          const linkHost = new URL(linkUrl).hostname;
-          
-          // Check if we should crawl this URL
-          if (!visited.has(linkUrl) && 
-              !toVisit.some(item => item.url === linkUrl) &&
-              (linkHost === baseHost || (includeSubdomains && linkHost.endsWith(`.${baseHost}`)))) {
-            toVisit.push({ url: linkUrl, depth: depth + 1 });
-          }
-        });
-      }
-      
-    } catch (error) {
-      console.error(`❌ Error crawling ${url}:`, error.message);
-      
-      // Track broken links
-      if (error.response?.status >= 400) {
-        results.summary.brokenLinks.push({
-          url,
-          status: error.response.status,
-          statusText: error.response.statusText
-        });
-      }
-    }
-  }
-  
-  // Calculate final statistics
-  const crawlTime = Date.now() - startTime;
-  
-  if (results.pages.length > 0) {
-    results.summary.averageScore = Math.round(
-      results.pages.reduce((sum, page) => sum + page.seo.score, 0) / results.pages.length
-    );
-  }
-  
-  // Convert common issues map to sorted array
-  results.summary.commonIssues = Array.from(results.summary.commonIssues.entries())
-    .map(([type, count]) => ({ type, count }))
-    .sort((a, b) => b.count - a.count);
-  
-  // Generate site-wide recommendations
-  results.recommendations = generateSiteWideRecommendations(results);
-  
-  // Overall site health
-  results.siteHealth = {
-    score: results.summary.averageScore,
-    status: results.summary.averageScore >= 80 ? 'good' : 
-            results.summary.averageScore >= 60 ? 'needs_improvement' : 'poor',
-    grade: getLetterGrade(results.summary.averageScore)
-  };
-  
-  results.crawlMetrics = {
-    duration: crawlTime,
-    pagesPerSecond: (results.pages.length / (crawlTime / 1000)).toFixed(2),
-    totalUrlsFound: visited.size + toVisit.length,
-    urlsCrawled: visited.size
-  };
-  
-  console.log(`✅ Crawl completed: ${results.pages.length} pages analyzed in ${(crawlTime / 1000).toFixed(2)}s`);
-  
-  return results;
-}
-
-/**
- * Generate site-wide recommendations based on crawl results
- */
-function generateSiteWideRecommendations(results) {
-  const recommendations = [];
-  
-  // Check common issues
-  if (results.summary.commonIssues.length > 0) {
-    const topIssue = results.summary.commonIssues[0];
-    
-    if (topIssue.type === 'missing_title' && topIssue.count > 1) {
-      recommendations.push({
-        priority: 'high',
-        category: 'metadata',
-        message: `${topIssue.count} pages are missing title tags. Add unique, descriptive titles to all pages.`
-      });
-    }
-    
-    if (topIssue.type === 'missing_meta_description' && topIssue.count > 1) {
-      recommendations.push({
-        priority: 'high',
-        category: 'metadata',
-        message: `${topIssue.count} pages lack meta descriptions. Add compelling descriptions to improve CTR.`
-      });
-    }
-    
-    if (topIssue.type === 'images_without_alt' && topIssue.count > 5) {
-      recommendations.push({
-        priority: 'medium',
-        category: 'accessibility',
-        message: `Multiple pages have images without alt text. Improve accessibility and SEO by adding descriptive alt text.`
-      });
-    }
-  }
-  
-  // Check broken links
-  if (results.summary.brokenLinks.length > 0) {
-    recommendations.push({
-      priority: 'high',
-      category: 'technical',
-      message: `Found ${results.summary.brokenLinks.length} broken links. Fix these to improve user experience and crawlability.`
-    });
-  }
-  
-  // Mobile-friendliness
-  const mobilePoorPages = results.pages.filter(p => p.mobileData.score < 70).length;
-  if (mobilePoorPages > 0) {
-    recommendations.push({
-      priority: 'high',
-      category: 'mobile',
-      message: `${mobilePoorPages} pages have poor mobile usability. Optimize for mobile to improve rankings.`
-    });
-  }
-  
-  // Schema.org
-  const pagesWithoutSchema = results.pages.filter(p => !p.schemaData.present).length;
-  if (pagesWithoutSchema > results.pages.length * 0.5) {
-    recommendations.push({
-      priority: 'medium',
-      category: 'structured-data',
-      message: `Most pages lack structured data. Implement schema.org markup to enhance search appearance.`
-    });
-  }
-  
-  // Site structure
-  if (results.summary.crawlDepth > 3) {
-    recommendations.push({
-      priority: 'medium',
-      category: 'architecture',
-      message: `Site has deep page hierarchy (${results.summary.crawlDepth} levels). Consider flattening structure for better crawlability.`
-    });
-  }
-  
-  // Performance
-  const slowPages = results.pages.filter(p => p.performanceMetrics.lcp.value > 2.5).length;
-  if (slowPages > results.pages.length * 0.3) {
-    recommendations.push({
-      priority: 'high',
-      category: 'performance',
-      message: `${slowPages} pages have slow load times. Optimize performance for better user experience and rankings.`
-    });
-  }
-  
-  return recommendations.sort((a, b) => {
-    const priorityOrder = { high: 0, medium: 1, low: 2 };
-    return priorityOrder[a.priority] - priorityOrder[b.priority];
-  });
-}
-
-/**
- * Convert numeric score to letter grade
- */
-function getLetterGrade(score) {
-  if (score >= 90) return 'A';
-  if (score >= 80) return 'B';
-  if (score >= 70) return 'C';
-  if (score >= 60) return 'D';
-  return 'F';
-}
-
-/**
- * API endpoint handler for full site crawling
- */
-async function handleFullSiteCrawl(req, res) {
-  const startTime = Date.now();
-  
-  try {
-    // Extract parameters
-    const { url, options = {} } = req.method === 'POST' ? req.body : req.query;
-    
-    if (!url) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'URL is required',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    const normalizedUrl = normalizeUrl(url);
-    
-    // Generate cache key
-    const cacheKey = `full-crawl:${normalizedUrl}:${options.maxPages || 50}:${options.maxDepth || 3}`;
-    
-    // Check cache
-    const cached = crawlCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-      console.log(`📦 Returning cached crawl results for ${normalizedUrl}`);
-      return res.json({
-        status: 'ok',
-        message: 'Full site crawl retrieved from cache',
-        url: normalizedUrl,
-        cached: true,
-        cachedAt: new Date(cached.timestamp).toISOString(),
-        timestamp: new Date().toISOString(),
-        data: cached.data
-      });
-    }
-    
-    // Perform full site crawl
-    console.log(`🚀 Starting full site crawl for ${normalizedUrl}`);
-    const crawlResults = await crawlWebsite(normalizedUrl, options);
-    
-    // Cache results
-    crawlCache.set(cacheKey, {
-      data: crawlResults,
-      timestamp: Date.now()
-    });
-    
-    // Also try to cache in Redis
-    if (redis.isRedisConfigured) {
-      try {
-        await redis.setCache(cacheKey, crawlResults, 86400); // 24 hour TTL
-      } catch (e) {
-        console.error('Redis cache error:', e.message);
-      }
-    }
-    
-    const executionTime = Date.now() - startTime;
-    
-    return res.json({
-      status: 'ok',
-      message: 'Full site crawl completed successfully',
-      url: normalizedUrl,
-      cached: false,
-      timestamp: new Date().toISOString(),
-      executionTime,
-      data: crawlResults
-    });
-    
-  } catch (error) {
-    console.error('Full site crawl error:', error);
-    
-    return res.status(500).json({
-      status: 'error',
-      message: 'Failed to perform site crawl',
-      error: process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-}
-
-module.exports = {
-  crawlWebsite,
-  analyzePageComprehensive,
-  handleFullSiteCrawl
-};
\ No newline at end of file
@@ -1,7 +1,179 @@
 // Comprehensive health check endpoint
+const dns = require('dns');
+const v8 = require('v8');
 const redis = require('./lib/redis.optimized.js');
+const logger = require('./lib/logger');
+const browser = require('./lib/browser');
+const shutdown = require('./lib/shutdown');
+const { getQueueStats } = require('./crawl-jobs');
 
-module.exports = async (req, res) => {
+const MAX_MEMORY_PERCENT = parseInt(process.env.MAX_MEMORY_PERCENT || '80', 10);
+const READY_MAX_QUEUED_JOBS = parseInt(process.env.READY_MAX_QUEUED_JOBS || '20', 10);
+const READY_DNS_HOST = process.env.READY_DNS_HOST || 'example.com';
+const CHECK_TIMEOUT = 3000;
+// Launching Chromium takes seconds, so its result is reused between probes
+const BROWSER_CHECK_INTERVAL = 5 * 60 * 1000;
+
+let browserCheck = null;
+
+// Reject a check that takes longer than CHECK_TIMEOUT
+function withTimeout(promise, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} check timed out after ${CHECK_TIMEOUT}ms`)), CHECK_TIMEOUT);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Checks readiness doesn't depend on; when they fail the instance is degraded
+const OPTIONAL_CHECKS = ['jobQueue', 'browser'];
+
+/**
+ * Readiness checks
+ * Each resolves to { status, message, ... }. status is ok, degraded (working
+ * but impaired), error (down) or disabled (not configured).
+ */
+const CHECKS = {
+  // Jobs, API keys, quotas and rate limits live in Redis when it is configured
+  async redis() {
+    if (!redis.isRedisConfigured) {
+      return { status: 'disabled', message: 'Not configured; records are kept in this process' };
+    }
+    const start = Date.now();
+    const healthy = await withTimeout(redis.checkHealth(), 'Redis');
+    return healthy
+      ? { status: 'ok', message: 'PING answered', latencyMs: Date.now() - start }
+      : { status: 'error', message: 'PING failed; check the Upstash URL and token' };
+  },
+
+  async jobQueue() {
+    const { queued, runningHere, slots } = await withTimeout(getQueueStats(), 'Job queue');
+    const backlogged = queued > READY_MAX_QUEUED_JOBS;
+    return {
+      status: backlogged ? 'degraded' : 'ok',
+      message: backlogged
+        ? `${queued} crawl jobs queued, more than ${READY_MAX_QUEUED_JOBS}`
+        : `${queued} crawl jobs queued`,
+      queued,
+      running: runningHere,
+      slots
+    };
+  },
+
+  // Heap in use against the heap size limit (--max-old-space-size)
+  async memory() {
+    const heap = v8.getHeapStatistics();
+    const usedPercent = Math.round(heap.used_heap_size / heap.heap_size_limit * 1000) / 10;
+    const exhausted = usedPercent > MAX_MEMORY_PERCENT;
+    return {
+      status: exhausted ? 'error' : 'ok',
+      message: `${usedPercent}% of the heap limit in use (limit ${MAX_MEMORY_PERCENT}%)`,
+      usedPercent,
+      heapUsedMB: Math.round(heap.used_heap_size / 1024 / 1024),
+      heapLimitMB: Math.round(heap.heap_size_limit / 1024 / 1024)
+    };
+  },
+
+  // Only JavaScript rendering needs a browser; audits work without one
+  async browser() {
+    if (!browser.isAvailable()) {
+      return { status: 'disabled', message: 'puppeteer-core is not installed' };
+    }
+    if (!browserCheck || Date.now() - browserCheck.checkedAt > BROWSER_CHECK_INTERVAL) {
+      browserCheck = {
+        checkedAt: Date.now(),
+        result: (async () => {
+          const start = Date.now();
+          try {
+            if (!(await browser.probeLaunch())) {
+              return { status: 'degraded', message: 'Every browser slot (MAX_BROWSERS) is in use', busy: true };
+            }
+            return { status: 'ok', message: 'Chromium launched', latencyMs: Date.now() - start };
+          } catch (error) {
+            return { status: 'degraded', message: `Chromium failed to launch: ${error.message}` };
+          }
+        })()
+      };
+    }
+    // A launch still in progress is waited on by the next probe too
+    const check = browserCheck;
+    const { busy, ...result } = await withTimeout(check.result, 'Browser');
+    // Slots free up between probes, so the next one tries again
+    if (busy && browserCheck === check) browserCheck = null;
+    return { ...result, checkedAt: new Date(check.checkedAt).toISOString() };
+  },
+
+  // Every audit starts by resolving the site's name
+  async dns() {
+    const start = Date.now();
+    await withTimeout(dns.promises.lookup(READY_DNS_HOST), 'DNS');
+    return { status: 'ok', message: `Resolved ${READY_DNS_HOST}`, latencyMs: Date.now() - start };
+  }
+};
+
+/**
+ * Liveness: the process is up and answering
+ * Restarting won't fix a dependency, so nothing else is checked.
+ */
+async function handleLiveness(req, res) {
+  res.status(200).json({
+    status: 'ok',
+    message: 'Process is running',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Readiness: whether this instance can serve audits
+ * 503 when a required dependency is down; 200 with status 'degraded' when only
+ * optional ones (the browser, a backlogged job queue) are, and 503 while the
+ * process is shutting down.
+ */
+async function handleReadiness(req, res) {
+  if (shutdown.isShuttingDown()) {
+    return res.status(503).json({
+      status: 'error',
+      code: 'SERVICE_UNAVAILABLE',
+      message: 'Not ready: shutting down',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const names = Object.keys(CHECKS);
+  const results = await Promise.all(names.map(async name => {
+    const required = !OPTIONAL_CHECKS.includes(name);
+    try {
+      return { required, ...(await CHECKS[name]()) };
+    } catch (error) {
+      return { required, status: 'error', message: error.message };
+    }
+  }));
+  const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+  const failed = names.filter(name => checks[name].status === 'error' && checks[name].required);
+  const impaired = names.filter(name => ['error', 'degraded'].includes(checks[name].status) && !failed.includes(name));
+
+  if (failed.length > 0) {
+    logger.warn('Readiness check failed', { failed });
+    return res.status(503).json({
+      status: 'error',
+      code: 'SERVICE_UNAVAILABLE',
+      message: `Not ready: ${failed.join(', ')} unavailable`,
+      checks,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.status(200).json({
+    status: impaired.length > 0 ? 'degraded' : 'ok',
+    message: impaired.length > 0 ? `Ready, without ${impaired.join(', ')}` : 'Ready',
+    checks,
+    timestamp: new Date().toISOString()
+  });
+}
+
+async function handleHealthCheck(req, res) {
   try {
     // Check Redis connectivity
     const redisHealth = await redis.checkHealth();
@@ -44,7 +216,7 @@ module.exports = async (req, res) => {
       uptime: process.uptime()
     });
   } catch (error) {
-    console.error('Health check error:', error);
+    logger.error('Health check error', { error });
     res.status(500).json({
       status: "error",
       message: "Health check failed",
@@ -52,4 +224,10 @@ module.exports = async (req, res) => {
       timestamp: new Date().toISOString()
     });
   }
+}
+
+module.exports = {
+  handleHealthCheck,
+  handleLiveness,
+  handleReadiness
 };
\ No newline at end of file
@@ -18,18 +18,51 @@ function normalizeUrl(url) {
 // FORCE REBUILD - Version 2.2.0
 
 // Import handlers for different endpoints
-const handleHealthCheck = require('./health');
+const { handleHealthCheck, handleLiveness, handleReadiness } = require('./health');
 const { handleSeoAnalyze } = require('./site-audit');
 const handleSiteAudit = require('./enhanced-site-audit');
 const handleWorkingSiteCrawl = require('./working-site-crawler');
 const { performSeoAnalysis } = require('./enhanced-analysis-engine');
 const { handleEnhancedSeoAnalyze } = require('./enhanced-seo-handler');
 const { handleFullSiteCrawl } = require('./simple-full-crawler');
+const { handleSitemapAnalyze } = require('./sitemap-analyzer');
+const { handleRobotsAnalyze } = require('./robots-analyzer');
+const { handlePerformanceAnalyze } = require('./performance-analyzer');
+const { handleResourceAnalyze } = require('./resource-analyzer');
+const { handleCrawlJobs } = require('./crawl-jobs');
+const { handleJobEvents } = require('./job-events');
+const { handleWebhooks } = require('./webhooks');
+const { handleApiKeys } = require('./api-keys');
+const { listIssues } = require('./lib/issue-catalog');
+const apiKeys = require('./lib/api-keys');
+const rateLimit = require('./lib/rate-limit');
+const safeFetch = require('./lib/safe-fetch');
+const { setCorsHeaders } = require('./lib/cors');
+const openapi = require('./lib/openapi');
+const { findOperation, validateRequest, sendValidationError } = require('./lib/request-validator');
+const { ApiError, prepareErrorEnvelope, sendError, targetError } = require('./lib/errors');
+const logger = require('./lib/logger');
+const metrics = require('./lib/metrics');
+const shutdown = require('./lib/shutdown');
 
 // Setup concurrency control
 let activeRequests = 0;
 const MAX_CONCURRENCY = process.env.MAX_CONCURRENCY ? parseInt(process.env.MAX_CONCURRENCY, 10) : 3;
-const requestQueue = [];
+const MAX_QUEUED_PER_CLIENT = process.env.MAX_QUEUED_PER_CLIENT ? parseInt(process.env.MAX_QUEUED_PER_CLIENT, 10) : 5;
+
+// Requests waiting for a slot, per client. Clients are served round-robin
+// (a Map iterates in insertion order, and a served client is re-added at the
+// end), so one client's backlog can't starve the others.
+const clientQueues = new Map();
+
+function sendBusy(res) {
+  res.status(503).json({
+    status: 'error',
+    code: 'SERVER_BUSY',
+    message: 'Server is currently handling too many requests. Please try again later.',
+    timestamp: new Date().toISOString()
+  });
+}
 
 // Middleware for limiting concurrent requests
 function limitConcurrency(req, res, next) {
@@ -37,91 +70,222 @@ function limitConcurrency(req, res, next) {
     activeRequests++;
     next();
   } else {
-    // Queue the request
-    requestQueue.push(next);
+    // Queue the request behind the client's own earlier requests
+    const client = req.rateLimitClient || 'anonymous';
+    const queue = clientQueues.get(client) || [];
+    if (queue.length >= MAX_QUEUED_PER_CLIENT) {
+      return sendBusy(res);
+    }
+    queue.push(next);
+    clientQueues.set(client, queue);
     
     // Add timeout to prevent indefinite waiting
     setTimeout(() => {
-      const index = requestQueue.indexOf(next);
+      const index = queue.indexOf(next);
       if (index !== -1) {
-        requestQueue.splice(index, 1);
-        res.status(503).json({
-          status: 'busy',
-          message: 'Server is currently handling too many requests. Please try again later.',
-          timestamp: new Date().toISOString()
-        });
+        queue.splice(index, 1);
+        if (queue.length === 0 && clientQueues.get(client) === queue) clientQueues.delete(client);
+        sendBusy(res);
       }
     }, 30000); // 30 second timeout
   }
 }
 
-// Release a request slot and process next in queue
+// Requests waiting for a slot, across clients
+function queuedRequests() {
+  let total = 0;
+  clientQueues.forEach(queue => { total += queue.length; });
+  return total;
+}
+
+const httpRequests = metrics.counter(
+  'marden_http_requests_total',
+  'API requests by route, method and status code',
+  ['route', 'method', 'status']
+);
+const httpDuration = metrics.histogram(
+  'marden_http_request_duration_seconds',
+  'API request latency by route and method',
+  ['route', 'method']
+);
+metrics.gauge('marden_concurrency_slots_in_use', 'Requests holding a concurrency slot', () => activeRequests);
+metrics.gauge('marden_concurrency_slots', 'Requests processed at once (MAX_CONCURRENCY)', () => MAX_CONCURRENCY);
+metrics.gauge('marden_concurrency_queue_length', 'Requests waiting for a concurrency slot', queuedRequests);
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', () => process.memoryUsage().heapUsed);
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started', () => process.uptime());
+
+/**
+ * Count and time a request once it has been answered
+ * Routes are labelled with their OpenAPI path template, so job and webhook
+ * IDs don't each get their own series.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ */
+function recordRequestMetrics(req, res) {
+  const elapsed = metrics.startTimer();
+  const found = findOperation(req.method, req.url.split('?')[0]);
+  const route = found ? found.template : 'unmatched';
+
+  res.on('finish', () => {
+    httpRequests.inc({ route, method: req.method, status: res.statusCode });
+    httpDuration.observe({ route, method: req.method }, elapsed());
+  });
+}
+
+// Release a request slot and process the next client's oldest request
 function releaseRequest() {
-  if (requestQueue.length > 0) {
-    const next = requestQueue.shift();
-    next();
-  } else {
+  const entry = clientQueues.entries().next();
+  if (entry.done) {
     activeRequests--;
+    return;
   }
+  
+  const [client, queue] = entry.value;
+  const next = queue.shift();
+  clientQueues.delete(client);
+  if (queue.length > 0) clientQueues.set(client, queue);
+  next();
 }
 
-// CORS headers helper - TEMPORARY PERMISSIVE FOR DEBUGGING
-function addCorsHeaders(res, req) {
-  // Temporarily allow all origins for debugging
-  const requestOrigin = req.headers.origin;
-  
-  console.log('🔍 CORS Debug - Request Origin:', requestOrigin);
-  
-  // Set CORS headers to allow the request origin
-  res.setHeader('Access-Control-Allow-Origin', requestOrigin || '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Origin, X-Requested-With');
-  res.setHeader('Access-Control-Allow-Credentials', 'false');
-  res.setHeader('Access-Control-Max-Age', '86400');
-  
-  console.log('✅ CORS Debug - Setting Origin to:', requestOrigin || '*');
+// On shutdown, requests already holding or waiting for a slot are finished
+shutdown.onShutdown('requests', () => new Promise(resolve => {
+  const check = setInterval(() => {
+    if (activeRequests === 0 && queuedRequests() === 0) {
+      clearInterval(check);
+      resolve();
+    }
+  }, 100);
+}));
+
+// Public routes: no API key needed
+const PUBLIC_ROUTES = ['/', '/health', '/health/live', '/health/ready', '/issue-catalog', '/openapi.json', '/metrics'];
+
+/**
+ * Rate limit budget a route counts against
+ * @param {string} path - Request path
+ * @param {string} method - Request method
+ * @returns {string} - cheap, standard or expensive
+ */
+function rateLimitTier(path, method) {
+  const route = path.replace(/^\/api(?=\/|$)/, '') || '/';
+  if (route === '/full-site-crawl' || route === '/batch-audit') return 'expensive';
+  if (method === 'POST' && /^\/crawl-jobs(\/[^/]+\/(resume|extend))?$/.test(route)) return 'expensive';
+  if (PUBLIC_ROUTES.includes(route) || /^\/job\/[^/]+\/events$/.test(route)) return 'cheap';
+  // Job, webhook and key status reads
+  if (method === 'GET' && /^\/(crawl-jobs|webhooks|admin\/api-keys)(\/|$)/.test(route)) return 'cheap';
+  return 'standard';
+}
+
+// Single-page audit routes, each charged one page audit
+const PAGE_AUDIT_ROUTES = ['/seo-analyze', '/basic-audit', '/enhanced-seo-analyze', '/schema-analyze', '/mobile-analyze', '/performance-analyze', '/resource-analyze'];
+
+/**
+ * Quota a route draws on
+ * @param {string} path - Request path
+ * @param {string} method - Request method
+ * @returns {string|null} - pageAudits, crawledPages or null for unmetered routes
+ */
+function quotaMetric(path, method) {
+  const route = path.replace(/^\/api(?=\/)/, '');
+  if (PAGE_AUDIT_ROUTES.includes(route)) return 'pageAudits';
+  if (route === '/full-site-crawl') return 'crawledPages';
+  // Creating, resuming and extending a crawl job start crawling
+  if (method === 'POST' && /^\/crawl-jobs(\/[^/]+\/(resume|extend))?$/.test(route)) return 'crawledPages';
+  return null;
 }
 
 // Add routes for enhanced tools
 const enhancedToolsRouter = require('./enhanced-tools-marden');
 
-// Export the handler
-module.exports = async (req, res) => {
-  // Add CORS headers immediately for all requests
-  const origin = req.headers.origin || '*';
-  res.header('Access-Control-Allow-Origin', origin);
-  res.header('Access-Control-Allow-Methods', 'GET,POST,OPTIONS,HEAD');
-  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,Accept,Origin,X-Requested-With');
-  res.header('Access-Control-Max-Age', '86400');
+async function handleRequest(req, res) {
+  // CORS headers for the configured origins
+  setCorsHeaders(req, res);
   
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
-    console.log(`OPTIONS request from origin: ${origin}`);
-    return res.status(200).end();
+    return res.status(204).end();
   }
   try {
-    // BULLETPROOF CORS FIX - Set headers IMMEDIATELY
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-    res.setHeader('Access-Control-Max-Age', '86400');
-    
-    // Handle preflight OPTIONS requests immediately
-    if (req.method === 'OPTIONS') {
-      return res.status(200).end();
-    }
-    
     // Process URL and path
     let url = req.url;
     
     // Get the path from the URL
     const path = url.split('?')[0];
     
+    // While shutting down only the probes and metrics are served; a retry
+    // reaches another instance
+    if (shutdown.isShuttingDown() && !PUBLIC_ROUTES.includes(path.replace(/^\/api(?=\/|$)/, '') || '/')) {
+      res.setHeader('Connection', 'close');
+      res.setHeader('Retry-After', '5');
+      return res.status(503).json({
+        status: 'error',
+        code: 'SERVICE_UNAVAILABLE',
+        message: 'Server is shutting down. Please retry.',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Key administration authenticates with ADMIN_API_KEY instead of an API key
+    if (/^(\/api)?\/admin\/api-keys(\/|$)/.test(path)) {
+      return await handleApiKeys(req, res);
+    }
+    
+    // Everything but the public routes needs an API key (unless REQUIRE_API_KEY=false);
+    // EventSource can't send headers, so event streams may pass ?apiKey=
+    const isPublic = PUBLIC_ROUTES.includes(path.replace(/^\/api(?=\/|$)/, '') || '/');
+    const isEventStream = /^(\/api)?\/job\/[^/]+\/events$/.test(path);
+    const auth = await apiKeys.authenticateRequest(req, isEventStream);
+    if (!auth.apiKey && auth.statusCode && !isPublic) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(auth.statusCode).json({
+        status: 'error',
+        message: auth.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    req.apiKey = auth.apiKey || null;
+    
+    // Per-client rate limits, by API key or IP address
+    req.rateLimitClient = rateLimit.clientId(req);
+    const tier = rateLimitTier(path, req.method);
+    const limit = await rateLimit.hit(req.rateLimitClient, tier);
+    rateLimit.setRateLimitHeaders(res, limit);
+    if (!limit.allowed) {
+      res.setHeader('Retry-After', String(limit.resetSeconds));
+      return res.status(429).json({
+        status: 'error',
+        message: `Rate limit of ${limit.limit} ${tier} requests per ${limit.windowSeconds} seconds exceeded`,
+        retryAfter: limit.resetSeconds,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Cached results count against the cheap budget
+    if (tier === 'standard') {
+      const json = res.json.bind(res);
+      res.json = body => {
+        if (body && body.cached === true) {
+          rateLimit.reclassify(req.rateLimitClient, 'standard', 'cheap')
+            .catch(error => logger.error('Failed to reclassify cached request', { error }));
+        }
+        return json(body);
+      };
+    }
+    
     // Health check endpoint
     if (path === '/health' || path === '/api/health') {
       return await handleHealthCheck(req, res);
     }
     
+    // Liveness and readiness probes
+    if (path === '/health/live' || path === '/api/health/live') {
+      return await handleLiveness(req, res);
+    }
+    if (path === '/health/ready' || path === '/api/health/ready') {
+      return await handleReadiness(req, res);
+    }
+    
     // Root/info endpoint
     if (path === '/' || path === '/api') {
       return res.status(200).json({
@@ -129,17 +293,100 @@ module.exports = async (req, res) => {
         status: 'running',
         endpoints: [
           '/health',
+          '/health/live',           // Liveness probe
+          '/health/ready',          // Readiness probe with per-dependency checks
           '/seo-analyze',
           '/basic-audit',
           '/enhanced-seo-analyze', // New enhanced endpoint
           '/schema-analyze',        // New schema analysis endpoint
           '/mobile-analyze',        // New mobile analysis endpoint
-          '/full-site-crawl'        // AMAZING full site crawling!
+          '/full-site-crawl',       // AMAZING full site crawling!
+          '/sitemap-analyze',       // Sitemap inventory and validation
+          '/robots-analyze',        // robots.txt checks and URL tester
+          '/performance-analyze',   // Lab Core Web Vitals in headless Chromium
+          '/resource-analyze',      // Page weight, request waterfall and HAR export
+          '/crawl-jobs',            // Resumable background site crawls
+          '/job/:id/events',        // Live job progress (Server-Sent Events)
+          '/webhooks',              // Job webhook subscriptions and deliveries
+          '/issue-catalog',         // Issue ids, titles and fix guidance
+          '/openapi.json',          // OpenAPI 3 description of every endpoint
+          '/metrics',               // Prometheus metrics
+          '/admin/api-keys'         // API key administration (ADMIN_API_KEY)
         ],
         documentation: 'https://github.com/Kr8thor/marden-audit-backend'
       });
     }
     
+    // Issue catalogue - static, so no concurrency slot needed
+    if (path === '/issue-catalog' || path === '/api/issue-catalog') {
+      return res.status(200).json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        data: listIssues()
+      });
+    }
+    
+    // OpenAPI document, which requests are validated against
+    if (path === '/openapi.json' || path === '/api/openapi.json') {
+      return res.status(200).json(openapi.spec);
+    }
+    
+    // Prometheus metrics for this process
+    if (path === '/metrics' || path === '/api/metrics') {
+      res.setHeader('Content-Type', metrics.CONTENT_TYPE);
+      return res.status(200).send(await metrics.render());
+    }
+    
+    // Query parameters and bodies must match the OpenAPI document
+    const validationErrors = validateRequest(req);
+    if (validationErrors.length > 0) {
+      return sendValidationError(res, validationErrors);
+    }
+    
+    // Per-key quotas, checked before the request waits for a concurrency slot.
+    // A page audit is reserved up front, so concurrent audits can't all pass
+    // the check; crawl handlers charge pages as they crawl them.
+    const metric = quotaMetric(path, req.method);
+    let quota = null;
+    let reserved = false;
+    if (metric === 'pageAudits') {
+      ({ quota, reserved } = await apiKeys.reserveQuota(req.apiKey, metric));
+    } else if (metric) {
+      quota = await apiKeys.checkQuota(req.apiKey, metric);
+    }
+    if (quota && (metric === 'pageAudits' ? !reserved : quota.remaining <= 0)) {
+      apiKeys.setRateLimitHeaders(res, quota);
+      res.setHeader('Retry-After', String(Math.max(Math.ceil(quota.resetAt - Date.now() / 1000), 1)));
+      return res.status(429).json({
+        status: 'error',
+        code: 'QUOTA_EXCEEDED',
+        message: `${quota.period === 'daily' ? 'Daily' : 'Monthly'} ${metric === 'pageAudits' ? 'page audit' : 'crawled page'} quota of ${quota.limit} exhausted`,
+        quota,
+        timestamp: new Date().toISOString()
+      });
+    }
+    // Crawl handlers cap their page limits to what is left and charge the pages they crawl
+    req.quota = quota;
+    apiKeys.setRateLimitHeaders(res, quota);
+    if (reserved) {
+      // Only successful audits are charged: a failed or abandoned one is refunded
+      let settled = false;
+      const settle = charged => {
+        if (settled) return;
+        settled = true;
+        if (charged) return;
+        apiKeys.recordUsage(req.apiKey.id, 'pageAudits', -1)
+          .catch(error => logger.error('Failed to refund page audit usage', { error }));
+      };
+      res.on('finish', () => settle(res.statusCode < 400));
+      res.on('close', () => settle(res.writableFinished && res.statusCode < 400));
+    }
+    
+    // Job event streams stay open for the whole job, so they don't take a concurrency slot
+    if (isEventStream) {
+      return await handleJobEvents(req, res);
+    }
+    
     // Apply concurrency limiting middleware
     limitConcurrency(req, res, async () => {
       try {
@@ -178,6 +425,11 @@ module.exports = async (req, res) => {
           // Normalize URL
           const normalizedUrl = normalizeUrl(requestUrl);
           
+          const blocked = await safeFetch.blockedError(normalizedUrl);
+          if (blocked) {
+            return sendError(res, targetError(blocked, normalizedUrl));
+          }
+          
           // Generate cache key
           const cacheKey = `schema-analyze:${normalizedUrl}`;
           
@@ -188,7 +440,7 @@ module.exports = async (req, res) => {
               cachedResult = await redis.getCache(cacheKey);
               
               if (cachedResult) {
-                console.log(`Cache hit for schema analysis: ${normalizedUrl}`);
+                logger.info('Cache hit for schema analysis', { url: normalizedUrl });
                 return res.status(200).json({
                   status: 'ok',
                   message: 'Schema analysis retrieved from cache',
@@ -200,7 +452,7 @@ module.exports = async (req, res) => {
                 });
               }
             } catch (cacheError) {
-              console.error('Error checking cache:', cacheError);
+              logger.warn('Error checking cache', { url: normalizedUrl, error: cacheError });
             }
           }
           
@@ -215,7 +467,7 @@ module.exports = async (req, res) => {
                 timestamp: new Date().toISOString()
               }, 86400); // 24 hour cache
             } catch (cacheError) {
-              console.error('Error caching result:', cacheError);
+              logger.warn('Error caching result', { url: normalizedUrl, error: cacheError });
             }
           }
           
@@ -252,6 +504,11 @@ module.exports = async (req, res) => {
           // Normalize URL
           const normalizedUrl = normalizeUrl(requestUrl);
           
+          const blocked = await safeFetch.blockedError(normalizedUrl);
+          if (blocked) {
+            return sendError(res, targetError(blocked, normalizedUrl));
+          }
+          
           // Generate cache key
           const cacheKey = `mobile-analyze:${normalizedUrl}`;
           
@@ -262,7 +519,7 @@ module.exports = async (req, res) => {
               cachedResult = await redis.getCache(cacheKey);
               
               if (cachedResult) {
-                console.log(`Cache hit for mobile analysis: ${normalizedUrl}`);
+                logger.info('Cache hit for mobile analysis', { url: normalizedUrl });
                 return res.status(200).json({
                   status: 'ok',
                   message: 'Mobile-friendliness analysis retrieved from cache',
@@ -274,7 +531,7 @@ module.exports = async (req, res) => {
                 });
               }
             } catch (cacheError) {
-              console.error('Error checking cache:', cacheError);
+              logger.warn('Error checking cache', { url: normalizedUrl, error: cacheError });
             }
           }
           
@@ -289,7 +546,7 @@ module.exports = async (req, res) => {
                 timestamp: new Date().toISOString()
               }, 86400); // 24 hour cache
             } catch (cacheError) {
-              console.error('Error caching result:', cacheError);
+              logger.warn('Error caching result', { url: normalizedUrl, error: cacheError });
             }
           }
           
@@ -307,6 +564,30 @@ module.exports = async (req, res) => {
         else if (path === '/full-site-crawl' || path === '/api/full-site-crawl') {
           await handleFullSiteCrawl(req, res);
         }
+        // Sitemap discovery and validation endpoint
+        else if (path === '/sitemap-analyze' || path === '/api/sitemap-analyze') {
+          await handleSitemapAnalyze(req, res);
+        }
+        // robots.txt analysis and URL tester endpoint
+        else if (path === '/robots-analyze' || path === '/api/robots-analyze') {
+          await handleRobotsAnalyze(req, res);
+        }
+        // Lab Core Web Vitals endpoint
+        else if (path === '/performance-analyze' || path === '/api/performance-analyze') {
+          await handlePerformanceAnalyze(req, res);
+        }
+        // Resource inventory and HAR export endpoint
+        else if (path === '/resource-analyze' || path === '/api/resource-analyze') {
+          await handleResourceAnalyze(req, res);
+        }
+        // Resumable crawl jobs: /crawl-jobs, /crawl-jobs/:id and its actions
+        else if (/^(\/api)?\/crawl-jobs(\/|$)/.test(path)) {
+          await handleCrawlJobs(req, res);
+        }
+        // Webhook subscriptions and delivery log
+        else if (/^(\/api)?\/webhooks(\/|$)/.test(path)) {
+          await handleWebhooks(req, res);
+        }
         else {
           // Unknown endpoint
           res.status(404).json({
@@ -316,30 +597,31 @@ module.exports = async (req, res) => {
           });
         }
       } catch (error) {
-        console.error('Error handling route:', error);
-        
-        res.status(500).json({
-          status: 'error',
-          message: 'Internal server error',
-          error: process.env.NODE_ENV === 'production' ? 'An unexpected error occurred' : error.message,
-          timestamp: new Date().toISOString()
-        });
+        // Analyzers report failures to fetch the page as ApiErrors with TARGET_* codes
+        if (error instanceof ApiError) {
+          logger.warn('Request failed', { path, code: error.code, error: error.message });
+        } else {
+          logger.error('Error handling route', { path, error });
+        }
+        if (!res.headersSent) sendError(res, error);
       } finally {
         // Always release the request slot
         releaseRequest();
       }
     });
   } catch (error) {
-    console.error('Error handling request:', error);
+    logger.error('Error handling request', { error });
     
-    // Provide safe error response with appropriate status code
-    const statusCode = error.statusCode || 500;
-    
-    return res.status(statusCode).json({
-      status: 'error',
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'production' ? 'An unexpected error occurred' : error.message,
-      timestamp: new Date().toISOString()
-    });
+    if (!res.headersSent) return sendError(res, error);
   }
+}
+
+// Export the handler
+module.exports = (req, res) => {
+  // Request ID and the error model for every response
+  prepareErrorEnvelope(req, res);
+  recordRequestMetrics(req, res);
+  
+  // Everything logged while handling the request carries its ID
+  return logger.runWithContext({ requestId: req.id }, () => handleRequest(req, res));
 };
\ No newline at end of file
@@ -0,0 +1,270 @@
+/**
+ * Job Events Handler
+ * Streams a job's progress as Server-Sent Events: for crawl jobs status
+ * transitions, page counts, per-page scores and the final summary; for queued
+ * audit jobs (/job/:id) their status, progress and message
+ */
+
+const jobStore = require('./lib/crawl-jobs');
+const jobEvents = require('./lib/job-events');
+const apiKeys = require('./lib/api-keys');
+const kv = require('./lib/kv');
+const logger = require('./lib/logger');
+const shutdown = require('./lib/shutdown');
+
+const HEARTBEAT_INTERVAL = 15000; // Keeps proxies from closing an idle stream
+const POLL_INTERVAL = 5000;       // Picks up jobs run by another process
+const RECONNECT_DELAY = 3000;
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+// Open streams' close functions
+const streams = new Set();
+
+// Streams stay open for the whole job, so they are ended on shutdown;
+// EventSource reconnects (to another instance) with Last-Event-ID
+shutdown.onShutdown('job event streams', async () => {
+  streams.forEach(close => close());
+});
+
+// Queued audit jobs, written by the job queue and the worker
+const queueJobKey = id => `job:${id}`;
+
+/**
+ * Start an event stream
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Function} onClose - Releases the stream's listeners and timers
+ * @returns {Object} - { send(type, data), close(), isClosed() }
+ */
+function openStream(req, res, onClose) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+  let eventId = 0;
+  let closed = false;
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    streams.delete(close);
+    clearInterval(heartbeat);
+    onClose();
+    res.end();
+  };
+
+  req.on('close', close);
+  streams.add(close);
+
+  return {
+    send(type, data) {
+      if (closed) return;
+      res.write(`id: ${++eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close,
+    isClosed: () => closed
+  };
+}
+
+// A failed finish still ends the stream, or the client would wait forever
+function finishOrClose(id, finish, close) {
+  return finish().catch(error => {
+    logger.error('Job events finish failed', { jobId: id, error });
+    close();
+  });
+}
+
+async function streamCrawlJob(req, res, id, job) {
+  let lastStatus = job.status;
+  let lastCheckpoints = job.checkpoints;
+  let lastPublished = 0;
+  let summarySent = false;
+  let unsubscribe = () => {};
+  let poll = null;
+
+  const { send, close, isClosed } = openStream(req, res, () => {
+    unsubscribe();
+    clearInterval(poll);
+  });
+
+  // Send the summary if the runner's event was missed, then end the stream
+  const finish = async () => {
+    if (lastStatus === 'completed' && !summarySent) {
+      const report = await jobStore.getReport(id);
+      if (report) {
+        send('summary', {
+          jobId: id,
+          summary: report.summary,
+          siteHealth: report.siteHealth,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }
+    send('end', { jobId: id, status: lastStatus, timestamp: new Date().toISOString() });
+    close();
+  };
+
+  unsubscribe = jobEvents.subscribe(id, ({ type, data }) => {
+    if (type === 'status') {
+      if (data.status === lastStatus) return;
+      lastStatus = data.status;
+    }
+    if (type === 'summary') summarySent = true;
+    lastPublished = Date.now();
+
+    send(type, data);
+    if (type === 'status' && FINISHED_STATUSES.includes(lastStatus)) finishOrClose(id, finish, close);
+  });
+
+  // The job record only changes at checkpoints, so polling gives coarser progress
+  // than the runner's events; used when the runner is in another process
+  poll = setInterval(async () => {
+    try {
+      const current = await jobStore.getJob(id);
+      if (!current || isClosed()) return;
+
+      if (current.checkpoints !== lastCheckpoints && Date.now() - lastPublished > POLL_INTERVAL) {
+        send('progress', {
+          jobId: id,
+          pagesCrawled: current.progress.pagesCrawled,
+          pagesFailed: current.progress.pagesFailed,
+          pagesDiscovered: current.progress.pagesDiscovered,
+          pagesQueued: current.progress.remaining,
+          timestamp: current.updatedAt
+        });
+      }
+      lastCheckpoints = current.checkpoints;
+
+      if (current.status !== lastStatus) {
+        send('status', {
+          jobId: id,
+          status: current.status,
+          previousStatus: lastStatus,
+          progress: current.progress,
+          error: current.error,
+          timestamp: current.updatedAt
+        });
+        lastStatus = current.status;
+        if (FINISHED_STATUSES.includes(lastStatus)) finishOrClose(id, finish, close);
+      }
+    } catch (error) {
+      logger.error('Job events poll failed', { jobId: id, error });
+    }
+  }, POLL_INTERVAL);
+
+  send('state', {
+    jobId: id,
+    url: job.url,
+    status: job.status,
+    progress: job.progress,
+    pagesStored: job.pagesStored,
+    error: job.error,
+    timestamp: new Date().toISOString()
+  });
+  if (FINISHED_STATUSES.includes(job.status)) await finishOrClose(id, finish, close);
+}
+
+// Queued audit jobs are run by the worker process, so their record is polled
+function streamQueueJob(req, res, id, job) {
+  let last = job;
+  let poll = null;
+
+  const { send, close, isClosed } = openStream(req, res, () => clearInterval(poll));
+
+  const errorMessage = record => (record.error && record.error.message) || record.error || null;
+  const timestamp = record => new Date(record.updated || Date.now()).toISOString();
+
+  const end = status => {
+    send('end', { jobId: id, status, timestamp: new Date().toISOString() });
+    close();
+  };
+
+  poll = setInterval(async () => {
+    try {
+      const current = await kv.load(queueJobKey(id));
+      if (!current || isClosed()) return;
+
+      if (current.progress !== last.progress || current.message !== last.message) {
+        send('progress', {
+          jobId: id,
+          progress: current.progress,
+          message: current.message || null,
+          timestamp: timestamp(current)
+        });
+      }
+      if (current.status !== last.status) {
+        send('status', {
+          jobId: id,
+          status: current.status,
+          previousStatus: last.status,
+          progress: current.progress,
+          error: errorMessage(current),
+          timestamp: timestamp(current)
+        });
+      }
+      last = current;
+      if (FINISHED_STATUSES.includes(current.status)) end(current.status);
+    } catch (error) {
+      logger.error('Job events poll failed', { jobId: id, error });
+    }
+  }, POLL_INTERVAL);
+
+  send('state', {
+    jobId: id,
+    type: job.type,
+    url: (job.params && job.params.url) || job.url || null,
+    status: job.status,
+    progress: job.progress,
+    message: job.message || null,
+    error: errorMessage(job),
+    timestamp: new Date().toISOString()
+  });
+  if (FINISHED_STATUSES.includes(job.status)) end(job.status);
+}
+
+async function handleJobEvents(req, res) {
+  const id = req.url.split('?')[0].replace(/^\/api/, '').split('/').filter(Boolean)[1];
+
+  try {
+    const crawlJob = await jobStore.getJob(id);
+    // Queued audit jobs have no owning key; like GET /job/:id, their ID is enough
+    const job = crawlJob || await kv.load(queueJobKey(id));
+    if (!job || (crawlJob && !apiKeys.canAccess(req, crawlJob.apiKeyId))) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Job ${id} not found`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // A browser reconnecting after the stream ended gets 204, which stops EventSource retrying
+    if (req.headers['last-event-id'] && FINISHED_STATUSES.includes(job.status)) {
+      return res.status(204).end();
+    }
+
+    if (crawlJob) return await streamCrawlJob(req, res, id, crawlJob);
+    return streamQueueJob(req, res, id, job);
+  } catch (error) {
+    logger.error('Job events error', { error });
+
+    if (res.headersSent) return res.end();
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to stream job events',
+      error: process.env.NODE_ENV === 'production' ? 'Server error' : error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  handleJobEvents
+};
@@ -0,0 +1,320 @@
+/**
+ * API Keys
+ * Issues API keys, authenticates requests with them and enforces per-key
+ * daily and monthly quotas. Keys are stored as SHA-256 hashes; the plain key
+ * is only returned when it is created.
+ */
+
+const crypto = require('crypto');
+const kv = require('./kv');
+
+const METRICS = ['pageAudits', 'crawledPages'];
+const PERIODS = ['daily', 'monthly'];
+
+// Quotas for keys created without explicit ones; null means unlimited
+const DEFAULT_QUOTAS = {
+  daily: { pageAudits: 500, crawledPages: 2000 },
+  monthly: { pageAudits: 10000, crawledPages: 40000 }
+};
+
+const KEY_PREFIX = 'mrd_';
+const INDEX_KEY = 'api-keys:index';
+const KEY_TTL = 10 * 365 * 24 * 3600; // Keys don't expire on their own
+const recordKey = id => `api-key:${id}`;
+const hashKey = hash => `api-key-hash:${hash}`;
+
+// Whether requests without a key are rejected
+const isRequired = () => process.env.REQUIRE_API_KEY !== 'false';
+
+function hash(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Start and end of the current quota period (UTC)
+ * @param {string} period - daily or monthly
+ * @param {Date} now - Current time
+ * @returns {Object} - { id, resetAt } with resetAt in Unix seconds
+ */
+function currentPeriod(period, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  if (period === 'daily') {
+    const day = now.getUTCDate();
+    return {
+      id: now.toISOString().slice(0, 10),
+      resetAt: Date.UTC(year, month, day + 1) / 1000
+    };
+  }
+  return {
+    id: now.toISOString().slice(0, 7),
+    resetAt: Date.UTC(year, month + 1, 1) / 1000
+  };
+}
+
+const usageKey = (keyId, period, metric) => `api-usage:${keyId}:${currentPeriod(period).id}:${metric}`;
+
+/**
+ * Validate quotas, filling in defaults
+ * @param {Object} quotas - { daily: { pageAudits, crawledPages }, monthly: {...} }
+ * @returns {Object} - Complete quotas
+ * @throws {Error} - With a message suitable for a 400 response
+ */
+function normalizeQuotas(quotas = {}) {
+  if (typeof quotas !== 'object' || quotas === null) throw new Error('quotas must be an object');
+
+  const normalized = {};
+  PERIODS.forEach(period => {
+    normalized[period] = {};
+    METRICS.forEach(metric => {
+      const value = quotas[period] && quotas[period][metric] !== undefined
+        ? quotas[period][metric]
+        : DEFAULT_QUOTAS[period][metric];
+      if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`quotas.${period}.${metric} must be a whole number or null`);
+      }
+      normalized[period][metric] = value;
+    });
+  });
+  return normalized;
+}
+
+// Key record without the hash
+function publicRecord({ hash: keyHash, ...record }) {
+  return record;
+}
+
+/**
+ * Create an API key
+ * @param {Object} fields - { name, quotas }
+ * @returns {Promise<Object>} - { key, record }; the plain key is not stored
+ * @throws {Error} - With a message suitable for a 400 response
+ */
+async function createApiKey({ name, quotas } = {}) {
+  if (typeof name !== 'string' || !name.trim()) throw new Error('name is required');
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name: name.trim(),
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    hash: hash(key),
+    quotas: normalizeQuotas(quotas),
+    revoked: false,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+
+  await kv.save(recordKey(record.id), record, KEY_TTL);
+  await kv.save(hashKey(record.hash), record.id, KEY_TTL);
+
+  // A hash entry per key, so keys created at the same time all stay listed
+  await kv.saveEntry(INDEX_KEY, record.id, record.id, KEY_TTL);
+
+  return { key, record: publicRecord(record) };
+}
+
+/**
+ * Get an API key record
+ * @param {string} id - Key ID
+ * @returns {Promise<Object|null>}
+ */
+async function getApiKey(id) {
+  const record = await kv.load(recordKey(id));
+  return record ? publicRecord(record) : null;
+}
+
+/**
+ * List API key records, oldest first
+ * @returns {Promise<Array<Object>>}
+ */
+async function listApiKeys() {
+  const index = await kv.loadEntries(INDEX_KEY);
+  const records = (await Promise.all(index.map(getApiKey))).filter(Boolean);
+  return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Revoke an API key
+ * @param {string} id - Key ID
+ * @returns {Promise<Object|null>} - Revoked record, null if unknown
+ */
+async function revokeApiKey(id) {
+  const record = await kv.load(recordKey(id));
+  if (!record) return null;
+
+  const revoked = { ...record, revoked: true, revokedAt: record.revokedAt || new Date().toISOString() };
+  await kv.save(recordKey(id), revoked, KEY_TTL);
+  return publicRecord(revoked);
+}
+
+/**
+ * Look up the key presented with a request
+ * @param {string} key - Plain API key
+ * @returns {Promise<Object|null>} - Active key record
+ */
+async function findApiKey(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+  const id = await kv.load(hashKey(hash(key)));
+  const record = id ? await getApiKey(id) : null;
+  return record && !record.revoked ? record : null;
+}
+
+/**
+ * Authenticate a request from its Authorization header
+ * @param {Object} req - Request
+ * @param {boolean} allowQueryKey - Also accept ?apiKey= (EventSource can't send headers)
+ * @returns {Promise<Object>} - { apiKey } or { statusCode, message }
+ */
+async function authenticateRequest(req, allowQueryKey = false) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  const key = match ? match[1] : (allowQueryKey && req.query && req.query.apiKey) || null;
+
+  if (!key) {
+    return isRequired()
+      ? { statusCode: 401, message: 'An API key is required: send Authorization: Bearer <key>' }
+      : { apiKey: null };
+  }
+
+  const apiKey = await findApiKey(key);
+  if (!apiKey) return { statusCode: 401, message: 'Invalid or revoked API key' };
+  return { apiKey };
+}
+
+/**
+ * Current usage of a key
+ * @param {string} keyId - Key ID
+ * @returns {Promise<Object>} - { daily: { pageAudits, crawledPages }, monthly: {...} }
+ */
+async function getUsage(keyId) {
+  const usage = {};
+  for (const period of PERIODS) {
+    usage[period] = {};
+    for (const metric of METRICS) {
+      usage[period][metric] = (await kv.increment(usageKey(keyId, period, metric), 0, currentPeriod(period).resetAt)) || 0;
+    }
+  }
+  return usage;
+}
+
+/**
+ * Check the quota of a key for a metric
+ * Reports the most restrictive period, the one X-RateLimit-* headers describe.
+ * @param {Object} apiKey - Key record, or null for anonymous requests
+ * @param {string} metric - pageAudits or crawledPages
+ * @returns {Promise<Object|null>} - { metric, period, limit, used, remaining, resetAt }, null if unlimited
+ */
+async function checkQuota(apiKey, metric) {
+  if (!apiKey) return null;
+
+  let tightest = null;
+  for (const period of PERIODS) {
+    const limit = apiKey.quotas[period][metric];
+    if (limit === null) continue;
+
+    const { resetAt } = currentPeriod(period);
+    const used = (await kv.increment(usageKey(apiKey.id, period, metric), 0, resetAt)) || 0;
+    const remaining = Math.max(limit - used, 0);
+    if (!tightest || remaining < tightest.remaining) {
+      tightest = { metric, period, limit, used, remaining, resetAt };
+    }
+  }
+  return tightest;
+}
+
+/**
+ * Reserve usage against a key's quota before the work is done
+ * The usage is added first, atomically, so concurrent requests can't all pass
+ * a check and go over the limit together. When that takes a period over its
+ * limit the reservation is taken back. Refund a reservation whose work failed
+ * with recordUsage(keyId, metric, -amount).
+ * @param {Object} apiKey - Key record, or null for anonymous requests
+ * @param {string} metric - pageAudits or crawledPages
+ * @param {number} amount - Units to reserve
+ * @returns {Promise<Object>} - { reserved, quota }: quota as from checkQuota, after this
+ *   reservation (null if unlimited); a refused reservation has reserved false and a quota
+ */
+async function reserveQuota(apiKey, metric, amount = 1) {
+  if (!apiKey) return { reserved: false, quota: null };
+
+  let tightest = null;
+  let exceeded = false;
+  for (const period of PERIODS) {
+    const { resetAt } = currentPeriod(period);
+    const used = await kv.increment(usageKey(apiKey.id, period, metric), amount, resetAt);
+    const limit = apiKey.quotas[period][metric];
+    // Without a counter store usage can't be checked, as in checkQuota
+    if (limit === null || used === null) continue;
+
+    if (used > limit) exceeded = true;
+    const remaining = Math.max(limit - used, 0);
+    if (!tightest || remaining < tightest.remaining) {
+      tightest = { metric, period, limit, used, remaining, resetAt };
+    }
+  }
+
+  if (exceeded) {
+    await recordUsage(apiKey.id, metric, -amount);
+    return { reserved: false, quota: { ...tightest, used: tightest.used - amount } };
+  }
+  return { reserved: true, quota: tightest };
+}
+
+/**
+ * Add to a key's usage
+ * @param {string} keyId - Key ID, or null for anonymous requests
+ * @param {string} metric - pageAudits or crawledPages
+ * @param {number} amount - Units used; negative to refund
+ * @returns {Promise<void>}
+ */
+async function recordUsage(keyId, metric, amount) {
+  if (!keyId || !amount) return;
+
+  for (const period of PERIODS) {
+    await kv.increment(usageKey(keyId, period, metric), amount, currentPeriod(period).resetAt);
+  }
+}
+
+/**
+ * Set X-RateLimit-* headers from a quota check
+ * @param {Object} res - Response
+ * @param {Object} quota - Result of checkQuota
+ */
+function setRateLimitHeaders(res, quota) {
+  if (!quota) return;
+  res.setHeader('X-RateLimit-Limit', String(quota.limit));
+  res.setHeader('X-RateLimit-Remaining', String(quota.remaining));
+  res.setHeader('X-RateLimit-Reset', String(quota.resetAt));
+  res.setHeader('X-RateLimit-Resource', `${quota.metric}/${quota.period}`);
+}
+
+/**
+ * Whether a request may see a record owned by a key
+ * @param {Object} req - Request with apiKey set by authentication
+ * @param {string|null} ownerKeyId - Key ID stored on the record
+ * @returns {boolean}
+ */
+function canAccess(req, ownerKeyId) {
+  const keyId = req.apiKey ? req.apiKey.id : null;
+  return (ownerKeyId || null) === keyId;
+}
+
+module.exports = {
+  METRICS,
+  DEFAULT_QUOTAS,
+  isRequired,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateRequest,
+  getUsage,
+  checkQuota,
+  reserveQuota,
+  recordUsage,
+  setRateLimitHeaders,
+  canAccess
+};
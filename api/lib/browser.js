@@ -0,0 +1,258 @@
+/**
+ * Browser
+ * Headless Chromium through puppeteer-core, for pages that need JavaScript
+ * rendering. CHROME_PATH points at the Chromium executable; puppeteer-core
+ * doesn't download one.
+ *
+ * Each Chromium takes 100MB or more, so at most MAX_BROWSERS pages are
+ * rendered at once (1 by default); further renders wait their turn.
+ */
+
+const safeFetch = require('./safe-fetch');
+const { ApiError } = require('./errors');
+const logger = require('./logger');
+
+let puppeteer = null;
+try {
+  puppeteer = require('puppeteer-core');
+} catch (error) {
+  logger.debug('Puppeteer not available, pages are audited without rendering', { error: error.message });
+}
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--disable-gpu'
+];
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) MardenSEOAuditBot/1.0 Chrome/100.0.4896.75 Safari/537.36';
+const NAVIGATION_TIMEOUT = 30000;
+// Time after the network goes quiet for timers and late scripts to finish
+const SETTLE_DELAY = 2000;
+const MAX_BROWSERS = parseInt(process.env.MAX_BROWSERS || '1', 10);
+
+// Browsers launched and not yet closed, so shutdown can close them
+const open = new Set();
+
+let browsersInUse = 0;
+const waiting = [];
+
+/**
+ * Whether puppeteer-core is installed
+ * @returns {boolean}
+ */
+function isAvailable() {
+  return Boolean(puppeteer);
+}
+
+/**
+ * Launch a headless browser
+ * Callers close the browser when done.
+ * @returns {Promise<Object>} - Puppeteer Browser
+ * @throws {Error} - When puppeteer-core is missing or Chromium fails to start
+ */
+async function launchBrowser() {
+  if (!puppeteer) {
+    throw new Error('Puppeteer not available');
+  }
+  const browser = await puppeteer.launch({
+    headless: 'new',
+    executablePath: process.env.CHROME_PATH || undefined,
+    args: LAUNCH_ARGS
+  });
+  open.add(browser);
+  browser.once('disconnected', () => open.delete(browser));
+  return browser;
+}
+
+/**
+ * Close every browser still open
+ * A Chromium left behind would outlive the process.
+ * @returns {Promise<number>} - Number of browsers closed
+ */
+async function closeAll() {
+  const browsers = Array.from(open);
+  await Promise.all(browsers.map(async browser => {
+    try {
+      await browser.close();
+    } catch (error) {
+      logger.warn('Failed to close browser', { error: error.message });
+      // close() failed, so the Chromium process is killed instead
+      const child = browser.process();
+      if (child) child.kill('SIGKILL');
+    }
+    open.delete(browser);
+  }));
+  return browsers.length;
+}
+
+// Wait for one of the MAX_BROWSERS slots
+async function acquireSlot() {
+  if (browsersInUse < MAX_BROWSERS) {
+    browsersInUse++;
+    return;
+  }
+  await new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+  } else {
+    browsersInUse--;
+  }
+}
+
+/**
+ * Check that Chromium starts by launching and closing a browser in a free slot
+ * Never waits for a slot: a health check must not queue behind renders.
+ * @returns {Promise<boolean>} - false when every slot is in use and nothing was launched
+ * @throws {Error} - When puppeteer-core is missing or Chromium fails to start
+ */
+async function probeLaunch() {
+  if (browsersInUse >= MAX_BROWSERS) return false;
+  browsersInUse++;
+  try {
+    const browser = await launchBrowser();
+    await browser.close();
+    return true;
+  } finally {
+    releaseSlot();
+  }
+}
+
+// Chromium's network errors, as the codes analyzers report fetch failures with
+const NAVIGATION_ERRORS = [
+  [/ERR_NAME_NOT_RESOLVED/, 'TARGET_DNS_FAILURE'],
+  [/ERR_CONNECTION_|ERR_ADDRESS_UNREACHABLE|ERR_EMPTY_RESPONSE/, 'TARGET_CONNECTION_FAILED'],
+  [/ERR_CERT_|ERR_SSL_/, 'TARGET_TLS_FAILURE'],
+  [/ERR_TOO_MANY_REDIRECTS/, 'TARGET_TOO_MANY_REDIRECTS'],
+  [/ERR_BLOCKED_BY_CLIENT/, 'URL_BLOCKED']
+];
+
+/**
+ * Describe a failure loading a page in the browser
+ * @param {Error} error - Puppeteer navigation error
+ * @param {string} url - Page URL
+ * @returns {ApiError}
+ */
+function navigationError(error, url) {
+  const details = { url, upstreamStatus: null, cause: (error.message.match(/net::(ERR_\w+)/) || [])[1] || null };
+  if (error.name === 'TimeoutError') {
+    return new ApiError('TARGET_TIMEOUT', `Rendering ${url} timed out. The website may be slow or unreachable.`, details);
+  }
+  const match = NAVIGATION_ERRORS.find(([pattern]) => pattern.test(error.message));
+  if (match && match[1] === 'URL_BLOCKED') {
+    return new ApiError('URL_BLOCKED', `Rendering ${url} was redirected to an address that is not allowed`, details);
+  }
+  return new ApiError(match ? match[1] : 'TARGET_FETCH_FAILED', `Failed to render ${url}: ${error.message}`, details);
+}
+
+/**
+ * Run a function with a fresh browser page, closing the browser afterwards
+ * Every request the page makes, redirects and subresources included, has its
+ * host name resolved and checked against the address rules of the analyzers'
+ * own fetches (lib/safe-fetch.js) before Chromium may send it. Chromium
+ * resolves the name again itself, so unlike those fetches a host that changes
+ * its DNS answer in between isn't caught.
+ * @param {string} url - Page that will be opened, checked up front since the
+ *   browser resolves names itself
+ * @param {Function} fn - Called with the Puppeteer Page
+ * @returns {Promise<any>} - What fn resolves to
+ * @throws {ApiError} - SERVICE_UNAVAILABLE when no browser can be launched
+ */
+async function withPage(url, fn) {
+  await safeFetch.assertSafeUrl(url);
+
+  await acquireSlot();
+  let browser = null;
+  try {
+    try {
+      browser = await launchBrowser();
+    } catch (error) {
+      logger.warn('Failed to launch browser', { url, error: error.message });
+      throw new ApiError('SERVICE_UNAVAILABLE', `JavaScript rendering is unavailable: ${error.message}`);
+    }
+
+    const page = await browser.newPage();
+    await page.setViewport({ width: 1366, height: 768 });
+    await page.setUserAgent(USER_AGENT);
+    page.setDefaultNavigationTimeout(NAVIGATION_TIMEOUT);
+
+    // Refuse redirects and subresources aimed at internal hosts; each origin
+    // is looked up once per page
+    const origins = new Map();
+    const checkOrigin = requestUrl => {
+      const { origin } = new URL(requestUrl);
+      if (!origins.has(origin)) origins.set(origin, safeFetch.blockedError(origin));
+      return origins.get(origin);
+    };
+    await page.setRequestInterception(true);
+    page.on('request', async request => {
+      const requestUrl = request.url();
+      try {
+        if (/^https?:/.test(requestUrl)) {
+          safeFetch.checkUrl(requestUrl);
+          const blocked = await checkOrigin(requestUrl);
+          if (blocked) throw blocked;
+        }
+        await request.continue();
+      } catch (blockedError) {
+        logger.debug('Blocked browser request', { url: requestUrl, error: blockedError.message });
+        await request.abort('blockedbyclient').catch(() => {});
+      }
+    });
+
+    return await fn(page);
+  } finally {
+    if (browser) {
+      await browser.close().catch(error => logger.error('Error closing browser', { error }));
+    }
+    releaseSlot();
+  }
+}
+
+/**
+ * Load a page in the browser and return the DOM after its scripts have run
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} - { html, finalUrl, statusCode, durationMs }
+ * @throws {ApiError} - TARGET_* codes when the page can't be loaded
+ */
+async function renderPage(url) {
+  return withPage(url, async page => {
+    const start = Date.now();
+    let response;
+    try {
+      logger.debug('Rendering page', { url });
+      response = await page.goto(url, { waitUntil: 'networkidle2' });
+      await page.waitForSelector('body', { timeout: 5000 }).catch(() => {});
+      await page.waitForTimeout(SETTLE_DELAY);
+    } catch (error) {
+      const failure = navigationError(error, url);
+      logger.warn('Failed to render page', { url, code: failure.code, durationMs: Date.now() - start, error: error.message });
+      throw failure;
+    }
+
+    const html = await page.content();
+    logger.debug('Rendered page', { url, bytes: html.length, durationMs: Date.now() - start });
+    return {
+      html,
+      finalUrl: page.url(),
+      statusCode: response ? response.status() : null,
+      durationMs: Date.now() - start
+    };
+  });
+}
+
+module.exports = {
+  isAvailable,
+  launchBrowser,
+  probeLaunch,
+  withPage,
+  renderPage,
+  navigationError,
+  closeAll
+};
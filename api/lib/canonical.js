@@ -0,0 +1,103 @@
+/**
+ * Canonical
+ * Follows a page's canonical link to its target and reports what search
+ * engines find there: whether it answers 200 or redirects, whether it names
+ * yet another canonical (a chain) and whether it is noindexed. Search engines
+ * ignore canonicals that point at pages in any of those states.
+ */
+
+const cheerio = require('cheerio');
+const safeFetch = require('./safe-fetch');
+const { targetError } = require('./errors');
+const { parseXRobotsTag } = require('./response-headers');
+const logger = require('./logger');
+
+const FETCH_TIMEOUT = 10000;
+
+// Same page when only the fragment differs
+function samePage(a, b) {
+  const strip = url => {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  };
+  return strip(a) === strip(b);
+}
+
+function isNoindex(directives) {
+  return directives.some(directive => directive === 'noindex' || directive === 'none');
+}
+
+/**
+ * Fetch a page's canonical target
+ * @param {string} href - href of the canonical link, possibly relative
+ * @param {string} pageUrl - Final URL of the page
+ * @returns {Promise<Object|null>} - { url, self, status, redirectsTo, canonical, canonicalized,
+ *   noindex, error }; self-canonical pages aren't fetched again. Null without a
+ *   usable canonical link.
+ */
+async function resolveCanonical(href, pageUrl) {
+  if (!href) return null;
+
+  let url;
+  try {
+    url = new URL(href, pageUrl).href;
+  } catch (error) {
+    return null;
+  }
+  if (!/^https?:/.test(url)) return null;
+
+  const result = { url, self: samePage(url, pageUrl), status: null, redirectsTo: null, canonical: null, canonicalized: false, noindex: false, error: null };
+  if (result.self) return result;
+
+  try {
+    // Redirects aren't followed: a canonical should point at the final URL
+    const response = await safeFetch.get(url, {
+      timeout: FETCH_TIMEOUT,
+      maxRedirects: 0,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; MardenSEOAuditBot/1.0)',
+        'Accept': 'text/html,application/xhtml+xml'
+      },
+      validateStatus: () => true
+    });
+    result.status = response.status;
+
+    if (response.status >= 300 && response.status < 400 && response.headers.location) {
+      result.redirectsTo = new URL(response.headers.location, url).href;
+    }
+
+    const robotsHeader = response.headers['x-robots-tag'];
+    if (robotsHeader) {
+      const agents = parseXRobotsTag(robotsHeader);
+      result.noindex = Object.values(agents).some(isNoindex);
+    }
+
+    if (response.status === 200 && typeof response.data === 'string') {
+      const $ = cheerio.load(response.data);
+      const canonical = ($('link[rel="canonical"]').attr('href') || '').trim();
+      if (canonical) {
+        try {
+          result.canonical = new URL(canonical, url).href;
+          result.canonicalized = !samePage(result.canonical, url);
+        } catch (error) {
+          // Invalid canonical on the target, not followed
+        }
+      }
+      $('meta[name="robots"], meta[name="googlebot"]').each((i, el) => {
+        const directives = ($(el).attr('content') || '').toLowerCase().split(',').map(part => part.trim());
+        if (isNoindex(directives)) result.noindex = true;
+      });
+    }
+  } catch (error) {
+    const failure = targetError(error, url);
+    logger.debug('Canonical target fetch failed', { url, code: failure.code, error: error.message });
+    result.error = { code: failure.code, message: failure.message };
+  }
+
+  return result;
+}
+
+module.exports = {
+  resolveCanonical
+};
@@ -0,0 +1,42 @@
+/**
+ * CORS
+ * Allows browser requests from the configured origins only (CORS_ORIGIN,
+ * comma-separated; "*" allows every origin). API keys, not CORS, protect the
+ * API; this keeps other sites' pages from using a visitor's browser against it.
+ */
+
+const ALLOWED_ORIGINS = process.env.CORS_ORIGIN
+  ? process.env.CORS_ORIGIN.split(',').map(origin => origin.trim()).filter(Boolean)
+  : ['https://audit.mardenseo.com', 'https://glittering-granita-92b678.netlify.app', 'http://localhost:9090'];
+
+function isAllowedOrigin(origin) {
+  return Boolean(origin) && (ALLOWED_ORIGINS.includes('*') || ALLOWED_ORIGINS.includes(origin));
+}
+
+/**
+ * Set the CORS headers for a request
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ */
+function setCorsHeaders(req, res) {
+  const origin = req.headers.origin;
+  if (isAllowedOrigin(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+  res.setHeader('Vary', 'Origin');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS, HEAD');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Origin, X-Requested-With, X-Request-Id');
+  res.setHeader('Access-Control-Expose-Headers', [
+    'X-Request-Id',
+    'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+    'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Resource',
+    'Retry-After'
+  ].join(', '));
+  res.setHeader('Access-Control-Max-Age', '86400');
+}
+
+module.exports = {
+  ALLOWED_ORIGINS,
+  isAllowedOrigin,
+  setCorsHeaders
+};
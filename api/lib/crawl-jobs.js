@@ -0,0 +1,222 @@
+/**
+ * Crawl Job Store
+ * Persists long-running crawl jobs - the job record, the crawler state (frontier,
+ * visited set, skip counts) and the analyzed pages - to Redis so a crawl survives
+ * restarts and can be paused, resumed and extended.
+ */
+
+const crypto = require('crypto');
+const kv = require('./kv');
+
+const JOB_TTL = 7 * 24 * 3600; // Keep jobs and their results for a week
+const PAGES_PER_CHUNK = 50;    // Pages per Redis value, keeps each write small
+const MAX_LISTED_JOBS = 100;
+const INDEX_KEY = 'crawl-jobs:index';
+const SCORE_TTL = 90 * 24 * 3600; // Last score per site, for score drop alerts
+
+const jobKey = id => `crawl-job:${id}`;
+const stateKey = id => `crawl-job:${id}:state`;
+const sitemapKey = id => `crawl-job:${id}:sitemap`;
+const reportKey = id => `crawl-job:${id}:report`;
+const chunkKey = (id, index) => `crawl-job:${id}:pages:${index}`;
+const siteScoreKey = (url, apiKeyId) => `crawl-jobs:last-score:${apiKeyId ? `${apiKeyId}:` : ''}${url}`;
+
+const save = (key, value) => kv.save(key, value, JOB_TTL);
+const { load, remove } = kv;
+
+/**
+ * Create and store a new crawl job
+ * @param {string} url - Normalized start URL
+ * @param {Object} options - Crawl options
+ * @param {Object} callback - { url, secret } for webhook events, or null
+ * @param {string} apiKeyId - API key that owns the job, or null
+ * @returns {Promise<Object>} - Job record
+ */
+async function createJob(url, options, callback = null, apiKeyId = null) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type: 'crawl',
+    url,
+    options,
+    callback,
+    apiKeyId,
+    status: 'queued',
+    progress: {
+      pagesCrawled: 0,
+      pagesFailed: 0,
+      pagesDiscovered: 0,
+      remaining: 0
+    },
+    pagesStored: 0,
+    checkpoints: 0,
+    runs: 0,
+    owner: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+
+  await save(jobKey(job.id), job);
+
+  // A list, so concurrent creates can't overwrite each other's entries
+  await kv.prepend(INDEX_KEY, job.id, MAX_LISTED_JOBS, JOB_TTL);
+
+  return job;
+}
+
+/**
+ * Get a job record
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(id) {
+  return load(jobKey(id));
+}
+
+/**
+ * Merge changes into a job record
+ * @param {string} id - Job ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object>} - Updated job record
+ */
+async function updateJob(id, changes) {
+  const job = await getJob(id);
+  if (!job) throw new Error(`Job ${id} not found`);
+
+  const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+  await save(jobKey(id), updated);
+  return updated;
+}
+
+/**
+ * Most recently created jobs
+ * @returns {Promise<Array<Object>>} - Job records
+ */
+async function listJobs() {
+  const index = await kv.loadList(INDEX_KEY);
+  const jobs = await Promise.all(index.map(getJob));
+  return jobs.filter(Boolean);
+}
+
+/**
+ * Store a crawler checkpoint: the resumable state and the pages finished since the last one
+ * @param {string} id - Job ID
+ * @param {Object} state - Crawler engine state
+ * @param {Array<Object>} newPages - Pages analyzed since the previous checkpoint
+ * @returns {Promise<Object>} - Updated job record
+ */
+async function saveCheckpoint(id, state, newPages) {
+  const job = await getJob(id);
+  if (!job) throw new Error(`Job ${id} not found`);
+
+  // Append to the page chunks, rewriting only the last, partly filled one
+  let stored = job.pagesStored;
+  let remaining = newPages;
+  while (remaining.length > 0) {
+    const index = Math.floor(stored / PAGES_PER_CHUNK);
+    const existing = stored % PAGES_PER_CHUNK === 0 ? [] : ((await load(chunkKey(id, index))) || []);
+    const room = PAGES_PER_CHUNK - existing.length;
+    await save(chunkKey(id, index), existing.concat(remaining.slice(0, room)));
+    stored += Math.min(room, remaining.length);
+    remaining = remaining.slice(room);
+  }
+
+  // Pages are written before the state, so a crash in between never loses a fetched page
+  await save(stateKey(id), state);
+
+  return updateJob(id, {
+    pagesStored: stored,
+    checkpoints: job.checkpoints + 1,
+    progress: {
+      pagesCrawled: state.pagesCrawled,
+      pagesFailed: state.pagesFailed,
+      pagesDiscovered: state.seen.length,
+      remaining: state.queue.length
+    }
+  });
+}
+
+/**
+ * Get the last checkpointed crawler state
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>}
+ */
+async function getState(id) {
+  return load(stateKey(id));
+}
+
+/**
+ * Get stored pages
+ * @param {string} id - Job ID
+ * @param {number} offset - First page
+ * @param {number} limit - Maximum number of pages (defaults to all)
+ * @returns {Promise<Array<Object>>}
+ */
+async function getPages(id, offset = 0, limit = Infinity) {
+  const job = await getJob(id);
+  if (!job) return [];
+
+  const end = Math.min(job.pagesStored, offset + limit);
+  const pages = [];
+  for (let index = Math.floor(offset / PAGES_PER_CHUNK); index * PAGES_PER_CHUNK < end; index++) {
+    const chunk = (await load(chunkKey(id, index))) || [];
+    pages.push(...chunk);
+  }
+
+  const first = offset - Math.floor(offset / PAGES_PER_CHUNK) * PAGES_PER_CHUNK;
+  return pages.slice(first, first + (end - offset));
+}
+
+async function saveSitemapUrls(id, urls) {
+  return save(sitemapKey(id), urls);
+}
+
+async function getSitemapUrls(id) {
+  return (await load(sitemapKey(id))) || [];
+}
+
+async function saveReport(id, report) {
+  return save(reportKey(id), report);
+}
+
+async function getReport(id) {
+  return load(reportKey(id));
+}
+
+async function deleteReport(id) {
+  return remove(reportKey(id));
+}
+
+/**
+ * Record the score of a completed crawl of a site
+ * Scores are kept per API key, so one partner's crawls never alert another.
+ * @param {string} url - Normalized start URL
+ * @param {number} score - Site score
+ * @param {string} jobId - Job that produced it
+ * @param {string} apiKeyId - API key that owns the job, or null
+ * @returns {Promise<Object|null>} - The previously recorded { score, jobId, recordedAt }
+ */
+async function recordSiteScore(url, score, jobId, apiKeyId = null) {
+  const previous = await load(siteScoreKey(url, apiKeyId));
+  await kv.save(siteScoreKey(url, apiKeyId), { score, jobId, recordedAt: new Date().toISOString() }, SCORE_TTL);
+  return previous;
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  updateJob,
+  listJobs,
+  saveCheckpoint,
+  getState,
+  getPages,
+  saveSitemapUrls,
+  getSitemapUrls,
+  saveReport,
+  getReport,
+  deleteReport,
+  recordSiteScore,
+  PAGES_PER_CHUNK
+};
@@ -1,133 +1,298 @@
 /**
- * Enhanced Web Crawler for Site-wide SEO Analysis
- * Implements a robust crawling algorithm with proper URL normalization,
- * rate limiting, and full site analysis capabilities.
+ * Crawler Engine
+ * The single crawler behind every crawl endpoint. Handles URL normalisation,
+ * robots.txt, depth and page limits, include/exclude patterns and concurrent
+ * fetching; what is extracted from each page is up to the caller's analyzer.
  */
-const axios = require('axios');
+const safeFetch = require('./safe-fetch');
 const cheerio = require('cheerio');
 const robotsParser = require('robots-parser');
 const { URL } = require('url');
+const { fetchRobotsTxt } = require('./robots');
+const { targetError } = require('./errors');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const pagesCounter = metrics.counter(
+  'marden_crawl_pages_total',
+  'Pages fetched by site crawls, crawled or failed',
+  ['result']
+);
+
+// When recent pages were fetched, for the crawl rate over the last minute
+const RATE_WINDOW_MS = 60000;
+const recentPages = [];
+
+function pruneRecentPages() {
+  const cutoff = Date.now() - RATE_WINDOW_MS;
+  while (recentPages.length > 0 && recentPages[0] < cutoff) recentPages.shift();
+}
+
+metrics.gauge('marden_crawl_pages_per_second', 'Pages fetched by site crawls per second, over the last minute', () => {
+  pruneRecentPages();
+  return recentPages.length / (RATE_WINDOW_MS / 1000);
+});
+
+// Count a fetched page: crawled or failed
+function countPage(result) {
+  pagesCounter.inc({ result });
+  recentPages.push(Date.now());
+  pruneRecentPages();
+}
 
 // Set default crawl settings
 const DEFAULT_OPTIONS = {
   maxPages: 20,        // Maximum pages to crawl
   maxDepth: 3,         // Maximum link depth
-  respectRobots: true, // Respect robots.txt rules
-  delay: 1000,         // Delay between requests in milliseconds
-  timeout: 30000,      // Request timeout in milliseconds
   concurrency: 3,      // Maximum concurrent requests
+  respectRobots: true, // Respect robots.txt rules
+  delay: 0,            // Pause after each request per worker, in milliseconds
+  timeout: 15000,      // Request timeout in milliseconds
+  maxRetries: 1,       // Retries for requests that get no response
+  maxContentLength: 5 * 1024 * 1024, // Largest response body accepted
   userAgent: 'MardenSEOAuditBot/1.0', // User agent string
-  ignoreQuery: true,   // Ignore query parameters in URLs
-  maxRetries: 2,       // Maximum number of retries for failed requests
-  followRedirects: true, // Follow redirects
-  includeImages: true, // Include image analysis
-  includeLinks: true,  // Include link analysis
+  include: [],         // Only crawl paths matching one of these patterns
+  exclude: [],         // Never crawl paths matching one of these patterns
+  stripQuery: false,   // true drops query strings, an array drops the named parameters
+  allowedQueryParams: null, // Keep only these query parameters
+  includeSubdomains: false, // Treat subdomains of the start host as internal
+  skipMedia: true,     // Skip links to images, video, audio and documents
+  seedUrls: [],        // Extra URLs queued at depth 1 (e.g. from sitemaps)
+  signal: null,        // AbortSignal that stops the crawl
+  resumeState: null,   // `state` from an earlier crawl of the same site to continue from
+  onCheckpoint: null,  // Called with (state, newPages) every `checkpointInterval` pages
+  checkpointInterval: 10
 };
 
+const MAX_CONCURRENCY = 10;
+
+// Skipped URLs listed in the result; counts cover the rest
+const MAX_SKIPPED_LISTED = 100;
+
+// Longest `regex:` pattern accepted from a request
+const MAX_REGEX_LENGTH = 200;
+
+const MEDIA_EXTENSIONS = [
+  'jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'ico', 'avif',
+  'mp4', 'webm', 'mov', 'mp3', 'wav', 'ogg',
+  'pdf', 'zip', 'gz', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx'
+];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
 /**
- * Normalize a URL to ensure proper format and consistent representation
+ * Normalize a URL so each page has one representation
+ * Adds https:// when no protocol is given and drops the fragment.
  * @param {string} urlString - URL to normalize
- * @param {boolean} ignoreQuery - Whether to ignore query parameters
- * @returns {string} - Normalized URL
+ * @param {string} base - Base URL for relative URLs
+ * @returns {string|null} - Normalized URL, or null if it is not an http(s) URL
  */
-function normalizeUrl(urlString, ignoreQuery = true) {
+function normalizeUrl(urlString, base) {
+  if (!urlString) return null;
+
+  let input = String(urlString).trim();
+  if (!base && !/^https?:\/\//i.test(input)) {
+    input = `https://${input}`;
+  }
+
   try {
-    // Parse URL with base if needed
-    let parsedUrl = new URL(urlString);
-    
-    // Strip trailing slash
-    let pathname = parsedUrl.pathname;
-    if (pathname.endsWith('/') && pathname.length > 1) {
-      pathname = pathname.slice(0, -1);
-    }
-    
-    // Rebuild URL without query parameters if ignoreQuery is true
-    const normalized = new URL(
-      pathname + (ignoreQuery ? '' : parsedUrl.search),
-      `${parsedUrl.protocol}//${parsedUrl.host}`
-    );
-    
-    return normalized.toString();
+    const parsed = new URL(input, base);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    parsed.hash = '';
+    return parsed.href;
   } catch (error) {
-    console.error(`Failed to normalize URL: ${urlString}`, error);
-    return urlString; // Return original URL if normalization fails
+    return null;
   }
 }
 
 /**
- * Check if a URL should be crawled based on robots.txt
- * @param {string} url - URL to check
- * @param {object} robotsCache - Cache of robots.txt parsers
- * @param {string} userAgent - User agent string
- * @returns {Promise<boolean>} - Whether the URL should be crawled
+ * Convert a glob to an anchored regular expression
+ * `*` matches any run of characters (slashes included); everything else,
+ * `?` too, is literal so query strings can be matched as written.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
  */
-async function isAllowedByRobots(url, robotsCache, userAgent) {
-  try {
-    const parsedUrl = new URL(url);
-    const robotsUrl = `${parsedUrl.protocol}//${parsedUrl.host}/robots.txt`;
-    
-    // Check if robots.txt parser is cached
-    if (!robotsCache[robotsUrl]) {
-      try {
-        // Fetch robots.txt with timeout
-        const response = await axios.get(robotsUrl, { 
-          timeout: 5000,
-          headers: { 'User-Agent': userAgent }
-        });
-        
-        // Parse robots.txt
-        robotsCache[robotsUrl] = robotsParser(robotsUrl, response.data);
-      } catch (error) {
-        console.warn(`Failed to fetch robots.txt for ${parsedUrl.host}: ${error.message}`);
-        // Assume allowed if robots.txt fails to load (common approach)
-        robotsCache[robotsUrl] = {
-          isAllowed: () => true
-        };
-      }
+function globToRegExp(glob) {
+  const source = glob
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Find what in a regular expression could make matching take exponential time
+ * (catastrophic backtracking): backreferences, and groups repeated with `*`,
+ * `+` or `{n,}` that contain a quantifier or an alternation, such as `(a+)+`
+ * or `(a|ab)*`. Errs on the side of refusing.
+ * @param {string} source - Regular expression source
+ * @returns {string|null} - The problem, or null when the expression is safe
+ */
+function unsafeRegExpReason(source) {
+  if (source.length > MAX_REGEX_LENGTH) return `longer than ${MAX_REGEX_LENGTH} characters`;
+
+  // One entry per open group: whether it contains a quantifier or an alternation
+  const groups = [{ risky: false }];
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      const next = source[i + 1] || '';
+      if (!inClass && (/[1-9]/.test(next) || next === 'k')) return 'backreferences are not allowed';
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+
+    if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ risky: false });
+    } else if (char === '|') {
+      groups[groups.length - 1].risky = true;
+    } else if (char === '*' || char === '+' || char === '?' || (char === '{' && /^\{\d+(,\d*)?\}/.test(source.slice(i)))) {
+      // `?` right after `(` or another quantifier is syntax, not repetition
+      if (char === '?' && /[(*+?}]/.test(source[i - 1] || '')) continue;
+      groups[groups.length - 1].risky = true;
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      // Repeated: `*`, `+`, `{n,}` or `{n,m}` with m > 1
+      const repeat = source.slice(i + 1).match(/^(?:[*+]|\{\d+,(\d*)\})/);
+      const repeated = repeat && (!repeat[1] || parseInt(repeat[1], 10) > 1);
+      if (group.risky && repeated) return 'repeated groups may not contain quantifiers or alternatives';
+      if (group.risky) groups[groups.length - 1].risky = true;
     }
-    
-    // Check if URL is allowed
-    return robotsCache[robotsUrl].isAllowed(url, userAgent);
-  } catch (error) {
-    console.error(`Error checking robots.txt for ${url}: ${error.message}`);
-    return true; // Assume allowed on error
   }
+  return null;
+}
+
+/**
+ * Compile include/exclude patterns
+ * Strings are globs matched against the path and query (e.g. `/blog/*`);
+ * prefix a string with `regex:` to use a regular expression instead.
+ * @param {Array<string|RegExp>|string} patterns - Patterns
+ * @returns {Array<RegExp>} - Compiled patterns
+ */
+function compilePatterns(patterns) {
+  if (!patterns) return [];
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+
+  return list.map(pattern => {
+    if (pattern instanceof RegExp) return pattern;
+    if (typeof pattern !== 'string' || !pattern) {
+      throw new Error(`Invalid URL pattern "${pattern}": must be a non-empty string`);
+    }
+    if (!pattern.startsWith('regex:')) return globToRegExp(pattern);
+
+    const source = pattern.slice('regex:'.length);
+    let regExp;
+    try {
+      regExp = new RegExp(source);
+    } catch (error) {
+      throw new Error(`Invalid URL pattern "${pattern}": ${error.message}`);
+    }
+    // Patterns come from requests and run against every discovered link
+    const unsafe = unsafeRegExpReason(source);
+    if (unsafe) throw new Error(`Invalid URL pattern "${pattern}": ${unsafe}`);
+    return regExp;
+  });
+}
+
+/**
+ * Check crawl options callers pass through from requests
+ * @param {object} options - Crawl options
+ * @throws {Error} - With a message suitable for a 400 response
+ */
+function validateCrawlOptions(options = {}) {
+  compilePatterns(options.include);
+  compilePatterns(options.exclude);
+
+  const isNameList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+  if (options.stripQuery !== undefined && typeof options.stripQuery !== 'boolean' && !isNameList(options.stripQuery)) {
+    throw new Error('stripQuery must be true, false or an array of parameter names');
+  }
+  if (options.allowedQueryParams !== undefined && options.allowedQueryParams !== null && !isNameList(options.allowedQueryParams)) {
+    throw new Error('allowedQueryParams must be an array of parameter names');
+  }
+  if (options.includeSubdomains !== undefined && typeof options.includeSubdomains !== 'boolean') {
+    throw new Error('includeSubdomains must be a boolean');
+  }
+}
+
+/**
+ * Build the query-string rewrite for a crawl
+ * Parameter names in `stripQuery` are globs, so `utm_*` drops all UTM tags.
+ * @param {object} config - Crawl options
+ * @returns {function(string): string} - Rewrites a normalized URL
+ */
+function queryRewriter(config) {
+  const { stripQuery, allowedQueryParams } = config;
+  if (!stripQuery && !allowedQueryParams) return url => url;
+
+  const stripped = compilePatterns(Array.isArray(stripQuery) ? stripQuery : []);
+
+  return url => {
+    const parsed = new URL(url);
+    if (!parsed.search) return url;
+
+    if (stripQuery === true) {
+      parsed.search = '';
+      return parsed.href;
+    }
+
+    Array.from(new Set(parsed.searchParams.keys()))
+      .filter(key => (allowedQueryParams && !allowedQueryParams.includes(key)) ||
+        stripped.some(pattern => pattern.test(key)))
+      .forEach(key => parsed.searchParams.delete(key));
+
+    return parsed.href;
+  };
+}
+
+/**
+ * Build the host check for a crawl
+ * @param {string} hostname - Start hostname
+ * @param {boolean} includeSubdomains - Whether subdomains count as internal
+ * @returns {function(string): boolean}
+ */
+function hostMatcher(hostname, includeSubdomains) {
+  if (!includeSubdomains) return host => host === hostname;
+
+  const domain = hostname.replace(/^www\./, '');
+  return host => host === domain || host.endsWith(`.${domain}`);
 }
 
 /**
  * Extract all links from a page
  * @param {CheerioStatic} $ - Cheerio instance
- * @param {string} baseUrl - Base URL for resolving relative links
+ * @param {string} pageUrl - URL the page was served from
+ * @param {function(string): boolean} isInternalHost - Host check for internal links
  * @returns {object} - Object with internal and external links
  */
-function extractLinks($, baseUrl) {
-  const parsedBaseUrl = new URL(baseUrl);
+function extractLinks($, pageUrl, isInternalHost) {
   const internalLinks = new Set();
   const externalLinks = new Set();
-  
-  // Extract all links
+
+  // A <base href> changes how relative links resolve
+  const baseHref = $('base[href]').attr('href');
+  const base = (baseHref && normalizeUrl(baseHref, pageUrl)) || pageUrl;
+
   $('a[href]').each((_, element) => {
     const href = $(element).attr('href');
-    
-    if (!href || href.startsWith('#') || href.startsWith('javascript:') || href.startsWith('mailto:')) {
-      return;
-    }
-    
-    try {
-      // Resolve relative URLs
-      const resolvedUrl = new URL(href, baseUrl);
-      
-      // Check if the link is internal
-      if (resolvedUrl.hostname === parsedBaseUrl.hostname) {
-        internalLinks.add(resolvedUrl.toString());
-      } else {
-        externalLinks.add(resolvedUrl.toString());
-      }
-    } catch (error) {
-      console.warn(`Invalid URL: ${href}`);
+    const link = normalizeUrl(href, base);
+    if (!link) return;
+
+    if (isInternalHost(new URL(link).hostname)) {
+      internalLinks.add(link);
+    } else {
+      externalLinks.add(link);
     }
   });
-  
+
   return {
     internal: [...internalLinks],
     external: [...externalLinks]
@@ -135,188 +300,406 @@ function extractLinks($, baseUrl) {
 }
 
 /**
- * Crawl a website and analyze all pages
+ * Fetch a URL, retrying when the request gets no response
+ * @param {string} url - URL to fetch
+ * @param {object} config - Crawl options
+ * @returns {Promise<object>} - Axios response
+ */
+async function fetchPage(url, config) {
+  let attempt = 0;
+
+  while (true) {
+    try {
+      return await safeFetch.get(url, {
+        timeout: config.timeout,
+        maxRedirects: 5,
+        maxContentLength: config.maxContentLength,
+        responseType: 'text',
+        signal: config.signal || undefined,
+        headers: {
+          'User-Agent': config.userAgent,
+          'Accept': 'text/html,application/xhtml+xml',
+          'Accept-Language': 'en-US,en;q=0.5'
+        },
+        validateStatus: () => true
+      });
+    } catch (error) {
+      attempt++;
+      if (error.response || attempt > config.maxRetries || (config.signal && config.signal.aborted)) {
+        throw error;
+      }
+      await sleep(500 * attempt);
+    }
+  }
+}
+
+/**
+ * Load robots.txt for the crawled host
+ * @param {string} startUrl - Crawl start URL
+ * @param {object} config - Crawl options
+ * @returns {Promise<object>} - { parser, info }
+ */
+async function loadRobots(startUrl, config) {
+  const robotsTxt = await fetchRobotsTxt(startUrl, { timeout: config.timeout, userAgent: config.userAgent });
+  const info = {
+    url: robotsTxt.url,
+    found: robotsTxt.found,
+    statusCode: robotsTxt.statusCode,
+    error: robotsTxt.error
+  };
+
+  // A missing or failing robots.txt allows everything (common approach)
+  return {
+    parser: robotsTxt.found ? robotsParser(robotsTxt.url, robotsTxt.content) : null,
+    info
+  };
+}
+
+/**
+ * Crawl a website and analyze every page
+ * A crawl given `resumeState` continues where that state left off: fetched URLs are not
+ * fetched again, `maxPages` counts pages from earlier runs and `pages` only holds the
+ * pages fetched by this run. URLs in flight when the crawl is aborted go back into the
+ * frontier, so the returned `state` can always be resumed.
  * @param {string} startUrl - URL to start crawling from
- * @param {object} options - Crawl options
- * @param {function} analyzePage - Function to analyze a page
- * @param {function} progressCallback - Callback for progress updates
+ * @param {object} options - Crawl options (see DEFAULT_OPTIONS)
+ * @param {function} analyzePage - Called with { url, finalUrl, depth, statusCode, headers,
+ *                                 contentType, html, $, links, responseTime } for every HTML
+ *                                 page; the fields it returns are merged into the page result
+ * @param {function} progressCallback - Called after every page with crawl progress and
+ *                                      `page`, the record just finished (null if aborted)
  * @returns {Promise<object>} - Crawl results
+ * @throws {Error} - The error of a progressCallback or onCheckpoint that threw or rejected
  */
-async function crawlSite(startUrl, options = {}, analyzePage, progressCallback = () => {}) {
+async function crawlSite(startUrl, options = {}, analyzePage = () => ({}), progressCallback = () => {}) {
   // Merge options with defaults
   const config = { ...DEFAULT_OPTIONS, ...options };
-  
-  // Normalize start URL
-  const normalizedStartUrl = normalizeUrl(startUrl, config.ignoreQuery);
-  
-  // Initialize state
-  const urlsToCrawl = [{ url: normalizedStartUrl, depth: 0 }];
-  const crawledUrls = new Set();
-  const failedUrls = new Set();
-  const robotsCache = {};
-  const pageResults = [];
-  const crawlStart = Date.now();
-  
-  let pagesDiscovered = 0;
-  let pagesCrawled = 0;
-  let maxDepthReached = 0;
-  
-  console.log(`Starting crawl of ${normalizedStartUrl} with max ${config.maxPages} pages at depth ${config.maxDepth}`);
-  
-  // Ensure analyzePage function exists
-  if (typeof analyzePage !== 'function') {
-    throw new Error('analyzePage function is required');
+  config.concurrency = Math.min(Math.max(parseInt(config.concurrency, 10) || 1, 1), MAX_CONCURRENCY);
+
+  const normalizedStartUrl = normalizeUrl(startUrl);
+  if (!normalizedStartUrl) {
+    throw new Error(`Invalid start URL: ${startUrl}`);
   }
-  
-  // Process the queue
-  while (urlsToCrawl.length > 0 && pagesCrawled < config.maxPages) {
-    // Process multiple pages in parallel (limited by concurrency)
-    const batch = urlsToCrawl.splice(0, Math.min(config.concurrency, urlsToCrawl.length));
-    
-    // Update progress
-    progressCallback({
-      pagesDiscovered,
+
+  const include = compilePatterns(config.include);
+  const exclude = compilePatterns(config.exclude);
+  // Initialize state, carried over from an earlier run when resuming
+  const resume = config.resumeState || {};
+  let hostname = resume.hostname || new URL(normalizedStartUrl).hostname;
+  let isInternalHost = hostMatcher(hostname, config.includeSubdomains);
+  let isSameSite = hostMatcher(hostname, true);
+
+  const queue = (resume.queue || []).slice();
+  const seen = new Set(resume.seen || []);
+  const inFlight = new Map();
+  const pages = [];
+  const skipped = (resume.skipped || []).slice();
+  const skippedCounts = { robots: 0, include: 0, exclude: 0, media: 0, subdomain: 0, query: 0, ...resume.skippedCounts };
+  const rewriteQuery = queryRewriter(config);
+  const queryRewritten = new Set(resume.queryRewritten || []);
+  const crawlStart = Date.now();
+
+  let active = 0;
+  let pagesCrawled = resume.pagesCrawled || 0;
+  let pagesFailed = resume.pagesFailed || 0;
+  let reserved = pagesCrawled + pagesFailed; // Pages fetched or being fetched
+  let maxDepthReached = resume.maxDepthReached || 0;
+  let checkpointedPages = 0;
+  let failure = null; // First error from a callback; stops the crawl and fails it
+
+  const aborted = () => Boolean(config.signal && config.signal.aborted);
+  const fail = error => {
+    if (!failure) failure = error;
+  };
+
+  const robots = config.respectRobots
+    ? await loadRobots(normalizedStartUrl, config)
+    : { parser: null, info: null };
+
+  logger.info('Starting crawl', { url: normalizedStartUrl, maxPages: config.maxPages, maxDepth: config.maxDepth });
+
+  /**
+   * Snapshot everything needed to resume the crawl
+   * @returns {object} - Serializable crawl state
+   */
+  function snapshot() {
+    return {
+      hostname,
+      queue: [...inFlight.values(), ...queue],
+      seen: Array.from(seen),
+      queryRewritten: Array.from(queryRewritten),
+      skipped: skipped.slice(),
+      skippedCounts: { ...skippedCounts },
       pagesCrawled,
+      pagesFailed,
       maxDepthReached,
-      remaining: urlsToCrawl.length,
-      inProgress: batch.length,
-      percentComplete: Math.min(100, Math.round((pagesCrawled / config.maxPages) * 100))
-    });
-    
-    // Process batch in parallel
-    const batchPromises = batch.map(async ({ url, depth }) => {
-      // Track max depth
-      maxDepthReached = Math.max(maxDepthReached, depth);
-      
-      // Mark as crawled to avoid duplicates
-      crawledUrls.add(url);
-      
-      // Check robots.txt if enabled
-      if (config.respectRobots) {
-        const allowed = await isAllowedByRobots(url, robotsCache, config.userAgent);
-        if (!allowed) {
-          console.log(`Skipping ${url} - disallowed by robots.txt`);
-          return null;
-        }
+      crawlDuration: (resume.crawlDuration || 0) + (Date.now() - crawlStart)
+    };
+  }
+
+  // Resolves when onCheckpoint's promise, if it returns one, settles
+  function checkpoint(final = false) {
+    if (typeof config.onCheckpoint !== 'function') return Promise.resolve();
+    if (!final && checkpointedPages === pages.length) return Promise.resolve();
+    const newPages = pages.slice(checkpointedPages);
+    checkpointedPages = pages.length;
+    return Promise.resolve(config.onCheckpoint(snapshot(), newPages));
+  }
+
+  function skip(url, reason) {
+    skippedCounts[reason]++;
+    if (skipped.length < MAX_SKIPPED_LISTED) {
+      skipped.push({ url, reason });
+    }
+  }
+
+  /**
+   * Queue a URL if it is new, in scope and allowed
+   * Filters run in a fixed order and each removed URL is counted once,
+   * against the first filter that removed it.
+   * @param {string} link - Normalized URL
+   * @param {number} depth - Link depth
+   * @param {boolean} isStart - Start URL, exempt from include/exclude
+   */
+  function enqueue(link, depth, isStart = false) {
+    if (!link || depth > config.maxDepth) return;
+
+    // Links off the site entirely are external, not filtered
+    const parsed = new URL(rewriteQuery(link));
+    if (!isSameSite(parsed.hostname)) return;
+
+    const url = parsed.href;
+    if (url !== link && !queryRewritten.has(link)) {
+      queryRewritten.add(link);
+      // A variant that collapses onto a known URL is a removed duplicate
+      if (seen.has(url)) skippedCounts.query++;
+    }
+    if (seen.has(url)) return;
+    seen.add(url);
+
+    if (!isInternalHost(parsed.hostname)) return skip(url, 'subdomain');
+
+    const path = parsed.pathname + parsed.search;
+    if (!isStart) {
+      if (config.skipMedia && MEDIA_EXTENSIONS.includes(parsed.pathname.split('.').pop().toLowerCase())) {
+        return skip(url, 'media');
+      }
+      if (include.length > 0 && !include.some(pattern => pattern.test(path))) {
+        return skip(url, 'include');
       }
-      
+      if (exclude.some(pattern => pattern.test(path))) {
+        return skip(url, 'exclude');
+      }
+    }
+    if (robots.parser && robots.parser.isAllowed(url, config.userAgent) === false) {
+      return skip(url, 'robots');
+    }
+
+    queue.push({ url, depth });
+  }
+
+  /**
+   * Fetch, analyze and extract links from one queued URL
+   * @param {object} item - { url, depth }
+   * @returns {Promise<object|null>} - Page record, null when aborted mid-fetch
+   */
+  async function processItem({ url, depth }) {
+    const fetchStart = Date.now();
+    maxDepthReached = Math.max(maxDepthReached, depth);
+
+    try {
+      const response = await fetchPage(url, config);
+      const responseTime = Date.now() - fetchStart;
+      const finalUrl = normalizeUrl((response.request && response.request.res && response.request.res.responseUrl) || url);
+      const contentType = response.headers['content-type'] || '';
+
+      // The redirect target is the same page, don't crawl it again
+      if (finalUrl !== url) seen.add(finalUrl);
+
+      // Follow a start URL that redirects to another host (e.g. example.com -> www.example.com)
+      if (url === normalizedStartUrl && new URL(finalUrl).hostname !== hostname) {
+        hostname = new URL(finalUrl).hostname;
+        isInternalHost = hostMatcher(hostname, config.includeSubdomains);
+        isSameSite = hostMatcher(hostname, true);
+      }
+
+      const page = {
+        url,
+        finalUrl,
+        depth,
+        statusCode: response.status,
+        contentType,
+        responseTime
+      };
+
+      if (response.status >= 400) {
+        page.error = `Request failed with status code ${response.status}`;
+        pagesFailed++;
+        countPage('failed');
+        pages.push(page);
+        return page;
+      }
+
+      if (!contentType.includes('html') || typeof response.data !== 'string') {
+        page.skippedAnalysis = 'non-html';
+        pagesCrawled++;
+        countPage('crawled');
+        pages.push(page);
+        return page;
+      }
+
+      const $ = cheerio.load(response.data);
+      const sameHost = isInternalHost(new URL(finalUrl).hostname);
+      const links = extractLinks($, finalUrl, isInternalHost);
+
+      let analysis = {};
       try {
-        // Fetch the page with retry logic
-        let response = null;
-        let retries = 0;
-        
-        while (retries <= config.maxRetries && !response) {
-          try {
-            response = await axios.get(url, {
-              timeout: config.timeout,
-              maxRedirects: config.followRedirects ? 5 : 0,
-              headers: {
-                'User-Agent': config.userAgent,
-                'Accept': 'text/html,application/xhtml+xml',
-                'Accept-Language': 'en-US,en;q=0.5'
-              }
-            });
-          } catch (error) {
-            retries++;
-            
-            if (retries > config.maxRetries) {
-              throw error;
-            }
-            
-            // Wait before retrying
-            await new Promise(resolve => setTimeout(resolve, 1000));
-          }
-        }
-        
-        // Parse the HTML
-        const $ = cheerio.load(response.data);
-        
-        // Extract links
-        const links = extractLinks($, url);
-        
-        // Analyze the page
-        const analysisResult = await analyzePage(url, $, response);
-        
-        // Add result to pageResults
-        pageResults.push({
+        analysis = await analyzePage({
           url,
+          finalUrl,
           depth,
-          ...analysisResult,
-          linksFound: {
-            internal: links.internal.length,
-            external: links.external.length
-          }
-        });
-        
-        // Increment counters
-        pagesCrawled++;
-        
-        // If we haven't reached max depth, add internal links to queue
-        if (depth < config.maxDepth) {
-          // Filter and normalize links
-          const newLinks = links.internal
-            .map(link => normalizeUrl(link, config.ignoreQuery))
-            .filter(link => !crawledUrls.has(link) && !urlsToCrawl.some(item => item.url === link) && !failedUrls.has(link));
-          
-          // Add to queue
-          for (const link of newLinks) {
-            urlsToCrawl.push({ url: link, depth: depth + 1 });
-            pagesDiscovered++;
-          }
-        }
-        
-        // Respect crawl delay
-        await new Promise(resolve => setTimeout(resolve, config.delay));
-        
-        return { success: true, url };
+          statusCode: response.status,
+          headers: response.headers,
+          contentType,
+          html: response.data,
+          $,
+          links,
+          responseTime
+        }) || {};
       } catch (error) {
-        // Track failed URLs
-        failedUrls.add(url);
-        
-        console.error(`Failed to crawl ${url}: ${error.message}`);
-        
-        return { 
-          success: false,
-          url,
-          error: error.message
-        };
+        logger.warn('Analyzer failed', { url, error: error.message });
+        analysis = { analysisError: error.message };
+      }
+
+      const record = {
+        ...page,
+        ...analysis,
+        internalLinks: sameHost ? links.internal : [],
+        linksFound: {
+          internal: links.internal.length,
+          external: links.external.length
+        }
+      };
+      pages.push(record);
+      pagesCrawled++;
+      countPage('crawled');
+      logger.debug('Crawled page', { url, status: page.statusCode, depth, durationMs: responseTime });
+
+      // Pages redirected off the host don't contribute links
+      if (sameHost && depth < config.maxDepth) {
+        links.internal.forEach(link => enqueue(link, depth + 1));
+        // Subdomain links are external here but are counted by the subdomain filter
+        if (!config.includeSubdomains) links.external.forEach(link => enqueue(link, depth + 1));
       }
-    });
-    
-    // Wait for batch to complete
-    const batchResults = await Promise.all(batchPromises);
-    
-    // Filter out null results (skipped due to robots.txt)
-    const failedBatchUrls = batchResults
-      .filter(result => result && !result.success)
-      .map(result => result.url);
-    
-    // Track failures
-    for (const failedUrl of failedBatchUrls) {
-      failedUrls.add(failedUrl);
+      return record;
+    } catch (error) {
+      // Aborted mid-fetch: leave it in the frontier for a resumed crawl
+      if (aborted()) {
+        queue.unshift({ url, depth });
+        reserved--;
+        return null;
+      }
+      logger.warn('Failed to crawl page', { url, depth, durationMs: Date.now() - fetchStart, error: error.message });
+      pagesFailed++;
+      countPage('failed');
+      const record = {
+        url,
+        finalUrl: null,
+        depth,
+        statusCode: error.response ? error.response.status : null,
+        responseTime: Date.now() - fetchStart,
+        error: error.message,
+        errorCode: targetError(error, url).code
+      };
+      pages.push(record);
+      return record;
+    } finally {
+      if (config.delay > 0) await sleep(config.delay);
     }
   }
-  
-  // Calculate crawl duration
-  const crawlEnd = Date.now();
-  const crawlDuration = (crawlEnd - crawlStart) / 1000; // in seconds
-  
-  // Return results
+
+  enqueue(normalizedStartUrl, 0, true);
+  (config.seedUrls || []).forEach(seedUrl => enqueue(normalizeUrl(seedUrl, normalizedStartUrl), 1));
+
+  // Worker pool: keep up to `concurrency` requests in flight until the queue drains
+  // A callback that throws or rejects stops new fetches; the crawl fails once
+  // the pages in flight finish
+  await new Promise((resolve, reject) => {
+    function pump() {
+      while (active < config.concurrency && queue.length > 0 && reserved < config.maxPages && !aborted() && !failure) {
+        const item = queue.shift();
+        active++;
+        reserved++;
+        inFlight.set(item.url, item);
+
+        processItem(item).finally(() => {
+          active--;
+          inFlight.delete(item.url);
+        }).then(page => {
+          if (pages.length - checkpointedPages >= config.checkpointInterval) checkpoint().catch(fail);
+          // Not waited for, but a rejection fails the crawl
+          Promise.resolve(progressCallback({
+            pagesDiscovered: seen.size,
+            pagesCrawled,
+            pagesFailed,
+            maxDepthReached,
+            remaining: queue.length,
+            inProgress: active,
+            lastUrl: item.url,
+            page,
+            percentComplete: Math.min(100, Math.round((reserved / config.maxPages) * 100))
+          })).catch(fail);
+        }).catch(fail).then(pump);
+      }
+
+      if (active === 0) {
+        if (failure) reject(failure);
+        else resolve();
+      }
+    }
+
+    pump();
+  });
+
+  // Final checkpoint so the stored state matches the returned one
+  await checkpoint(true);
+  // A callback's rejection that arrived after the last page
+  if (failure) throw failure;
+  const state = snapshot();
+  logger.info('Crawl finished', {
+    url: normalizedStartUrl,
+    pagesCrawled,
+    pagesFailed,
+    durationMs: Date.now() - crawlStart
+  });
+
   return {
     startUrl: normalizedStartUrl,
-    results: pageResults,
+    pages,
+    skipped,
+    robotsTxt: robots.info,
     stats: {
-      pagesDiscovered,
+      pagesDiscovered: seen.size,
       pagesCrawled,
-      pagesFailed: failedUrls.size,
+      pagesFailed,
+      pagesSkipped: skippedCounts,
       maxDepthReached,
-      crawlDuration
-    }
+      crawlDuration: state.crawlDuration,
+      // Every reachable page within the limits was fetched
+      complete: queue.length === 0 && !aborted(),
+      aborted: aborted()
+    },
+    state
   };
 }
 
 module.exports = {
   crawlSite,
   normalizeUrl,
-  DEFAULT_OPTIONS
+  queryRewriter,
+  compilePatterns,
+  validateCrawlOptions,
+  extractLinks,
+  DEFAULT_OPTIONS,
+  MAX_CONCURRENCY
 };
@@ -0,0 +1,192 @@
+/**
+ * Errors
+ * The error model every endpoint answers with:
+ *
+ *   { status: 'error', code, message, details, requestId, timestamp }
+ *
+ * `code` is machine-readable and decides the HTTP status (ERROR_STATUS).
+ * Failures fetching the audited site are reported with TARGET_* codes and
+ * the upstream details (status code, network error code) in `details`.
+ */
+
+const crypto = require('crypto');
+
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  INVALID_URL: 400,
+  URL_BLOCKED: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  // The target can't be audited as it is
+  BLOCKED_BY_ROBOTS: 422,
+  TARGET_HTTP_4XX: 422,
+  TARGET_NOT_HTML: 422,
+  TARGET_NO_CONTENT: 422,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  INTERNAL_ERROR: 500,
+  // The target failed to answer properly
+  TARGET_DNS_FAILURE: 502,
+  TARGET_CONNECTION_FAILED: 502,
+  TARGET_TLS_FAILURE: 502,
+  TARGET_HTTP_5XX: 502,
+  TARGET_TOO_LARGE: 502,
+  TARGET_TOO_MANY_REDIRECTS: 502,
+  TARGET_FETCH_FAILED: 502,
+  SERVER_BUSY: 503,
+  SERVICE_UNAVAILABLE: 503,
+  TARGET_TIMEOUT: 504
+};
+
+// Code for error responses sent without one
+const DEFAULT_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'TARGET_FETCH_FAILED',
+  503: 'SERVICE_UNAVAILABLE',
+  504: 'TARGET_TIMEOUT'
+};
+
+class ApiError extends Error {
+  /**
+   * @param {string} code - One of ERROR_STATUS
+   * @param {string} message - Human-readable message
+   * @param {Object} details - Extra machine-readable details
+   */
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.statusCode = ERROR_STATUS[code] || 500;
+    this.details = details;
+  }
+}
+
+const DNS_ERRORS = ['ENOTFOUND', 'EAI_AGAIN', 'ENODATA', 'EAI_FAIL'];
+const TIMEOUT_ERRORS = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+/**
+ * Describe a failure fetching an audited URL
+ * @param {Error} error - Axios or network error (or a BlockedUrlError)
+ * @param {string} url - URL that was fetched
+ * @returns {ApiError}
+ */
+function targetError(error, url) {
+  if (error instanceof ApiError) return error;
+
+  // Axios' own codes for HTTP errors (ERR_BAD_REQUEST) add nothing to the status
+  const cause = error.response ? null : error.code || null;
+  const details = { url, upstreamStatus: error.response ? error.response.status : null, cause };
+
+  if (error.code === 'URL_BLOCKED') {
+    return new ApiError('URL_BLOCKED', error.message, details);
+  }
+  if (error.response) {
+    const status = error.response.status;
+    return status >= 500
+      ? new ApiError('TARGET_HTTP_5XX', `${url} responded with HTTP ${status}`, details)
+      : new ApiError('TARGET_HTTP_4XX', `${url} responded with HTTP ${status}`, details);
+  }
+  if (DNS_ERRORS.includes(cause)) {
+    return new ApiError('TARGET_DNS_FAILURE', `Domain not found: ${url}. Please check if the website URL is correct.`, details);
+  }
+  if (TIMEOUT_ERRORS.includes(cause) || /timeout/i.test(error.message)) {
+    return new ApiError('TARGET_TIMEOUT', `Request timed out for ${url}. The website may be slow or unreachable.`, details);
+  }
+  if (CONNECTION_ERRORS.includes(cause)) {
+    return new ApiError('TARGET_CONNECTION_FAILED', `Could not connect to ${url}: ${error.message}`, details);
+  }
+  if (/CERT|SSL|TLS|SELF_SIGNED|UNABLE_TO_VERIFY/.test(cause || '')) {
+    return new ApiError('TARGET_TLS_FAILURE', `TLS error connecting to ${url}: ${error.message}`, details);
+  }
+  if (cause === 'ERR_FR_TOO_MANY_REDIRECTS') {
+    return new ApiError('TARGET_TOO_MANY_REDIRECTS', `Too many redirects from ${url}`, details);
+  }
+  if (/maxContentLength/.test(error.message)) {
+    return new ApiError('TARGET_TOO_LARGE', `Response from ${url} is too large`, details);
+  }
+  return new ApiError('TARGET_FETCH_FAILED', `Failed to fetch ${url}: ${error.message}`, details);
+}
+
+// Request IDs accepted from callers; anything else is replaced by a new one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give a request its ID and make its error responses follow the error model
+ * The ID comes from the caller's X-Request-Id header when it has a usable one
+ * (so a request can be followed across services) and is sent back in the same
+ * header. Error bodies sent with res.json get the request ID, and a code from
+ * their HTTP status when they don't name one. Safe to call more than once.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ */
+function prepareErrorEnvelope(req, res) {
+  if (req.id) return;
+  const incoming = req.headers && req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (body && body.status === 'error') {
+      const { status, code, message, timestamp, ...fields } = body;
+      body = {
+        status,
+        code: code || DEFAULT_CODES[res.statusCode] || 'INTERNAL_ERROR',
+        message,
+        ...fields,
+        requestId: req.id,
+        timestamp: timestamp || new Date().toISOString()
+      };
+    }
+    return json(body);
+  };
+}
+
+/**
+ * Send an error response
+ * ApiErrors keep their code, status and details; anything else is an
+ * internal error, with its message only outside production.
+ * @param {Object} res - Response
+ * @param {Error} error - Error to report
+ * @param {Object} extra - More fields for the body
+ */
+function sendError(res, error, extra = {}) {
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({
+      status: 'error',
+      code: error.code,
+      message: error.message,
+      ...(error.details ? { details: error.details } : {}),
+      ...extra,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return res.status(500).json({
+    status: 'error',
+    code: 'INTERNAL_ERROR',
+    message: 'Internal server error',
+    error: process.env.NODE_ENV === 'production' ? 'An unexpected error occurred' : error.message,
+    ...extra,
+    timestamp: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  ERROR_STATUS,
+  ApiError,
+  targetError,
+  prepareErrorEnvelope,
+  sendError
+};
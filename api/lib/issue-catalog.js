@@ -0,0 +1,816 @@
+/**
+ * Issue Catalogue
+ * Single source of truth for every issue the analyzers and crawlers report.
+ * Each entry has a stable id, default severity, category, human title,
+ * explanation and fix guidance. Analyzers build issues with createIssue()
+ * so every endpoint emits the same ids and the same shape.
+ */
+
+const SEVERITY_IMPACT = {
+  critical: 'high',
+  warning: 'medium',
+  info: 'low'
+};
+
+const issues = {
+  // Metadata
+  missing_title: {
+    category: 'metadata',
+    severity: 'critical',
+    title: 'Page is missing a title tag',
+    explanation: 'The title tag is the main headline shown in search results and browser tabs.',
+    fix: 'Add a unique, descriptive title tag (50-60 characters)'
+  },
+  short_title: {
+    category: 'metadata',
+    severity: 'warning',
+    title: 'Title tag is too short',
+    explanation: 'Short titles give search engines and users little context about the page.',
+    fix: 'Expand title to 50-60 characters for better visibility',
+    aliases: ['title_too_short']
+  },
+  long_title: {
+    category: 'metadata',
+    severity: 'warning',
+    title: 'Title tag is too long and may be truncated',
+    explanation: 'Search engines typically display the first 50-60 characters of a title.',
+    fix: 'Shorten title to 50-60 characters',
+    aliases: ['title_too_long', 'long_titles']
+  },
+  generic_title: {
+    category: 'metadata',
+    severity: 'info',
+    title: 'Title tag is generic',
+    explanation: 'Titles such as "Home" or "Untitled" do not describe the page content.',
+    fix: 'Write a title that describes this specific page'
+  },
+  missing_description: {
+    category: 'metadata',
+    severity: 'critical',
+    title: 'Page is missing a meta description',
+    explanation: 'The meta description is often used as the snippet in search results and affects click-through rate.',
+    fix: 'Add a compelling meta description (150-160 characters)',
+    aliases: ['missing_meta_description', 'missing_meta_descriptions']
+  },
+  short_description: {
+    category: 'metadata',
+    severity: 'warning',
+    title: 'Meta description is too short',
+    explanation: 'Short descriptions waste the space available in the search snippet.',
+    fix: 'Expand meta description to 150-160 characters',
+    aliases: ['description_too_short']
+  },
+  long_description: {
+    category: 'metadata',
+    severity: 'warning',
+    title: 'Meta description is too long and may be truncated',
+    explanation: 'Search engines truncate descriptions longer than about 160 characters.',
+    fix: 'Shorten meta description to 150-160 characters',
+    aliases: ['description_too_long']
+  },
+  generic_description: {
+    category: 'metadata',
+    severity: 'info',
+    title: 'Meta description is generic',
+    explanation: 'Boilerplate descriptions are often ignored and replaced by search engines.',
+    fix: 'Write a description that summarises this specific page'
+  },
+  missing_canonical: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Page is missing a canonical URL',
+    explanation: 'Without a canonical link search engines have to guess which URL variant to index.',
+    fix: 'Add a canonical link tag to prevent duplicate content issues'
+  },
+  invalid_canonical: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Canonical URL is invalid',
+    explanation: 'Search engines ignore canonical links that cannot be parsed as absolute URLs.',
+    fix: 'Use a valid absolute URL in the canonical link tag'
+  },
+  non_self_canonical: {
+    category: 'technical',
+    severity: 'info',
+    title: 'Canonical URL points to a different page',
+    explanation: 'This page asks search engines to index another URL instead of itself.',
+    fix: 'Confirm the canonical target is intentional, otherwise point it at this page'
+  },
+  canonical_target_error: {
+    category: 'technical',
+    severity: 'critical',
+    title: 'Canonical URL is broken',
+    explanation: 'Search engines ignore a canonical that points at an error page or an unreachable URL.',
+    fix: 'Point the canonical link at a live page that returns 200'
+  },
+  canonical_target_redirects: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Canonical URL redirects',
+    explanation: 'A canonical that redirects sends mixed signals; search engines may ignore it.',
+    fix: 'Point the canonical link at the final URL instead of one that redirects'
+  },
+  canonical_chain: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Canonical URL has a different canonical of its own',
+    explanation: 'Canonical chains are often not followed, so the intended page may not be the one indexed.',
+    fix: 'Point the canonical link directly at the final canonical URL'
+  },
+  canonical_target_noindex: {
+    category: 'technical',
+    severity: 'critical',
+    title: 'Canonical URL is noindexed',
+    explanation: 'The page asks search engines to index a URL that asks not to be indexed, so neither may appear in results.',
+    fix: 'Remove noindex from the canonical target or point the canonical at an indexable page'
+  },
+  noindex: {
+    category: 'metadata',
+    severity: 'warning',
+    title: 'Page is marked noindex',
+    explanation: 'A noindex robots directive keeps the page out of search results.',
+    fix: 'Remove the noindex directive if the page should appear in search results'
+  },
+  nofollow: {
+    category: 'metadata',
+    severity: 'info',
+    title: 'Page is marked nofollow',
+    explanation: 'A nofollow robots directive stops search engines following links on this page.',
+    fix: 'Remove the nofollow directive unless links on this page should not pass authority'
+  },
+  missing_og_tags: {
+    category: 'metadata',
+    severity: 'info',
+    title: 'Open Graph tags are missing',
+    explanation: 'Open Graph tags control how the page looks when shared on social networks.',
+    fix: 'Add og:title, og:description, og:image and og:url tags'
+  },
+  missing_twitter_card: {
+    category: 'metadata',
+    severity: 'info',
+    title: 'Twitter card tags are missing',
+    explanation: 'Twitter card tags control how the page looks when shared on X/Twitter.',
+    fix: 'Add twitter:card, twitter:title and twitter:description tags'
+  },
+
+  // Content
+  low_word_count: {
+    category: 'content',
+    severity: 'warning',
+    title: 'Page has very little content',
+    explanation: 'Thin pages rarely rank because they give search engines little to understand.',
+    fix: 'Add more substantive content (aim for 300+ words)',
+    aliases: ['thin_content']
+  },
+  missing_h1: {
+    category: 'content',
+    severity: 'critical',
+    title: 'Page is missing an H1 heading',
+    explanation: 'The H1 tells users and search engines what the page is about.',
+    fix: 'Add a clear H1 heading that describes the page content',
+    aliases: ['missing_h1s']
+  },
+  multiple_h1: {
+    category: 'content',
+    severity: 'warning',
+    title: 'Page has multiple H1 headings',
+    explanation: 'Several H1s dilute the main topic signal of the page.',
+    fix: 'Use only one H1 heading per page',
+    aliases: ['multiple_h1s']
+  },
+  h1_different_from_title: {
+    category: 'content',
+    severity: 'info',
+    title: 'H1 heading does not match the title',
+    explanation: 'An H1 unrelated to the title sends mixed signals about the page topic.',
+    fix: 'Align the H1 and title around the same primary topic'
+  },
+  skipped_heading_level: {
+    category: 'content',
+    severity: 'info',
+    title: 'Heading levels are skipped',
+    explanation: 'Jumping from e.g. H2 to H4 breaks the document outline used by assistive technology.',
+    fix: 'Use heading levels in order without skipping'
+  },
+  empty_link_text: {
+    category: 'content',
+    severity: 'warning',
+    title: 'Links have no anchor text',
+    explanation: 'Anchor text tells users and search engines what the linked page is about.',
+    fix: 'Give every link descriptive text or an aria-label'
+  },
+  generic_link_text: {
+    category: 'content',
+    severity: 'info',
+    title: 'Links use generic anchor text',
+    explanation: 'Text such as "click here" or "read more" carries no information about the target.',
+    fix: 'Replace generic anchor text with text describing the destination'
+  },
+  no_links: {
+    category: 'content',
+    severity: 'warning',
+    title: 'Page has no links',
+    explanation: 'Pages without links are dead ends for users and crawlers.',
+    fix: 'Link to related pages on the site'
+  },
+  excessive_external_links: {
+    category: 'content',
+    severity: 'info',
+    title: 'Page has a large number of external links',
+    explanation: 'Many outbound links can look spammy and leak link authority.',
+    fix: 'Review outbound links and keep only those useful to readers'
+  },
+  missing_structured_data: {
+    category: 'content',
+    severity: 'info',
+    title: 'Page has no structured data',
+    explanation: 'Structured data makes a page eligible for rich results.',
+    fix: 'Add schema.org markup (preferably JSON-LD) describing the page'
+  },
+
+  // User experience
+  images_without_alt: {
+    category: 'userExperience',
+    severity: 'warning',
+    title: 'Images are missing alt text',
+    explanation: 'Alt text describes images to screen readers and image search.',
+    fix: 'Add descriptive alt text to all images for accessibility',
+    aliases: ['images_missing_alt', 'missing_alt_text']
+  },
+  images_missing_dimensions: {
+    category: 'userExperience',
+    severity: 'info',
+    title: 'Images are missing width and height',
+    explanation: 'Images without dimensions cause layout shifts while the page loads.',
+    fix: 'Set width and height attributes on images'
+  },
+  images_not_lazy_loaded: {
+    category: 'userExperience',
+    severity: 'info',
+    title: 'Images are not lazy loaded',
+    explanation: 'Loading off-screen images up front slows down the initial page load.',
+    fix: 'Add loading="lazy" to images below the fold'
+  },
+
+  // Technical
+  unknown_status: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Page status code is unknown',
+    explanation: 'The crawler could not determine the HTTP status of the page.',
+    fix: 'Check that the page responds with a valid HTTP status'
+  },
+  error_status: {
+    category: 'technical',
+    severity: 'critical',
+    title: 'Page returned an error status code',
+    explanation: 'Pages returning 4xx or 5xx cannot be indexed.',
+    fix: 'Fix the page or redirect it to a working URL'
+  },
+  non_standard_status: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Page returned a non-standard status code',
+    explanation: 'Unusual status codes may be handled unpredictably by search engines.',
+    fix: 'Return 200 for content pages'
+  },
+  redirect: {
+    category: 'technical',
+    severity: 'info',
+    title: 'Page redirects',
+    explanation: 'Internal links to redirecting URLs waste crawl budget and slow users down.',
+    fix: 'Link directly to the final destination URL'
+  },
+  non_permanent_redirect: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Page uses a temporary redirect',
+    explanation: 'Temporary redirects (302/307) may not pass ranking signals to the target.',
+    fix: 'Use a 301 or 308 redirect for permanent moves'
+  },
+  redirect_chain: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Page is reached through a redirect chain',
+    explanation: 'Every extra redirect adds a round trip for users, and crawlers may stop following long chains.',
+    fix: 'Redirect straight to the final URL in a single hop'
+  },
+  redirect_loop: {
+    category: 'technical',
+    severity: 'critical',
+    title: 'Redirects loop back to an earlier URL',
+    explanation: 'A chain that returns to a URL it already passed through can trap crawlers and browsers, who give up after a few hops.',
+    fix: 'Fix the redirect rules so every URL redirects towards the final page only'
+  },
+  redirect_flip_flop: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Redirects switch protocol or host back and forth',
+    explanation: 'Chains such as http to https and back, or www to the bare domain and back, come from conflicting redirect rules and waste hops.',
+    fix: 'Make the server, CDN and application agree on one protocol and host'
+  },
+  high_ttfb: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Server response time is slow',
+    explanation: 'A slow time to first byte delays every other part of page loading.',
+    fix: 'Improve server response time with caching, a CDN or faster hosting'
+  },
+  slow_dom_content_loaded: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'DOMContentLoaded is slow',
+    explanation: 'Render-blocking scripts and styles delay when the page becomes usable.',
+    fix: 'Defer non-critical scripts and inline critical CSS'
+  },
+  slow_page_load: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Page load is slow',
+    explanation: 'Slow pages lose visitors and rank lower on mobile.',
+    fix: 'Reduce page weight and the number of requests'
+  },
+  url_too_long: {
+    category: 'technical',
+    severity: 'info',
+    title: 'URL is too long',
+    explanation: 'Long URLs are hard to share and may be truncated in search results.',
+    fix: 'Use shorter, descriptive URLs'
+  },
+  url_has_parameters: {
+    category: 'technical',
+    severity: 'info',
+    title: 'URL contains query parameters',
+    explanation: 'Parameterised URLs can create duplicate content.',
+    fix: 'Use clean URLs or canonicalise parameter variants'
+  },
+  url_uppercase: {
+    category: 'technical',
+    severity: 'info',
+    title: 'URL contains uppercase letters',
+    explanation: 'URLs are case sensitive, so mixed case can create duplicates.',
+    fix: 'Use lowercase URLs'
+  },
+  url_special_chars: {
+    category: 'technical',
+    severity: 'info',
+    title: 'URL contains special characters',
+    explanation: 'Special characters must be encoded and make URLs hard to read.',
+    fix: 'Use only letters, numbers and hyphens in URLs'
+  },
+  url_multiple_slashes: {
+    category: 'technical',
+    severity: 'info',
+    title: 'URL contains repeated slashes',
+    explanation: 'Repeated slashes usually indicate broken URL generation and create duplicates.',
+    fix: 'Remove repeated slashes from URLs'
+  },
+  page_not_https: {
+    category: 'technical',
+    severity: 'critical',
+    title: 'Page is not served over HTTPS',
+    explanation: 'Browsers mark HTTP pages as not secure and HTTPS is a search ranking signal.',
+    fix: 'Serve the site over HTTPS and redirect every http:// URL to it'
+  },
+  http_not_redirected: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'HTTP version of the page does not redirect to HTTPS',
+    explanation: 'When the http:// address answers on its own, visitors and links can land on the insecure copy and search engines see duplicates.',
+    fix: 'Redirect every http:// URL to its https:// equivalent with a 301'
+  },
+  missing_hsts: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'HTTPS page has no Strict-Transport-Security header',
+    explanation: 'Without HSTS browsers still try http:// first, which can be intercepted before the redirect to HTTPS.',
+    fix: 'Send "Strict-Transport-Security: max-age=31536000; includeSubDomains"'
+  },
+  weak_hsts: {
+    category: 'technical',
+    severity: 'info',
+    title: 'Strict-Transport-Security header is weak',
+    explanation: 'A max-age under a year or a policy that leaves out subdomains protects less, and does not qualify for the HSTS preload list.',
+    fix: 'Use a max-age of at least 31536000 with includeSubDomains, and add preload to join the preload list'
+  },
+  x_robots_noindex: {
+    category: 'technical',
+    severity: 'critical',
+    title: 'X-Robots-Tag header blocks indexing',
+    explanation: 'A noindex or none directive in the X-Robots-Tag HTTP header keeps the page out of search results, even though the HTML does not show it.',
+    fix: 'Remove noindex from the X-Robots-Tag header if the page should appear in search results'
+  },
+  x_robots_nofollow: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'X-Robots-Tag header blocks link following',
+    explanation: 'A nofollow directive in the X-Robots-Tag HTTP header stops search engines from following the links on the page.',
+    fix: 'Remove nofollow from the X-Robots-Tag header unless the links must not be crawled'
+  },
+  unexpected_content_type: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Page is not served as HTML',
+    explanation: 'Search engines and browsers rely on the Content-Type header; pages served as another type may not be parsed as HTML.',
+    fix: 'Serve pages with "Content-Type: text/html; charset=utf-8"'
+  },
+  missing_charset: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Page does not declare a character encoding',
+    explanation: 'Without a charset browsers guess the encoding, which can garble non-ASCII text.',
+    fix: 'Add charset=utf-8 to the Content-Type header or <meta charset="utf-8"> at the top of the head'
+  },
+  uncompressed_html: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'HTML is served uncompressed',
+    explanation: 'HTML shrinks by 60-80% with gzip or Brotli; uncompressed pages take longer to download.',
+    fix: 'Enable gzip or Brotli compression for HTML on the server or CDN'
+  },
+  missing_vary_accept_encoding: {
+    category: 'technical',
+    severity: 'info',
+    title: 'Compressed response is missing Vary: Accept-Encoding',
+    explanation: 'Without it, shared caches may serve the compressed page to clients that did not ask for compression.',
+    fix: 'Send "Vary: Accept-Encoding" with compressed responses'
+  },
+  missing_cache_headers: {
+    category: 'technical',
+    severity: 'info',
+    title: 'Page has no caching headers',
+    explanation: 'Without Cache-Control, Expires, ETag or Last-Modified, browsers and CDNs guess how long to keep the page and cannot revalidate it cheaply.',
+    fix: 'Send a Cache-Control header and an ETag or Last-Modified validator'
+  },
+  missing_content_security_policy: {
+    category: 'technical',
+    severity: 'info',
+    title: 'Page has no Content-Security-Policy',
+    explanation: 'A Content Security Policy limits where scripts and other resources load from, blunting cross-site scripting.',
+    fix: 'Add a Content-Security-Policy header, starting in report-only mode'
+  },
+  missing_frame_protection: {
+    category: 'technical',
+    severity: 'info',
+    title: 'Page can be framed by other sites',
+    explanation: 'Without X-Frame-Options or a CSP frame-ancestors directive, other sites can embed the page for clickjacking.',
+    fix: 'Send "X-Frame-Options: SAMEORIGIN" or "Content-Security-Policy: frame-ancestors \'self\'"'
+  },
+  mixed_content: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'HTTPS page loads resources over HTTP',
+    explanation: 'Browsers block insecure scripts, stylesheets and frames on HTTPS pages and warn about insecure images and media, which can break the page.',
+    fix: 'Load every resource over https:// or with a protocol-relative URL'
+  },
+  sitemap_not_found: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'No XML sitemap found',
+    explanation: 'Neither robots.txt nor /sitemap.xml points to a sitemap, so search engines rely on links alone to discover pages.',
+    fix: 'Publish an XML sitemap and reference it from robots.txt with a Sitemap: line'
+  },
+  sitemap_fetch_failed: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Sitemap could not be fetched',
+    explanation: 'A sitemap referenced by the site returned an error or did not respond.',
+    fix: 'Make sure every referenced sitemap URL returns 200 with XML content'
+  },
+  sitemap_invalid_xml: {
+    category: 'technical',
+    severity: 'critical',
+    title: 'Sitemap is not a valid XML sitemap',
+    explanation: 'The file has no <urlset> or <sitemapindex> root element, so search engines cannot read it.',
+    fix: 'Serve a sitemap that follows the sitemaps.org protocol'
+  },
+  sitemap_too_large: {
+    category: 'technical',
+    severity: 'critical',
+    title: 'Sitemap exceeds 50MB uncompressed',
+    explanation: 'Search engines ignore sitemap files larger than 50MB (52,428,800 bytes) uncompressed.',
+    fix: 'Split the sitemap into several files and list them in a sitemap index'
+  },
+  sitemap_too_many_urls: {
+    category: 'technical',
+    severity: 'critical',
+    title: 'Sitemap lists more than 50,000 URLs',
+    explanation: 'A single sitemap file may list at most 50,000 URLs; the rest are ignored.',
+    fix: 'Split the sitemap into several files and list them in a sitemap index'
+  },
+  sitemap_empty: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Sitemap lists no URLs',
+    explanation: 'An empty sitemap gives search engines nothing to discover.',
+    fix: 'Populate the sitemap with the canonical URLs of the site or remove the reference'
+  },
+  sitemap_nested_index: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Sitemap index references another sitemap index',
+    explanation: 'Sitemap indexes may only list sitemaps, not other indexes.',
+    fix: 'Reference the child sitemaps directly from a single sitemap index'
+  },
+  sitemap_invalid_url: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Sitemap contains invalid URLs',
+    explanation: 'Entries must be absolute, fully qualified http(s) URLs.',
+    fix: 'Use absolute URLs including the protocol in every <loc>'
+  },
+  sitemap_cross_host_url: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Sitemap lists URLs on a different host',
+    explanation: 'URLs in a sitemap must be on the same host as the sitemap unless cross-submission is verified.',
+    fix: 'Only list URLs on the host the sitemap is served from'
+  },
+  sitemap_invalid_lastmod: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Sitemap has invalid lastmod dates',
+    explanation: 'lastmod must use the W3C Datetime format (e.g. 2024-05-01 or 2024-05-01T10:00:00+00:00) or it is ignored.',
+    fix: 'Use W3C Datetime values in <lastmod>'
+  },
+  sitemap_duplicate_url: {
+    category: 'technical',
+    severity: 'info',
+    title: 'Sitemap lists the same URL more than once',
+    explanation: 'Duplicate entries waste sitemap capacity and suggest generation problems.',
+    fix: 'List each URL once'
+  },
+  sitemap_not_in_robots: {
+    category: 'technical',
+    severity: 'info',
+    title: 'Sitemap is not referenced in robots.txt',
+    explanation: 'Search engines other than those you submit to directly find sitemaps through robots.txt.',
+    fix: 'Add a Sitemap: line with the sitemap URL to robots.txt'
+  },
+  robots_txt_not_found: {
+    category: 'technical',
+    severity: 'info',
+    title: 'robots.txt not found',
+    explanation: 'Without robots.txt every crawler may fetch every URL and has no pointer to your sitemaps.',
+    fix: 'Add a robots.txt at the site root, at least with a Sitemap: line'
+  },
+  robots_txt_fetch_failed: {
+    category: 'technical',
+    severity: 'critical',
+    title: 'robots.txt could not be fetched',
+    explanation: 'Search engines treat a robots.txt that fails with a server error as a temporary full disallow and may stop crawling the site.',
+    fix: 'Make sure /robots.txt returns 200 or 404, never a 5xx or a timeout'
+  },
+  robots_syntax_error: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'robots.txt has lines that cannot be parsed',
+    explanation: 'Lines that are not a "field: value" pair are ignored by crawlers.',
+    fix: 'Rewrite the lines as "Directive: value" or turn them into # comments'
+  },
+  robots_unknown_directive: {
+    category: 'technical',
+    severity: 'info',
+    title: 'robots.txt uses unsupported directives',
+    explanation: 'Directives outside the robots exclusion standard (such as Noindex) are ignored by major search engines.',
+    fix: 'Remove the directives or replace them with supported ones (Allow, Disallow, Sitemap)'
+  },
+  robots_rule_outside_group: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'robots.txt rules appear before any User-agent line',
+    explanation: 'Allow and Disallow rules only apply inside a User-agent group; rules before the first group are ignored.',
+    fix: 'Add a User-agent line above the rules'
+  },
+  robots_conflicting_rules: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'robots.txt has conflicting Allow and Disallow rules',
+    explanation: 'The same path is both allowed and disallowed for a user-agent; crawlers resolve the conflict differently.',
+    fix: 'Keep a single rule for each path'
+  },
+  robots_blocks_all: {
+    category: 'technical',
+    severity: 'critical',
+    title: 'robots.txt blocks the whole site',
+    explanation: 'A "Disallow: /" rule for every crawler stops search engines from crawling any page.',
+    fix: 'Remove "Disallow: /" unless the site must stay out of search results'
+  },
+  robots_blocked_resources: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'robots.txt blocks CSS or JavaScript files',
+    explanation: 'Search engines need CSS and JavaScript to render pages; blocked resources can hide content and break mobile checks.',
+    fix: 'Allow crawling of the CSS and JavaScript files used by your pages'
+  },
+  robots_crawl_delay: {
+    category: 'technical',
+    severity: 'info',
+    title: 'robots.txt sets a crawl-delay',
+    explanation: 'Crawl-delay slows down Bing and other crawlers; Google ignores it.',
+    fix: 'Remove crawl-delay unless the server cannot handle crawler traffic'
+  },
+  robots_invalid_crawl_delay: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'robots.txt has an invalid crawl-delay',
+    explanation: 'Crawl-delay must be a non-negative number of seconds.',
+    fix: 'Use a number such as "Crawl-delay: 5"'
+  },
+  robots_invalid_sitemap_url: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'robots.txt references an invalid sitemap URL',
+    explanation: 'Sitemap lines must contain an absolute http(s) URL.',
+    fix: 'Use the full URL of the sitemap, e.g. "Sitemap: https://example.com/sitemap.xml"'
+  },
+  robots_no_sitemap: {
+    category: 'technical',
+    severity: 'info',
+    title: 'robots.txt does not reference a sitemap',
+    explanation: 'A Sitemap line lets every crawler find your sitemap without manual submission.',
+    fix: 'Add a Sitemap: line with the sitemap URL'
+  },
+  oversized_bundle: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Page loads oversized JavaScript or CSS bundles',
+    explanation: 'Large scripts and stylesheets take long to download and parse, delaying rendering and interactivity, most of all on mobile.',
+    fix: 'Split bundles by route, remove unused code and load non-critical scripts with defer or async'
+  },
+  uncompressed_text_resource: {
+    category: 'technical',
+    severity: 'warning',
+    title: 'Text resources are served uncompressed',
+    explanation: 'HTML, CSS, JavaScript, JSON and SVG shrink by 60-80% with gzip or Brotli; sending them uncompressed wastes bandwidth.',
+    fix: 'Enable gzip or Brotli compression for text responses on the server or CDN'
+  },
+  short_cache_lifetime: {
+    category: 'technical',
+    severity: 'info',
+    title: 'Static resources lack long-lived cache headers',
+    explanation: 'Without a long max-age, returning visitors download scripts, styles, images and fonts again.',
+    fix: 'Serve fingerprinted static files with "Cache-Control: public, max-age=31536000, immutable"'
+  },
+  analysis_error: {
+    category: 'technical',
+    severity: 'critical',
+    title: 'Page could not be analyzed',
+    explanation: 'An error occurred while fetching or analyzing the page.',
+    fix: 'Check that the page is reachable and returns HTML',
+    aliases: ['error']
+  },
+
+  // Mobile
+  missing_viewport: {
+    category: 'mobile',
+    severity: 'critical',
+    title: 'Page is missing a viewport meta tag',
+    explanation: 'Without a viewport tag mobile browsers render the page at desktop width.',
+    fix: 'Add a viewport meta tag with content="width=device-width, initial-scale=1"'
+  },
+  incomplete_viewport: {
+    category: 'mobile',
+    severity: 'warning',
+    title: 'Viewport does not set width=device-width',
+    explanation: 'The page will not adapt to the width of the device.',
+    fix: 'Add width=device-width to your viewport meta tag'
+  },
+  missing_scale: {
+    category: 'mobile',
+    severity: 'warning',
+    title: 'Viewport does not set initial-scale',
+    explanation: 'Without initial-scale=1 some browsers zoom the page on load.',
+    fix: 'Add initial-scale=1 to your viewport meta tag'
+  },
+  small_font: {
+    category: 'mobile',
+    severity: 'warning',
+    title: 'Text is too small on mobile',
+    explanation: 'Text under 12px forces mobile users to zoom to read.',
+    fix: 'Increase minimum font size to at least 12px for mobile readability'
+  },
+  small_tap_targets: {
+    category: 'mobile',
+    severity: 'warning',
+    title: 'Tap targets are too small',
+    explanation: 'Buttons and links smaller than 44x44px are hard to tap accurately.',
+    fix: 'Increase size of buttons and links to at least 44x44px for better tappability'
+  },
+  few_small_tap_targets: {
+    category: 'mobile',
+    severity: 'info',
+    title: 'Some tap targets are small',
+    explanation: 'A few buttons or links are smaller than the recommended 44x44px.',
+    fix: 'Consider increasing size of some smaller buttons and links for better mobile usability'
+  },
+  horizontal_scroll: {
+    category: 'mobile',
+    severity: 'critical',
+    title: 'Page scrolls horizontally on mobile',
+    explanation: 'Fixed-width layouts overflow the screen on small devices.',
+    fix: 'Remove fixed width containers and horizontal scrolling to improve mobile experience'
+  },
+  no_media_queries: {
+    category: 'mobile',
+    severity: 'warning',
+    title: 'No responsive media queries found',
+    explanation: 'Without media queries the layout cannot adapt to different screen sizes.',
+    fix: 'Add CSS media queries to create a responsive design'
+  },
+  few_media_queries: {
+    category: 'mobile',
+    severity: 'info',
+    title: 'Few responsive media queries found',
+    explanation: 'Only a handful of breakpoints may leave some device sizes poorly served.',
+    fix: 'Consider adding more media queries to improve responsiveness across different device sizes'
+  },
+  uses_flash: {
+    category: 'mobile',
+    severity: 'critical',
+    title: 'Page uses Flash',
+    explanation: 'Flash is not supported by mobile devices or modern browsers.',
+    fix: 'Remove Flash content as mobile devices do not support it'
+  },
+  potentially_not_mobile_friendly: {
+    category: 'mobile',
+    severity: 'warning',
+    title: 'Page may not be mobile friendly',
+    explanation: 'The page lacks signals of a responsive layout.',
+    fix: 'Add a viewport meta tag and a responsive layout'
+  }
+};
+
+// Legacy id -> canonical id
+const aliases = {};
+Object.entries(issues).forEach(([id, definition]) => {
+  (definition.aliases || []).forEach(alias => {
+    aliases[alias] = id;
+  });
+});
+
+/**
+ * Map a legacy or canonical issue id to its canonical id
+ * @param {string} id - Issue id
+ * @returns {string} - Canonical id (unchanged if unknown)
+ */
+function resolveIssueId(id) {
+  return aliases[id] || id;
+}
+
+/**
+ * Get the catalogue entry for an issue id
+ * @param {string} id - Canonical or legacy issue id
+ * @returns {Object|null} - Definition including its canonical id
+ */
+function getIssueDefinition(id) {
+  const canonicalId = resolveIssueId(id);
+  const definition = issues[canonicalId];
+  if (!definition) return null;
+
+  const { aliases: _aliases, ...rest } = definition;
+  return { id: canonicalId, ...rest };
+}
+
+/**
+ * Build an issue object that references the catalogue
+ * @param {string} id - Issue id
+ * @param {Object} fields - Per-occurrence fields (message, details, severity override...)
+ * @returns {Object} - Issue with id, type, category, severity, impact, title, message and recommendation
+ */
+function createIssue(id, fields = {}) {
+  const definition = getIssueDefinition(id);
+  if (!definition) {
+    throw new Error(`Unknown issue id: ${id}`);
+  }
+
+  const severity = fields.severity || definition.severity;
+
+  return {
+    message: definition.title,
+    recommendation: definition.fix,
+    ...fields,
+    id: definition.id,
+    type: definition.id,
+    category: definition.category,
+    severity,
+    impact: SEVERITY_IMPACT[severity],
+    title: definition.title
+  };
+}
+
+/**
+ * List the whole catalogue
+ * @returns {Array<Object>} - All issue definitions
+ */
+function listIssues() {
+  return Object.keys(issues).map(getIssueDefinition);
+}
+
+module.exports = {
+  SEVERITY_IMPACT,
+  resolveIssueId,
+  getIssueDefinition,
+  createIssue,
+  listIssues
+};
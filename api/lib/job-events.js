@@ -0,0 +1,40 @@
+/**
+ * Job Events
+ * In-process event bus for job progress; the job runner publishes and
+ * Server-Sent Events streams subscribe per job
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+// One listener per open stream, no fixed limit
+emitter.setMaxListeners(0);
+
+/**
+ * Publish an event for a job
+ * @param {string} jobId - Job ID
+ * @param {string} type - Event type (status, progress, page, summary)
+ * @param {Object} data - Event payload
+ */
+function publish(jobId, type, data = {}) {
+  emitter.emit(jobId, {
+    type,
+    data: { jobId, ...data, timestamp: new Date().toISOString() }
+  });
+}
+
+/**
+ * Listen to the events of a job
+ * @param {string} jobId - Job ID
+ * @param {function} listener - Called with { type, data }
+ * @returns {function} - Removes the listener
+ */
+function subscribe(jobId, listener) {
+  emitter.on(jobId, listener);
+  return () => emitter.off(jobId, listener);
+}
+
+module.exports = {
+  publish,
+  subscribe
+};
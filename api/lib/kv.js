@@ -0,0 +1,177 @@
+/**
+ * Key-Value Store
+ * Durable records (jobs, webhooks) kept in Redis, with a process-local
+ * fallback when Redis is not configured (local development). Collections that
+ * several requests change at once are hashes and lists, whose commands are
+ * atomic, rather than arrays rewritten whole.
+ */
+
+const redis = require('./redis.optimized');
+
+// Process-local fallback store
+const localStore = new Map();
+
+// Process-local counters: key -> { value, expiresAt }, swept of expired entries
+// every COUNTER_SWEEP_INTERVAL increments so per-client counters don't pile up
+const localCounters = new Map();
+const COUNTER_SWEEP_INTERVAL = 1000;
+let incrementsSinceSweep = 0;
+
+/**
+ * Store a value
+ * @param {string} key - Key
+ * @param {any} value - JSON-serializable value
+ * @param {number} ttl - Expiration in seconds
+ * @returns {Promise<boolean>}
+ * @throws {Error} - When Redis rejects the write
+ */
+async function save(key, value, ttl) {
+  if (!redis.isRedisConfigured) {
+    localStore.set(key, value);
+    return true;
+  }
+  const saved = await redis.setCache(key, value, ttl, { memory: false });
+  if (!saved) throw new Error(`Failed to save ${key}`);
+  return true;
+}
+
+/**
+ * Load a value
+ * Read from Redis every time, never the memory cache: records change on other
+ * instances (a job paused there, a key revoked) and must not be read stale.
+ * @param {string} key - Key
+ * @returns {Promise<any|null>}
+ */
+async function load(key) {
+  if (!redis.isRedisConfigured) {
+    return localStore.has(key) ? localStore.get(key) : null;
+  }
+  return redis.getCache(key, { memory: false });
+}
+
+/**
+ * Delete a value
+ * @param {string} key - Key
+ * @returns {Promise<void>}
+ */
+async function remove(key) {
+  localStore.delete(key);
+  if (redis.isRedisConfigured) await redis.deleteCache(key);
+}
+
+/**
+ * Store one entry of a hash
+ * @param {string} key - Hash key
+ * @param {string} field - Entry name
+ * @param {any} value - JSON-serializable value
+ * @param {number} ttl - Expiration of the whole hash in seconds
+ * @returns {Promise<boolean>}
+ * @throws {Error} - When Redis rejects the write
+ */
+async function saveEntry(key, field, value, ttl) {
+  if (!redis.isRedisConfigured) {
+    if (!localStore.has(key)) localStore.set(key, new Map());
+    localStore.get(key).set(field, value);
+    return true;
+  }
+  const saved = await redis.hashSet(key, field, value, ttl);
+  if (!saved) throw new Error(`Failed to save ${key} ${field}`);
+  return true;
+}
+
+/**
+ * Delete one entry of a hash
+ * @param {string} key - Hash key
+ * @param {string} field - Entry name
+ * @returns {Promise<boolean>} - Whether it existed
+ * @throws {Error} - When Redis rejects the delete
+ */
+async function removeEntry(key, field) {
+  if (!redis.isRedisConfigured) {
+    return localStore.has(key) && localStore.get(key).delete(field);
+  }
+  const removed = await redis.hashDelete(key, field);
+  if (removed === null) throw new Error(`Failed to delete ${key} ${field}`);
+  return removed;
+}
+
+/**
+ * All entries of a hash
+ * @param {string} key - Hash key
+ * @returns {Promise<Array>} - Values, in no particular order
+ */
+async function loadEntries(key) {
+  if (!redis.isRedisConfigured) {
+    return localStore.has(key) ? Array.from(localStore.get(key).values()) : [];
+  }
+  return (await redis.hashValues(key)) || [];
+}
+
+/**
+ * Add a value to the front of a list, dropping entries beyond maxLength
+ * @param {string} key - List key
+ * @param {any} value - JSON-serializable value
+ * @param {number} maxLength - Entries to keep
+ * @param {number} ttl - Expiration of the whole list in seconds
+ * @returns {Promise<boolean>}
+ * @throws {Error} - When Redis rejects the write
+ */
+async function prepend(key, value, maxLength, ttl) {
+  if (!redis.isRedisConfigured) {
+    localStore.set(key, [value, ...(localStore.get(key) || [])].slice(0, maxLength));
+    return true;
+  }
+  const saved = await redis.listPush(key, value, maxLength, ttl);
+  if (!saved) throw new Error(`Failed to save ${key}`);
+  return true;
+}
+
+/**
+ * All entries of a list, front first
+ * @param {string} key - List key
+ * @returns {Promise<Array>}
+ */
+async function loadList(key) {
+  if (!redis.isRedisConfigured) {
+    return localStore.get(key) || [];
+  }
+  return (await redis.listRange(key)) || [];
+}
+
+/**
+ * Atomically add to a counter that expires at a fixed time
+ * @param {string} key - Counter key
+ * @param {number} amount - Amount to add; 0 reads the current value
+ * @param {number} expiresAt - Unix time in seconds when the counter expires
+ * @returns {Promise<number|null>} - New value, or null if the store is unavailable
+ */
+async function increment(key, amount, expiresAt) {
+  if (redis.isRedisConfigured) {
+    return redis.incrementCounter(key, amount, expiresAt);
+  }
+
+  const now = Date.now() / 1000;
+  if (++incrementsSinceSweep >= COUNTER_SWEEP_INTERVAL) {
+    incrementsSinceSweep = 0;
+    localCounters.forEach((counter, counterKey) => {
+      if (counter.expiresAt <= now) localCounters.delete(counterKey);
+    });
+  }
+
+  const current = localCounters.get(key);
+  const value = (current && current.expiresAt > now ? current.value : 0) + amount;
+  localCounters.set(key, { value, expiresAt });
+  return value;
+}
+
+module.exports = {
+  save,
+  load,
+  remove,
+  saveEntry,
+  removeEntry,
+  loadEntries,
+  prepend,
+  loadList,
+  increment
+};
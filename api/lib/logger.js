@@ -0,0 +1,99 @@
+/**
+ * Logger
+ * Structured logs, one JSON object per line:
+ *
+ *   {"level":"info","timestamp":"...","message":"Request completed","requestId":"...","durationMs":42}
+ *
+ * Entries pick up the fields of the context they are written in (request ID,
+ * crawl job ID, target URL), so code deep inside an analyzer doesn't need to
+ * be handed them. LOG_LEVEL (debug, info, warn, error) sets the lowest level
+ * written; info by default.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contexts = new AsyncLocalStorage();
+
+function threshold() {
+  return LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+}
+
+// Errors don't serialize to JSON on their own
+function serialize(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.statusCode ? { statusCode: value.statusCode } : {}),
+      stack: value.stack
+    };
+  }
+  return value;
+}
+
+/**
+ * Run a function with fields added to every entry logged inside it,
+ * including from callbacks and promises it starts
+ * @param {Object} fields - Context fields (requestId, jobId, url...)
+ * @param {Function} fn - Function to run
+ * @returns {any} - What fn returns
+ */
+function runWithContext(fields, fn) {
+  return contexts.run({ ...(contexts.getStore() || {}), ...fields }, fn);
+}
+
+/**
+ * Fields of the current context
+ * @returns {Object}
+ */
+function getContext() {
+  return contexts.getStore() || {};
+}
+
+function write(level, message, fields, bound) {
+  if (LEVELS[level] < threshold()) return;
+
+  const entry = {
+    level,
+    timestamp: new Date().toISOString(),
+    message,
+    ...getContext(),
+    ...bound
+  };
+  Object.entries(fields || {}).forEach(([name, value]) => {
+    if (value !== undefined) entry[name] = serialize(value);
+  });
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    line = JSON.stringify({ level, timestamp: entry.timestamp, message, logError: error.message });
+  }
+  (level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Make a logger that adds fixed fields to its entries
+ * @param {Object} bound - Fields for every entry
+ * @returns {Object} - { debug, info, warn, error, child }, each method taking (message, fields)
+ */
+function createLogger(bound = {}) {
+  return {
+    debug: (message, fields) => write('debug', message, fields, bound),
+    info: (message, fields) => write('info', message, fields, bound),
+    warn: (message, fields) => write('warn', message, fields, bound),
+    error: (message, fields) => write('error', message, fields, bound),
+    child: fields => createLogger({ ...bound, ...fields })
+  };
+}
+
+module.exports = {
+  LEVELS,
+  ...createLogger(),
+  runWithContext,
+  getContext
+};
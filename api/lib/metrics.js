@@ -0,0 +1,159 @@
+/**
+ * Metrics
+ * Counters, gauges and histograms kept in memory and served at /metrics in the
+ * Prometheus text format (version 0.0.4). Each process reports its own values;
+ * Prometheus adds them up across instances.
+ *
+ * Gauges are read when metrics are scraped, from a function the owning module
+ * registers, so modules don't need to report every change.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const registry = [];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Series are keyed by their label values in the metric's label order
+function seriesKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function seriesLabels(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+}
+
+function register(metric) {
+  if (registry.some(item => item.name === metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Create a counter
+ * @param {string} name - Metric name, ending in _total
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} - { inc(labels, amount) }
+ */
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+    lines() {
+      return Array.from(series, ([key, value]) => `${name}${formatLabels(seriesLabels(labelNames, key))} ${value}`);
+    }
+  });
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name, usually ending in _seconds
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds, ascending
+ * @returns {Object} - { observe(labels, value) }
+ */
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels = {}, value) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+    lines() {
+      const lines = [];
+      series.forEach((entry, key) => {
+        const labels = seriesLabels(labelNames, key);
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+      });
+      return lines;
+    }
+  });
+}
+
+/**
+ * Create a gauge read when metrics are scraped
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Function} collect - Returns (or resolves to) a number, or an array of
+ *   { labels, value } for a gauge with labels
+ * @returns {Object}
+ */
+function gauge(name, help, collect) {
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    async lines() {
+      const result = await collect();
+      const values = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+      return values.map(({ labels, value }) => `${name}${formatLabels(labels || {})} ${Number(value) || 0}`);
+    }
+  });
+}
+
+/**
+ * Time an operation for a histogram
+ * @returns {Function} - Returns the seconds elapsed since startTimer was called
+ */
+function startTimer() {
+  const start = process.hrtime.bigint();
+  return () => Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+/**
+ * Every metric in the Prometheus text format
+ * A gauge that fails to collect is left out rather than failing the scrape.
+ * @returns {Promise<string>}
+ */
+async function render() {
+  const blocks = await Promise.all(registry.map(async metric => {
+    let lines;
+    try {
+      lines = await metric.lines();
+    } catch (error) {
+      return '';
+    }
+    return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines].join('\n');
+  }));
+  return `${blocks.filter(Boolean).join('\n')}\n`;
+}
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  DEFAULT_BUCKETS,
+  counter,
+  histogram,
+  gauge,
+  startTimer,
+  render
+};
@@ -0,0 +1,1181 @@
+/**
+ * OpenAPI Document
+ * Describes every endpoint the server answers, served at /openapi.json and
+ * used by the request validator, so the parameters documented here are the
+ * ones requests are checked against. Paths are listed without the /api
+ * prefix; every path is also served under /api.
+ */
+
+const { EVENTS } = require('./webhooks');
+const { METRICS } = require('./api-keys');
+const { listProfiles } = require('./scoring-profiles');
+const { ERROR_STATUS } = require('./errors');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: { 'application/json': { schema } }
+});
+
+// Successful response in the standard envelope, with `data` described by dataSchema
+const ok = (description, dataSchema) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: { allOf: [ref('Envelope'), { type: 'object', properties: { data: dataSchema } }] }
+    }
+  }
+});
+
+// Shared error responses by status code
+const errors = (...codes) => Object.fromEntries(
+  codes.map(code => [code, { $ref: `#/components/responses/${{
+    400: 'BadRequest',
+    401: 'Unauthorized',
+    404: 'NotFound',
+    409: 'Conflict',
+    422: 'TargetUnusable',
+    429: 'TooManyRequests',
+    502: 'TargetFailed',
+    503: 'Busy',
+    504: 'TargetTimeout'
+  }[code]}` }])
+);
+
+const urlQuery = { $ref: '#/components/parameters/UrlQuery' };
+const idPath = { $ref: '#/components/parameters/IdPath' };
+
+// GET and POST variants of a single-page analyzer
+function analyzer({ summary, tag, description, dataSchema, query = [], options, response }) {
+  const bodyProperties = { url: { type: 'string', minLength: 1, description: 'Page to analyze' } };
+  if (options) bodyProperties.options = options;
+
+  const responses = {
+    200: response || ok(`${summary} result`, dataSchema),
+    ...errors(400, 401, 422, 429, 502, 503, 504),
+    500: { $ref: '#/components/responses/ServerError' }
+  };
+
+  return {
+    get: {
+      tags: [tag],
+      summary,
+      description,
+      parameters: [urlQuery, ...query],
+      responses
+    },
+    post: {
+      tags: [tag],
+      summary,
+      description,
+      requestBody: jsonBody({ type: 'object', required: ['url'], properties: bodyProperties }),
+      responses
+    }
+  };
+}
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const seoAnalyzerOptions = {
+  summary: 'Audit a page',
+  tag: 'Page audits',
+  description: 'Fetches a page and scores its metadata, content, technical and user experience checks. ' +
+    'Charged one page audit against the API key quota when it succeeds.',
+  dataSchema: ref('SeoAnalysis'),
+  query: [
+    { name: 'profile', in: 'query', description: 'Scoring profile', schema: ref('ProfileName') },
+    { name: 'enableRules', in: 'query', description: 'Comma-separated rule ids to run in addition to the defaults', schema: { type: 'string' } },
+    { name: 'disableRules', in: 'query', description: 'Comma-separated rule ids to skip', schema: { type: 'string' } },
+    { name: 'render', in: 'query', description: 'Analyze the page after its JavaScript has run', schema: { type: 'boolean', default: false } },
+    { name: 'performance', in: 'query', description: 'Also measure lab Core Web Vitals', schema: { type: 'boolean', default: false } }
+  ],
+  options: {
+    type: 'object',
+    properties: {
+      profile: ref('ProfileName'),
+      render: {
+        type: 'boolean',
+        default: false,
+        description: 'Analyze the DOM after JavaScript has run in headless Chromium, and compare it with the raw HTML'
+      },
+      performance: {
+        type: 'boolean',
+        default: false,
+        description: 'Also measure lab Core Web Vitals on a throttled phone (see /performance-analyze); they don\'t change the SEO score'
+      },
+      rules: {
+        type: 'object',
+        properties: {
+          enable: { ...stringList, description: 'Rule ids to run in addition to the defaults' },
+          disable: { ...stringList, description: 'Rule ids to skip' }
+        }
+      }
+    }
+  }
+};
+
+const crawlOptionProperties = {
+  maxDepth: { type: 'integer', minimum: 1, default: 2, description: 'Link depth from the start page' },
+  concurrency: { type: 'integer', minimum: 1, default: 3, description: 'Pages fetched at once' },
+  respectRobots: { type: 'boolean', default: true, description: 'Skip URLs robots.txt disallows' },
+  useSitemap: { type: 'boolean', default: true, description: 'Seed the crawl from the sitemaps and compare coverage' },
+  include: { oneOf: [{ type: 'string', minLength: 1 }, stringList], description: 'Only crawl paths matching these globs (prefix with regex: for a regular expression)' },
+  exclude: { oneOf: [{ type: 'string', minLength: 1 }, stringList], description: 'Never crawl paths matching these globs' },
+  stripQuery: { oneOf: [{ type: 'boolean' }, stringList], description: 'true drops query strings; an array drops the named parameters (globs)' },
+  allowedQueryParams: { ...stringList, nullable: true, description: 'Keep only these query parameters' },
+  includeSubdomains: { type: 'boolean', default: false, description: 'Treat subdomains of the start host as internal' }
+};
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Marden SEO Audit API',
+    version: '2.1.0',
+    description: 'SEO audits of single pages and whole sites. Every path is served both as shown and under /api. ' +
+      'Requests are validated against this document; invalid ones get a 400 listing the offending fields.'
+  },
+  servers: [{ url: '/' }, { url: '/api' }],
+  security: [{ apiKey: [] }],
+  tags: [
+    { name: 'Service' },
+    { name: 'Page audits' },
+    { name: 'Site audits' },
+    { name: 'Crawl jobs' },
+    { name: 'Webhooks' },
+    { name: 'Administration' }
+  ],
+  paths: {
+    '/': {
+      get: {
+        tags: ['Service'],
+        summary: 'Service information and endpoint list',
+        security: [],
+        responses: {
+          200: {
+            description: 'Service information',
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    service: { type: 'string' },
+                    status: { type: 'string' },
+                    endpoints: { type: 'array', items: { type: 'string' } },
+                    documentation: { type: 'string' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/health': {
+      get: {
+        tags: ['Service'],
+        summary: 'Health of the API and its Redis connection',
+        security: [],
+        responses: {
+          200: { description: 'Service is running', content: { 'application/json': { schema: { type: 'object' } } } },
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/health/live': {
+      get: {
+        tags: ['Service'],
+        summary: 'Liveness probe: the process is answering',
+        security: [],
+        responses: {
+          200: { description: 'Process is running', content: { 'application/json': { schema: { type: 'object' } } } }
+        }
+      }
+    },
+    '/health/ready': {
+      get: {
+        tags: ['Service'],
+        summary: 'Readiness probe: Redis, job queue backlog, heap headroom, Chromium and outbound DNS',
+        description: 'Required dependencies that are down fail readiness with 503. Optional ones (Chromium, a backlogged job queue) only make it degraded.',
+        security: [],
+        responses: {
+          200: { description: 'Ready (status ok) or ready without optional dependencies (status degraded)', content: { 'application/json': { schema: ref('Readiness') } } },
+          503: { description: 'A required dependency is unavailable', content: { 'application/json': { schema: { allOf: [ref('Error'), ref('Readiness')] } } } }
+        }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        tags: ['Service'],
+        summary: 'This document',
+        security: [],
+        responses: {
+          200: { description: 'OpenAPI 3 document', content: { 'application/json': { schema: { type: 'object' } } } }
+        }
+      }
+    },
+    '/metrics': {
+      get: {
+        tags: ['Service'],
+        summary: 'Prometheus metrics for the process that answers',
+        security: [],
+        responses: {
+          200: { description: 'Metrics in the Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } }
+        }
+      }
+    },
+    '/issue-catalog': {
+      get: {
+        tags: ['Service'],
+        summary: 'Issue ids, titles, severities and fix guidance',
+        security: [],
+        responses: {
+          200: ok('Issue catalogue', { type: 'array', items: { type: 'object' } })
+        }
+      }
+    },
+    '/seo-analyze': analyzer(seoAnalyzerOptions),
+    '/basic-audit': analyzer({ ...seoAnalyzerOptions, summary: 'Audit a page (alias of /seo-analyze)' }),
+    '/enhanced-seo-analyze': analyzer({ ...seoAnalyzerOptions, summary: 'Audit a page (alias of /seo-analyze)' }),
+    '/schema-analyze': analyzer({
+      summary: 'Analyze structured data',
+      tag: 'Page audits',
+      description: 'Finds JSON-LD, Microdata and RDFa on a page and validates it. Charged one page audit.',
+      dataSchema: ref('SchemaAnalysis')
+    }),
+    '/mobile-analyze': analyzer({
+      summary: 'Analyze mobile-friendliness',
+      tag: 'Page audits',
+      description: 'Checks the viewport, text sizes, tap targets and other mobile factors. Charged one page audit.',
+      dataSchema: ref('MobileAnalysis')
+    }),
+    '/performance-analyze': analyzer({
+      summary: 'Measure lab Core Web Vitals',
+      tag: 'Page audits',
+      description: 'Loads the page in headless Chromium, throttled like a mid-range phone on slow 4G by default, ' +
+        'and scores LCP, CLS, TBT, FCP and an INP proxy against Google\'s thresholds. Charged one page audit.',
+      dataSchema: ref('PerformanceAnalysis'),
+      query: [
+        { name: 'device', in: 'query', description: 'Device to emulate', schema: ref('Device') }
+      ],
+      options: {
+        type: 'object',
+        properties: {
+          device: ref('Device')
+        }
+      }
+    }),
+    '/resource-analyze': analyzer({
+      summary: 'Inventory page resources',
+      tag: 'Page audits',
+      description: 'Loads the page in headless Chromium and lists every request it makes, with type, first- or third-party origin, ' +
+        'transfer and decoded size, compression, cache lifetime and timing, plus issues for oversized bundles, ' +
+        'uncompressed text and short cache lifetimes. With format=har the HAR 1.2 log is returned instead of the envelope. ' +
+        'Charged one page audit.',
+      query: [
+        { name: 'format', in: 'query', description: 'json for the inventory, har for a HAR 1.2 download', schema: ref('ResourceFormat') }
+      ],
+      options: {
+        type: 'object',
+        properties: {
+          format: ref('ResourceFormat')
+        }
+      },
+      response: {
+        description: 'Resource inventory, or a HAR log with format=har',
+        content: {
+          'application/json': {
+            schema: {
+              oneOf: [
+                { allOf: [ref('Envelope'), { type: 'object', properties: { data: ref('ResourceInventory') } }] },
+                ref('Har')
+              ]
+            }
+          }
+        }
+      }
+    }),
+    '/full-site-crawl': {
+      post: {
+        tags: ['Site audits'],
+        summary: 'Crawl and audit a site in one request',
+        description: 'Crawls up to 500 pages and returns the site report. Charged one crawled page per page; ' +
+          'maxPages is capped to what is left of the quota. Use /crawl-jobs for larger sites.',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: { type: 'string', minLength: 1, description: 'Start page' },
+            options: {
+              type: 'object',
+              properties: {
+                maxPages: { type: 'integer', minimum: 1, default: 10, description: 'Pages to crawl (capped at 500)' },
+                ...crawlOptionProperties
+              }
+            }
+          }
+        }),
+        responses: {
+          200: ok('Site report', ref('CrawlReport')),
+          ...errors(400, 401, 422, 429, 502, 503, 504),
+          500: { $ref: '#/components/responses/ServerError' }
+        }
+      }
+    },
+    '/sitemap-analyze': {
+      get: {
+        tags: ['Site audits'],
+        summary: 'Discover and validate a site\'s sitemaps',
+        parameters: [
+          urlQuery,
+          { name: 'maxUrls', in: 'query', description: 'URLs to list (clamped to 1-10000, default 1000)', schema: { type: 'integer' } }
+        ],
+        responses: {
+          200: ok('Sitemap inventory', ref('SitemapAnalysis')),
+          ...errors(400, 401, 429, 503)
+        }
+      },
+      post: {
+        tags: ['Site audits'],
+        summary: 'Discover and validate a site\'s sitemaps',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: { type: 'string', minLength: 1 },
+            options: {
+              type: 'object',
+              properties: {
+                maxUrls: { type: 'integer', description: 'URLs to list (clamped to 1-10000, default 1000)' }
+              }
+            }
+          }
+        }),
+        responses: {
+          200: ok('Sitemap inventory', ref('SitemapAnalysis')),
+          ...errors(400, 401, 429, 503)
+        }
+      }
+    },
+    '/robots-analyze': {
+      get: {
+        tags: ['Site audits'],
+        summary: 'Analyze robots.txt and test URLs against it',
+        parameters: [
+          urlQuery,
+          { name: 'urls', in: 'query', description: 'Comma-separated URLs or paths to test', schema: { type: 'string' } },
+          { name: 'userAgent', in: 'query', description: 'User agent to test as', schema: { type: 'string', minLength: 1 } }
+        ],
+        responses: {
+          200: ok('robots.txt analysis', ref('RobotsAnalysis')),
+          ...errors(400, 401, 429, 503)
+        }
+      },
+      post: {
+        tags: ['Site audits'],
+        summary: 'Analyze robots.txt and test URLs against it',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: { type: 'string', minLength: 1 },
+            urls: { oneOf: [stringList, { type: 'string' }], description: 'URLs or paths to test (array or comma-separated)' },
+            userAgent: { type: 'string', minLength: 1 }
+          }
+        }),
+        responses: {
+          200: ok('robots.txt analysis', ref('RobotsAnalysis')),
+          ...errors(400, 401, 429, 503)
+        }
+      }
+    },
+    '/crawl-jobs': {
+      get: {
+        tags: ['Crawl jobs'],
+        summary: 'List the API key\'s crawl jobs',
+        responses: {
+          200: ok('Crawl jobs', { type: 'array', items: ref('CrawlJob') }),
+          ...errors(401, 429)
+        }
+      },
+      post: {
+        tags: ['Crawl jobs'],
+        summary: 'Start a background crawl',
+        description: 'Crawls in the background with checkpoints, so jobs survive restarts. Pages are charged as they are crawled.',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: { type: 'string', minLength: 1, description: 'Start page' },
+            options: {
+              type: 'object',
+              properties: {
+                maxPages: { type: 'integer', minimum: 1, maximum: 5000, default: 100 },
+                ...crawlOptionProperties
+              }
+            },
+            callbackUrl: { type: 'string', minLength: 1, description: 'URL sent the report when the job finishes' },
+            callbackSecret: { type: 'string', minLength: 16, description: 'Secret for signing the callback' }
+          }
+        }),
+        responses: {
+          202: ok('Crawl job created', ref('CrawlJob')),
+          ...errors(400, 401, 429)
+        }
+      }
+    },
+    '/crawl-jobs/{id}': {
+      get: {
+        tags: ['Crawl jobs'],
+        summary: 'Job status, with the report once completed',
+        parameters: [idPath],
+        responses: {
+          200: ok('Crawl job', {
+            allOf: [ref('CrawlJob'), {
+              type: 'object',
+              properties: {
+                interrupted: { type: 'boolean' },
+                result: { allOf: [ref('CrawlReport')], nullable: true }
+              }
+            }]
+          }),
+          ...errors(401, 404, 429)
+        }
+      }
+    },
+    '/crawl-jobs/{id}/pages': {
+      get: {
+        tags: ['Crawl jobs'],
+        summary: 'Pages a job has crawled so far',
+        parameters: [
+          idPath,
+          { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+          { name: 'limit', in: 'query', description: 'Pages to return (clamped to 1-200)', schema: { type: 'integer', default: 100 } }
+        ],
+        responses: {
+          200: ok('Page of results', {
+            type: 'object',
+            properties: {
+              offset: { type: 'integer' },
+              limit: { type: 'integer' },
+              total: { type: 'integer' },
+              pages: { type: 'array', items: ref('CrawledPage') }
+            }
+          }),
+          ...errors(401, 404, 429)
+        }
+      }
+    },
+    '/crawl-jobs/{id}/pause': {
+      post: {
+        tags: ['Crawl jobs'],
+        summary: 'Pause a job; a running one stops at its next checkpoint',
+        parameters: [idPath],
+        responses: {
+          200: ok('Queued job paused', ref('CrawlJob')),
+          202: ok('Running job pausing', ref('CrawlJob')),
+          ...errors(401, 404, 409, 429)
+        }
+      }
+    },
+    '/crawl-jobs/{id}/resume': {
+      post: {
+        tags: ['Crawl jobs'],
+        summary: 'Resume a paused, failed or interrupted job from its last checkpoint',
+        parameters: [idPath],
+        responses: { 202: ok('Crawl job', ref('CrawlJob')), ...errors(401, 404, 409, 429) }
+      }
+    },
+    '/crawl-jobs/{id}/extend': {
+      post: {
+        tags: ['Crawl jobs'],
+        summary: 'Raise a job\'s page limit and crawl on',
+        parameters: [idPath],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['maxPages'],
+          properties: {
+            maxPages: { type: 'integer', minimum: 1, maximum: 5000, description: 'New limit, higher than the current one' }
+          }
+        }),
+        responses: { 202: ok('Crawl job', ref('CrawlJob')), ...errors(400, 401, 404, 409, 429) }
+      }
+    },
+    '/crawl-jobs/{id}/deliveries': {
+      get: {
+        tags: ['Crawl jobs'],
+        summary: 'Webhook deliveries for a job',
+        parameters: [idPath],
+        responses: {
+          200: ok('Crawl job with its deliveries', {
+            allOf: [ref('CrawlJob'), {
+              type: 'object',
+              properties: { deliveries: { type: 'array', items: ref('WebhookDelivery') } }
+            }]
+          }),
+          ...errors(401, 404, 429)
+        }
+      }
+    },
+    '/job/{id}/events': {
+      get: {
+        tags: ['Crawl jobs'],
+        summary: 'Live job progress as Server-Sent Events',
+        description: 'Streams snapshot, progress, page, checkpoint and completed/failed/paused events for a crawl job, ' +
+          'or state, progress, status and end events for a queued audit job. ' +
+          'EventSource can\'t send headers, so the API key may be passed as ?apiKey=.',
+        parameters: [
+          idPath,
+          { name: 'apiKey', in: 'query', description: 'API key, for clients that can\'t send headers', schema: { type: 'string' } }
+        ],
+        responses: {
+          200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+          ...errors(401, 404, 429)
+        }
+      }
+    },
+    '/webhooks': {
+      get: {
+        tags: ['Webhooks'],
+        summary: 'List the API key\'s webhook subscriptions',
+        responses: {
+          200: ok('Subscriptions', { type: 'array', items: ref('WebhookSubscription') }),
+          ...errors(401, 429)
+        }
+      },
+      post: {
+        tags: ['Webhooks'],
+        summary: 'Subscribe to job events',
+        description: 'Subscriptions registered with an API key receive events for that key\'s crawl jobs. ' +
+          'Queued audit jobs (/job/{id}) have no owning key or callback, so only subscriptions created ' +
+          'without an API key receive their events.',
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: { type: 'string', minLength: 1, description: 'https URL the events are posted to' },
+            events: { type: 'array', minItems: 1, items: ref('WebhookEvent'), description: 'Defaults to every event' },
+            secret: { type: 'string', minLength: 16, description: 'Signing secret; generated when omitted' },
+            minScoreDrop: { type: 'number', minimum: 0, maximum: 100, default: 5, description: 'Smallest score drop that sends score.dropped' }
+          }
+        }),
+        responses: {
+          201: ok('Subscription, with its secret', ref('WebhookSubscription')),
+          ...errors(400, 401, 429)
+        }
+      }
+    },
+    '/webhooks/deliveries': {
+      get: {
+        tags: ['Webhooks'],
+        summary: 'Recent deliveries, newest first',
+        parameters: [
+          { name: 'jobId', in: 'query', schema: { type: 'string' } },
+          { name: 'subscriptionId', in: 'query', schema: { type: 'string' } },
+          { name: 'event', in: 'query', schema: ref('WebhookEvent') },
+          { name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'succeeded', 'failed'] } }
+        ],
+        responses: {
+          200: ok('Deliveries', { type: 'array', items: ref('WebhookDelivery') }),
+          ...errors(400, 401, 429)
+        }
+      }
+    },
+    '/webhooks/deliveries/{id}': {
+      get: {
+        tags: ['Webhooks'],
+        summary: 'One delivery with its payload and attempts',
+        parameters: [idPath],
+        responses: { 200: ok('Delivery', ref('WebhookDelivery')), ...errors(401, 404, 429) }
+      }
+    },
+    '/webhooks/{id}': {
+      get: {
+        tags: ['Webhooks'],
+        summary: 'One subscription',
+        parameters: [idPath],
+        responses: { 200: ok('Subscription', ref('WebhookSubscription')), ...errors(401, 404, 429) }
+      },
+      delete: {
+        tags: ['Webhooks'],
+        summary: 'Unsubscribe',
+        parameters: [idPath],
+        responses: {
+          200: ok('Subscription deleted', { type: 'object', properties: { id: { type: 'string' } } }),
+          ...errors(401, 404, 429)
+        }
+      }
+    },
+    '/admin/api-keys': {
+      get: {
+        tags: ['Administration'],
+        summary: 'List API keys',
+        security: [{ adminKey: [] }],
+        responses: {
+          200: ok('API keys', { type: 'array', items: ref('ApiKey') }),
+          ...errors(401, 429)
+        }
+      },
+      post: {
+        tags: ['Administration'],
+        summary: 'Issue an API key',
+        description: 'The key itself is only returned in this response.',
+        security: [{ adminKey: [] }],
+        requestBody: jsonBody({
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            quotas: ref('Quotas')
+          }
+        }),
+        responses: {
+          201: ok('API key, with the key', {
+            allOf: [ref('ApiKey'), { type: 'object', properties: { key: { type: 'string' } } }]
+          }),
+          ...errors(400, 401, 429)
+        }
+      }
+    },
+    '/admin/api-keys/{id}': {
+      get: {
+        tags: ['Administration'],
+        summary: 'One API key with its current usage',
+        security: [{ adminKey: [] }],
+        parameters: [idPath],
+        responses: {
+          200: ok('API key', {
+            allOf: [ref('ApiKey'), { type: 'object', properties: { usage: ref('Usage') } }]
+          }),
+          ...errors(401, 404, 429)
+        }
+      },
+      delete: {
+        tags: ['Administration'],
+        summary: 'Revoke an API key',
+        security: [{ adminKey: [] }],
+        parameters: [idPath],
+        responses: { 200: ok('Revoked API key', ref('ApiKey')), ...errors(401, 404, 429) }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      apiKey: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Authorization: Bearer <API key>. Optional when the server runs with REQUIRE_API_KEY=false.'
+      },
+      adminKey: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Authorization: Bearer <ADMIN_API_KEY>'
+      }
+    },
+    parameters: {
+      UrlQuery: {
+        name: 'url',
+        in: 'query',
+        required: true,
+        description: 'Page or site to analyze; https:// is assumed without a scheme',
+        schema: { type: 'string', minLength: 1 }
+      },
+      IdPath: {
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: { type: 'string' }
+      }
+    },
+    responses: {
+      BadRequest: {
+        description: 'Invalid request; validation failures list the offending fields in errors',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      Unauthorized: {
+        description: 'Missing, invalid or revoked API key',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      NotFound: {
+        description: 'No such record for this API key',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      Conflict: {
+        description: 'The job is not in a state that allows this',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      TooManyRequests: {
+        description: 'Rate limit or quota exceeded; see Retry-After',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      Busy: {
+        description: 'Too many requests waiting for a slot; retry shortly (SERVER_BUSY)',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      TargetUnusable: {
+        description: 'The target can\'t be audited: it answered with an HTTP 4xx, isn\'t HTML, has no content or robots.txt disallows it',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      TargetFailed: {
+        description: 'Fetching the target failed: DNS, connection, TLS, HTTP 5xx, size or redirect errors',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      TargetTimeout: {
+        description: 'The target did not answer in time (TARGET_TIMEOUT)',
+        content: { 'application/json': { schema: ref('Error') } }
+      },
+      ServerError: {
+        description: 'Unexpected failure',
+        content: { 'application/json': { schema: ref('Error') } }
+      }
+    },
+    schemas: {
+      Envelope: {
+        type: 'object',
+        required: ['status', 'timestamp'],
+        properties: {
+          status: { type: 'string', enum: ['ok'] },
+          message: { type: 'string' },
+          url: { type: 'string' },
+          cached: { type: 'boolean' },
+          cachedAt: { type: 'string', format: 'date-time' },
+          timestamp: { type: 'string', format: 'date-time' },
+          executionTime: { type: 'integer', description: 'Milliseconds' },
+          data: {}
+        }
+      },
+      Error: {
+        type: 'object',
+        required: ['status', 'code', 'message', 'requestId', 'timestamp'],
+        properties: {
+          status: { type: 'string', enum: ['error'] },
+          code: { type: 'string', enum: Object.keys(ERROR_STATUS), description: 'Machine-readable error code' },
+          message: { type: 'string' },
+          details: {
+            type: 'object',
+            description: 'For TARGET_* and URL_BLOCKED errors, what happened upstream',
+            properties: {
+              url: { type: 'string' },
+              upstreamStatus: { type: 'integer', nullable: true, description: 'HTTP status the target answered with' },
+              cause: { type: 'string', nullable: true, description: 'Network error code, e.g. ENOTFOUND' }
+            }
+          },
+          requestId: { type: 'string', description: 'Same as the X-Request-Id response header' },
+          error: { type: 'string', description: 'Details of internal errors (not in production)' },
+          errors: {
+            type: 'array',
+            description: 'Validation failures',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string', example: 'body.options.maxPages' },
+                message: { type: 'string', example: 'must be at most 5000' }
+              }
+            }
+          },
+          retryAfter: { type: 'integer', description: 'Seconds, for rate-limited requests' },
+          quota: { type: 'object', description: 'The exhausted quota' },
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      },
+      ProfileName: {
+        type: 'string',
+        enum: listProfiles().map(profile => profile.name)
+      },
+      Issue: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string' },
+          category: { type: 'string' },
+          severity: { type: 'string', enum: ['critical', 'warning', 'info'] },
+          impact: { type: 'string' },
+          title: { type: 'string' },
+          message: { type: 'string' },
+          recommendation: { type: 'string' }
+        }
+      },
+      Category: {
+        type: 'object',
+        properties: {
+          score: { type: 'integer' },
+          issues: { type: 'array', items: ref('Issue') }
+        }
+      },
+      SeoAnalysis: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          score: { type: 'integer', minimum: 0, maximum: 100 },
+          status: { type: 'string', enum: ['good', 'needs_improvement', 'poor'] },
+          criticalIssuesCount: { type: 'integer' },
+          totalIssuesCount: { type: 'integer' },
+          categories: {
+            type: 'object',
+            properties: {
+              metadata: ref('Category'),
+              content: ref('Category'),
+              technical: ref('Category'),
+              userExperience: ref('Category')
+            }
+          },
+          pageData: { type: 'object', description: 'Title, description, headings, content, links, images and canonical data; technical.response holds the HTML response\'s final URL, status and headers, technical.redirectChain the redirects followed and technical.canonicalTarget what the canonical URL returns' },
+          recommendations: { type: 'array', items: { type: 'object' } },
+          metadata: { type: 'object' },
+          renderComparison: ref('RenderComparison'),
+          performance: ref('PerformanceAnalysis'),
+          analyzedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      RenderComparison: {
+        type: 'object',
+        description: 'SEO elements in the raw HTML against the rendered DOM; only with render',
+        properties: {
+          title: ref('RenderedElement'),
+          metaDescription: ref('RenderedElement'),
+          canonical: ref('RenderedElement'),
+          h1: ref('RenderedList'),
+          links: ref('RenderedList'),
+          structuredData: ref('RenderedList'),
+          wordCount: {
+            type: 'object',
+            properties: {
+              raw: { type: 'integer' },
+              rendered: { type: 'integer' },
+              addedByJavaScript: { type: 'integer' }
+            }
+          },
+          onlyAfterJavaScript: {
+            type: 'array',
+            items: { type: 'string', enum: ['title', 'metaDescription', 'canonical', 'h1', 'links', 'structuredData', 'content'] },
+            description: 'Elements missing from the raw HTML'
+          },
+          changedByJavaScript: {
+            type: 'array',
+            items: { type: 'string', enum: ['title', 'metaDescription', 'canonical'] },
+            description: 'Elements JavaScript replaces or removes'
+          },
+          dependsOnJavaScript: { type: 'boolean' }
+        }
+      },
+      RenderedElement: {
+        type: 'object',
+        properties: {
+          raw: { type: 'string', nullable: true },
+          rendered: { type: 'string', nullable: true },
+          changed: { type: 'boolean' }
+        }
+      },
+      RenderedList: {
+        type: 'object',
+        properties: {
+          rawCount: { type: 'integer' },
+          renderedCount: { type: 'integer' },
+          onlyRendered: { type: 'array', items: { type: 'string' } },
+          onlyRenderedCount: { type: 'integer' },
+          onlyRaw: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      Device: {
+        type: 'string',
+        enum: ['mobile', 'desktop'],
+        default: 'mobile',
+        description: 'mobile: 4x CPU slowdown, 150ms latency, 1.6 Mbps down; desktop: no CPU slowdown, 40ms latency, 10 Mbps'
+      },
+      VitalMetric: {
+        type: 'object',
+        properties: {
+          value: { type: 'number', nullable: true },
+          unit: { type: 'string', nullable: true },
+          rating: { type: 'string', enum: ['good', 'needs-improvement', 'poor'], nullable: true },
+          score: { type: 'integer', minimum: 0, maximum: 100, nullable: true }
+        }
+      },
+      PerformanceAnalysis: {
+        type: 'object',
+        properties: {
+          device: ref('Device'),
+          throttling: { type: 'object' },
+          score: { type: 'integer', minimum: 0, maximum: 100 },
+          rating: { type: 'string', enum: ['good', 'needs-improvement', 'poor'] },
+          metrics: {
+            type: 'object',
+            properties: {
+              lcp: { allOf: [ref('VitalMetric')], description: 'Largest Contentful Paint, with the element and image URL' },
+              fcp: ref('VitalMetric'),
+              cls: { allOf: [ref('VitalMetric')], description: 'Cumulative Layout Shift, with the largest shifts and the nodes that moved' },
+              tbt: ref('VitalMetric'),
+              inpProxy: { allOf: [ref('VitalMetric')], description: 'Time from a keypress to the next frame' }
+            }
+          },
+          measuredAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      ResourceFormat: {
+        type: 'string',
+        enum: ['json', 'har'],
+        default: 'json'
+      },
+      Resource: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          method: { type: 'string' },
+          type: { type: 'string', enum: ['document', 'script', 'stylesheet', 'image', 'font', 'media', 'xhr', 'other'] },
+          host: { type: 'string' },
+          firstParty: { type: 'boolean', description: 'Served from the same site (registrable domain) as the page' },
+          status: { type: 'integer', nullable: true },
+          mimeType: { type: 'string', nullable: true },
+          protocol: { type: 'string', nullable: true },
+          transferSize: { type: 'integer', description: 'Bytes over the network, headers included' },
+          decodedSize: { type: 'integer', description: 'Bytes after decompression' },
+          compression: { type: 'string', nullable: true, description: 'Content-Encoding, e.g. gzip or br' },
+          compressible: { type: 'boolean', description: 'Text that compression would shrink' },
+          cache: {
+            type: 'object',
+            properties: {
+              cacheControl: { type: 'string', nullable: true },
+              expires: { type: 'string', nullable: true },
+              maxAgeSeconds: { type: 'integer', nullable: true, description: '0 for no-store or no-cache, null when not stated' },
+              longLived: { type: 'boolean', description: 'Cacheable for 30 days or more' }
+            }
+          },
+          timing: {
+            type: 'object',
+            description: 'Milliseconds: start from the first request, duration, and HAR phases (-1 when not applicable)',
+            properties: {
+              startMs: { type: 'integer' },
+              durationMs: { type: 'integer', nullable: true },
+              blocked: { type: 'number' },
+              dns: { type: 'number' },
+              connect: { type: 'number' },
+              ssl: { type: 'number' },
+              send: { type: 'number' },
+              wait: { type: 'number' },
+              receive: { type: 'number' }
+            }
+          },
+          error: { type: 'string', nullable: true }
+        }
+      },
+      ResourceInventory: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          startedAt: { type: 'string', format: 'date-time' },
+          pageTimings: {
+            type: 'object',
+            properties: {
+              onContentLoad: { type: 'integer' },
+              onLoad: { type: 'integer' }
+            }
+          },
+          summary: {
+            type: 'object',
+            description: 'Request counts and sizes in total, by type, and for first and third parties (with the largest third-party hosts)'
+          },
+          resources: { type: 'array', items: ref('Resource') },
+          issues: { type: 'array', items: ref('Issue') }
+        }
+      },
+      Har: {
+        type: 'object',
+        description: 'HAR 1.2 log (http://www.softwareishard.com/blog/har-12-spec/)',
+        properties: {
+          log: { type: 'object' }
+        }
+      },
+      SchemaAnalysis: {
+        type: 'object',
+        description: 'Structured data found on the page, with validation results'
+      },
+      MobileAnalysis: {
+        type: 'object',
+        description: 'Mobile-friendliness score, factors and issues'
+      },
+      CrawledPage: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          depth: { type: 'integer' },
+          score: { type: 'integer' },
+          issues: { type: 'array', items: ref('Issue') }
+        }
+      },
+      CrawlReport: {
+        type: 'object',
+        properties: {
+          pages: { type: 'array', items: ref('CrawledPage') },
+          summary: {
+            type: 'object',
+            properties: {
+              totalPages: { type: 'integer' },
+              averageScore: { type: 'integer' },
+              crawlDepth: { type: 'integer' },
+              pagesSkipped: { type: 'integer' },
+              crawlDuration: { type: 'integer' },
+              sitemapUrlsSeeded: { type: 'integer' },
+              commonIssues: { type: 'array', items: { type: 'object' } }
+            }
+          },
+          robotsTxt: { type: 'object', nullable: true },
+          skipped: { type: 'array', items: { type: 'object' } },
+          siteHealth: {
+            type: 'object',
+            properties: {
+              score: { type: 'integer' },
+              status: { type: 'string', enum: ['good', 'needs_improvement', 'poor'] },
+              grade: { type: 'string', enum: ['A', 'B', 'C', 'D', 'F'] }
+            }
+          },
+          sitemapComparison: { type: 'object', nullable: true },
+          recommendations: { type: 'array', items: { type: 'object' } }
+        }
+      },
+      SitemapAnalysis: {
+        type: 'object',
+        properties: {
+          site: { type: 'string' },
+          robotsTxtFound: { type: 'boolean' },
+          sitemaps: { type: 'array', items: { type: 'object' } },
+          urls: { type: 'array', items: { type: 'object' } },
+          totalUrls: { type: 'integer' },
+          truncated: { type: 'boolean' },
+          issues: { type: 'array', items: ref('Issue') },
+          analyzedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      RobotsAnalysis: {
+        type: 'object',
+        properties: {
+          url: { type: 'string' },
+          statusCode: { type: 'integer', nullable: true },
+          found: { type: 'boolean' },
+          truncated: { type: 'boolean' },
+          size: { type: 'integer' },
+          content: { type: 'string' },
+          groups: { type: 'array', items: { type: 'object' } },
+          sitemaps: { type: 'array', items: { type: 'string' } },
+          crawlDelays: { type: 'array', items: { type: 'object' } },
+          resources: { type: 'array', items: { type: 'object' } },
+          issues: { type: 'array', items: ref('Issue') },
+          userAgent: { type: 'string' },
+          knownUserAgents: { type: 'array', items: { type: 'string' } },
+          tests: { type: 'array', items: { type: 'object' } },
+          analyzedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      CrawlJob: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string', enum: ['crawl'] },
+          url: { type: 'string' },
+          options: { type: 'object' },
+          status: { type: 'string', enum: ['queued', 'running', 'paused', 'completed', 'failed'] },
+          progress: {
+            type: 'object',
+            properties: {
+              pagesCrawled: { type: 'integer' },
+              pagesFailed: { type: 'integer' },
+              pagesDiscovered: { type: 'integer' },
+              remaining: { type: 'integer' }
+            }
+          },
+          pagesStored: { type: 'integer' },
+          checkpoints: { type: 'integer' },
+          runs: { type: 'integer' },
+          error: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          completedAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+      },
+      WebhookEvent: {
+        type: 'string',
+        enum: EVENTS
+      },
+      WebhookSubscription: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          url: { type: 'string' },
+          events: { type: 'array', items: ref('WebhookEvent') },
+          minScoreDrop: { type: 'number' },
+          secret: { type: 'string', description: 'In full when created, masked afterwards' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      WebhookDelivery: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          subscriptionId: { type: 'string', nullable: true },
+          jobId: { type: 'string' },
+          url: { type: 'string' },
+          event: ref('WebhookEvent'),
+          status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+          attempts: { type: 'array', items: { type: 'object' } },
+          payload: { type: 'object' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Quotas: {
+        type: 'object',
+        description: 'Per-period limits; omitted ones take the defaults, null means unlimited',
+        properties: {
+          daily: ref('QuotaLimits'),
+          monthly: ref('QuotaLimits')
+        }
+      },
+      QuotaLimits: {
+        type: 'object',
+        properties: Object.fromEntries(METRICS.map(metric => [metric, { type: 'integer', minimum: 0, nullable: true }]))
+      },
+      Readiness: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['ok', 'degraded', 'error'] },
+          message: { type: 'string' },
+          checks: {
+            type: 'object',
+            description: 'One entry per dependency: redis, jobQueue, memory, browser, dns',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                status: { type: 'string', enum: ['ok', 'degraded', 'error', 'disabled'] },
+                required: { type: 'boolean', description: 'Whether readiness fails when this check does' },
+                message: { type: 'string' },
+                latencyMs: { type: 'integer' }
+              }
+            }
+          },
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      },
+      Usage: {
+        type: 'object',
+        properties: {
+          daily: { type: 'object', properties: Object.fromEntries(METRICS.map(metric => [metric, { type: 'integer' }])) },
+          monthly: { type: 'object', properties: Object.fromEntries(METRICS.map(metric => [metric, { type: 'integer' }])) }
+        }
+      },
+      ApiKey: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          prefix: { type: 'string', description: 'First characters of the key, to recognise it' },
+          quotas: ref('Quotas'),
+          revoked: { type: 'boolean' },
+          createdAt: { type: 'string', format: 'date-time' },
+          revokedAt: { type: 'string', format: 'date-time', nullable: true }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  spec
+};
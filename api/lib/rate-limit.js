@@ -0,0 +1,119 @@
+/**
+ * Rate Limiting
+ * Per-client sliding-window limits, keyed by API key (or IP address for
+ * requests without one), with separate budgets for cheap, standard and
+ * expensive requests. Counters live in Redis when it is configured, so every
+ * instance shares them, and in memory otherwise.
+ *
+ * The window slides by weighting the previous fixed window's count by how much
+ * of it still overlaps the sliding window, which needs two counters per client
+ * instead of a log of every request.
+ */
+
+const kv = require('./kv');
+
+const envLimit = (name, fallback) => (process.env[name] ? parseInt(process.env[name], 10) : fallback);
+
+const TIERS = {
+  // Health checks, listings, job status and cached results
+  cheap: { limit: envLimit('RATE_LIMIT_CHEAP', 120), windowSeconds: 60 },
+  // Single-page audits and analyzers
+  standard: { limit: envLimit('RATE_LIMIT_STANDARD', 30), windowSeconds: 60 },
+  // Site crawls and batch audits
+  expensive: { limit: envLimit('RATE_LIMIT_EXPENSIVE', 5), windowSeconds: 600 }
+};
+
+const counterKey = (tier, client, window) => `rate-limit:${tier}:${client}:${window}`;
+
+/**
+ * Identify the client a request counts against
+ * @param {Object} req - Request, with apiKey set by authentication
+ * @returns {string}
+ */
+function clientId(req) {
+  if (req.apiKey) return `key:${req.apiKey.id}`;
+  // req.ip honours Express's 'trust proxy' setting
+  return `ip:${req.ip || (req.socket && req.socket.remoteAddress) || 'unknown'}`;
+}
+
+/**
+ * Count a request against a client's budget
+ * Rejected requests count too, so a client that keeps retrying stays limited.
+ * @param {string} client - Client ID
+ * @param {string} tier - cheap, standard or expensive
+ * @returns {Promise<Object>} - { tier, allowed, limit, remaining, windowSeconds, resetSeconds }
+ */
+async function hit(client, tier) {
+  const { limit, windowSeconds } = TIERS[tier];
+  const now = Date.now() / 1000;
+  const window = Math.floor(now / windowSeconds);
+  const elapsed = (now % windowSeconds) / windowSeconds;
+  // Counters outlive their window by one, while they still weigh on the next
+  const expiresAt = (window + 2) * windowSeconds;
+
+  const current = await kv.increment(counterKey(tier, client, window), 1, expiresAt);
+  // Without a working store requests are let through rather than refused
+  if (current === null) {
+    return { tier, allowed: true, limit, remaining: limit, windowSeconds, resetSeconds: windowSeconds };
+  }
+  const previous = (await kv.increment(counterKey(tier, client, window - 1), 0, expiresAt - windowSeconds)) || 0;
+
+  const count = previous * (1 - elapsed) + current;
+  const allowed = count <= limit;
+
+  // Time until enough of the previous window slides out, or until the next window
+  let resetSeconds = Math.ceil((1 - elapsed) * windowSeconds);
+  if (!allowed && previous > 0 && current <= limit) {
+    resetSeconds = Math.ceil(((count - limit) / previous) * windowSeconds);
+  }
+
+  return {
+    tier,
+    allowed,
+    limit,
+    remaining: Math.max(Math.floor(limit - count), 0),
+    windowSeconds,
+    resetSeconds: Math.max(resetSeconds, 1)
+  };
+}
+
+/**
+ * Move a counted request from one budget to another, for requests that turn
+ * out cheaper than expected (cached results)
+ * @param {string} client - Client ID
+ * @param {string} fromTier - Budget the request was counted against
+ * @param {string} toTier - Budget it belongs to
+ * @returns {Promise<void>}
+ */
+async function reclassify(client, fromTier, toTier) {
+  const now = Date.now() / 1000;
+  const move = async (tier, amount) => {
+    const { windowSeconds } = TIERS[tier];
+    const window = Math.floor(now / windowSeconds);
+    await kv.increment(counterKey(tier, client, window), amount, (window + 2) * windowSeconds);
+  };
+
+  await move(fromTier, -1);
+  await move(toTier, 1);
+}
+
+/**
+ * Set RateLimit-* headers (IETF draft names; the X-RateLimit-* headers
+ * describe API key quotas)
+ * @param {Object} res - Response
+ * @param {Object} result - Result of hit
+ */
+function setRateLimitHeaders(res, result) {
+  res.setHeader('RateLimit-Policy', `${result.limit};w=${result.windowSeconds};comment="${result.tier}"`);
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(result.resetSeconds));
+}
+
+module.exports = {
+  TIERS,
+  clientId,
+  hit,
+  reclassify,
+  setRateLimitHeaders
+};
@@ -0,0 +1,73 @@
+/**
+ * Redirects
+ * Records the redirects an axios request follows, with the time each hop
+ * took, and describes the chain: how many hops, whether it loops, which hops
+ * are temporary and whether the protocol or host switches back and forth.
+ */
+
+// Redirect statuses that don't move a page for good
+const TEMPORARY_STATUSES = [302, 303, 307];
+
+/**
+ * Collects the redirects an axios request follows; pass `beforeRedirect` in
+ * the request config and read `hops` afterwards
+ * @param {string} url - URL requested
+ * @returns {Object} - { beforeRedirect, hops: [{ url, status, location, durationMs }], elapsed() }
+ */
+function redirectRecorder(url) {
+  const hops = [];
+  const start = Date.now();
+  let current = url;
+  let hopStart = start;
+  return {
+    hops,
+    beforeRedirect(options, response) {
+      const now = Date.now();
+      hops.push({ url: current, status: response.statusCode, location: response.headers.location || null, durationMs: now - hopStart });
+      current = options.href;
+      hopStart = now;
+    },
+    // Time since the last redirect, for the final response
+    elapsed() {
+      return Date.now() - hopStart;
+    }
+  };
+}
+
+// Values that come back after the chain moved away from them (A -> B -> A)
+function flipFlops(values) {
+  const runs = values.filter((value, i) => i === 0 || value !== values[i - 1]);
+  return runs.filter((value, i) => runs.indexOf(value) !== i);
+}
+
+/**
+ * Describe a redirect chain
+ * @param {Array} hops - Redirects from redirectRecorder
+ * @param {Object} final - { url, status, durationMs } of the response the chain ended on
+ * @returns {Object} - { hops, finalUrl, finalStatus, hopCount, totalMs, loop, repeatedUrls,
+ *   temporary, protocolFlipFlop, hostFlipFlop }
+ */
+function describeChain(hops, final) {
+  const urls = hops.map(hop => hop.url).concat(final.url);
+  const parsed = urls.map(url => new URL(url));
+  const repeatedUrls = Array.from(new Set(urls.filter((url, i) => urls.indexOf(url) !== i)));
+
+  return {
+    hops,
+    finalUrl: final.url,
+    finalStatus: final.status,
+    hopCount: hops.length,
+    totalMs: hops.reduce((total, hop) => total + hop.durationMs, final.durationMs),
+    loop: repeatedUrls.length > 0,
+    repeatedUrls,
+    temporary: hops.filter(hop => TEMPORARY_STATUSES.includes(hop.status)).map(({ url, status, location }) => ({ url, status, location })),
+    protocolFlipFlop: flipFlops(parsed.map(url => url.protocol)).length > 0,
+    hostFlipFlop: flipFlops(parsed.map(url => url.host)).length > 0
+  };
+}
+
+module.exports = {
+  TEMPORARY_STATUSES,
+  redirectRecorder,
+  describeChain
+};
@@ -1,6 +1,7 @@
 // Optimized Redis client for caching SEO audit results
 // Designed to handle high load scenarios with fallbacks
 const axios = require('axios');
+const logger = require('./logger');
 
 // Redis configuration from environment variables
 const REDIS_URL = process.env.UPSTASH_REDIS_REST_URL;
@@ -38,7 +39,7 @@ async function setCache(key, value, expirationSeconds = 3600) {
   
   try {
     if (!isRedisConfigured) {
-      console.log('Redis not configured, skipping cache set');
+      logger.debug('Redis not configured, skipping cache set');
       return false;
     }
 
@@ -74,7 +75,7 @@ async function setCache(key, value, expirationSeconds = 3600) {
     
     return success;
   } catch (error) {
-    console.error('Redis SET error:', error.message);
+    logger.error('Redis SET error', { error: error.message });
     stats.errors++;
     stats.lastError = error.message;
     stats.lastErrorTime = new Date().toISOString();
@@ -92,7 +93,7 @@ async function getCache(key) {
   
   try {
     if (!isRedisConfigured) {
-      console.log('Redis not configured, skipping cache get');
+      logger.debug('Redis not configured, skipping cache get');
       return null;
     }
     
@@ -132,7 +133,7 @@ async function getCache(key) {
       return data.result;
     }
   } catch (error) {
-    console.error('Redis GET error:', error.message);
+    logger.error('Redis GET error', { error: error.message });
     stats.errors++;
     stats.lastError = error.message;
     stats.lastErrorTime = new Date().toISOString();
@@ -148,7 +149,7 @@ async function getCache(key) {
 async function deleteCache(key) {
   try {
     if (!isRedisConfigured) {
-      console.log('Redis not configured, skipping cache delete');
+      logger.debug('Redis not configured, skipping cache delete');
       return false;
     }
     
@@ -175,7 +176,7 @@ async function deleteCache(key) {
     const data = await response.json();
     return data.result > 0;
   } catch (error) {
-    console.error('Redis DEL error:', error.message);
+    logger.error('Redis DEL error', { error: error.message });
     stats.errors++;
     stats.lastError = error.message;
     stats.lastErrorTime = new Date().toISOString();
@@ -190,7 +191,7 @@ async function deleteCache(key) {
 async function checkHealth() {
   try {
     if (!isRedisConfigured) {
-      console.log('Redis not configured, health check returning false');
+      logger.debug('Redis not configured, health check returning false');
       return false;
     }
     
@@ -217,7 +218,7 @@ async function checkHealth() {
     const data = await response.json();
     return data.result === 'PONG';
   } catch (error) {
-    console.error('Redis health check error:', error.message);
+    logger.error('Redis health check error', { error: error.message });
     stats.errors++;
     stats.lastError = error.message;
     stats.lastErrorTime = new Date().toISOString();
@@ -2,6 +2,8 @@
 // Designed to handle high load scenarios with fallbacks
 const { Redis } = require('@upstash/redis');
 const fetch = require('node-fetch');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
 // Redis configuration from environment variables
 const REDIS_URL = process.env.UPSTASH_REDIS_REST_URL;
@@ -19,9 +21,9 @@ if (isRedisConfigured) {
       token: REDIS_TOKEN,
       timeoutMs: 2000 // 2 second timeout
     });
-    console.log('Upstash Redis client initialized');
+    logger.info('Upstash Redis client initialized');
   } catch (error) {
-    console.error('Error initializing Upstash Redis client:', error);
+    logger.error('Error initializing Upstash Redis client', { error });
   }
 }
 
@@ -47,14 +49,15 @@ const stats = {
  * @param {string} key - Cache key
  * @param {object|string} value - Value to store (will be JSON stringified)
  * @param {number} expirationSeconds - Expiration time in seconds
+ * @param {Object} options - { memory: false } leaves the memory cache alone
  * @returns {Promise<boolean>} - Success status
  */
-async function setCache(key, value, expirationSeconds = DEFAULT_CACHE_TTL) {
+async function setCache(key, value, expirationSeconds = DEFAULT_CACHE_TTL, { memory = true } = {}) {
   stats.setRequests++;
   
   try {
     if (!isRedisConfigured || !redisClient) {
-      console.log('Redis not configured, skipping cache set');
+      logger.debug('Redis not configured, skipping cache set');
       return false;
     }
 
@@ -68,7 +71,9 @@ async function setCache(key, value, expirationSeconds = DEFAULT_CACHE_TTL) {
     
     if (success) {
       stats.setSuccesses++;
-      
+    }
+    
+    if (success && memory) {
       // Also update memory cache for faster retrieval
       memoryCache.set(key, {
         data: value,
@@ -85,7 +90,7 @@ async function setCache(key, value, expirationSeconds = DEFAULT_CACHE_TTL) {
     
     return success;
   } catch (error) {
-    console.error('Redis SET error:', error.message);
+    logger.error('Redis SET error', { error: error.message });
     stats.errors++;
     stats.lastError = error.message;
     stats.lastErrorTime = new Date().toISOString();
@@ -93,24 +98,43 @@ async function setCache(key, value, expirationSeconds = DEFAULT_CACHE_TTL) {
   }
 }
 
+const cacheLookups = metrics.counter(
+  'marden_cache_lookups_total',
+  'Cache lookups by layer (memory, redis) and result (hit, miss, error)',
+  ['layer', 'result']
+);
+metrics.gauge('marden_memory_cache_entries', 'Entries in the in-memory cache in front of Redis', () => memoryCache.size);
+
+/**
+ * Count a cache lookup, for caches kept outside this module too
+ * @param {string} layer - memory or redis
+ * @param {string} result - hit, miss or error
+ */
+function countCacheLookup(layer, result) {
+  cacheLookups.inc({ layer, result });
+}
+
 /**
  * Get a value from Redis with timeout
  * @param {string} key - Cache key
+ * @param {Object} options - { memory: false } reads Redis even when the memory cache has the key
  * @returns {Promise<object|string|null>} - Retrieved value or null if not found
  */
-async function getCache(key) {
+async function getCache(key, { memory = true } = {}) {
   stats.getRequests++;
   
   try {
     // Check memory cache first
-    const memoryCached = memoryCache.get(key);
+    const memoryCached = memory ? memoryCache.get(key) : null;
     if (memoryCached && Date.now() - memoryCached.timestamp < 3600000) { // 1 hour memory cache
-      console.log(`Memory cache hit for ${key}`);
+      logger.debug('Memory cache hit', { key });
+      countCacheLookup('memory', 'hit');
       return memoryCached.data;
     }
+    if (memory) countCacheLookup('memory', 'miss');
     
     if (!isRedisConfigured || !redisClient) {
-      console.log('Redis not configured, skipping cache get');
+      logger.debug('Redis not configured, skipping cache get');
       return null;
     }
     
@@ -119,10 +143,12 @@ async function getCache(key) {
     
     // Check if result is null (key not found)
     if (result === null) {
+      countCacheLookup('redis', 'miss');
       return null;
     }
     
     stats.getSuccesses++;
+    countCacheLookup('redis', 'hit');
     
     // Try to parse the result as JSON, fallback to raw string
     let parsedResult;
@@ -133,14 +159,17 @@ async function getCache(key) {
     }
     
     // Update memory cache
-    memoryCache.set(key, {
-      data: parsedResult,
-      timestamp: Date.now()
-    });
+    if (memory) {
+      memoryCache.set(key, {
+        data: parsedResult,
+        timestamp: Date.now()
+      });
+    }
     
     return parsedResult;
   } catch (error) {
-    console.error('Redis GET error:', error.message);
+    logger.error('Redis GET error', { error: error.message });
+    countCacheLookup('redis', 'error');
     stats.errors++;
     stats.lastError = error.message;
     stats.lastErrorTime = new Date().toISOString();
@@ -159,7 +188,7 @@ async function deleteCache(key) {
     memoryCache.delete(key);
     
     if (!isRedisConfigured || !redisClient) {
-      console.log('Redis not configured, skipping cache delete');
+      logger.debug('Redis not configured, skipping cache delete');
       return false;
     }
     
@@ -167,14 +196,137 @@ async function deleteCache(key) {
     const result = await redisClient.del(key);
     return result > 0;
   } catch (error) {
-    console.error('Redis DEL error:', error.message);
+    logger.error('Redis DEL error', { error: error.message });
+    stats.errors++;
+    stats.lastError = error.message;
+    stats.lastErrorTime = new Date().toISOString();
+    return false;
+  }
+}
+
+/**
+ * Atomically add to a counter (usage quotas)
+ * Counters skip the memory cache so every instance sees the same value.
+ * @param {string} key - Counter key
+ * @param {number} amount - Amount to add; 0 reads the current value
+ * @param {number} expiresAt - Unix time in seconds when the counter expires
+ * @returns {Promise<number|null>} - New value, or null if Redis is unavailable
+ */
+async function incrementCounter(key, amount, expiresAt) {
+  try {
+    if (!isRedisConfigured || !redisClient) {
+      return null;
+    }
+    
+    // One round trip for both commands
+    const [value] = await redisClient.pipeline().incrby(key, amount).expireat(key, expiresAt).exec();
+    return value;
+  } catch (error) {
+    logger.error('Redis INCRBY error', { error: error.message });
     stats.errors++;
     stats.lastError = error.message;
     stats.lastErrorTime = new Date().toISOString();
+    return null;
+  }
+}
+
+// Record an error from a record command (hash or list)
+function recordError(command, error) {
+  logger.error(`Redis ${command} error`, { error: error.message });
+  stats.errors++;
+  stats.lastError = error.message;
+  stats.lastErrorTime = new Date().toISOString();
+}
+
+/**
+ * Set one field of a hash, atomically with respect to the other fields
+ * Hashes and lists skip the memory cache so every instance sees the same value.
+ * @param {string} key - Hash key
+ * @param {string} field - Field name
+ * @param {any} value - JSON-serializable value
+ * @param {number} expirationSeconds - Expiration of the whole hash in seconds
+ * @returns {Promise<boolean>} - Success status
+ */
+async function hashSet(key, field, value, expirationSeconds = DEFAULT_CACHE_TTL) {
+  try {
+    if (!isRedisConfigured || !redisClient) return false;
+    await redisClient.pipeline().hset(key, { [field]: value }).expire(key, expirationSeconds).exec();
+    return true;
+  } catch (error) {
+    recordError('HSET', error);
+    return false;
+  }
+}
+
+/**
+ * Remove one field of a hash
+ * @param {string} key - Hash key
+ * @param {string} field - Field name
+ * @returns {Promise<boolean|null>} - Whether the field existed, or null on error
+ */
+async function hashDelete(key, field) {
+  try {
+    if (!isRedisConfigured || !redisClient) return null;
+    return (await redisClient.hdel(key, field)) > 0;
+  } catch (error) {
+    recordError('HDEL', error);
+    return null;
+  }
+}
+
+/**
+ * All values of a hash
+ * @param {string} key - Hash key
+ * @returns {Promise<Array|null>} - Parsed values, or null on error
+ */
+async function hashValues(key) {
+  try {
+    if (!isRedisConfigured || !redisClient) return null;
+    return (await redisClient.hvals(key)) || [];
+  } catch (error) {
+    recordError('HVALS', error);
+    return null;
+  }
+}
+
+/**
+ * Push a value onto the front of a list, keeping the first maxLength entries
+ * @param {string} key - List key
+ * @param {any} value - JSON-serializable value
+ * @param {number} maxLength - Entries to keep
+ * @param {number} expirationSeconds - Expiration of the whole list in seconds
+ * @returns {Promise<boolean>} - Success status
+ */
+async function listPush(key, value, maxLength, expirationSeconds = DEFAULT_CACHE_TTL) {
+  try {
+    if (!isRedisConfigured || !redisClient) return false;
+    await redisClient.pipeline()
+      .lpush(key, value)
+      .ltrim(key, 0, maxLength - 1)
+      .expire(key, expirationSeconds)
+      .exec();
+    return true;
+  } catch (error) {
+    recordError('LPUSH', error);
     return false;
   }
 }
 
+/**
+ * All entries of a list, front first
+ * @param {string} key - List key
+ * @returns {Promise<Array|null>} - Parsed entries, or null on error
+ */
+async function listRange(key) {
+  try {
+    if (!isRedisConfigured || !redisClient) return null;
+    return await redisClient.lrange(key, 0, -1);
+  } catch (error) {
+    recordError('LRANGE', error);
+    return null;
+  }
+}
+
 /**
  * Check Redis connection health with timeout
  * @returns {Promise<boolean>} - Redis health status
@@ -182,7 +334,7 @@ async function deleteCache(key) {
 async function checkHealth() {
   try {
     if (!isRedisConfigured || !redisClient) {
-      console.log('Redis not configured, health check returning false');
+      logger.debug('Redis not configured, health check returning false');
       return false;
     }
     
@@ -190,7 +342,7 @@ async function checkHealth() {
     const result = await redisClient.ping();
     return result === 'PONG';
   } catch (error) {
-    console.error('Redis health check error:', error.message);
+    logger.error('Redis health check error', { error: error.message });
     stats.errors++;
     stats.lastError = error.message;
     stats.lastErrorTime = new Date().toISOString();
@@ -234,9 +386,16 @@ module.exports = {
   setCache,
   getCache,
   deleteCache,
+  incrementCounter,
+  hashSet,
+  hashDelete,
+  hashValues,
+  listPush,
+  listRange,
   checkHealth,
   generateCacheKey,
   getStats,
+  countCacheLookup,
   isRedisConfigured,
   DEFAULT_CACHE_TTL,
   memoryCache
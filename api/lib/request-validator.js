@@ -0,0 +1,270 @@
+/**
+ * Request Validator
+ * Checks incoming requests against the operation the OpenAPI document
+ * describes for them: path and query parameters (coerced from strings by
+ * their schema type) and JSON bodies. Supports the subset of JSON Schema the
+ * document uses: type, nullable, enum, required, properties,
+ * additionalProperties: false, items, oneOf, $ref, minimum/maximum,
+ * minLength/maxLength, minItems/maxItems and pattern.
+ */
+
+const { spec } = require('./openapi');
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object'
+};
+
+function resolve(schema) {
+  while (schema && schema.$ref) {
+    schema = schema.$ref
+      .replace(/^#\//, '')
+      .split('/')
+      .reduce((node, part) => node[part], spec);
+  }
+  return schema;
+}
+
+function hasType(type, value) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default: return typeof value === type;
+  }
+}
+
+// How a schema reads in an error message ("a whole number", "true or false")
+function describe(schema) {
+  schema = resolve(schema);
+  if (schema.enum) return `one of: ${schema.enum.join(', ')}`;
+  if (schema.oneOf) return schema.oneOf.map(describe).join(' or ');
+  return TYPE_NAMES[schema.type] || 'valid';
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema, possibly a $ref
+ * @param {any} value - Value to check
+ * @param {string} field - Dotted name of the value, for messages
+ * @param {Array<Object>} errors - Receives { field, message } for each problem
+ * @returns {Array<Object>} - errors
+ */
+function validateValue(schema, value, field, errors = []) {
+  schema = resolve(schema);
+  if (value === undefined) return errors;
+
+  if (value === null) {
+    if (!schema.nullable) errors.push({ field, message: `must be ${describe(schema)}, not null` });
+    return errors;
+  }
+
+  if (schema.oneOf) {
+    const results = schema.oneOf.map(option => validateValue(option, value, field));
+    if (results.some(result => result.length === 0)) return errors;
+
+    // The option of the value's own type explains the problem best
+    const sameType = schema.oneOf.filter(option => hasType(resolve(option).type, value));
+    if (sameType.length === 1) {
+      errors.push(...results[schema.oneOf.indexOf(sameType[0])]);
+    } else {
+      errors.push({ field, message: `must be ${describe(schema)}` });
+    }
+    return errors;
+  }
+
+  if (schema.type && !hasType(schema.type, value)) {
+    errors.push({ field, message: `must be ${TYPE_NAMES[schema.type]}` });
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(schema.items, item, `${field}[${index}]`, errors));
+    }
+  }
+
+  if (hasType('object', value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) errors.push({ field: `${field}.${name}`, message: 'is required' });
+    });
+    Object.entries(value).forEach(([name, item]) => {
+      if (properties[name]) {
+        validateValue(properties[name], item, `${field}.${name}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: `${field}.${name}`, message: 'is not a known field' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateValue(schema.additionalProperties, item, `${field}.${name}`, errors);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Convert a query or path parameter from its string form
+ * Values that don't convert are left as they are for validation to reject.
+ * @param {Object} schema - Parameter schema
+ * @param {any} value - Raw value (a string, or an array for repeated query parameters)
+ * @returns {any}
+ */
+function coerceParameter(schema, value) {
+  schema = resolve(schema);
+  if (typeof value !== 'string') return value;
+
+  // Comma-separated lists (style: form, explode: false)
+  const types = schema.oneOf ? schema.oneOf.map(option => resolve(option).type) : [schema.type];
+  if (types.includes('array') && !types.includes('string')) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if (types.includes('integer') && /^-?\d+$/.test(value.trim())) return Number(value);
+  if (types.includes('number') && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+// Path templates compiled to patterns, literal paths first so that
+// /webhooks/deliveries wins over /webhooks/{id}
+const ROUTES = Object.keys(spec.paths)
+  .map(template => {
+    const names = [];
+    const source = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    return { template, names, pattern: new RegExp(`^${source}$`) };
+  })
+  .sort((a, b) => a.names.length - b.names.length);
+
+/**
+ * Find the operation a request is for
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, with or without the /api prefix
+ * @returns {Object|null} - { template, operation, params }
+ */
+function findOperation(method, path) {
+  const route = path.replace(/^\/api(?=\/|$)/, '') || '/';
+
+  for (const { template, names, pattern } of ROUTES) {
+    const match = route.match(pattern);
+    if (!match) continue;
+
+    const operation = spec.paths[template][method.toLowerCase()];
+    if (!operation) return null;
+
+    const params = {};
+    names.forEach((name, index) => {
+      try {
+        params[name] = decodeURIComponent(match[index + 1]);
+      } catch (error) {
+        params[name] = match[index + 1];
+      }
+    });
+    return { template, operation, params };
+  }
+  return null;
+}
+
+/**
+ * Validate a request against its OpenAPI operation
+ * Query parameters are replaced by their coerced values, so handlers see
+ * the same values that were validated. Requests for paths the document doesn't
+ * describe pass untouched (the router answers them with a 404).
+ * @param {Object} req - Request with query and (parsed JSON) body
+ * @returns {Array<Object>} - { field, message } for each problem; empty when valid
+ */
+function validateRequest(req) {
+  const found = findOperation(req.method, req.url.split('?')[0]);
+  if (!found) return [];
+
+  const { operation, params } = found;
+  const errors = [];
+  const query = req.query || {};
+
+  (operation.parameters || []).map(resolve).forEach(parameter => {
+    const source = parameter.in === 'path' ? params : parameter.in === 'query' ? query : null;
+    if (!source) return;
+
+    const field = `${parameter.in}.${parameter.name}`;
+    const raw = source[parameter.name];
+    if (raw === undefined || raw === '') {
+      if (parameter.required) errors.push({ field, message: 'is required' });
+      return;
+    }
+
+    const value = coerceParameter(parameter.schema, raw);
+    if (parameter.in === 'query') query[parameter.name] = value;
+    validateValue(parameter.schema, value, field, errors);
+  });
+
+  const requestBody = resolve(operation.requestBody);
+  if (requestBody) {
+    // A missing body reports the fields it needed rather than the body itself
+    const missing = req.body === undefined || req.body === null;
+    const body = missing && requestBody.required ? {} : req.body;
+    validateValue(requestBody.content['application/json'].schema, body, 'body', errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Send the 400 response for a request that failed validation
+ * @param {Object} res - Response
+ * @param {Array<Object>} errors - Result of validateRequest
+ */
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    status: 'error',
+    code: 'INVALID_REQUEST',
+    message: `Invalid request: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`,
+    errors,
+    timestamp: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  validateValue,
+  coerceParameter,
+  findOperation,
+  validateRequest,
+  sendValidationError
+};
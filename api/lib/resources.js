@@ -0,0 +1,438 @@
+/**
+ * Resources
+ * Inventory of everything a page loads once rendered: one record per request
+ * with its type, first- or third-party origin, transfer and decoded size,
+ * compression, cache lifetime and timing, read from Chromium's network
+ * events. The inventory can be exported as a HAR 1.2 log for waterfall
+ * viewers (Chrome DevTools, WebPageTest, har.tech).
+ */
+
+const browser = require('./browser');
+const { ApiError } = require('./errors');
+const { createIssue } = require('./issue-catalog');
+const logger = require('./logger');
+const { version } = require('../../package.json');
+
+const LOAD_TIMEOUT = 30000;
+// Quiet time after load for lazy-loaded images and late scripts
+const SETTLE_TIMEOUT = 10000;
+
+// Transfer size above which a bundle is reported as oversized
+const MAX_BUNDLE_BYTES = {
+  script: 150 * 1024,
+  stylesheet: 75 * 1024
+};
+// Text smaller than this gains little from compression (Lighthouse's cut-off)
+const MIN_COMPRESSIBLE_BYTES = 1400;
+// Static resources should be cached for at least this long
+const LONG_CACHE_SECONDS = 30 * 24 * 60 * 60;
+const STATIC_TYPES = ['script', 'stylesheet', 'image', 'font', 'media'];
+const MAX_EXAMPLES = 10;
+
+// Chromium's resource types, grouped
+const RESOURCE_TYPES = {
+  Document: 'document',
+  Script: 'script',
+  Stylesheet: 'stylesheet',
+  Image: 'image',
+  Font: 'font',
+  Media: 'media',
+  XHR: 'xhr',
+  Fetch: 'xhr'
+};
+
+const TEXT_MIME = /^text\/|javascript|json|xml|svg|ecmascript|wasm/;
+
+/**
+ * Site a host belongs to: its last two labels, or three under a two-letter
+ * country domain with a short second level (example.co.uk)
+ */
+function siteOf(hostname) {
+  const labels = hostname.toLowerCase().split('.');
+  if (labels.length > 2 && labels[labels.length - 1].length === 2 && labels[labels.length - 2].length <= 3) {
+    return labels.slice(-3).join('.');
+  }
+  return labels.slice(-2).join('.');
+}
+
+function header(headers, name) {
+  const key = Object.keys(headers || {}).find(item => item.toLowerCase() === name);
+  return key ? String(headers[key]) : null;
+}
+
+/**
+ * How long a response may be cached, from Cache-Control or Expires
+ * @returns {number|null} - Seconds; 0 for no-store/no-cache, null when not stated
+ */
+function cacheLifetime(headers, date) {
+  const cacheControl = header(headers, 'cache-control');
+  if (cacheControl) {
+    if (/no-store|no-cache/i.test(cacheControl)) return 0;
+    const maxAge = cacheControl.match(/(?:^|,)\s*max-age\s*=\s*(\d+)/i);
+    if (maxAge) return parseInt(maxAge[1], 10);
+  }
+  const expires = header(headers, 'expires');
+  if (expires) {
+    const expiresAt = Date.parse(expires);
+    const now = Date.parse(header(headers, 'date') || '') || date;
+    return Number.isNaN(expiresAt) ? 0 : Math.max(0, Math.round((expiresAt - now) / 1000));
+  }
+  return null;
+}
+
+// Phases of a request in milliseconds, as HAR timings (-1 when not applicable)
+function phases(entry) {
+  const timing = entry.response && entry.response.timing;
+  const round = value => (value < 0 ? -1 : Math.round(value * 10) / 10);
+  if (!timing) {
+    const total = entry.endTime !== null ? (entry.endTime - entry.startTime) * 1000 : 0;
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: round(total) };
+  }
+  const queued = Math.max(0, (timing.requestTime - entry.startTime) * 1000);
+  const firstPhase = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0) || 0;
+  const span = (start, end) => (start >= 0 && end >= 0 ? end - start : -1);
+  const headersEnd = timing.receiveHeadersEnd;
+  const receive = entry.endTime !== null ? (entry.endTime - timing.requestTime) * 1000 - headersEnd : 0;
+  return {
+    blocked: round(queued + firstPhase),
+    dns: round(span(timing.dnsStart, timing.dnsEnd)),
+    connect: round(span(timing.connectStart, timing.connectEnd)),
+    ssl: round(span(timing.sslStart, timing.sslEnd)),
+    send: round(Math.max(0, timing.sendEnd - timing.sendStart)),
+    wait: round(Math.max(0, headersEnd - timing.sendEnd)),
+    receive: round(Math.max(0, receive))
+  };
+}
+
+/**
+ * Turn a captured request into an inventory record
+ */
+function toResource(entry, pageSite, navigationStart) {
+  const { request, response } = entry;
+  const parsed = new URL(request.url);
+  const headers = response ? response.headers : {};
+  const mimeType = response ? response.mimeType : null;
+  const compression = header(headers, 'content-encoding');
+  const maxAgeSeconds = response ? cacheLifetime(headers, entry.wallTime * 1000) : null;
+  const timings = phases(entry);
+
+  return {
+    url: request.url,
+    method: request.method,
+    type: RESOURCE_TYPES[entry.type] || 'other',
+    host: parsed.hostname,
+    firstParty: siteOf(parsed.hostname) === pageSite,
+    status: response ? response.status : null,
+    mimeType,
+    protocol: response ? response.protocol || null : null,
+    transferSize: entry.transferSize,
+    decodedSize: entry.decodedSize,
+    compression: compression && compression !== 'identity' ? compression : null,
+    compressible: Boolean(mimeType && TEXT_MIME.test(mimeType)),
+    cache: {
+      cacheControl: header(headers, 'cache-control'),
+      expires: header(headers, 'expires'),
+      maxAgeSeconds,
+      longLived: maxAgeSeconds !== null && maxAgeSeconds >= LONG_CACHE_SECONDS
+    },
+    timing: {
+      startMs: Math.round((entry.startTime - navigationStart) * 1000),
+      durationMs: entry.endTime !== null ? Math.round((entry.endTime - entry.startTime) * 1000) : null,
+      ...timings
+    },
+    error: entry.error,
+    // Not part of the inventory; kept for the HAR export
+    _har: entry
+  };
+}
+
+function sum(resources, field) {
+  return resources.reduce((total, resource) => total + (resource[field] || 0), 0);
+}
+
+function summarize(resources) {
+  const byType = {};
+  resources.forEach(resource => {
+    const group = byType[resource.type] || { requests: 0, transferSize: 0, decodedSize: 0 };
+    group.requests++;
+    group.transferSize += resource.transferSize;
+    group.decodedSize += resource.decodedSize;
+    byType[resource.type] = group;
+  });
+
+  const firstParty = resources.filter(resource => resource.firstParty);
+  const thirdParty = resources.filter(resource => !resource.firstParty);
+  const hosts = {};
+  thirdParty.forEach(resource => {
+    const host = hosts[resource.host] || { host: resource.host, requests: 0, transferSize: 0 };
+    host.requests++;
+    host.transferSize += resource.transferSize;
+    hosts[resource.host] = host;
+  });
+
+  return {
+    requests: resources.length,
+    failedRequests: resources.filter(resource => resource.error).length,
+    transferSize: sum(resources, 'transferSize'),
+    decodedSize: sum(resources, 'decodedSize'),
+    byType,
+    firstParty: { requests: firstParty.length, transferSize: sum(firstParty, 'transferSize') },
+    thirdParty: {
+      requests: thirdParty.length,
+      transferSize: sum(thirdParty, 'transferSize'),
+      hosts: Object.values(hosts).sort((a, b) => b.transferSize - a.transferSize).slice(0, MAX_EXAMPLES)
+    }
+  };
+}
+
+const example = resource => ({ url: resource.url, transferSize: resource.transferSize, decodedSize: resource.decodedSize });
+
+/**
+ * Issues for oversized bundles, uncompressed text and short cache lifetimes
+ * @param {Array} resources - Inventory records
+ * @returns {Array} - Issues from the catalogue
+ */
+function findIssues(resources) {
+  const issues = [];
+  const loaded = resources.filter(resource => resource.status >= 200 && resource.status < 300);
+
+  const oversized = loaded.filter(resource => MAX_BUNDLE_BYTES[resource.type] && resource.transferSize > MAX_BUNDLE_BYTES[resource.type]);
+  if (oversized.length > 0) {
+    issues.push(createIssue('oversized_bundle', {
+      message: `${oversized.length} script or stylesheet bundle(s) over ${MAX_BUNDLE_BYTES.script / 1024} KB (scripts) or ${MAX_BUNDLE_BYTES.stylesheet / 1024} KB (stylesheets) transferred`,
+      occurrences: oversized.length,
+      details: { resources: oversized.sort((a, b) => b.transferSize - a.transferSize).slice(0, MAX_EXAMPLES).map(resource => ({ ...example(resource), type: resource.type })) }
+    }));
+  }
+
+  const uncompressed = loaded.filter(resource => resource.compressible && !resource.compression && resource.decodedSize >= MIN_COMPRESSIBLE_BYTES);
+  if (uncompressed.length > 0) {
+    issues.push(createIssue('uncompressed_text_resource', {
+      message: `${uncompressed.length} text resource(s) served without gzip or Brotli compression`,
+      occurrences: uncompressed.length,
+      details: { resources: uncompressed.sort((a, b) => b.decodedSize - a.decodedSize).slice(0, MAX_EXAMPLES).map(example) }
+    }));
+  }
+
+  const shortLived = loaded.filter(resource => STATIC_TYPES.includes(resource.type) && !resource.cache.longLived);
+  if (shortLived.length > 0) {
+    issues.push(createIssue('short_cache_lifetime', {
+      message: `${shortLived.length} static resource(s) cached for less than ${LONG_CACHE_SECONDS / 86400} days`,
+      occurrences: shortLived.length,
+      details: {
+        resources: shortLived.sort((a, b) => b.transferSize - a.transferSize).slice(0, MAX_EXAMPLES).map(resource => ({
+          url: resource.url,
+          transferSize: resource.transferSize,
+          cacheControl: resource.cache.cacheControl,
+          maxAgeSeconds: resource.cache.maxAgeSeconds
+        }))
+      }
+    }));
+  }
+
+  return issues;
+}
+
+const toHeaderList = headers => Object.entries(headers || {}).flatMap(([name, value]) =>
+  String(value).split('\n').map(line => ({ name, value: line })));
+
+/**
+ * Build a HAR 1.2 log of a page's requests
+ * @param {Object} inventory - Result of inventoryPage
+ * @returns {Object} - { log: { version, creator, pages, entries } }
+ */
+function toHar(inventory) {
+  const pageId = 'page_1';
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'Marden SEO Audit API', version },
+      pages: [{
+        startedDateTime: inventory.startedAt,
+        id: pageId,
+        title: inventory.url,
+        pageTimings: inventory.pageTimings
+      }],
+      entries: inventory.resources.map(resource => {
+        const { request, response, wallTime } = resource._har;
+        const { startMs, durationMs, ...timings } = resource.timing;
+        const httpVersion = (response && response.protocol) || 'HTTP/1.1';
+        const parsed = new URL(request.url);
+        return {
+          pageref: pageId,
+          startedDateTime: new Date(wallTime * 1000).toISOString(),
+          time: durationMs === null ? 0 : durationMs,
+          request: {
+            method: request.method,
+            url: request.url,
+            httpVersion,
+            cookies: [],
+            headers: toHeaderList(request.headers),
+            queryString: Array.from(parsed.searchParams, ([name, value]) => ({ name, value })),
+            headersSize: -1,
+            bodySize: request.postData ? Buffer.byteLength(request.postData) : 0
+          },
+          response: {
+            status: response ? response.status : 0,
+            statusText: response ? response.statusText || '' : '',
+            httpVersion,
+            cookies: [],
+            headers: toHeaderList(response && response.headers),
+            content: {
+              size: resource.decodedSize,
+              compression: Math.max(0, resource.decodedSize - resource.transferSize),
+              mimeType: resource.mimeType || 'x-unknown'
+            },
+            redirectURL: (response && header(response.headers, 'location')) || '',
+            headersSize: -1,
+            bodySize: resource.transferSize
+          },
+          cache: {},
+          timings,
+          serverIPAddress: (response && response.remoteIPAddress) || undefined,
+          _resourceType: resource.type,
+          _firstParty: resource.firstParty,
+          ...(resource.error ? { _error: resource.error } : {})
+        };
+      })
+    }
+  };
+}
+
+/**
+ * Load a page in the browser and inventory every request it makes
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} - { url, startedAt, pageTimings, summary, resources, issues };
+ *   pass it to toHar for a HAR log
+ * @throws {ApiError} - TARGET_* codes when the page can't be loaded,
+ *   SERVICE_UNAVAILABLE when Chromium can't be launched
+ */
+async function inventoryPage(url) {
+  return browser.withPage(url, async page => {
+    const start = Date.now();
+    const entries = new Map();
+    const finished = [];
+    const client = await page.target().createCDPSession();
+    await client.send('Network.enable');
+
+    const finish = (entry, endTime) => {
+      entry.endTime = endTime;
+      finished.push(entry);
+    };
+
+    client.on('Network.requestWillBeSent', event => {
+      if (!/^https?:/.test(event.request.url)) return;
+      // A redirect reuses the request ID; the redirect itself ends there
+      const previous = entries.get(event.requestId);
+      if (previous && event.redirectResponse) {
+        previous.response = event.redirectResponse;
+        previous.transferSize = event.redirectResponse.encodedDataLength || 0;
+        finish(previous, event.timestamp);
+      }
+      entries.set(event.requestId, {
+        request: event.request,
+        type: event.type,
+        startTime: event.timestamp,
+        wallTime: event.wallTime,
+        endTime: null,
+        response: null,
+        transferSize: 0,
+        decodedSize: 0,
+        error: null
+      });
+    });
+    client.on('Network.responseReceived', event => {
+      const entry = entries.get(event.requestId);
+      if (entry) entry.response = event.response;
+    });
+    client.on('Network.dataReceived', event => {
+      const entry = entries.get(event.requestId);
+      if (entry) entry.decodedSize += event.dataLength;
+    });
+    client.on('Network.loadingFinished', event => {
+      const entry = entries.get(event.requestId);
+      if (!entry) return;
+      entry.transferSize = event.encodedDataLength;
+      entries.delete(event.requestId);
+      finish(entry, event.timestamp);
+    });
+    client.on('Network.loadingFailed', event => {
+      const entry = entries.get(event.requestId);
+      if (!entry) return;
+      entry.error = event.blockedReason ? `blocked: ${event.blockedReason}` : event.errorText;
+      entries.delete(event.requestId);
+      finish(entry, event.timestamp);
+    });
+
+    let response;
+    try {
+      response = await page.goto(url, { waitUntil: 'load', timeout: LOAD_TIMEOUT });
+      await page.waitForNetworkIdle({ idleTime: 1000, timeout: SETTLE_TIMEOUT }).catch(() => {});
+    } catch (error) {
+      throw browser.navigationError(error, url);
+    }
+
+    const status = response ? response.status() : null;
+    if (status >= 400) {
+      throw new ApiError(status >= 500 ? 'TARGET_HTTP_5XX' : 'TARGET_HTTP_4XX', `${url} responded with HTTP ${status}`, {
+        url,
+        upstreamStatus: status,
+        cause: null
+      });
+    }
+
+    const navigation = await page.evaluate(() => {
+      const entry = performance.getEntriesByType('navigation')[0];
+      return entry ? { onContentLoad: entry.domContentLoadedEventEnd, onLoad: entry.loadEventEnd } : null;
+    });
+
+    // Requests still open when the page went quiet (long polls, streams) are listed unfinished
+    const captured = finished.concat(Array.from(entries.values())).sort((a, b) => a.startTime - b.startTime);
+    if (captured.length === 0) {
+      throw new ApiError('TARGET_NO_CONTENT', `${url} made no requests`, { url });
+    }
+    const navigationStart = captured[0].startTime;
+    const pageSite = siteOf(new URL(page.url()).hostname);
+    const resources = captured.map(entry => toResource(entry, pageSite, navigationStart));
+    const summary = summarize(resources);
+
+    logger.info('Inventoried page resources', {
+      url,
+      requests: summary.requests,
+      transferSize: summary.transferSize,
+      durationMs: Date.now() - start
+    });
+
+    return {
+      url,
+      startedAt: new Date(captured[0].wallTime * 1000).toISOString(),
+      pageTimings: {
+        onContentLoad: navigation ? Math.round(navigation.onContentLoad) : -1,
+        onLoad: navigation ? Math.round(navigation.onLoad) : -1
+      },
+      summary,
+      resources,
+      issues: findIssues(resources)
+    };
+  });
+}
+
+/**
+ * The inventory without the raw network records kept for toHar
+ * @param {Object} inventory - Result of inventoryPage
+ * @returns {Object}
+ */
+function publicInventory(inventory) {
+  return {
+    ...inventory,
+    resources: inventory.resources.map(({ _har, ...resource }) => resource)
+  };
+}
+
+module.exports = {
+  inventoryPage,
+  publicInventory,
+  toHar,
+  findIssues,
+  siteOf
+};
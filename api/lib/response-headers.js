@@ -0,0 +1,113 @@
+/**
+ * Response Headers
+ * Reads the transport and security facts of a fetched page: the response
+ * headers as sent (axios drops Content-Encoding once it has decompressed the
+ * body), whether the http:// address redirects to HTTPS, and the directives
+ * in Strict-Transport-Security and X-Robots-Tag. The technical rules check the
+ * result.
+ */
+
+const safeFetch = require('./safe-fetch');
+const logger = require('./logger');
+
+const PROBE_TIMEOUT = 10000;
+
+// X-Robots-Tag directives that take a value after a colon
+const VALUED_DIRECTIVES = ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+
+/**
+ * Headers of an axios response as the server sent them
+ * @param {Object} response - Axios response
+ * @returns {Object} - Lower-cased header name -> value, repeated headers joined with ", "
+ */
+function responseHeaders(response) {
+  const res = response.request && response.request.res;
+  if (!res || !res.rawHeaders) {
+    return Object.fromEntries(Object.entries(response.headers || {}).map(([name, value]) => [name.toLowerCase(), String(value)]));
+  }
+
+  const headers = {};
+  for (let i = 0; i < res.rawHeaders.length; i += 2) {
+    const name = res.rawHeaders[i].toLowerCase();
+    const value = res.rawHeaders[i + 1];
+    headers[name] = name in headers ? `${headers[name]}, ${value}` : value;
+  }
+  return headers;
+}
+
+/**
+ * Parse a Strict-Transport-Security header
+ * @param {string} value - Header value
+ * @returns {Object} - { maxAge, includeSubDomains, preload }; maxAge is null when missing or invalid
+ */
+function parseHsts(value) {
+  const directives = String(value).split(';').map(part => part.trim().toLowerCase()).filter(Boolean);
+  const maxAge = directives.map(part => part.match(/^max-age\s*=\s*"?(\d+)"?$/)).find(Boolean);
+  return {
+    maxAge: maxAge ? parseInt(maxAge[1], 10) : null,
+    includeSubDomains: directives.includes('includesubdomains'),
+    preload: directives.includes('preload')
+  };
+}
+
+/**
+ * Parse X-Robots-Tag headers
+ * Directives apply to every crawler unless preceded by a user-agent name
+ * ("googlebot: noindex, nofollow").
+ * @param {string} value - Header value, repeated headers joined with ", "
+ * @returns {Object} - User agent ('*' for all) -> lower-cased directives
+ */
+function parseXRobotsTag(value) {
+  const agents = {};
+  let agent = '*';
+  String(value).split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    let directive = part;
+    const scoped = part.match(/^([^:\s]+)\s*:\s*(.*)$/);
+    if (scoped && !VALUED_DIRECTIVES.includes(scoped[1].toLowerCase())) {
+      agent = scoped[1].toLowerCase();
+      directive = scoped[2];
+    }
+    if (!directive) return;
+    (agents[agent] = agents[agent] || []).push(directive.toLowerCase());
+  });
+  return agents;
+}
+
+/**
+ * Find out whether the http:// address of an https page redirects to https
+ * Only the first hop is followed: the redirect should go straight to https.
+ * @param {string} url - https URL of the page
+ * @returns {Promise<Object|null>} - { url, status, location, redirectsToHttps, permanent },
+ *   or null when the http:// address can't be reached
+ */
+async function probeHttpsRedirect(url) {
+  const httpUrl = url.replace(/^https:/, 'http:');
+  try {
+    const response = await safeFetch.get(httpUrl, {
+      timeout: PROBE_TIMEOUT,
+      maxRedirects: 0,
+      maxContentLength: 1024 * 1024,
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; MardenSEOAuditBot/1.0)' },
+      validateStatus: () => true
+    });
+    const location = response.headers.location || null;
+    const target = location ? new URL(location, httpUrl) : null;
+    return {
+      url: httpUrl,
+      status: response.status,
+      location,
+      redirectsToHttps: response.status >= 300 && response.status < 400 && Boolean(target) && target.protocol === 'https:',
+      permanent: [301, 308].includes(response.status)
+    };
+  } catch (error) {
+    logger.debug('HTTP redirect probe failed', { url: httpUrl, error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  responseHeaders,
+  parseHsts,
+  parseXRobotsTag,
+  probeHttpsRedirect
+};
@@ -0,0 +1,419 @@
+/**
+ * robots.txt fetching, linting and URL testing
+ * Parses robots.txt into user-agent groups with line numbers, reports
+ * problems as catalogue issues and tests URLs for a given user-agent with
+ * the rule line that decided the verdict.
+ */
+
+const safeFetch = require('./safe-fetch');
+const cheerio = require('cheerio');
+const robotsParser = require('robots-parser');
+const { URL } = require('url');
+const { createIssue, getIssueDefinition } = require('./issue-catalog');
+
+// User-agents offered to callers of the URL tester
+const KNOWN_USER_AGENTS = ['Googlebot', 'Bingbot', 'GPTBot', 'MardenSEOAuditBot/1.0'];
+
+// Search engines stop reading robots.txt after 500 KiB
+const MAX_ROBOTS_BYTES = 512000;
+
+const DEFAULT_OPTIONS = {
+  timeout: 10000,
+  userAgent: 'MardenSEOAuditBot/1.0',
+  checkResources: true,
+  resourceUserAgent: 'Googlebot' // Crawler whose rendering needs CSS and JS
+};
+
+// Directives robots-parser and the major search engines act on
+const SUPPORTED_DIRECTIVES = ['user-agent', 'allow', 'disallow', 'crawl-delay', 'sitemap', 'host'];
+
+// Examples kept per aggregated issue
+const MAX_EXAMPLES = 5;
+
+/**
+ * Fetch robots.txt for a site
+ * @param {string} siteUrl - Any URL on the site
+ * @param {Object} options - { timeout, userAgent }
+ * @returns {Promise<Object>} - { url, statusCode, found, content, truncated, error }
+ */
+async function fetchRobotsTxt(siteUrl, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const url = `${new URL(siteUrl).origin}/robots.txt`;
+  const result = {
+    url,
+    statusCode: null,
+    found: false,
+    content: '',
+    truncated: false,
+    error: null
+  };
+
+  try {
+    const response = await safeFetch.get(url, {
+      timeout: config.timeout,
+      responseType: 'text',
+      transformResponse: data => data,
+      maxContentLength: MAX_ROBOTS_BYTES * 10,
+      headers: { 'User-Agent': config.userAgent },
+      validateStatus: () => true
+    });
+
+    result.statusCode = response.status;
+
+    if (response.status >= 500) {
+      result.error = `Server responded with ${response.status}`;
+    } else if (response.status === 200 && typeof response.data === 'string') {
+      result.found = true;
+      result.truncated = Buffer.byteLength(response.data) > MAX_ROBOTS_BYTES;
+      result.content = result.truncated
+        ? Buffer.from(response.data).subarray(0, MAX_ROBOTS_BYTES).toString()
+        : response.data;
+    }
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Parse robots.txt into user-agent groups, keeping line numbers
+ * @param {string} content - robots.txt body
+ * @returns {Object} - { lines, groups, sitemaps, problems }
+ */
+function parseRobotsTxt(content) {
+  const lines = String(content || '').split(/\r\n|\r|\n/);
+  const groups = [];
+  const sitemaps = [];
+  const problems = {
+    syntax: [],
+    unknown: [],
+    outsideGroup: [],
+    invalidCrawlDelay: []
+  };
+  let current = null;
+  let inUserAgentLines = false;
+
+  lines.forEach((raw, index) => {
+    const lineNumber = index + 1;
+    const text = raw.split('#')[0].trim();
+    if (!text) return;
+
+    const separator = text.indexOf(':');
+    if (separator < 0) {
+      problems.syntax.push({ line: lineNumber, text: raw.trim() });
+      return;
+    }
+
+    const directive = text.slice(0, separator).trim().toLowerCase();
+    const value = text.slice(separator + 1).trim();
+
+    if (!SUPPORTED_DIRECTIVES.includes(directive)) {
+      problems.unknown.push({ line: lineNumber, text: raw.trim() });
+      inUserAgentLines = false;
+      return;
+    }
+
+    switch (directive) {
+      case 'user-agent':
+        // Consecutive User-agent lines share one group
+        if (!inUserAgentLines) {
+          current = { userAgents: [], line: lineNumber, rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        if (value) current.userAgents.push(value);
+        break;
+      case 'allow':
+      case 'disallow':
+        if (!current) {
+          problems.outsideGroup.push({ line: lineNumber, text: raw.trim() });
+        } else {
+          current.rules.push({ directive, path: value, line: lineNumber });
+        }
+        break;
+      case 'crawl-delay': {
+        const delay = Number(value);
+        if (value === '' || isNaN(delay) || delay < 0) {
+          problems.invalidCrawlDelay.push({ line: lineNumber, text: raw.trim() });
+        } else if (!current) {
+          problems.outsideGroup.push({ line: lineNumber, text: raw.trim() });
+        } else {
+          current.crawlDelay = { value: delay, line: lineNumber };
+        }
+        break;
+      }
+      case 'sitemap':
+        sitemaps.push({ url: value, line: lineNumber });
+        break;
+      default:
+        break;
+    }
+
+    inUserAgentLines = directive === 'user-agent';
+  });
+
+  return { lines, groups, sitemaps, problems };
+}
+
+// One issue for a list of offending lines
+function aggregatedIssue(id, robotsUrl, occurrences) {
+  return createIssue(id, {
+    message: `${getIssueDefinition(id).title} (${occurrences.length} ${occurrences.length === 1 ? 'line' : 'lines'})`,
+    details: {
+      robotsTxt: robotsUrl,
+      count: occurrences.length,
+      examples: occurrences.slice(0, MAX_EXAMPLES)
+    }
+  });
+}
+
+/**
+ * Check parsed robots.txt for problems
+ * @param {string} robotsUrl - robots.txt URL
+ * @param {Object} parsed - Output of parseRobotsTxt
+ * @returns {Array<Object>} - Catalogue issues
+ */
+function lintRobotsTxt(robotsUrl, parsed) {
+  const issues = [];
+  const { problems } = parsed;
+
+  if (problems.syntax.length > 0) {
+    issues.push(aggregatedIssue('robots_syntax_error', robotsUrl, problems.syntax));
+  }
+  if (problems.unknown.length > 0) {
+    issues.push(aggregatedIssue('robots_unknown_directive', robotsUrl, problems.unknown));
+  }
+  if (problems.outsideGroup.length > 0) {
+    issues.push(aggregatedIssue('robots_rule_outside_group', robotsUrl, problems.outsideGroup));
+  }
+  if (problems.invalidCrawlDelay.length > 0) {
+    issues.push(aggregatedIssue('robots_invalid_crawl_delay', robotsUrl, problems.invalidCrawlDelay));
+  }
+
+  parsed.groups.forEach(group => {
+    // The same path both allowed and disallowed within a group
+    const allowed = new Map();
+    group.rules
+      .filter(rule => rule.directive === 'allow' && rule.path)
+      .forEach(rule => allowed.set(rule.path, rule.line));
+
+    group.rules
+      .filter(rule => rule.directive === 'disallow' && allowed.has(rule.path))
+      .forEach(rule => {
+        issues.push(createIssue('robots_conflicting_rules', {
+          message: `"${rule.path}" is both allowed and disallowed for ${group.userAgents.join(', ')}`,
+          details: {
+            robotsTxt: robotsUrl,
+            userAgents: group.userAgents,
+            path: rule.path,
+            lines: [allowed.get(rule.path), rule.line]
+          }
+        }));
+      });
+
+    const blocksAll = group.rules.some(rule => rule.directive === 'disallow' && rule.path === '/') &&
+      !group.rules.some(rule => rule.directive === 'allow' && rule.path);
+    if (blocksAll && group.userAgents.includes('*')) {
+      issues.push(createIssue('robots_blocks_all', {
+        details: { robotsTxt: robotsUrl, line: group.line }
+      }));
+    }
+
+    if (group.crawlDelay) {
+      issues.push(createIssue('robots_crawl_delay', {
+        message: `Crawl-delay of ${group.crawlDelay.value}s for ${group.userAgents.join(', ')}`,
+        details: {
+          robotsTxt: robotsUrl,
+          userAgents: group.userAgents,
+          value: group.crawlDelay.value,
+          line: group.crawlDelay.line
+        }
+      }));
+    }
+  });
+
+  const invalidSitemaps = parsed.sitemaps.filter(sitemap => {
+    try {
+      const url = new URL(sitemap.url);
+      return url.protocol !== 'http:' && url.protocol !== 'https:';
+    } catch (e) {
+      return true;
+    }
+  });
+  if (invalidSitemaps.length > 0) {
+    issues.push(aggregatedIssue('robots_invalid_sitemap_url', robotsUrl,
+      invalidSitemaps.map(sitemap => ({ line: sitemap.line, text: sitemap.url }))));
+  }
+  if (parsed.sitemaps.length === 0) {
+    issues.push(createIssue('robots_no_sitemap', { details: { robotsTxt: robotsUrl } }));
+  }
+
+  return issues;
+}
+
+/**
+ * Test URLs against robots.txt for one user-agent
+ * @param {string} robotsUrl - robots.txt URL
+ * @param {string} content - robots.txt body
+ * @param {Array<string>} urls - Absolute URLs or paths on the site
+ * @param {string} userAgent - User-agent to test as
+ * @returns {Array<Object>} - { url, userAgent, allowed, verdict, rule }
+ */
+function testUrls(robotsUrl, content, urls, userAgent) {
+  const robots = robotsParser(robotsUrl, content);
+  const lines = String(content || '').split(/\r\n|\r|\n/);
+
+  return urls.map(input => {
+    let url;
+    try {
+      url = new URL(input, robotsUrl).href;
+    } catch (e) {
+      return { url: input, userAgent, allowed: null, verdict: 'invalid_url', rule: null };
+    }
+
+    const allowed = robots.isAllowed(url, userAgent);
+    if (allowed === undefined) {
+      // robots.txt only governs URLs on its own origin
+      return { url, userAgent, allowed: null, verdict: 'not_applicable', rule: null };
+    }
+
+    const lineNumber = robots.getMatchingLineNumber(url, userAgent);
+    let rule = null;
+    if (lineNumber > 0) {
+      const text = lines[lineNumber - 1].split('#')[0].trim();
+      const separator = text.indexOf(':');
+      rule = {
+        line: lineNumber,
+        directive: text.slice(0, separator).trim(),
+        value: text.slice(separator + 1).trim(),
+        text
+      };
+    }
+
+    return {
+      url,
+      userAgent,
+      allowed,
+      verdict: allowed ? 'allowed' : 'disallowed',
+      rule
+    };
+  });
+}
+
+/**
+ * Find same-origin CSS and JS on a page that robots.txt blocks
+ * @param {string} pageUrl - Page to inspect
+ * @param {string} robotsUrl - robots.txt URL
+ * @param {string} content - robots.txt body
+ * @param {Object} config - Fetch options
+ * @returns {Promise<Object>} - { page, checked, tested, blocked, error }
+ */
+async function checkBlockedResources(pageUrl, robotsUrl, content, config) {
+  const result = { page: pageUrl, userAgent: config.resourceUserAgent, checked: false, tested: 0, blocked: [], error: null };
+
+  try {
+    const response = await safeFetch.get(pageUrl, {
+      timeout: config.timeout,
+      headers: { 'User-Agent': config.userAgent }
+    });
+    const $ = cheerio.load(response.data);
+    const origin = new URL(robotsUrl).origin;
+    const resources = new Map();
+
+    $('link[rel="stylesheet"][href]').each((i, el) => {
+      resources.set($(el).attr('href'), 'css');
+    });
+    $('script[src]').each((i, el) => {
+      resources.set($(el).attr('src'), 'js');
+    });
+
+    const sameOrigin = [];
+    resources.forEach((type, href) => {
+      try {
+        const url = new URL(href, pageUrl);
+        if (url.origin === origin) sameOrigin.push({ url: url.href, type });
+      } catch (e) {
+        // Skip invalid URLs
+      }
+    });
+
+    const verdicts = testUrls(robotsUrl, content, sameOrigin.map(resource => resource.url), config.resourceUserAgent);
+    result.checked = true;
+    result.tested = verdicts.length;
+    result.blocked = verdicts
+      .filter(verdict => verdict.verdict === 'disallowed')
+      .map(verdict => ({
+        url: verdict.url,
+        type: sameOrigin.find(resource => resource.url === verdict.url).type,
+        rule: verdict.rule
+      }));
+  } catch (error) {
+    result.error = error.message;
+  }
+
+  return result;
+}
+
+/**
+ * Fetch, parse and lint a site's robots.txt
+ * @param {string} siteUrl - Any URL on the site
+ * @param {Object} options - { timeout, userAgent, checkResources, resourceUserAgent }
+ * @returns {Promise<Object>} - robots.txt report
+ */
+async function analyzeRobotsTxt(siteUrl, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const fetched = await fetchRobotsTxt(siteUrl, config);
+  const parsed = parseRobotsTxt(fetched.content);
+  const issues = [];
+
+  if (fetched.error) {
+    issues.push(createIssue('robots_txt_fetch_failed', {
+      message: `robots.txt could not be fetched: ${fetched.error}`,
+      details: { robotsTxt: fetched.url, statusCode: fetched.statusCode, error: fetched.error }
+    }));
+  } else if (!fetched.found) {
+    issues.push(createIssue('robots_txt_not_found', {
+      details: { robotsTxt: fetched.url, statusCode: fetched.statusCode }
+    }));
+  } else {
+    issues.push(...lintRobotsTxt(fetched.url, parsed));
+  }
+
+  let resources = null;
+  if (fetched.found && config.checkResources) {
+    resources = await checkBlockedResources(new URL(siteUrl).origin + '/', fetched.url, fetched.content, config);
+    if (resources.blocked.length > 0) {
+      issues.push(createIssue('robots_blocked_resources', {
+        message: `${resources.blocked.length} CSS/JS file(s) on the home page blocked for ${config.resourceUserAgent}`,
+        details: { page: resources.page, blocked: resources.blocked.slice(0, MAX_EXAMPLES) }
+      }));
+    }
+  }
+
+  return {
+    url: fetched.url,
+    statusCode: fetched.statusCode,
+    found: fetched.found,
+    truncated: fetched.truncated,
+    size: Buffer.byteLength(fetched.content),
+    content: fetched.content,
+    groups: parsed.groups,
+    sitemaps: parsed.sitemaps,
+    crawlDelays: parsed.groups
+      .filter(group => group.crawlDelay)
+      .map(group => ({ userAgents: group.userAgents, ...group.crawlDelay })),
+    resources,
+    issues,
+    analyzedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  KNOWN_USER_AGENTS,
+  MAX_ROBOTS_BYTES,
+  fetchRobotsTxt,
+  parseRobotsTxt,
+  lintRobotsTxt,
+  testUrls,
+  analyzeRobotsTxt
+};
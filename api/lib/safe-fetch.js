@@ -0,0 +1,297 @@
+/**
+ * Safe Fetch
+ * Outbound HTTP for everything that fetches user-supplied URLs (analyzers,
+ * crawlers, sitemap and robots.txt checks, webhooks). Requests may only go to
+ * public addresses on allowed ports over http or https:
+ *
+ * - Host names are resolved by the connection's own DNS lookup, which refuses
+ *   private, loopback, link-local and metadata addresses, so the address that
+ *   was checked is the one connected to (no DNS rebinding window)
+ * - Every redirect hop is checked again before it is followed
+ * - Responses are capped in size and redirects in number
+ * - Every request is counted and timed for /metrics
+ *
+ * ALLOW_PRIVATE_FETCH=true turns the address and port checks off for local
+ * development against servers on localhost.
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const metrics = require('./metrics');
+
+const MAX_REDIRECTS = 5;
+const MAX_RESPONSE_BYTES = process.env.MAX_FETCH_BYTES ? parseInt(process.env.MAX_FETCH_BYTES, 10) : 10 * 1024 * 1024;
+const ALLOWED_PORTS = (process.env.ALLOWED_FETCH_PORTS || '80,443,8080,8443')
+  .split(',')
+  .map(port => parseInt(port, 10))
+  .filter(Boolean);
+
+// Names that only ever point inside the network
+const BLOCKED_HOSTNAMES = ['localhost', 'metadata', 'metadata.google.internal', 'instance-data'];
+const BLOCKED_SUFFIXES = ['.localhost', '.internal', '.local'];
+
+// [address, prefix, reason]
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'unspecified address'],
+  ['10.0.0.0', 8, 'private address'],
+  ['100.64.0.0', 10, 'shared address'],
+  ['127.0.0.0', 8, 'loopback address'],
+  ['169.254.0.0', 16, 'link-local address'], // Includes the 169.254.169.254 metadata service
+  ['172.16.0.0', 12, 'private address'],
+  ['192.0.0.0', 24, 'reserved address'],
+  ['192.0.2.0', 24, 'documentation address'],
+  ['192.168.0.0', 16, 'private address'],
+  ['198.18.0.0', 15, 'benchmarking address'],
+  ['198.51.100.0', 24, 'documentation address'],
+  ['203.0.113.0', 24, 'documentation address'],
+  ['224.0.0.0', 4, 'multicast address'],
+  ['240.0.0.0', 4, 'reserved address'],
+  ['::', 128, 'unspecified address'],
+  ['::1', 128, 'loopback address'],
+  ['100::', 64, 'discard address'],
+  ['2001:db8::', 32, 'documentation address'],
+  ['fc00::', 7, 'private address'],
+  ['fe80::', 10, 'link-local address'],
+  ['ff00::', 8, 'multicast address']
+].map(([address, prefix, reason]) => {
+  const list = new net.BlockList();
+  const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  list.addSubnet(address, prefix, type);
+  return { list, type, reason };
+});
+
+class BlockedUrlError extends Error {
+  constructor(url, reason) {
+    super(`Blocked request to ${url}: ${reason}`);
+    this.name = 'BlockedUrlError';
+    this.code = 'URL_BLOCKED';
+    this.statusCode = 400;
+  }
+}
+
+const allowPrivate = () => process.env.ALLOW_PRIVATE_FETCH === 'true';
+
+/**
+ * Why an IP address may not be fetched
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {string|null} - Reason, or null for public addresses
+ */
+function blockedAddressReason(address) {
+  let ip = address.replace(/^\[|\]$/g, '').toLowerCase();
+
+  // IPv4-mapped and NAT64 IPv6 addresses reach the embedded IPv4 address
+  const embedded = ip.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) ip = embedded[1];
+  const mappedHex = ip.match(/^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mappedHex) {
+    const value = (parseInt(mappedHex[1], 16) << 16 | parseInt(mappedHex[2], 16)) >>> 0;
+    ip = [24, 16, 8, 0].map(shift => (value >>> shift) & 255).join('.');
+  }
+
+  const family = net.isIP(ip);
+  if (!family) return 'not an IP address';
+  const type = family === 4 ? 'ipv4' : 'ipv6';
+  const range = BLOCKED_RANGES.find(item => item.type === type && item.list.check(ip, type));
+  return range ? range.reason : null;
+}
+
+/**
+ * Check a URL's scheme, port and host name, without DNS
+ * @param {string} url - URL to check
+ * @throws {BlockedUrlError}
+ */
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new BlockedUrlError(url, 'invalid URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new BlockedUrlError(url, `${parsed.protocol.replace(':', '')} URLs are not allowed`);
+  }
+  if (parsed.username || parsed.password) {
+    throw new BlockedUrlError(url, 'URLs with credentials are not allowed');
+  }
+  if (allowPrivate()) return;
+
+  const port = parsed.port ? parseInt(parsed.port, 10) : (parsed.protocol === 'https:' ? 443 : 80);
+  if (!ALLOWED_PORTS.includes(port)) {
+    throw new BlockedUrlError(url, `port ${port} is not allowed`);
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+  if (BLOCKED_HOSTNAMES.includes(hostname) || BLOCKED_SUFFIXES.some(suffix => hostname.endsWith(suffix))) {
+    throw new BlockedUrlError(url, 'internal host name');
+  }
+
+  // IP literals never reach the DNS lookup, so they are checked here
+  if (net.isIP(hostname.replace(/^\[|\]$/g, ''))) {
+    const reason = blockedAddressReason(hostname);
+    if (reason) throw new BlockedUrlError(url, reason);
+  }
+}
+
+/**
+ * DNS lookup for outbound connections that refuses blocked addresses
+ * Same signature as dns.lookup.
+ */
+function safeLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof options === 'number') options = { family: options };
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!allowPrivate()) {
+      for (const { address } of addresses) {
+        const reason = blockedAddressReason(address);
+        if (reason) return callback(new BlockedUrlError(hostname, `resolves to ${address}, a ${reason}`));
+      }
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+/**
+ * Check a URL, including where its host name resolves
+ * For callers that hand URLs to something other than this module (a browser)
+ * or want to reject a URL before starting work.
+ * @param {string} url - URL to check
+ * @returns {Promise<void>}
+ * @throws {BlockedUrlError} - Or the DNS error for names that don't resolve
+ */
+async function assertSafeUrl(url) {
+  checkUrl(url);
+  await new Promise((resolve, reject) => {
+    safeLookup(new URL(url).hostname.replace(/^\[|\]$/g, ''), {}, error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * The reason a URL may not be fetched, for rejecting requests up front
+ * Other failures (names that don't resolve) are left to the fetch itself.
+ * @param {string} url - URL to check
+ * @returns {Promise<BlockedUrlError|null>}
+ */
+async function blockedError(url) {
+  try {
+    await assertSafeUrl(url);
+    return null;
+  } catch (error) {
+    return error instanceof BlockedUrlError ? error : null;
+  }
+}
+
+// Axios config with the safety settings applied over the caller's. Bodies are
+// capped at MAX_RESPONSE_BYTES unless the caller sets its own cap with
+// maxResponseBytes (sitemaps may be 50MB).
+function safeConfig(url, { maxResponseBytes = MAX_RESPONSE_BYTES, ...config } = {}) {
+  checkUrl(url);
+
+  const maxContentLength = config.maxContentLength > 0
+    ? Math.min(config.maxContentLength, maxResponseBytes)
+    : maxResponseBytes;
+
+  return {
+    ...config,
+    httpAgent,
+    httpsAgent,
+    proxy: false,
+    maxRedirects: Math.min(config.maxRedirects === undefined ? MAX_REDIRECTS : config.maxRedirects, MAX_REDIRECTS),
+    maxContentLength,
+    maxBodyLength: maxContentLength,
+    beforeRedirect: (options, responseDetails) => {
+      checkUrl(options.href);
+      if (config.beforeRedirect) config.beforeRedirect(options, responseDetails);
+    }
+  };
+}
+
+// Surface a blocked hop as the BlockedUrlError itself rather than the
+// redirect or network error wrapping it
+function unwrapBlocked(error) {
+  for (let cause = error; cause; cause = cause.cause) {
+    if (cause instanceof BlockedUrlError) return cause;
+  }
+  return error;
+}
+
+const outboundRequests = metrics.counter(
+  'marden_outbound_requests_total',
+  'Outbound requests by status class (2xx to 5xx, blocked, or error for requests without a response)',
+  ['status_class']
+);
+const outboundDuration = metrics.histogram(
+  'marden_outbound_request_duration_seconds',
+  'Outbound request latency by status class',
+  ['status_class']
+);
+
+// Send a request, counting and timing it by the class of its outcome
+async function send(request) {
+  const elapsed = metrics.startTimer();
+  const record = statusClass => {
+    outboundRequests.inc({ status_class: statusClass });
+    outboundDuration.observe({ status_class: statusClass }, elapsed());
+  };
+
+  try {
+    const response = await request();
+    record(`${Math.floor(response.status / 100)}xx`);
+    return response;
+  } catch (caught) {
+    const error = unwrapBlocked(caught);
+    if (error instanceof BlockedUrlError) {
+      record('blocked');
+    } else {
+      record(error.response ? `${Math.floor(error.response.status / 100)}xx` : 'error');
+    }
+    throw error;
+  }
+}
+
+/**
+ * GET a URL (axios.get with the safety checks)
+ * @param {string} url - URL to fetch
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} - Axios response
+ */
+async function get(url, config) {
+  return send(() => axios.get(url, safeConfig(url, config)));
+}
+
+/**
+ * POST to a URL (axios.post with the safety checks)
+ * @param {string} url - URL to post to
+ * @param {any} data - Request body
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} - Axios response
+ */
+async function post(url, data, config) {
+  return send(() => axios.post(url, data, safeConfig(url, config)));
+}
+
+module.exports = {
+  BlockedUrlError,
+  MAX_REDIRECTS,
+  MAX_RESPONSE_BYTES,
+  blockedAddressReason,
+  checkUrl,
+  assertSafeUrl,
+  blockedError,
+  get,
+  post
+};
@@ -0,0 +1,124 @@
+/**
+ * Scoring profiles for the enhanced analysis engine
+ * A profile sets per-rule penalties, category weights for the overall score
+ * and the score thresholds used for the page status.
+ */
+
+const DEFAULT_PROFILE = 'default';
+
+const profiles = {
+  default: {
+    description: 'Balanced weighting suitable for most sites',
+    // Rule id -> penalty; rules not listed use their own weight
+    penalties: {},
+    categoryWeights: {
+      metadata: 1,
+      content: 1,
+      technical: 1,
+      userExperience: 1
+    },
+    thresholds: {
+      good: 80,
+      needsImprovement: 50
+    }
+  },
+
+  ecommerce: {
+    description: 'Product and category pages: snippets, images and duplicate URLs matter most',
+    penalties: {
+      missing_description: 35,
+      short_description: 15,
+      missing_canonical: 20,
+      images_without_alt: 5,
+      low_word_count: 10
+    },
+    categoryWeights: {
+      metadata: 1.2,
+      content: 0.8,
+      technical: 1.3,
+      userExperience: 1.2
+    },
+    thresholds: {
+      good: 80,
+      needsImprovement: 55
+    }
+  },
+
+  blog: {
+    description: 'Editorial content: depth of content and heading structure matter most',
+    penalties: {
+      low_word_count: 35,
+      missing_h1: 30,
+      multiple_h1: 10,
+      short_title: 15,
+      missing_canonical: 5
+    },
+    categoryWeights: {
+      metadata: 1.2,
+      content: 1.5,
+      technical: 0.8,
+      userExperience: 0.8
+    },
+    thresholds: {
+      good: 80,
+      needsImprovement: 50
+    }
+  },
+
+  'local-business': {
+    description: 'Small brochure sites: titles, descriptions and usability over content volume',
+    penalties: {
+      missing_title: 35,
+      short_title: 15,
+      low_word_count: 10,
+      missing_canonical: 5
+    },
+    categoryWeights: {
+      metadata: 1.4,
+      content: 0.7,
+      technical: 0.9,
+      userExperience: 1.2
+    },
+    thresholds: {
+      good: 75,
+      needsImprovement: 45
+    }
+  }
+};
+
+/**
+ * Check whether a profile name is known
+ * @param {string} name - Profile name
+ * @returns {boolean}
+ */
+function hasProfile(name) {
+  return Object.prototype.hasOwnProperty.call(profiles, name);
+}
+
+/**
+ * Get a scoring profile by name
+ * @param {string} name - Profile name (defaults to 'default')
+ * @returns {Object|null} - Profile with its name, or null if unknown
+ */
+function getProfile(name = DEFAULT_PROFILE) {
+  if (!hasProfile(name)) return null;
+  return { name, ...profiles[name] };
+}
+
+/**
+ * List available profile names and descriptions
+ * @returns {Array<Object>}
+ */
+function listProfiles() {
+  return Object.entries(profiles).map(([name, profile]) => ({
+    name,
+    description: profile.description
+  }));
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  hasProfile,
+  getProfile,
+  listProfiles
+};
@@ -0,0 +1,78 @@
+/**
+ * Shutdown
+ * Draining before the process exits. Modules register a drain function for the
+ * work they own (requests in flight, crawl jobs, event streams); on SIGTERM
+ * they all run at once and get until SHUTDOWN_TIMEOUT to finish.
+ *
+ * While draining, new API requests are turned away with 503 and /health/ready
+ * fails, so the load balancer stops sending traffic here.
+ */
+
+const logger = require('./logger');
+
+const SHUTDOWN_TIMEOUT = parseInt(process.env.SHUTDOWN_TIMEOUT || '25000', 10);
+
+const drains = [];
+let draining = null;
+
+/**
+ * Register work to finish before the process exits
+ * @param {string} name - What is drained, for logs
+ * @param {Function} drain - Called with the deadline (ms since the epoch);
+ *   resolves once the work is done or handed off
+ */
+function onShutdown(name, drain) {
+  drains.push({ name, drain });
+}
+
+/**
+ * Whether the process has started shutting down
+ * @returns {boolean}
+ */
+function isShuttingDown() {
+  return draining !== null;
+}
+
+/**
+ * Run every drain function, up to SHUTDOWN_TIMEOUT
+ * Safe to call more than once; later calls wait on the first.
+ * @returns {Promise<Object>} - { drained, timedOut }: names finished and not finished in time
+ */
+function drain() {
+  if (draining) return draining;
+
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT;
+  const pending = new Set(drains.map(({ name }) => name));
+
+  draining = (async () => {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(resolve, SHUTDOWN_TIMEOUT);
+    });
+    const all = Promise.all(drains.map(async ({ name, drain: run }) => {
+      const start = Date.now();
+      try {
+        await run(deadline);
+      } catch (error) {
+        logger.error('Drain failed', { name, error });
+      }
+      pending.delete(name);
+      logger.info('Drained', { name, durationMs: Date.now() - start });
+    }));
+
+    await Promise.race([all, timeout]);
+    clearTimeout(timer);
+    const timedOut = Array.from(pending);
+    if (timedOut.length > 0) logger.warn('Shutdown deadline passed', { timedOut, timeoutMs: SHUTDOWN_TIMEOUT });
+    return { drained: drains.map(({ name }) => name).filter(name => !pending.has(name)), timedOut };
+  })();
+
+  return draining;
+}
+
+module.exports = {
+  SHUTDOWN_TIMEOUT,
+  onShutdown,
+  isShuttingDown,
+  drain
+};
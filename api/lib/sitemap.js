@@ -0,0 +1,405 @@
+/**
+ * Sitemap discovery, parsing and validation
+ * Resolves sitemaps from robots.txt and /sitemap.xml, follows sitemap indexes,
+ * unpacks gzipped sitemaps and checks them against the sitemaps.org limits.
+ */
+
+const safeFetch = require('./safe-fetch');
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+const { URL } = require('url');
+const { createIssue, getIssueDefinition } = require('./issue-catalog');
+const { fetchRobotsTxt, parseRobotsTxt } = require('./robots');
+const logger = require('./logger');
+
+// sitemaps.org protocol limits
+const MAX_SITEMAP_BYTES = 52428800; // 50MB uncompressed
+const MAX_SITEMAP_URLS = 50000;
+
+const DEFAULT_OPTIONS = {
+  maxSitemaps: 20,     // Sitemap files fetched per site (indexes included)
+  maxUrls: 10000,      // URLs kept in the returned inventory
+  timeout: 15000,
+  userAgent: 'MardenSEOAuditBot/1.0'
+};
+
+// W3C Datetime: YYYY, YYYY-MM, YYYY-MM-DD or a full date with time and timezone
+const W3C_DATETIME = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d))?)?)?$/;
+
+// Examples kept per aggregated issue
+const MAX_EXAMPLES = 5;
+
+/**
+ * Check a lastmod value against the W3C Datetime format
+ * @param {string} value - lastmod text
+ * @returns {boolean}
+ */
+function isValidLastmod(value) {
+  return W3C_DATETIME.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Find sitemap URLs for a site from robots.txt and the default location
+ * @param {string} siteUrl - Any URL on the site
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Object>} - { robotsTxtFound, sitemaps: [{ url, source }] }
+ */
+async function discoverSitemaps(siteUrl, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const origin = new URL(siteUrl).origin;
+  const sitemaps = [];
+  let robotsTxtFound = false;
+
+  const robotsTxt = await fetchRobotsTxt(origin, config);
+  if (robotsTxt.found) {
+    robotsTxtFound = true;
+    parseRobotsTxt(robotsTxt.content).sitemaps.forEach(sitemap => {
+      try {
+        const url = new URL(sitemap.url, origin).href;
+        if (!sitemaps.some(existing => existing.url === url)) {
+          sitemaps.push({ url, source: 'robots' });
+        }
+      } catch (e) {
+        // Skip invalid Sitemap: lines
+      }
+    });
+  } else if (robotsTxt.error) {
+    logger.warn('Failed to fetch robots.txt', { url: origin, error: robotsTxt.error });
+  }
+
+  // Fall back to the conventional location
+  const defaultUrl = `${origin}/sitemap.xml`;
+  if (!sitemaps.some(sitemap => sitemap.url === defaultUrl)) {
+    sitemaps.push({ url: defaultUrl, source: 'default' });
+  }
+
+  return { robotsTxtFound, sitemaps };
+}
+
+/**
+ * Fetch a sitemap file, unpacking gzip when needed
+ * @param {string} url - Sitemap URL
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Object>} - { url, statusCode, compressed, size, body, tooLarge, error };
+ *   size is null when the sitemap was cut off for being over MAX_SITEMAP_BYTES
+ */
+async function fetchSitemap(url, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const result = {
+    url,
+    statusCode: null,
+    compressed: false,
+    size: 0,
+    body: null,
+    tooLarge: false,
+    error: null
+  };
+
+  let response;
+  try {
+    response = await safeFetch.get(url, {
+      timeout: config.timeout,
+      responseType: 'arraybuffer',
+      // Above safe-fetch's default cap, which is meant for pages
+      maxResponseBytes: MAX_SITEMAP_BYTES + 1,
+      maxContentLength: MAX_SITEMAP_BYTES + 1,
+      headers: {
+        'User-Agent': config.userAgent,
+        'Accept': 'application/xml,text/xml,application/x-gzip,*/*;q=0.8'
+      },
+      validateStatus: () => true
+    });
+  } catch (error) {
+    if (/maxContentLength/.test(error.message)) {
+      result.tooLarge = true;
+      result.size = null;
+    }
+    result.error = error.message;
+    return result;
+  }
+
+  result.statusCode = response.status;
+  if (response.status !== 200) {
+    result.error = `HTTP ${response.status}`;
+    return result;
+  }
+
+  let buffer = Buffer.from(response.data);
+
+  // .gz sitemaps arrive as a gzip payload rather than a Content-Encoding
+  if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    result.compressed = true;
+    try {
+      buffer = zlib.gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES + 1 });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE' || error instanceof RangeError) {
+        result.tooLarge = true;
+        result.size = null;
+      }
+      result.error = `Failed to decompress sitemap: ${error.message}`;
+      return result;
+    }
+  }
+
+  result.size = buffer.length;
+  result.tooLarge = buffer.length > MAX_SITEMAP_BYTES;
+  result.body = buffer.toString('utf8');
+  return result;
+}
+
+/**
+ * Parse sitemap XML
+ * @param {string} xml - Sitemap document
+ * @returns {Object} - { type: 'urlset'|'sitemapindex'|null, entries: [{ loc, lastmod, changefreq, priority }] }
+ */
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  let type = null;
+  let items = null;
+
+  if ($('sitemapindex').length > 0) {
+    type = 'sitemapindex';
+    items = $('sitemapindex > sitemap');
+  } else if ($('urlset').length > 0) {
+    type = 'urlset';
+    items = $('urlset > url');
+  }
+
+  const entries = [];
+  if (items) {
+    items.each((i, el) => {
+      const $el = $(el);
+      entries.push({
+        loc: $el.children('loc').first().text().trim(),
+        lastmod: $el.children('lastmod').first().text().trim() || null,
+        changefreq: $el.children('changefreq').first().text().trim() || null,
+        priority: $el.children('priority').first().text().trim() || null
+      });
+    });
+  }
+
+  return { type, entries };
+}
+
+/**
+ * Validate the entries of a parsed sitemap
+ * @param {string} sitemapUrl - URL the sitemap was fetched from
+ * @param {Object} parsed - Output of parseSitemap
+ * @returns {Array<Object>} - Catalogue issues, aggregated per issue id
+ */
+function validateSitemap(sitemapUrl, parsed) {
+  const issues = [];
+  const sitemapHost = new URL(sitemapUrl).host;
+  const problems = {
+    sitemap_invalid_url: [],
+    sitemap_cross_host_url: [],
+    sitemap_invalid_lastmod: [],
+    sitemap_duplicate_url: []
+  };
+  const seen = new Set();
+
+  if (!parsed.type) {
+    return [createIssue('sitemap_invalid_xml', { details: { sitemap: sitemapUrl } })];
+  }
+
+  if (parsed.entries.length === 0) {
+    issues.push(createIssue('sitemap_empty', { details: { sitemap: sitemapUrl } }));
+  }
+
+  if (parsed.type === 'urlset' && parsed.entries.length > MAX_SITEMAP_URLS) {
+    issues.push(createIssue('sitemap_too_many_urls', {
+      details: { sitemap: sitemapUrl, urlCount: parsed.entries.length, limit: MAX_SITEMAP_URLS }
+    }));
+  }
+
+  parsed.entries.forEach(entry => {
+    let url;
+    try {
+      url = new URL(entry.loc);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('Unsupported protocol');
+    } catch (e) {
+      problems.sitemap_invalid_url.push(entry.loc);
+      return;
+    }
+
+    if (url.host !== sitemapHost) {
+      problems.sitemap_cross_host_url.push(entry.loc);
+    }
+
+    if (entry.lastmod && !isValidLastmod(entry.lastmod)) {
+      problems.sitemap_invalid_lastmod.push(`${entry.loc} (${entry.lastmod})`);
+    }
+
+    if (seen.has(url.href)) {
+      problems.sitemap_duplicate_url.push(entry.loc);
+    }
+    seen.add(url.href);
+  });
+
+  Object.entries(problems).forEach(([id, examples]) => {
+    if (examples.length === 0) return;
+    issues.push(createIssue(id, {
+      message: `${getIssueDefinition(id).title} (${examples.length} entries)`,
+      details: {
+        sitemap: sitemapUrl,
+        count: examples.length,
+        examples: examples.slice(0, MAX_EXAMPLES)
+      }
+    }));
+  });
+
+  return issues;
+}
+
+/**
+ * Discover, fetch and validate every sitemap of a site
+ * @param {string} siteUrl - Any URL on the site
+ * @param {Object} options - { maxSitemaps, maxUrls, timeout, userAgent }
+ * @returns {Promise<Object>} - Sitemap inventory and validation issues
+ */
+async function analyzeSitemaps(siteUrl, options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const { robotsTxtFound, sitemaps: discovered } = await discoverSitemaps(siteUrl, config);
+
+  const sitemaps = [];
+  const urls = [];
+  const urlSet = new Set();
+  const issues = [];
+  const fetched = new Set();
+  let totalUrls = 0;
+
+  // Breadth-first over sitemaps and the children of sitemap indexes
+  const queue = discovered.map(sitemap => ({ ...sitemap, parent: null, parentType: null }));
+
+  while (queue.length > 0 && fetched.size < config.maxSitemaps) {
+    const item = queue.shift();
+    if (fetched.has(item.url)) continue;
+    fetched.add(item.url);
+
+    const fetchResult = await fetchSitemap(item.url, config);
+    const sitemap = {
+      url: item.url,
+      source: item.source,
+      parent: item.parent,
+      statusCode: fetchResult.statusCode,
+      compressed: fetchResult.compressed,
+      size: fetchResult.size,
+      type: null,
+      entryCount: 0,
+      issues: []
+    };
+    sitemaps.push(sitemap);
+
+    if (fetchResult.tooLarge) {
+      sitemap.issues.push(createIssue('sitemap_too_large', {
+        details: { sitemap: item.url, size: fetchResult.size, limit: MAX_SITEMAP_BYTES }
+      }));
+    }
+
+    if (fetchResult.body === null) {
+      // A missing /sitemap.xml is only a problem when nothing else was found
+      if (item.source !== 'default' && !fetchResult.tooLarge) {
+        sitemap.issues.push(createIssue('sitemap_fetch_failed', {
+          message: `Sitemap ${item.url} could not be fetched: ${fetchResult.error}`,
+          details: { sitemap: item.url, statusCode: fetchResult.statusCode, error: fetchResult.error }
+        }));
+      }
+      continue;
+    }
+
+    const parsed = parseSitemap(fetchResult.body);
+    sitemap.type = parsed.type;
+    sitemap.entryCount = parsed.entries.length;
+    sitemap.issues.push(...validateSitemap(item.url, parsed));
+
+    if (item.source === 'default' && robotsTxtFound && parsed.type) {
+      sitemap.issues.push(createIssue('sitemap_not_in_robots', { details: { sitemap: item.url } }));
+    }
+
+    if (parsed.type === 'sitemapindex') {
+      if (item.parentType === 'sitemapindex') {
+        sitemap.issues.push(createIssue('sitemap_nested_index', {
+          details: { sitemap: item.url, parent: item.parent }
+        }));
+      }
+
+      parsed.entries.forEach(entry => {
+        try {
+          queue.push({
+            url: new URL(entry.loc).href,
+            source: 'index',
+            parent: item.url,
+            parentType: parsed.type
+          });
+        } catch (e) {
+          // Reported by validateSitemap
+        }
+      });
+    } else if (parsed.type === 'urlset') {
+      totalUrls += parsed.entries.length;
+
+      parsed.entries.forEach(entry => {
+        if (urls.length >= config.maxUrls || urlSet.has(entry.loc)) return;
+        urlSet.add(entry.loc);
+        urls.push({ ...entry, sitemap: item.url });
+      });
+    }
+  }
+
+  sitemaps.forEach(sitemap => issues.push(...sitemap.issues));
+
+  const found = sitemaps.filter(sitemap => sitemap.type);
+  if (found.length === 0) {
+    issues.push(createIssue('sitemap_not_found', { details: { site: new URL(siteUrl).origin } }));
+  }
+
+  return {
+    site: new URL(siteUrl).origin,
+    robotsTxtFound,
+    sitemaps,
+    urls,
+    totalUrls,
+    truncated: totalUrls > urls.length || queue.length > 0,
+    issues,
+    analyzedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Get the same-host URLs a site declares in its sitemaps, for seeding a crawl
+ * @param {string} siteUrl - Any URL on the site
+ * @param {Object} options - { maxUrls, maxSitemaps, timeout, userAgent }
+ * @returns {Promise<Array<string>>} - Absolute URLs
+ */
+async function getSitemapUrls(siteUrl, options = {}) {
+  const host = new URL(siteUrl).host;
+
+  try {
+    const inventory = await analyzeSitemaps(siteUrl, options);
+    return inventory.urls
+      .map(entry => {
+        try {
+          return new URL(entry.loc);
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(url => url && url.host === host)
+      .map(url => url.href);
+  } catch (error) {
+    logger.warn('Sitemap lookup failed', { url: siteUrl, error: error.message });
+    return [];
+  }
+}
+
+module.exports = {
+  MAX_SITEMAP_BYTES,
+  MAX_SITEMAP_URLS,
+  isValidLastmod,
+  discoverSitemaps,
+  fetchSitemap,
+  parseSitemap,
+  validateSitemap,
+  analyzeSitemaps,
+  getSitemapUrls
+};
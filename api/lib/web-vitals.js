@@ -0,0 +1,272 @@
+/**
+ * Web Vitals
+ * Lab Core Web Vitals: loads a page in headless Chromium with the CPU and
+ * network throttled like a mid-range phone on a slow 4G connection (the
+ * settings Lighthouse uses), and reads the metrics from the browser's own
+ * performance entries.
+ *
+ * Lab values differ from what real users get (field data); they are for
+ * comparing pages and finding what slows them down.
+ */
+
+const browser = require('./browser');
+const { ApiError } = require('./errors');
+const logger = require('./logger');
+
+const DEVICES = {
+  mobile: {
+    viewport: { width: 412, height: 823, deviceScaleFactor: 1.75, isMobile: true, hasTouch: true },
+    userAgent: 'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) MardenSEOAuditBot/1.0 Chrome/120.0.0.0 Mobile Safari/537.36',
+    cpuSlowdown: 4,
+    // Bytes per second; 1.6 Mbps down, 750 Kbps up
+    network: { latency: 150, download: 1638.4 * 1024 / 8, upload: 750 * 1024 / 8 }
+  },
+  desktop: {
+    viewport: { width: 1350, height: 940, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) MardenSEOAuditBot/1.0 Chrome/120.0.0.0 Safari/537.36',
+    cpuSlowdown: 1,
+    // 10 Mbps both ways
+    network: { latency: 40, download: 10240 * 1024 / 8, upload: 10240 * 1024 / 8 }
+  }
+};
+
+// Google's thresholds: at or under `good` is good, over `poor` is poor
+const THRESHOLDS = {
+  lcp: { good: 2500, poor: 4000 },
+  fcp: { good: 1800, poor: 3000 },
+  cls: { good: 0.1, poor: 0.25 },
+  tbt: { good: 200, poor: 600 },
+  inpProxy: { good: 200, poor: 500 }
+};
+
+// Share of each metric in the overall score (Lighthouse's weights, with
+// Speed Index's share given to the INP proxy)
+const WEIGHTS = { fcp: 10, lcp: 25, tbt: 30, cls: 25, inpProxy: 10 };
+
+const LOAD_TIMEOUT = 45000;
+// Quiet time after load for late LCP candidates, shifts and long tasks
+const SETTLE_TIMEOUT = 10000;
+const MAX_SHIFTS = 5;
+
+/**
+ * Installed in the page before any of its scripts run; records paint, LCP,
+ * layout shift and long task entries, and the time from a keypress to the
+ * next frame
+ */
+function collectVitals() {
+  const state = { fcp: null, lcp: null, shifts: [], longTasks: [], interaction: null };
+
+  const describe = node => {
+    if (!node || node.nodeType !== 1) return null;
+    let selector = node.tagName.toLowerCase();
+    if (node.id) {
+      selector += `#${node.id}`;
+    } else if (node.classList.length > 0) {
+      selector += `.${Array.from(node.classList).slice(0, 2).join('.')}`;
+    }
+    const text = (node.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+    return { selector, text: text || null };
+  };
+
+  const observe = (type, handle) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(handle)).observe({ type, buffered: true });
+    } catch (error) {
+      // Entry type not supported
+    }
+  };
+
+  observe('paint', entry => {
+    if (entry.name === 'first-contentful-paint') state.fcp = entry.startTime;
+  });
+  observe('largest-contentful-paint', entry => {
+    state.lcp = { time: entry.startTime, size: entry.size, url: entry.url || null, element: describe(entry.element) };
+  });
+  observe('layout-shift', entry => {
+    if (entry.hadRecentInput) return;
+    state.shifts.push({
+      time: entry.startTime,
+      value: entry.value,
+      nodes: (entry.sources || []).map(source => describe(source.node)).filter(Boolean)
+    });
+  });
+  observe('longtask', entry => {
+    state.longTasks.push({ start: entry.startTime, duration: entry.duration });
+  });
+
+  // Input delay, handlers and rendering up to the frame after the keypress
+  addEventListener('keydown', event => {
+    requestAnimationFrame(() => setTimeout(() => {
+      state.interaction = performance.now() - event.timeStamp;
+    }, 0));
+  }, true);
+
+  window.__mardenVitals = state;
+}
+
+/**
+ * Rate and score a metric value
+ * Scores follow Lighthouse's bands: 90-100 good, 50-89 needs improvement,
+ * under 50 poor.
+ * @param {string} name - Metric name (THRESHOLDS)
+ * @param {number} value - Measured value
+ * @returns {Object} - { rating, score }
+ */
+function rate(name, value) {
+  const { good, poor } = THRESHOLDS[name];
+  if (value <= good) {
+    return { rating: 'good', score: Math.round(90 + 10 * (1 - value / good)) };
+  }
+  if (value <= poor) {
+    return { rating: 'needs-improvement', score: Math.round(50 + 39 * (poor - value) / (poor - good)) };
+  }
+  return { rating: 'poor', score: Math.max(0, Math.round(49 * (1 - (value - poor) / poor))) };
+}
+
+/**
+ * Cumulative Layout Shift: the largest session window of shifts (shifts less
+ * than 1 second apart, at most 5 seconds long)
+ */
+function cumulativeLayoutShift(shifts) {
+  let worst = 0;
+  let current = 0;
+  let windowStart = 0;
+  let previous = -Infinity;
+  shifts.forEach(shift => {
+    if (shift.time - previous > 1000 || shift.time - windowStart > 5000) {
+      current = 0;
+      windowStart = shift.time;
+    }
+    current += shift.value;
+    previous = shift.time;
+    worst = Math.max(worst, current);
+  });
+  return worst;
+}
+
+/**
+ * Total Blocking Time: the time past 50ms of every long task after the first
+ * contentful paint, up to the end of the measurement
+ */
+function totalBlockingTime(longTasks, fcp) {
+  return longTasks.reduce((total, task) => {
+    const end = task.start + task.duration;
+    if (end <= fcp) return total;
+    const start = Math.max(task.start, fcp);
+    return total + Math.max(0, end - start - 50);
+  }, 0);
+}
+
+function metric(name, value, unit, extra = {}) {
+  return { value, unit, ...rate(name, value), ...extra };
+}
+
+/**
+ * Measure a page's lab Core Web Vitals
+ * @param {string} url - Page URL
+ * @param {Object} options - Measurement options
+ * @param {string} options.device - mobile (throttled, the default) or desktop
+ * @returns {Promise<Object>} - { device, throttling, score, rating, metrics, measuredAt }
+ * @throws {ApiError} - TARGET_* codes when the page can't be loaded,
+ *   SERVICE_UNAVAILABLE when Chromium can't be launched
+ */
+async function measurePage(url, options = {}) {
+  const deviceName = options.device || 'mobile';
+  const device = DEVICES[deviceName];
+  if (!device) {
+    throw new ApiError('INVALID_REQUEST', `Unknown device "${deviceName}"`, { devices: Object.keys(DEVICES) });
+  }
+
+  return browser.withPage(url, async page => {
+    const start = Date.now();
+    await page.setViewport(device.viewport);
+    await page.setUserAgent(device.userAgent);
+    await page.emulateCPUThrottling(device.cpuSlowdown);
+    await page.emulateNetworkConditions(device.network);
+    await page.evaluateOnNewDocument(collectVitals);
+
+    let response;
+    try {
+      response = await page.goto(url, { waitUntil: 'load', timeout: LOAD_TIMEOUT });
+      await page.waitForNetworkIdle({ idleTime: 1000, timeout: SETTLE_TIMEOUT }).catch(() => {});
+    } catch (error) {
+      throw browser.navigationError(error, url);
+    }
+
+    const status = response ? response.status() : null;
+    if (status >= 400) {
+      throw new ApiError(status >= 500 ? 'TARGET_HTTP_5XX' : 'TARGET_HTTP_4XX', `${url} responded with HTTP ${status}`, {
+        url,
+        upstreamStatus: status,
+        cause: null
+      });
+    }
+
+    // LCP stops at the first input, so the page is read before and after the keypress
+    const loaded = await page.evaluate(() => JSON.parse(JSON.stringify(window.__mardenVitals)));
+    await page.keyboard.press('Tab');
+    await page.waitForFunction(() => window.__mardenVitals.interaction !== null, { timeout: 5000 }).catch(() => {});
+    const { interaction, longTasks } = await page.evaluate(() => ({
+      interaction: window.__mardenVitals.interaction,
+      longTasks: window.__mardenVitals.longTasks
+    }));
+
+    if (loaded.fcp === null) {
+      throw new ApiError('TARGET_NO_CONTENT', `${url} painted no content`, { url });
+    }
+
+    const fcp = Math.round(loaded.fcp);
+    const lcp = loaded.lcp || { time: loaded.fcp, size: null, url: null, element: null };
+    const worstShifts = loaded.shifts
+      .slice()
+      .sort((a, b) => b.value - a.value)
+      .slice(0, MAX_SHIFTS)
+      .map(shift => ({ time: Math.round(shift.time), value: Math.round(shift.value * 10000) / 10000, nodes: shift.nodes }));
+
+    const metrics = {
+      lcp: metric('lcp', Math.round(lcp.time), 'ms', { element: lcp.element, url: lcp.url }),
+      fcp: metric('fcp', fcp, 'ms'),
+      cls: metric('cls', Math.round(cumulativeLayoutShift(loaded.shifts) * 10000) / 10000, null, { shifts: worstShifts }),
+      tbt: metric('tbt', Math.round(totalBlockingTime(longTasks, loaded.fcp)), 'ms', { longTasks: longTasks.length }),
+      inpProxy: interaction === null
+        ? { value: null, unit: 'ms', rating: null, score: null }
+        : metric('inpProxy', Math.round(interaction), 'ms')
+    };
+
+    // Metrics that couldn't be measured don't count towards the score
+    const scored = Object.entries(WEIGHTS).filter(([name]) => metrics[name].score !== null);
+    const totalWeight = scored.reduce((total, [, weight]) => total + weight, 0);
+    const score = Math.round(scored.reduce((total, [name, weight]) => total + metrics[name].score * weight, 0) / totalWeight);
+
+    logger.info('Measured Core Web Vitals', {
+      url,
+      device: deviceName,
+      score,
+      lcp: metrics.lcp.value,
+      cls: metrics.cls.value,
+      tbt: metrics.tbt.value,
+      durationMs: Date.now() - start
+    });
+
+    return {
+      device: deviceName,
+      throttling: {
+        cpuSlowdown: device.cpuSlowdown,
+        latencyMs: device.network.latency,
+        downloadKbps: Math.round(device.network.download * 8 / 1024),
+        uploadKbps: Math.round(device.network.upload * 8 / 1024)
+      },
+      score,
+      rating: score >= 90 ? 'good' : score >= 50 ? 'needs-improvement' : 'poor',
+      metrics,
+      measuredAt: new Date().toISOString()
+    };
+  });
+}
+
+module.exports = {
+  DEVICES,
+  THRESHOLDS,
+  measurePage,
+  rate
+};
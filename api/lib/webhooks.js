@@ -0,0 +1,403 @@
+/**
+ * Webhooks
+ * Delivers signed JSON event payloads to per-job callback URLs and to webhook
+ * subscriptions, retrying failed deliveries with exponential backoff and keeping
+ * a log of every attempt.
+ *
+ * Each request carries:
+ *   X-Marden-Event      event name
+ *   X-Marden-Delivery   delivery ID (stable across retries)
+ *   X-Marden-Timestamp  Unix time in seconds
+ *   X-Marden-Signature  sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex
+ */
+
+const safeFetch = require('./safe-fetch');
+const crypto = require('crypto');
+const kv = require('./kv');
+const logger = require('./logger');
+
+const EVENTS = ['job.completed', 'job.failed', 'score.dropped'];
+
+const SUBSCRIPTIONS_KEY = 'webhooks:subscriptions';
+const DELIVERY_INDEX_KEY = 'webhooks:deliveries';
+const deliveryKey = id => `webhook-delivery:${id}`;
+
+const SUBSCRIPTION_TTL = 365 * 24 * 3600;
+const DELIVERY_TTL = 7 * 24 * 3600;
+const MAX_LISTED_DELIVERIES = 500;
+const MAX_SUBSCRIPTIONS = 50;
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY = process.env.WEBHOOK_RETRY_BASE_MS ? parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) : 30000;
+const DELIVERY_TIMEOUT = 10000;
+const DEFAULT_MIN_SCORE_DROP = 5;
+
+// Retries scheduled in this process: delivery id -> timer
+const retryTimers = new Map();
+
+/**
+ * Generate a signing secret
+ * @returns {string}
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a payload
+ * @param {string} secret - Signing secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Serialized payload
+ * @returns {string} - Signature header value
+ */
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a webhook target URL, returning an error message or null
+ * @param {string} url - Target URL
+ * @returns {string|null}
+ */
+function checkTargetUrl(url) {
+  if (typeof url !== 'string' || !url) return 'A webhook URL is required';
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'Webhook URLs must use http or https';
+  } catch (error) {
+    return 'Invalid webhook URL';
+  }
+  // Internal addresses are refused here and, after DNS, on every delivery
+  try {
+    safeFetch.checkUrl(url);
+  } catch (blockedError) {
+    return blockedError.message;
+  }
+  return null;
+}
+
+// Subscription without its secret, for listings
+function maskSubscription({ secret, ...subscription }) {
+  return { ...subscription, secret: `${secret.slice(0, 10)}…` };
+}
+
+// Subscriptions are a hash by ID and the delivery index a list, so concurrent
+// requests and deliveries don't overwrite each other's changes
+async function loadSubscriptions() {
+  const subscriptions = await kv.loadEntries(SUBSCRIPTIONS_KEY);
+  return subscriptions.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Subscriptions and deliveries belong to the API key that created them
+const ownedBy = apiKeyId => item => (item.apiKeyId || null) === (apiKeyId || null);
+
+/**
+ * Register a webhook subscription
+ * @param {Object} fields - { url, events, secret, minScoreDrop, apiKeyId }
+ * @returns {Promise<Object>} - Subscription, including its secret
+ * @throws {Error} - With a message suitable for a 400 response
+ */
+async function createSubscription({ url, events = EVENTS, secret, minScoreDrop = DEFAULT_MIN_SCORE_DROP, apiKeyId = null }) {
+  const urlError = checkTargetUrl(url);
+  if (urlError) throw new Error(urlError);
+
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !EVENTS.includes(event))) {
+    throw new Error(`events must be a non-empty array of: ${EVENTS.join(', ')}`);
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    throw new Error('secret must be a string of at least 16 characters');
+  }
+  if (typeof minScoreDrop !== 'number' || minScoreDrop < 0 || minScoreDrop > 100) {
+    throw new Error('minScoreDrop must be a number between 0 and 100');
+  }
+
+  const subscriptions = await loadSubscriptions();
+  if (subscriptions.filter(ownedBy(apiKeyId)).length >= MAX_SUBSCRIPTIONS) {
+    throw new Error(`A maximum of ${MAX_SUBSCRIPTIONS} webhook subscriptions is allowed`);
+  }
+
+  const subscription = {
+    id: crypto.randomUUID(),
+    url,
+    events: Array.from(new Set(events)),
+    minScoreDrop,
+    secret: secret || generateSecret(),
+    apiKeyId,
+    createdAt: new Date().toISOString()
+  };
+  await kv.saveEntry(SUBSCRIPTIONS_KEY, subscription.id, subscription, SUBSCRIPTION_TTL);
+
+  return subscription;
+}
+
+/**
+ * List an API key's subscriptions, secrets masked
+ * @param {string} apiKeyId - Owning API key, or null
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSubscriptions(apiKeyId = null) {
+  return (await loadSubscriptions()).filter(ownedBy(apiKeyId)).map(maskSubscription);
+}
+
+/**
+ * Get one of an API key's subscriptions, secret masked
+ * @param {string} id - Subscription ID
+ * @param {string} apiKeyId - Owning API key, or null
+ * @returns {Promise<Object|null>}
+ */
+async function getSubscription(id, apiKeyId = null) {
+  const subscription = (await loadSubscriptions()).filter(ownedBy(apiKeyId)).find(item => item.id === id);
+  return subscription ? maskSubscription(subscription) : null;
+}
+
+/**
+ * Remove one of an API key's subscriptions
+ * @param {string} id - Subscription ID
+ * @param {string} apiKeyId - Owning API key, or null
+ * @returns {Promise<boolean>} - Whether it existed
+ */
+async function deleteSubscription(id, apiKeyId = null) {
+  const subscription = (await loadSubscriptions()).find(item => item.id === id);
+  if (!subscription || !ownedBy(apiKeyId)(subscription)) return false;
+
+  return kv.removeEntry(SUBSCRIPTIONS_KEY, id);
+}
+
+async function saveDelivery(delivery) {
+  await kv.save(deliveryKey(delivery.id), delivery, DELIVERY_TTL);
+}
+
+/**
+ * Get one of an API key's deliveries with its attempts
+ * @param {string} id - Delivery ID
+ * @param {string} apiKeyId - Owning API key, or null
+ * @returns {Promise<Object|null>}
+ */
+async function getDelivery(id, apiKeyId = null) {
+  const delivery = await kv.load(deliveryKey(id));
+  if (!delivery || !ownedBy(apiKeyId)(delivery)) return null;
+
+  // The secret stays server-side
+  const { secret, ...fields } = delivery;
+  return fields;
+}
+
+/**
+ * An API key's recent deliveries, newest first
+ * @param {Object} filters - { apiKeyId, jobId, subscriptionId, event, status }
+ * @returns {Promise<Array<Object>>}
+ */
+async function listDeliveries(filters = {}) {
+  const index = await kv.loadList(DELIVERY_INDEX_KEY);
+  const deliveries = (await Promise.all(index.map(id => getDelivery(id, filters.apiKeyId)))).filter(Boolean);
+
+  return deliveries
+    .filter(delivery => !filters.jobId || delivery.jobId === filters.jobId)
+    .filter(delivery => !filters.subscriptionId || delivery.subscriptionId === filters.subscriptionId)
+    .filter(delivery => !filters.event || delivery.event === filters.event)
+    .filter(delivery => !filters.status || delivery.status === filters.status)
+    // Payloads are in the single-delivery view only
+    .map(({ payload, ...delivery }) => delivery);
+}
+
+/**
+ * Make one delivery attempt and schedule a retry if it fails
+ * @param {string} id - Delivery ID
+ * @returns {Promise<void>}
+ */
+async function attemptDelivery(id) {
+  retryTimers.delete(id);
+
+  const delivery = await kv.load(deliveryKey(id));
+  if (!delivery || delivery.status !== 'pending') return;
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attemptStart = Date.now();
+  const attempt = { attempt: delivery.attempts.length + 1, at: new Date().toISOString() };
+
+  try {
+    const response = await safeFetch.post(delivery.url, body, {
+      timeout: DELIVERY_TIMEOUT,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MardenSEOAuditBot-Webhooks/1.0',
+        'X-Marden-Event': delivery.event,
+        'X-Marden-Delivery': delivery.id,
+        'X-Marden-Timestamp': String(timestamp),
+        'X-Marden-Signature': sign(delivery.secret, timestamp, body)
+      }
+    });
+    attempt.statusCode = response.status;
+    attempt.error = response.status >= 200 && response.status < 300 ? null : `Responded with status ${response.status}`;
+  } catch (error) {
+    attempt.statusCode = null;
+    attempt.error = error.message;
+  }
+  attempt.durationMs = Date.now() - attemptStart;
+  (attempt.error ? logger.warn : logger.info)(attempt.error ? 'Webhook delivery attempt failed' : 'Webhook delivered', {
+    jobId: delivery.jobId,
+    event: delivery.event,
+    url: delivery.url,
+    attempt: attempt.attempt,
+    status: attempt.statusCode,
+    durationMs: attempt.durationMs,
+    error: attempt.error || undefined
+  });
+
+  const attempts = [...delivery.attempts, attempt];
+  const succeeded = !attempt.error;
+  const exhausted = !succeeded && attempts.length >= MAX_ATTEMPTS;
+  const retryDelay = RETRY_BASE_DELAY * Math.pow(2, attempts.length - 1);
+
+  const updated = {
+    ...delivery,
+    attempts,
+    status: succeeded ? 'succeeded' : exhausted ? 'failed' : 'pending',
+    nextAttemptAt: succeeded || exhausted ? null : new Date(Date.now() + retryDelay).toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  await saveDelivery(updated);
+
+  if (updated.status === 'pending') {
+    scheduleAttempt(id, retryDelay);
+  } else if (exhausted) {
+    logger.error('Webhook delivery failed', { jobId: delivery.jobId, url: delivery.url, attempts: attempts.length });
+  }
+}
+
+function scheduleAttempt(id, delay) {
+  if (retryTimers.has(id)) return;
+
+  const timer = setTimeout(() => {
+    logger.runWithContext({ deliveryId: id }, () => attemptDelivery(id))
+      .catch(error => logger.error('Webhook delivery error', { deliveryId: id, error }));
+  }, Math.max(delay, 0));
+  // Pending retries must not keep the process alive
+  if (timer.unref) timer.unref();
+  retryTimers.set(id, timer);
+}
+
+/**
+ * Queue a delivery and make the first attempt
+ * @param {Object} target - { url, secret, subscriptionId }
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @param {Object} job - Job the event is about
+ * @returns {Promise<Object>} - Delivery record
+ */
+async function queueDelivery(target, event, payload, job) {
+  const now = new Date().toISOString();
+  const delivery = {
+    id: crypto.randomUUID(),
+    event,
+    url: target.url,
+    secret: target.secret,
+    subscriptionId: target.subscriptionId || null,
+    jobId: job.id,
+    apiKeyId: job.apiKeyId || null,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: now,
+    payload,
+    createdAt: now,
+    updatedAt: now
+  };
+  await saveDelivery(delivery);
+
+  await kv.prepend(DELIVERY_INDEX_KEY, delivery.id, MAX_LISTED_DELIVERIES, DELIVERY_TTL);
+
+  scheduleAttempt(delivery.id, 0);
+  return delivery;
+}
+
+/**
+ * Send an event to the job's callback URL and to every matching subscription
+ * of the API key that owns the job
+ * Failures are logged; dispatch never throws into the job runner.
+ * @param {string} event - Event name
+ * @param {Object} data - Event data; `job` must include `id` and may carry a callback
+ * @param {Object} callback - { url, secret } registered with the job, or null
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+async function dispatchEvent(event, data, callback = null) {
+  try {
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    const targets = (await loadSubscriptions())
+      .filter(ownedBy(data.job.apiKeyId))
+      .filter(subscription => subscription.events.includes(event))
+      .filter(subscription => event !== 'score.dropped' || data.scoreDrop >= subscription.minScoreDrop)
+      .map(subscription => ({ url: subscription.url, secret: subscription.secret, subscriptionId: subscription.id }));
+    if (callback && callback.url) targets.push({ url: callback.url, secret: callback.secret });
+
+    for (const target of targets) {
+      await queueDelivery(target, event, payload, data.job);
+    }
+    return targets.length;
+  } catch (error) {
+    logger.error('Failed to dispatch webhooks', { event, error });
+    return 0;
+  }
+}
+
+/**
+ * Send job.completed or job.failed for a queued audit job (/job/:id) that has finished
+ * These jobs have no owning API key and aren't queued with a callback, so only
+ * the global (keyless) subscriptions receive them. Results stay out of the payload; GET /job/:id returns them.
+ * @param {Object} job - Job record with its final status
+ * @returns {Promise<number>} - Number of deliveries queued
+ */
+async function dispatchJobFinished(job) {
+  const { results, ...fields } = job;
+  const error = job.error && typeof job.error === 'object' ? job.error.message : job.error;
+
+  if (job.status === 'completed') {
+    return dispatchEvent('job.completed', { job: { ...fields, hasResults: Boolean(results) } });
+  }
+  return dispatchEvent('job.failed', { job: { ...fields, error: error || null }, error: error || null });
+}
+
+/**
+ * Reschedule deliveries that were still pending when the process stopped
+ * @returns {Promise<number>} - Number of deliveries rescheduled
+ */
+async function resumePendingDeliveries() {
+  try {
+    const index = await kv.loadList(DELIVERY_INDEX_KEY);
+    const pending = (await Promise.all(index.map(id => kv.load(deliveryKey(id)))))
+      .filter(delivery => delivery && delivery.status === 'pending');
+
+    pending.forEach(delivery => {
+      scheduleAttempt(delivery.id, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+    });
+    return pending.length;
+  } catch (error) {
+    logger.error('Failed to resume webhook deliveries', { error });
+    return 0;
+  }
+}
+
+module.exports = {
+  EVENTS,
+  MAX_ATTEMPTS,
+  generateSecret,
+  sign,
+  checkTargetUrl,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  getDelivery,
+  listDeliveries,
+  dispatchEvent,
+  dispatchJobFinished,
+  resumePendingDeliveries
+};
@@ -1,6 +1,7 @@
 // Main API entry point
 const url = require('url');
 const { processBatch } = require('./worker.js'); // Import the worker for job processing
+const logger = require('./lib/logger');
 
 // Import API version handlers
 // Rename existing index.js to old-index.js and use it as the v1 handler
@@ -9,9 +10,9 @@ let v2Handler;
 
 try {
   v1Handler = require('./index.js');  // Legacy v1 API
-  console.log("Loaded v1 API handler");
+  logger.info('Loaded v1 API handler');
 } catch (error) {
-  console.error("Failed to load v1 API handler:", error);
+  logger.error('Failed to load v1 API handler', { error });
   v1Handler = (req, res) => {
     return res.status(500).json({
       status: 'error',
@@ -24,9 +25,9 @@ try {
 
 try {
   v2Handler = require('./v2/index.js');  // New v2 API
-  console.log("Loaded v2 API handler");
+  logger.info('Loaded v2 API handler');
 } catch (error) {
-  console.error("Failed to load v2 API handler:", error);
+  logger.error('Failed to load v2 API handler', { error });
   v2Handler = (req, res) => {
     return res.status(500).json({
       status: 'error',
@@ -44,11 +45,12 @@ async function processJobs() {
   
   try {
     isProcessing = true;
-    console.log('Starting job processing batch');
+    const batchStart = Date.now();
+    logger.debug('Starting job processing batch');
     const processed = await processBatch(5);
-    console.log(`Processed ${processed} jobs`);
+    logger.info('Processed job batch', { jobs: processed, durationMs: Date.now() - batchStart });
   } catch (error) {
-    console.error('Error in job processing batch:', error);
+    logger.error('Error in job processing batch', { error });
   } finally {
     isProcessing = false;
   }
@@ -73,7 +75,7 @@ module.exports = async (req, res) => {
   // Parse the URL to determine the endpoint
   const path = req.url.split('?')[0];
   
-  console.log(`Request received for path: ${path}, method: ${req.method}`);
+  logger.info('Request received', { method: req.method, path });
   
   try {
     // Route based on API version/path
@@ -99,7 +101,7 @@ module.exports = async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Error handling request:', error);
+    logger.error('Error handling request', { error });
     return res.status(500).json({
       status: 'error',
       message: 'Internal server error',
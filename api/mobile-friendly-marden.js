@@ -1,5 +1,8 @@
-const axios = require('axios');
+const safeFetch = require('./lib/safe-fetch');
 const cheerio = require('cheerio');
+const { ApiError, targetError } = require('./lib/errors');
+const { createIssue } = require('./lib/issue-catalog');
+const logger = require('./lib/logger');
 
 /**
  * Marden SEO Audit Tool - Mobile-Friendly Analyzer
@@ -13,17 +16,23 @@ const cheerio = require('cheerio');
  * @returns {Promise<Object>} - Mobile-friendly analysis
  */
 async function analyzeMobileFriendliness(url, html = null) {
+  const analysisStart = Date.now();
   try {
     // Fetch HTML if not provided
     if (!html) {
-      const response = await axios.get(url, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Linux; Android 10; SM-G981B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/80.0.3987.162 Mobile Safari/537.36 MardenSEO-Audit/1.0',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5'
-        }
-      });
+      let response;
+      try {
+        response = await safeFetch.get(url, {
+          timeout: 10000,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (Linux; Android 10; SM-G981B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/80.0.3987.162 Mobile Safari/537.36 MardenSEO-Audit/1.0',
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+            'Accept-Language': 'en-US,en;q=0.5'
+          }
+        });
+      } catch (fetchError) {
+        throw targetError(fetchError, url);
+      }
       html = response.data;
     }
     
@@ -84,103 +93,53 @@ async function analyzeMobileFriendliness(url, html = null) {
     // Viewport issues
     if (!hasViewport) {
       score -= 25;
-      issues.push({
-        type: 'missing_viewport',
-        severity: 'critical',
-        impact: 'high',
-        recommendation: 'Add a viewport meta tag with content="width=device-width, initial-scale=1"'
-      });
+      issues.push(createIssue('missing_viewport'));
     } else {
       if (!hasWidthInViewport) {
         score -= 15;
-        issues.push({
-          type: 'incomplete_viewport',
-          severity: 'warning',
-          impact: 'medium',
-          recommendation: 'Add width=device-width to your viewport meta tag'
-        });
+        issues.push(createIssue('incomplete_viewport'));
       }
       
       if (!hasInitialScaleInViewport) {
         score -= 10;
-        issues.push({
-          type: 'missing_scale',
-          severity: 'warning',
-          impact: 'medium',
-          recommendation: 'Add initial-scale=1 to your viewport meta tag'
-        });
+        issues.push(createIssue('missing_scale'));
       }
     }
     
     // Font size issues
     if (minFontSize < 12) {
       score -= 10;
-      issues.push({
-        type: 'small_font',
-        severity: 'warning',
-        impact: 'medium',
-        recommendation: 'Increase minimum font size to at least 12px for mobile readability'
-      });
+      issues.push(createIssue('small_font', { details: { minFontSize } }));
     }
     
     // Tap target issues
     if (smallButtonsOrLinks > 5) {
       score -= 15;
-      issues.push({
-        type: 'small_tap_targets',
-        severity: 'warning',
-        impact: 'medium',
-        recommendation: 'Increase size of buttons and links to at least 44x44px for better tappability'
-      });
+      issues.push(createIssue('small_tap_targets', { details: { count: smallButtonsOrLinks } }));
     } else if (smallButtonsOrLinks > 0) {
       score -= 5;
-      issues.push({
-        type: 'few_small_tap_targets',
-        severity: 'info',
-        impact: 'low',
-        recommendation: 'Consider increasing size of some smaller buttons and links for better mobile usability'
-      });
+      issues.push(createIssue('few_small_tap_targets', { details: { count: smallButtonsOrLinks } }));
     }
     
     // Horizontal scrolling issues
     if (hasFixedWidth || hasOverflowX) {
       score -= 20;
-      issues.push({
-        type: 'horizontal_scroll',
-        severity: 'critical',
-        impact: 'high',
-        recommendation: 'Remove fixed width containers and horizontal scrolling to improve mobile experience'
-      });
+      issues.push(createIssue('horizontal_scroll'));
     }
     
     // Media query issues
     if (mediaQueryCount === 0) {
       score -= 15;
-      issues.push({
-        type: 'no_media_queries',
-        severity: 'warning',
-        impact: 'medium',
-        recommendation: 'Add CSS media queries to create a responsive design'
-      });
+      issues.push(createIssue('no_media_queries'));
     } else if (mediaQueryCount < 3) {
       score -= 5;
-      issues.push({
-        type: 'few_media_queries',
-        severity: 'info',
-        impact: 'low',
-        recommendation: 'Consider adding more media queries to improve responsiveness across different device sizes'
-      });
+      issues.push(createIssue('few_media_queries', { details: { mediaQueryCount } }));
     }
     
     // Flash content issues
     if (usesFlash) {
       score -= 25;
-      issues.push({
-        type: 'uses_flash',
-        severity: 'critical',
-        impact: 'high',
-        recommendation: 'Remove Flash content as mobile devices do not support it'
-      });
+      issues.push(createIssue('uses_flash'));
     }
     
     // Ensure score is in range
@@ -220,6 +179,7 @@ async function analyzeMobileFriendliness(url, html = null) {
       positiveAspects.push('AMP version available for faster mobile loading');
     }
     
+    logger.info('Mobile analysis completed', { url, issues: issues.length, durationMs: Date.now() - analysisStart });
     return {
       url,
       mobileFriendliness: {
@@ -257,7 +217,9 @@ async function analyzeMobileFriendliness(url, html = null) {
       }
     };
   } catch (error) {
-    console.error(`Error analyzing mobile-friendliness for ${url}:`, error);
+    logger.warn('Mobile analysis failed', { url, code: error.code, durationMs: Date.now() - analysisStart, error: error.message });
+    // Failing to fetch the page is the request's failure, not a finding
+    if (error instanceof ApiError) throw error;
     return {
       url,
       mobileFriendliness: {
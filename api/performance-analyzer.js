@@ -0,0 +1,126 @@
+/**
+ * Performance Analysis Handler
+ * Lab Core Web Vitals for a page (LCP, CLS, TBT, FCP and an INP proxy),
+ * measured in throttled headless Chromium and scored against Google's
+ * thresholds
+ */
+
+const redis = require('./lib/redis.optimized');
+const safeFetch = require('./lib/safe-fetch');
+const { DEVICES, measurePage } = require('./lib/web-vitals');
+const { ApiError, sendError, targetError } = require('./lib/errors');
+const logger = require('./lib/logger');
+
+const CACHE_TTL = 3600; // 1 hour
+
+function normalizeUrl(url) {
+  if (!url) return '';
+
+  let normalized = url.trim();
+
+  // Ensure proper protocol
+  if (!normalized.startsWith('http://') && !normalized.startsWith('https://')) {
+    normalized = `https://${normalized}`;
+  }
+
+  return normalized;
+}
+
+async function handlePerformanceAnalyze(req, res) {
+  const startTime = Date.now();
+
+  try {
+    // Extract URL and device from request
+    let url = '';
+    let device = 'mobile';
+    if (req.method === 'POST') {
+      url = req.body.url;
+      device = (req.body.options && req.body.options.device) || device;
+    } else {
+      url = req.query.url;
+      device = req.query.device || device;
+    }
+
+    if (!url) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'URL parameter is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!DEVICES[device]) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown device "${device}"`,
+        devices: Object.keys(DEVICES),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const normalizedUrl = normalizeUrl(url);
+    const blocked = await safeFetch.blockedError(normalizedUrl);
+    if (blocked) {
+      return sendError(res, targetError(blocked, normalizedUrl));
+    }
+
+    const cacheKey = `performance-analyze:${device}:${normalizedUrl}`;
+
+    // Check cache
+    if (redis.isRedisConfigured) {
+      try {
+        const cachedResult = await redis.getCache(cacheKey);
+        if (cachedResult) {
+          logger.info('Cache hit for performance analysis', { url: normalizedUrl });
+          return res.status(200).json({
+            status: 'ok',
+            message: 'Performance analysis retrieved from cache',
+            url: normalizedUrl,
+            cached: true,
+            cachedAt: cachedResult.timestamp,
+            timestamp: new Date().toISOString(),
+            data: cachedResult.data
+          });
+        }
+      } catch (cacheError) {
+        logger.warn('Error checking cache', { url: normalizedUrl, error: cacheError });
+      }
+    }
+
+    const analysis = await measurePage(normalizedUrl, { device });
+
+    // Cache result
+    if (redis.isRedisConfigured) {
+      try {
+        await redis.setCache(cacheKey, {
+          data: analysis,
+          timestamp: new Date().toISOString()
+        }, CACHE_TTL);
+      } catch (cacheError) {
+        logger.warn('Error caching result', { url: normalizedUrl, error: cacheError });
+      }
+    }
+
+    return res.status(200).json({
+      status: 'ok',
+      message: 'Performance analysis completed',
+      url: normalizedUrl,
+      cached: false,
+      timestamp: new Date().toISOString(),
+      executionTime: Date.now() - startTime,
+      data: analysis
+    });
+  } catch (error) {
+    // Load failures carry TARGET_* codes, a missing browser SERVICE_UNAVAILABLE
+    if (error instanceof ApiError) {
+      logger.warn('Performance analysis failed', { code: error.code, error: error.message });
+    } else {
+      logger.error('Performance analysis error', { error });
+    }
+    return sendError(res, error);
+  }
+}
+
+module.exports = {
+  handlePerformanceAnalyze
+};
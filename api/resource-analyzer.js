@@ -0,0 +1,96 @@
+/**
+ * Resource Analysis Handler
+ * Page weight and request waterfall: every request a rendered page makes,
+ * with sizes, compression, cache headers and timing, as JSON or as a HAR
+ * file. Results aren't cached; each request loads the page again.
+ */
+
+const safeFetch = require('./lib/safe-fetch');
+const { inventoryPage, publicInventory, toHar } = require('./lib/resources');
+const { ApiError, sendError, targetError } = require('./lib/errors');
+const logger = require('./lib/logger');
+
+const FORMATS = ['json', 'har'];
+
+function normalizeUrl(url) {
+  if (!url) return '';
+
+  let normalized = url.trim();
+
+  // Ensure proper protocol
+  if (!normalized.startsWith('http://') && !normalized.startsWith('https://')) {
+    normalized = `https://${normalized}`;
+  }
+
+  return normalized;
+}
+
+async function handleResourceAnalyze(req, res) {
+  const startTime = Date.now();
+
+  try {
+    // Extract URL and output format from request
+    let url = '';
+    let format = 'json';
+    if (req.method === 'POST') {
+      url = req.body.url;
+      format = (req.body.options && req.body.options.format) || format;
+    } else {
+      url = req.query.url;
+      format = req.query.format || format;
+    }
+
+    if (!url) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'URL parameter is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown format "${format}"`,
+        formats: FORMATS,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const normalizedUrl = normalizeUrl(url);
+    const blocked = await safeFetch.blockedError(normalizedUrl);
+    if (blocked) {
+      return sendError(res, targetError(blocked, normalizedUrl));
+    }
+
+    const inventory = await inventoryPage(normalizedUrl);
+
+    if (format === 'har') {
+      const filename = `${new URL(normalizedUrl).hostname}.har`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).json(toHar(inventory));
+    }
+
+    return res.status(200).json({
+      status: 'ok',
+      message: 'Resource analysis completed',
+      url: normalizedUrl,
+      cached: false,
+      timestamp: new Date().toISOString(),
+      executionTime: Date.now() - startTime,
+      data: publicInventory(inventory)
+    });
+  } catch (error) {
+    // Load failures carry TARGET_* codes, a missing browser SERVICE_UNAVAILABLE
+    if (error instanceof ApiError) {
+      logger.warn('Resource analysis failed', { code: error.code, error: error.message });
+    } else {
+      logger.error('Resource analysis error', { error });
+    }
+    return sendError(res, error);
+  }
+}
+
+module.exports = {
+  handleResourceAnalyze
+};
@@ -0,0 +1,169 @@
+/**
+ * robots.txt Analysis Handler
+ * Reports robots.txt problems and tests URLs against it for a user-agent
+ */
+
+const redis = require('./lib/redis.optimized');
+const safeFetch = require('./lib/safe-fetch');
+const { KNOWN_USER_AGENTS, analyzeRobotsTxt, testUrls } = require('./lib/robots');
+const logger = require('./lib/logger');
+
+const CACHE_TTL = 3600; // robots.txt is re-read by crawlers daily, keep for 1 hour
+const MAX_TEST_URLS = 100;
+const DEFAULT_USER_AGENT = 'Googlebot';
+
+function normalizeUrl(url) {
+  if (!url) return '';
+
+  let normalized = url.trim();
+
+  // Ensure proper protocol
+  if (!normalized.startsWith('http://') && !normalized.startsWith('https://')) {
+    normalized = `https://${normalized}`;
+  }
+
+  return normalized;
+}
+
+// Accept a list as an array, repeated query parameters or a comma-separated string
+function toList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+async function handleRobotsAnalyze(req, res) {
+  const startTime = Date.now();
+
+  try {
+    // Extract URL, URLs to test and user-agent from request
+    let url = '';
+    let urls = [];
+    let userAgent = DEFAULT_USER_AGENT;
+    if (req.method === 'POST') {
+      url = req.body.url;
+      urls = toList(req.body.urls);
+      userAgent = req.body.userAgent || DEFAULT_USER_AGENT;
+    } else {
+      url = req.query.url;
+      urls = toList(req.query.urls);
+      userAgent = req.query.userAgent || DEFAULT_USER_AGENT;
+    }
+
+    if (!url) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'URL parameter is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let origin;
+    try {
+      origin = new URL(normalizeUrl(url)).origin;
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        code: 'INVALID_URL',
+        message: 'Invalid URL provided',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const blocked = await safeFetch.blockedError(origin);
+    if (blocked) {
+      return res.status(400).json({
+        status: 'error',
+        code: blocked.code,
+        message: blocked.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (typeof userAgent !== 'string' || !userAgent.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'userAgent must be a non-empty string',
+        knownUserAgents: KNOWN_USER_AGENTS,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (urls.length > MAX_TEST_URLS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A maximum of ${MAX_TEST_URLS} URLs can be tested per request`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const cacheKey = `robots-analyze:${origin}`;
+    let analysis = null;
+    let cachedAt = null;
+
+    // Check cache
+    if (redis.isRedisConfigured) {
+      try {
+        const cachedResult = await redis.getCache(cacheKey);
+        if (cachedResult) {
+          logger.info('Cache hit for robots.txt analysis', { url: origin });
+          analysis = cachedResult.data;
+          cachedAt = cachedResult.timestamp;
+        }
+      } catch (cacheError) {
+        logger.warn('Error checking cache', { url: origin, error: cacheError });
+      }
+    }
+
+    if (!analysis) {
+      analysis = await analyzeRobotsTxt(origin);
+      logger.info('robots.txt analysis completed', { url: origin, durationMs: Date.now() - startTime });
+
+      // Cache result
+      if (redis.isRedisConfigured) {
+        try {
+          await redis.setCache(cacheKey, {
+            data: analysis,
+            timestamp: new Date().toISOString()
+          }, CACHE_TTL);
+        } catch (cacheError) {
+          logger.warn('Error caching result', { url: origin, error: cacheError });
+        }
+      }
+    }
+
+    // URL verdicts depend on the request, so they are never cached
+    const tests = urls.length > 0
+      ? testUrls(analysis.url, analysis.content, urls, userAgent.trim())
+      : [];
+
+    return res.status(200).json({
+      status: 'ok',
+      message: 'robots.txt analysis completed',
+      url: origin,
+      cached: Boolean(cachedAt),
+      ...(cachedAt ? { cachedAt } : {}),
+      timestamp: new Date().toISOString(),
+      executionTime: Date.now() - startTime,
+      data: {
+        ...analysis,
+        userAgent: userAgent.trim(),
+        knownUserAgents: KNOWN_USER_AGENTS,
+        tests
+      }
+    });
+  } catch (error) {
+    logger.error('robots.txt analysis error', { error });
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to analyze robots.txt',
+      error: process.env.NODE_ENV === 'production' ? 'Server error' : error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  handleRobotsAnalyze
+};
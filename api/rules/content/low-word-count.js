@@ -0,0 +1,17 @@
+/**
+ * Rule: page body has fewer than 300 words
+ */
+
+module.exports = {
+  id: 'low_word_count',
+  category: 'content',
+  severity: 'warning',
+  weight: 20,
+  run(pageData) {
+    if (pageData.content.wordCount >= 300) return null;
+
+    return {
+      message: 'Page has very little content'
+    };
+  }
+};
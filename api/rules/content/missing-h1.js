@@ -0,0 +1,17 @@
+/**
+ * Rule: page has no H1 heading
+ */
+
+module.exports = {
+  id: 'missing_h1',
+  category: 'content',
+  severity: 'critical',
+  weight: 25,
+  run(pageData) {
+    if (pageData.headings.h1Count > 0) return null;
+
+    return {
+      message: 'Page is missing an H1 heading'
+    };
+  }
+};
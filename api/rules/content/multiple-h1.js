@@ -0,0 +1,17 @@
+/**
+ * Rule: page has more than one H1 heading
+ */
+
+module.exports = {
+  id: 'multiple_h1',
+  category: 'content',
+  severity: 'warning',
+  weight: 15,
+  run(pageData) {
+    if (pageData.headings.h1Count <= 1) return null;
+
+    return {
+      message: 'Page has multiple H1 headings'
+    };
+  }
+};
@@ -0,0 +1,174 @@
+/**
+ * SEO Rule Registry
+ * Each check is a self-contained rule module that the analysis engine runs
+ * against the extracted page data.
+ *
+ * Rule shape:
+ *   id          - Issue catalogue id emitted by the rule (e.g. 'missing_title')
+ *   category    - Result category ('metadata', 'content', 'technical', 'userExperience')
+ *   severity    - 'critical' | 'warning' | 'info'
+ *   weight      - Score penalty applied to the category when the rule fires
+ *   maxPenalty  - Optional cap when the issue reports several occurrences
+ *   enabled     - Set to false for opt-in rules (default true)
+ *   run(pageData, $) - Returns null when the page passes, otherwise issue fields
+ *                      ({ message?, details?, occurrences? }) or an array of them;
+ *                      title and fix guidance come from the issue catalogue
+ */
+
+const { getIssueDefinition, createIssue } = require('../lib/issue-catalog');
+const logger = require('../lib/logger');
+
+const CATEGORIES = ['metadata', 'content', 'technical', 'userExperience'];
+const SEVERITIES = ['critical', 'warning', 'info'];
+
+const rules = new Map();
+
+/**
+ * Register a rule with the registry
+ * @param {Object} rule - Rule definition
+ * @returns {Object} - The registered rule
+ */
+function registerRule(rule) {
+  if (!rule || typeof rule.id !== 'string' || !rule.id) {
+    throw new Error('Rule must have a string id');
+  }
+  if (rules.has(rule.id)) {
+    throw new Error(`Rule ${rule.id} is already registered`);
+  }
+  const definition = getIssueDefinition(rule.id);
+  if (!definition || definition.id !== rule.id) {
+    throw new Error(`Rule ${rule.id} has no entry in the issue catalogue`);
+  }
+  if (!CATEGORIES.includes(rule.category) || rule.category !== definition.category) {
+    throw new Error(`Rule ${rule.id} has category "${rule.category}", expected "${definition.category}"`);
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Rule ${rule.id} has unknown severity "${rule.severity}"`);
+  }
+  if (typeof rule.weight !== 'number' || rule.weight < 0) {
+    throw new Error(`Rule ${rule.id} must have a non-negative numeric weight`);
+  }
+  if (typeof rule.run !== 'function') {
+    throw new Error(`Rule ${rule.id} must provide a run(pageData, $) function`);
+  }
+
+  rules.set(rule.id, rule);
+  return rule;
+}
+
+/**
+ * Get a registered rule by id
+ * @param {string} id - Rule id
+ * @returns {Object|undefined} - Rule definition
+ */
+function getRule(id) {
+  return rules.get(id);
+}
+
+/**
+ * List all registered rules without their run functions
+ * @returns {Array<Object>} - Rule descriptors
+ */
+function listRules() {
+  return Array.from(rules.values()).map(rule => ({
+    id: rule.id,
+    category: rule.category,
+    severity: rule.severity,
+    weight: rule.weight,
+    enabled: rule.enabled !== false
+  }));
+}
+
+/**
+ * Work out which rules apply to a request
+ * @param {Object} ruleOptions - { enable: [ids], disable: [ids] }
+ * @returns {Array<Object>} - Rules to run
+ */
+function resolveRules(ruleOptions = {}) {
+  const enable = new Set(ruleOptions.enable || []);
+  const disable = new Set(ruleOptions.disable || []);
+
+  return Array.from(rules.values()).filter(rule => {
+    if (disable.has(rule.id)) return false;
+    return rule.enabled !== false || enable.has(rule.id);
+  });
+}
+
+/**
+ * Run the applicable rules against a page
+ * @param {Object} pageData - Extracted page data
+ * @param {CheerioStatic} $ - Parsed document
+ * @param {Object} ruleOptions - { enable: [ids], disable: [ids] }
+ * @returns {Array<Object>} - Fired rules as { rule, issue } pairs
+ */
+function runRules(pageData, $, ruleOptions = {}) {
+  const results = [];
+
+  for (const rule of resolveRules(ruleOptions)) {
+    let output;
+    try {
+      output = rule.run(pageData, $);
+    } catch (error) {
+      logger.error('Rule failed', { rule: rule.id, error });
+      continue;
+    }
+
+    if (!output) continue;
+
+    const issues = Array.isArray(output) ? output : [output];
+    issues.forEach(issue => {
+      results.push({
+        rule,
+        issue: createIssue(rule.id, { severity: rule.severity, ...issue })
+      });
+    });
+  }
+
+  return results;
+}
+
+// Built-in rules
+[
+  require('./metadata/missing-title'),
+  require('./metadata/short-title'),
+  require('./metadata/long-title'),
+  require('./metadata/missing-description'),
+  require('./metadata/short-description'),
+  require('./metadata/long-description'),
+  require('./content/low-word-count'),
+  require('./content/missing-h1'),
+  require('./content/multiple-h1'),
+  require('./technical/missing-canonical'),
+  require('./technical/page-not-https'),
+  require('./technical/http-not-redirected'),
+  require('./technical/missing-hsts'),
+  require('./technical/weak-hsts'),
+  require('./technical/x-robots-noindex'),
+  require('./technical/x-robots-nofollow'),
+  require('./technical/unexpected-content-type'),
+  require('./technical/missing-charset'),
+  require('./technical/uncompressed-html'),
+  require('./technical/missing-vary-accept-encoding'),
+  require('./technical/missing-cache-headers'),
+  require('./technical/missing-content-security-policy'),
+  require('./technical/missing-frame-protection'),
+  require('./technical/mixed-content'),
+  require('./technical/redirect-chain'),
+  require('./technical/redirect-loop'),
+  require('./technical/non-permanent-redirect'),
+  require('./technical/redirect-flip-flop'),
+  require('./technical/canonical-target-error'),
+  require('./technical/canonical-target-redirects'),
+  require('./technical/canonical-chain'),
+  require('./technical/canonical-target-noindex'),
+  require('./user-experience/images-without-alt')
+].forEach(registerRule);
+
+module.exports = {
+  CATEGORIES,
+  registerRule,
+  getRule,
+  listRules,
+  resolveRules,
+  runRules
+};
@@ -0,0 +1,17 @@
+/**
+ * Rule: meta description longer than 160 characters
+ */
+
+module.exports = {
+  id: 'long_description',
+  category: 'metadata',
+  severity: 'warning',
+  weight: 10,
+  run(pageData) {
+    if (pageData.metaDescription.length <= 160) return null;
+
+    return {
+      message: 'Meta description is too long and may be truncated'
+    };
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Rule: title tag longer than 60 characters
+ */
+
+module.exports = {
+  id: 'long_title',
+  category: 'metadata',
+  severity: 'warning',
+  weight: 10,
+  run(pageData) {
+    if (pageData.title.length <= 60) return null;
+
+    return {
+      message: 'Title tag is too long and may be truncated'
+    };
+  }
+};
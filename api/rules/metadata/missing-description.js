@@ -0,0 +1,17 @@
+/**
+ * Rule: page has no meta description
+ */
+
+module.exports = {
+  id: 'missing_description',
+  category: 'metadata',
+  severity: 'critical',
+  weight: 30,
+  run(pageData) {
+    if (pageData.metaDescription.text) return null;
+
+    return {
+      message: 'Page is missing a meta description'
+    };
+  }
+};
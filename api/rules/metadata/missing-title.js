@@ -0,0 +1,17 @@
+/**
+ * Rule: page has no title tag
+ */
+
+module.exports = {
+  id: 'missing_title',
+  category: 'metadata',
+  severity: 'critical',
+  weight: 30,
+  run(pageData) {
+    if (pageData.title.text) return null;
+
+    return {
+      message: 'Page is missing a title tag'
+    };
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Rule: meta description shorter than 120 characters
+ */
+
+module.exports = {
+  id: 'short_description',
+  category: 'metadata',
+  severity: 'warning',
+  weight: 10,
+  run(pageData) {
+    if (!pageData.metaDescription.text || pageData.metaDescription.length >= 120) return null;
+
+    return {
+      message: 'Meta description is too short'
+    };
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Rule: title tag shorter than 30 characters
+ */
+
+module.exports = {
+  id: 'short_title',
+  category: 'metadata',
+  severity: 'warning',
+  weight: 10,
+  run(pageData) {
+    if (!pageData.title.text || pageData.title.length >= 30) return null;
+
+    return {
+      message: 'Title tag is too short'
+    };
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Rule: canonical URL names a different canonical of its own
+ */
+
+module.exports = {
+  id: 'canonical_chain',
+  category: 'technical',
+  severity: 'warning',
+  weight: 10,
+  run(pageData) {
+    const target = pageData.technical.canonicalTarget;
+    if (!target || target.self || !target.canonicalized) return null;
+
+    return {
+      message: `Canonical URL ${target.url} is itself canonicalised to ${target.canonical}`,
+      details: { url: target.url, canonical: target.canonical }
+    };
+  }
+};
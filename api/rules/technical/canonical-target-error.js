@@ -0,0 +1,22 @@
+/**
+ * Rule: canonical URL is broken or unreachable
+ */
+
+module.exports = {
+  id: 'canonical_target_error',
+  category: 'technical',
+  severity: 'critical',
+  weight: 15,
+  run(pageData) {
+    const target = pageData.technical.canonicalTarget;
+    if (!target || target.self) return null;
+    if (!target.error && target.status < 400) return null;
+
+    return {
+      message: target.error
+        ? `Canonical URL ${target.url} could not be fetched: ${target.error.message}`
+        : `Canonical URL ${target.url} responds with HTTP ${target.status}`,
+      details: { url: target.url, status: target.status, error: target.error }
+    };
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Rule: canonical URL is noindexed
+ * Checks the robots meta tags and X-Robots-Tag header of the target.
+ */
+
+module.exports = {
+  id: 'canonical_target_noindex',
+  category: 'technical',
+  severity: 'critical',
+  weight: 15,
+  run(pageData) {
+    const target = pageData.technical.canonicalTarget;
+    if (!target || target.self || !target.noindex) return null;
+
+    return {
+      message: `Canonical URL ${target.url} is marked noindex`,
+      details: { url: target.url }
+    };
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Rule: canonical URL redirects elsewhere
+ */
+
+module.exports = {
+  id: 'canonical_target_redirects',
+  category: 'technical',
+  severity: 'warning',
+  weight: 10,
+  run(pageData) {
+    const target = pageData.technical.canonicalTarget;
+    if (!target || target.self || !(target.status >= 300 && target.status < 400)) return null;
+
+    return {
+      message: `Canonical URL ${target.url} redirects (HTTP ${target.status}) to ${target.redirectsTo || 'an unspecified location'}`,
+      details: { url: target.url, status: target.status, redirectsTo: target.redirectsTo }
+    };
+  }
+};
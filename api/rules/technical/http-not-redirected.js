@@ -0,0 +1,21 @@
+/**
+ * Rule: the http:// address of an HTTPS page doesn't redirect to HTTPS
+ */
+
+module.exports = {
+  id: 'http_not_redirected',
+  category: 'technical',
+  severity: 'warning',
+  weight: 10,
+  run(pageData) {
+    const probe = pageData.technical.httpRedirect;
+    if (!probe || probe.redirectsToHttps) return null;
+
+    return {
+      message: probe.status >= 300 && probe.status < 400
+        ? `${probe.url} redirects to ${probe.location} instead of HTTPS`
+        : `${probe.url} responds with HTTP ${probe.status} instead of redirecting to HTTPS`,
+      details: { url: probe.url, status: probe.status, location: probe.location }
+    };
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Rule: HTML response says nothing about caching
+ * Without Cache-Control, Expires, ETag or Last-Modified browsers and CDNs
+ * guess how long to keep the page, and can't revalidate it cheaply.
+ */
+
+module.exports = {
+  id: 'missing_cache_headers',
+  category: 'technical',
+  severity: 'info',
+  weight: 2,
+  run(pageData) {
+    const { headers } = pageData.technical.response;
+    if (['cache-control', 'expires', 'etag', 'last-modified'].some(name => headers[name])) return null;
+
+    return {
+      message: 'Page sends no Cache-Control, Expires, ETag or Last-Modified header'
+    };
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Rule: page has no canonical link tag
+ */
+
+module.exports = {
+  id: 'missing_canonical',
+  category: 'technical',
+  severity: 'warning',
+  weight: 10,
+  run(pageData) {
+    if (pageData.technical.hasCanonical) return null;
+
+    return {
+      message: 'Page is missing a canonical URL'
+    };
+  }
+};
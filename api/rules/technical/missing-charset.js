@@ -0,0 +1,23 @@
+/**
+ * Rule: no character encoding in the Content-Type header or a meta tag
+ */
+
+module.exports = {
+  id: 'missing_charset',
+  category: 'technical',
+  severity: 'warning',
+  weight: 5,
+  run(pageData, $) {
+    const contentType = pageData.technical.response.headers['content-type'] || '';
+    if (/charset\s*=/i.test(contentType)) return null;
+    if ($('meta[charset]').length > 0) return null;
+    if ($('meta[http-equiv]').filter((i, el) => /^content-type$/i.test($(el).attr('http-equiv')) && /charset\s*=/i.test($(el).attr('content') || '')).length > 0) {
+      return null;
+    }
+
+    return {
+      message: 'Page does not declare its character encoding',
+      details: { contentType: contentType || null }
+    };
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Rule: no Content-Security-Policy header
+ */
+
+module.exports = {
+  id: 'missing_content_security_policy',
+  category: 'technical',
+  severity: 'info',
+  weight: 2,
+  run(pageData) {
+    const { headers } = pageData.technical.response;
+    if (headers['content-security-policy']) return null;
+
+    return {
+      message: 'Page does not send a Content-Security-Policy header',
+      details: { reportOnly: Boolean(headers['content-security-policy-report-only']) }
+    };
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Rule: page can be framed by other sites
+ * Needs X-Frame-Options or a CSP frame-ancestors directive.
+ */
+
+module.exports = {
+  id: 'missing_frame_protection',
+  category: 'technical',
+  severity: 'info',
+  weight: 2,
+  run(pageData) {
+    const { headers } = pageData.technical.response;
+    if (headers['x-frame-options']) return null;
+    if (/(^|;)\s*frame-ancestors\s/i.test(headers['content-security-policy'] || '')) return null;
+
+    return {
+      message: 'Page sends neither X-Frame-Options nor a CSP frame-ancestors directive'
+    };
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Rule: HTTPS page without a Strict-Transport-Security header
+ */
+
+module.exports = {
+  id: 'missing_hsts',
+  category: 'technical',
+  severity: 'warning',
+  weight: 5,
+  run(pageData) {
+    const { finalUrl, headers } = pageData.technical.response;
+    if (!finalUrl.startsWith('https:') || headers['strict-transport-security']) return null;
+
+    return {
+      message: 'HTTPS page does not send a Strict-Transport-Security header'
+    };
+  }
+};
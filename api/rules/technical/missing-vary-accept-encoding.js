@@ -0,0 +1,25 @@
+/**
+ * Rule: compressed response without Vary: Accept-Encoding
+ * Shared caches can then hand the compressed body to clients that can't
+ * decode it.
+ */
+
+module.exports = {
+  id: 'missing_vary_accept_encoding',
+  category: 'technical',
+  severity: 'info',
+  weight: 2,
+  run(pageData) {
+    const { headers } = pageData.technical.response;
+    const encoding = (headers['content-encoding'] || 'identity').toLowerCase();
+    if (encoding === 'identity') return null;
+
+    const vary = (headers.vary || '').toLowerCase().split(',').map(name => name.trim());
+    if (vary.includes('accept-encoding') || vary.includes('*')) return null;
+
+    return {
+      message: `Compressed (${encoding}) response does not send Vary: Accept-Encoding`,
+      details: { contentEncoding: encoding, vary: headers.vary || null }
+    };
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * Rule: HTTPS page loads resources over HTTP
+ * Browsers block active mixed content (scripts, stylesheets, frames, objects)
+ * outright, which makes the issue critical; passive content (images, media)
+ * is upgraded or loaded with a warning, as are forms that post over HTTP.
+ * Penalised per resource, capped at maxPenalty
+ */
+
+const MAX_EXAMPLES = 10;
+
+// [selector, attribute, active]
+const REFERENCES = [
+  ['script[src]', 'src', true],
+  ['link[rel~="stylesheet"][href]', 'href', true],
+  ['iframe[src]', 'src', true],
+  ['object[data]', 'data', true],
+  ['embed[src]', 'src', true],
+  ['img[src]', 'src', false],
+  ['img[srcset]', 'srcset', false],
+  ['source[src]', 'src', false],
+  ['source[srcset]', 'srcset', false],
+  ['video[src]', 'src', false],
+  ['video[poster]', 'poster', false],
+  ['audio[src]', 'src', false],
+  // Forms still submit, with a warning
+  ['form[action]', 'action', false]
+];
+
+module.exports = {
+  id: 'mixed_content',
+  category: 'technical',
+  severity: 'warning',
+  weight: 3,
+  maxPenalty: 20,
+  run(pageData, $) {
+    if (!pageData.technical.response.finalUrl.startsWith('https:')) return null;
+
+    const active = new Set();
+    const passive = new Set();
+    REFERENCES.forEach(([selector, attribute, isActive]) => {
+      $(selector).each((i, el) => {
+        const value = $(el).attr(attribute) || '';
+        // srcset lists "url descriptor" pairs
+        const urls = attribute === 'srcset' ? value.split(',').map(item => item.trim().split(/\s+/)[0]) : [value.trim()];
+        urls.filter(url => /^http:\/\//i.test(url)).forEach(url => (isActive ? active : passive).add(url));
+      });
+    });
+
+    const total = active.size + passive.size;
+    if (total === 0) return null;
+
+    return {
+      message: `HTTPS page loads ${total} resource(s) over HTTP`,
+      severity: active.size > 0 ? 'critical' : 'warning',
+      occurrences: total,
+      details: {
+        active: Array.from(active).slice(0, MAX_EXAMPLES),
+        passive: Array.from(passive).slice(0, MAX_EXAMPLES),
+        activeCount: active.size,
+        passiveCount: passive.size
+      }
+    };
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Rule: page is reached through temporary (302, 303, 307) redirects
+ * Penalised per redirect, capped at maxPenalty
+ */
+
+module.exports = {
+  id: 'non_permanent_redirect',
+  category: 'technical',
+  severity: 'warning',
+  weight: 5,
+  maxPenalty: 15,
+  run(pageData) {
+    const { temporary } = pageData.technical.redirectChain;
+    if (temporary.length === 0) return null;
+
+    return {
+      message: `${temporary.length} temporary redirect(s) lead to this page; use 301 or 308 if the move is permanent`,
+      occurrences: temporary.length,
+      details: { redirects: temporary }
+    };
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * Rule: page is served over plain HTTP
+ */
+
+module.exports = {
+  id: 'page_not_https',
+  category: 'technical',
+  severity: 'critical',
+  weight: 20,
+  run(pageData) {
+    const { finalUrl } = pageData.technical.response;
+    if (finalUrl.startsWith('https:')) return null;
+
+    return {
+      message: 'Page is served over HTTP instead of HTTPS',
+      details: { url: finalUrl }
+    };
+  }
+};
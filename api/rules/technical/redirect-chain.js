@@ -0,0 +1,23 @@
+/**
+ * Rule: page is reached through more than one redirect
+ */
+
+module.exports = {
+  id: 'redirect_chain',
+  category: 'technical',
+  severity: 'warning',
+  weight: 5,
+  run(pageData) {
+    const chain = pageData.technical.redirectChain;
+    if (chain.hopCount <= 1) return null;
+
+    return {
+      message: `${chain.hops[0].url} redirects ${chain.hopCount} times before reaching ${chain.finalUrl}`,
+      details: {
+        hops: chain.hops.map(({ url, status }) => ({ url, status })),
+        finalUrl: chain.finalUrl,
+        totalMs: chain.totalMs
+      }
+    };
+  }
+};
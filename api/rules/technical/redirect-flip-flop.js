@@ -0,0 +1,26 @@
+/**
+ * Rule: redirect chain switches protocol or host and back again
+ * e.g. http -> https -> http, or www -> bare domain -> www
+ */
+
+module.exports = {
+  id: 'redirect_flip_flop',
+  category: 'technical',
+  severity: 'warning',
+  weight: 5,
+  run(pageData) {
+    const chain = pageData.technical.redirectChain;
+    const flipped = [];
+    if (chain.protocolFlipFlop) flipped.push('protocol');
+    if (chain.hostFlipFlop) flipped.push('host');
+    if (flipped.length === 0) return null;
+
+    return {
+      message: `Redirect chain switches ${flipped.join(' and ')} back and forth`,
+      details: {
+        flipped,
+        urls: chain.hops.map(hop => hop.url).concat(chain.finalUrl)
+      }
+    };
+  }
+};
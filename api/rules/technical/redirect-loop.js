@@ -0,0 +1,24 @@
+/**
+ * Rule: redirect chain passes through the same URL twice
+ * The page was still reached (on a later visit, or once a cookie was set);
+ * chains that never end fail the request with TARGET_TOO_MANY_REDIRECTS.
+ */
+
+module.exports = {
+  id: 'redirect_loop',
+  category: 'technical',
+  severity: 'critical',
+  weight: 20,
+  run(pageData) {
+    const chain = pageData.technical.redirectChain;
+    if (!chain.loop) return null;
+
+    return {
+      message: `Redirect chain visits ${chain.repeatedUrls.join(', ')} more than once`,
+      details: {
+        repeatedUrls: chain.repeatedUrls,
+        hops: chain.hops.map(({ url, status }) => ({ url, status }))
+      }
+    };
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Rule: HTML served without gzip or Brotli compression
+ */
+
+// Smaller responses gain little from compression
+const MIN_BYTES = 1400;
+
+module.exports = {
+  id: 'uncompressed_html',
+  category: 'technical',
+  severity: 'warning',
+  weight: 5,
+  run(pageData) {
+    const { headers, bytes } = pageData.technical.response;
+    const encoding = (headers['content-encoding'] || 'identity').toLowerCase();
+    if (encoding !== 'identity' || bytes < MIN_BYTES) return null;
+
+    return {
+      message: `Page HTML (${Math.round(bytes / 1024)} KB) is served without compression`,
+      details: { bytes }
+    };
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Rule: page is not served as text/html
+ */
+
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+
+module.exports = {
+  id: 'unexpected_content_type',
+  category: 'technical',
+  severity: 'warning',
+  weight: 10,
+  run(pageData) {
+    const contentType = pageData.technical.response.headers['content-type'] || null;
+    const mimeType = contentType ? contentType.split(';')[0].trim().toLowerCase() : null;
+    if (HTML_TYPES.includes(mimeType)) return null;
+
+    return {
+      message: contentType
+        ? `Page is served as ${mimeType} instead of text/html`
+        : 'Page is served without a Content-Type header',
+      details: { contentType }
+    };
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Rule: Strict-Transport-Security header is too short-lived or too narrow
+ * The limits are the HSTS preload list's requirements.
+ */
+
+const { parseHsts } = require('../../lib/response-headers');
+
+// One year, the minimum for the preload list
+const MIN_MAX_AGE = 31536000;
+
+module.exports = {
+  id: 'weak_hsts',
+  category: 'technical',
+  severity: 'info',
+  weight: 2,
+  run(pageData) {
+    const { finalUrl, headers } = pageData.technical.response;
+    const value = headers['strict-transport-security'];
+    if (!finalUrl.startsWith('https:') || !value) return null;
+
+    const hsts = parseHsts(value);
+    const problems = [];
+    if (hsts.maxAge === null) {
+      problems.push('max-age is missing or invalid');
+    } else if (hsts.maxAge < MIN_MAX_AGE) {
+      problems.push(`max-age is ${hsts.maxAge} seconds, under a year`);
+    }
+    if (!hsts.includeSubDomains) problems.push('includeSubDomains is missing');
+    if (problems.length === 0) return null;
+
+    return {
+      message: `Strict-Transport-Security header is weak: ${problems.join('; ')}`,
+      details: {
+        header: value,
+        ...hsts,
+        problems
+      }
+    };
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Rule: X-Robots-Tag header tells crawlers not to follow the page's links
+ */
+
+const { parseXRobotsTag } = require('../../lib/response-headers');
+
+module.exports = {
+  id: 'x_robots_nofollow',
+  category: 'technical',
+  severity: 'warning',
+  weight: 5,
+  run(pageData) {
+    const value = pageData.technical.response.headers['x-robots-tag'];
+    if (!value) return null;
+
+    const directives = parseXRobotsTag(value);
+    // "none" is reported as noindex
+    const agents = Object.keys(directives).filter(agent => directives[agent].includes('nofollow'));
+    if (agents.length === 0) return null;
+
+    return {
+      message: agents.includes('*')
+        ? 'X-Robots-Tag header tells search engines not to follow links on the page'
+        : `X-Robots-Tag header tells ${agents.join(', ')} not to follow links on the page`,
+      details: { header: value, agents }
+    };
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Rule: X-Robots-Tag header keeps the page out of search results
+ */
+
+const { parseXRobotsTag } = require('../../lib/response-headers');
+
+module.exports = {
+  id: 'x_robots_noindex',
+  category: 'technical',
+  severity: 'critical',
+  weight: 30,
+  run(pageData) {
+    const value = pageData.technical.response.headers['x-robots-tag'];
+    if (!value) return null;
+
+    const directives = parseXRobotsTag(value);
+    const agents = Object.keys(directives).filter(agent =>
+      directives[agent].some(directive => directive === 'noindex' || directive === 'none'));
+    if (agents.length === 0) return null;
+
+    return {
+      message: agents.includes('*')
+        ? 'X-Robots-Tag header tells search engines not to index the page'
+        : `X-Robots-Tag header tells ${agents.join(', ')} not to index the page`,
+      details: { header: value, agents }
+    };
+  }
+};
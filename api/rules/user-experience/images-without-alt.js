@@ -0,0 +1,20 @@
+/**
+ * Rule: images without alt text
+ * Penalised per image, capped at maxPenalty
+ */
+
+module.exports = {
+  id: 'images_without_alt',
+  category: 'userExperience',
+  severity: 'warning',
+  weight: 3,
+  maxPenalty: 30,
+  run(pageData) {
+    if (pageData.images.withoutAlt === 0) return null;
+
+    return {
+      message: `${pageData.images.withoutAlt} images are missing alt text`,
+      occurrences: pageData.images.withoutAlt
+    };
+  }
+};
@@ -1,5 +1,7 @@
-const axios = require('axios');
+const safeFetch = require('./lib/safe-fetch');
 const cheerio = require('cheerio');
+const { ApiError, targetError } = require('./lib/errors');
+const logger = require('./lib/logger');
 
 /**
  * Marden SEO Audit Tool - Schema Markup Validator
@@ -22,7 +24,7 @@ function extractSchemaData(html) {
       const schemaData = JSON.parse(schemaText);
       schemas.push(schemaData);
     } catch (error) {
-      console.warn(`Error parsing schema markup #${i + 1}:`, error.message);
+      logger.debug('Error parsing schema markup', { index: i + 1, error: error.message });
       // Add the invalid schema with error information
       schemas.push({
         _error: true,
@@ -75,7 +77,7 @@ function extractSchemaData(html) {
         });
       }
     } catch (error) {
-      console.warn(`Error parsing microdata schema #${i + 1}:`, error.message);
+      logger.debug('Error parsing microdata schema', { index: i + 1, error: error.message });
     }
   });
   
@@ -326,15 +328,21 @@ function validateSchema(schema) {
  * @returns {Promise<Object>} - Structured data analysis
  */
 async function analyzeStructuredData(url, html = null) {
+  const analysisStart = Date.now();
   try {
     // Fetch HTML if not provided
     if (!html) {
-      const response = await axios.get(url, {
-        timeout: 10000,
-        headers: {
-          'User-Agent': 'MardenSEO-Audit/1.0 (https://audit.mardenseo.com)'
-        }
-      });
+      let response;
+      try {
+        response = await safeFetch.get(url, {
+          timeout: 10000,
+          headers: {
+            'User-Agent': 'MardenSEO-Audit/1.0 (https://audit.mardenseo.com)'
+          }
+        });
+      } catch (fetchError) {
+        throw targetError(fetchError, url);
+      }
       html = response.data;
     }
     
@@ -397,6 +405,7 @@ async function analyzeStructuredData(url, html = null) {
       recommendations.push('Add BreadcrumbList schema to improve navigation display in search results.');
     }
     
+    logger.info('Schema analysis completed', { url, schemas: schemas.length, durationMs: Date.now() - analysisStart });
     return {
       url,
       structuredData: {
@@ -423,7 +432,9 @@ async function analyzeStructuredData(url, html = null) {
       }))
     };
   } catch (error) {
-    console.error(`Error analyzing structured data for ${url}:`, error);
+    logger.warn('Schema analysis failed', { url, code: error.code, durationMs: Date.now() - analysisStart, error: error.message });
+    // Failing to fetch the page is the request's failure, not a finding
+    if (error instanceof ApiError) throw error;
     return {
       url,
       structuredData: {
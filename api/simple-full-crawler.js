@@ -3,119 +3,138 @@
  * This provides basic full site crawling functionality
  */
 
-const axios = require('axios');
-const cheerio = require('cheerio');
-
-// Simple URL normalization
-function normalizeUrl(url) {
-  if (!url) return '';
-  let normalized = url.trim();
-  if (!normalized.startsWith('http://') && !normalized.startsWith('https://')) {
-    normalized = `https://${normalized}`;
-  }
-  return normalized;
-}
+const { createIssue, getIssueDefinition } = require('./lib/issue-catalog');
+const { getSitemapUrls } = require('./lib/sitemap');
+const crawler = require('./lib/crawler');
+const apiKeys = require('./lib/api-keys');
+const safeFetch = require('./lib/safe-fetch');
+const { ApiError, sendError, targetError } = require('./lib/errors');
+const logger = require('./lib/logger');
 
-/**
- * Analyze a single page
- */
-async function analyzePage(url) {
-  try {
-    console.log(`Analyzing: ${url}`);
-    
-    const response = await axios.get(url, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'MadenSEOBot/1.0'
-      }
-    });
-    
-    const html = response.data;
-    const $ = cheerio.load(html);
-    
-    // Extract basic SEO data
-    const title = $('title').text().trim();
-    const metaDescription = $('meta[name="description"]').attr('content') || '';
-    const h1Count = $('h1').length;
-    const h2Count = $('h2').length;
-    
-    // Extract links
-    const links = [];
-    $('a[href]').each((_, el) => {
-      const href = $(el).attr('href');
-      if (href && (href.startsWith('http') || href.startsWith('/'))) {
-        links.push(href);
-      }
-    });
-    
-    // Calculate simple score
-    let score = 100;
-    if (!title) score -= 20;
-    if (!metaDescription) score -= 15;
-    if (h1Count === 0) score -= 10;
-    if (h1Count > 1) score -= 5;
-    
-    return {
-      url,
-      title,
-      metaDescription,
-      h1Count,
-      h2Count,
-      linksCount: links.length,
-      score,
-      links,
-      analyzedAt: new Date().toISOString()
-    };
-  } catch (error) {
-    console.error(`Error analyzing ${url}:`, error.message);
-    return {
-      url,
-      error: error.message,
-      score: 0
-    };
-  }
-}
+// Sitemap URLs loaded for the orphan and sitemap-missing comparison
+const MAX_SITEMAP_COMPARISON_URLS = 10000;
+
+const MAX_PAGES = 500;
 
 /**
- * Simple site crawler
+ * Analyze a single crawled page
+ * Crawler analyzer hook: extracts basic SEO data from the parsed page.
+ * @param {Object} page - Page context from the crawler engine
+ * @returns {Object} - Page analysis
  */
-async function crawlSite(baseUrl, options = {}) {
-  const maxPages = options.maxPages || 10;
-  const maxDepth = options.maxDepth || 2;
+function analyzePage({ finalUrl, headers, $ }) {
+  // Extract basic SEO data
+  const title = $('title').text().trim();
+  const metaDescription = $('meta[name="description"]').attr('content') || '';
+  const h1Count = $('h1').length;
+  const h2Count = $('h2').length;
   
-  console.log(`Starting crawl of ${baseUrl} (max ${maxPages} pages)`);
+  // Indexability signals
+  const robotsDirectives = [
+    $('meta[name="robots"]').attr('content'),
+    $('meta[name="googlebot"]').attr('content'),
+    headers['x-robots-tag']
+  ].filter(Boolean).join(',').toLowerCase();
+  const noindex = robotsDirectives.includes('noindex') || robotsDirectives.includes('none');
   
-  const visited = new Set();
-  const toVisit = [{ url: normalizeUrl(baseUrl), depth: 0 }];
-  const pages = [];
+  let canonical = null;
+  const canonicalHref = $('link[rel="canonical"]').attr('href');
+  if (canonicalHref) {
+    canonical = crawler.normalizeUrl(canonicalHref, finalUrl) || canonicalHref;
+  }
   
-  while (toVisit.length > 0 && pages.length < maxPages) {
-    const { url, depth } = toVisit.shift();
-    
-    if (visited.has(url) || depth > maxDepth) continue;
-    
-    visited.add(url);
-    
-    const pageData = await analyzePage(url);
-    pages.push(pageData);
-    
-    // Add new URLs to crawl (simplified - only same domain)
-    if (depth < maxDepth && pageData.links) {
-      const baseHost = new URL(baseUrl).hostname;
-      
-      for (const link of pageData.links.slice(0, 10)) { // Limit to 10 links per page
-        try {
-          const linkUrl = new URL(link, url);
-          if (linkUrl.hostname === baseHost && !visited.has(linkUrl.href)) {
-            toVisit.push({ url: linkUrl.href, depth: depth + 1 });
-          }
-        } catch (e) {
-          // Skip invalid URLs
-        }
-      }
-    }
+  // Collect issues and calculate simple score
+  const issues = [];
+  let score = 100;
+  if (!title) {
+    issues.push(createIssue('missing_title'));
+    score -= 20;
+  }
+  if (!metaDescription) {
+    issues.push(createIssue('missing_description'));
+    score -= 15;
+  }
+  if (h1Count === 0) {
+    issues.push(createIssue('missing_h1'));
+    score -= 10;
+  }
+  if (h1Count > 1) {
+    issues.push(createIssue('multiple_h1', { details: { h1Count } }));
+    score -= 5;
   }
   
+  return {
+    title,
+    metaDescription,
+    h1Count,
+    h2Count,
+    noindex,
+    canonical,
+    linksCount: $('a[href]').length,
+    score,
+    issues,
+    analyzedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Crawler engine options for a full site crawl request
+ * @param {Object} options - Request options
+ * @param {number} maxPages - Page limit, already capped
+ * @param {Array<string>} seedUrls - Sitemap URLs to queue
+ * @returns {Object} - Options for crawler.crawlSite
+ */
+function engineOptions(options, maxPages, seedUrls) {
+  return {
+    maxPages,
+    maxDepth: options.maxDepth || 2,
+    concurrency: options.concurrency || 3,
+    respectRobots: options.respectRobots !== false,
+    include: options.include,
+    exclude: options.exclude,
+    stripQuery: options.stripQuery,
+    allowedQueryParams: options.allowedQueryParams,
+    includeSubdomains: options.includeSubdomains,
+    seedUrls
+  };
+}
+
+/**
+ * Sitemap URLs for the comparison and the ones to seed the crawl with
+ * @param {string} startUrl - Normalized start URL
+ * @param {number} maxPages - Page limit
+ * @returns {Promise<Object>} - { sitemapUrls, seedUrls }
+ */
+async function loadSitemapSeeds(startUrl, maxPages) {
+  const sitemapUrls = await getSitemapUrls(startUrl, { maxUrls: MAX_SITEMAP_COMPARISON_URLS });
+  const seedUrls = sitemapUrls.filter(sitemapUrl => sitemapUrl !== startUrl).slice(0, maxPages * 5);
+  return { sitemapUrls, seedUrls };
+}
+
+/**
+ * Give pages that could not be fetched or analyzed a zero score
+ * @param {Object} page - Page record from the crawler engine
+ * @returns {Object} - Page record for the report
+ */
+function toReportPage(page) {
+  const error = page.error || page.analysisError;
+  if (!error) return page;
+  return {
+    ...page,
+    score: 0,
+    issues: [createIssue('analysis_error', { message: error })]
+  };
+}
+
+/**
+ * Build the crawl report from the analyzed pages
+ * @param {Array<Object>} pages - Report pages
+ * @param {Object} crawl - { stats, robotsTxt, skipped } from the crawler engine
+ * @param {Object} context - { startUrl, useSitemap, sitemapUrls, seedCount, options }; options are
+ *   the crawl options, for the query rewrite links went through
+ * @returns {Object} - Crawl report
+ */
+function buildReport(pages, crawl, { startUrl, useSitemap, sitemapUrls, seedCount, options = {} }) {
   // Calculate summary
   const totalScore = pages.reduce((sum, p) => sum + (p.score || 0), 0);
   const averageScore = pages.length > 0 ? Math.round(totalScore / pages.length) : 0;
@@ -125,42 +144,152 @@ async function crawlSite(baseUrl, options = {}) {
     summary: {
       totalPages: pages.length,
       averageScore,
-      crawlDepth: Math.max(...pages.map((_, idx) => Math.floor(idx / 10))),
+      crawlDepth: crawl.stats.maxDepthReached,
+      pagesSkipped: crawl.stats.pagesSkipped,
+      crawlDuration: crawl.stats.crawlDuration,
+      sitemapUrlsSeeded: seedCount,
       commonIssues: calculateCommonIssues(pages)
     },
+    robotsTxt: crawl.robotsTxt,
+    skipped: crawl.skipped,
     siteHealth: {
       score: averageScore,
       status: averageScore >= 80 ? 'good' : averageScore >= 60 ? 'needs_improvement' : 'poor',
       grade: averageScore >= 90 ? 'A' : averageScore >= 80 ? 'B' : averageScore >= 70 ? 'C' : averageScore >= 60 ? 'D' : 'F'
     },
+    sitemapComparison: useSitemap
+      ? compareWithSitemap(pages, sitemapUrls, startUrl, crawl.stats.complete, crawler.queryRewriter(options))
+      : null,
     recommendations: generateRecommendations(pages)
   };
 }
 
+/**
+ * Full site crawl with basic SEO analysis of every page
+ */
+async function crawlSite(baseUrl, options = {}) {
+  const maxPages = Math.min(options.maxPages || 10, MAX_PAGES);
+  const useSitemap = options.useSitemap !== false;
+  const startUrl = crawler.normalizeUrl(baseUrl);
+  
+  // Seed the frontier with sitemap URLs so pages without inbound links are found
+  const { sitemapUrls, seedUrls } = useSitemap
+    ? await loadSitemapSeeds(startUrl, maxPages)
+    : { sitemapUrls: [], seedUrls: [] };
+  
+  const crawlResult = await crawler.crawlSite(startUrl, engineOptions(options, maxPages, seedUrls), analyzePage);
+  
+  return buildReport(crawlResult.pages.map(toReportPage), crawlResult, {
+    startUrl,
+    useSitemap,
+    sitemapUrls,
+    seedCount: seedUrls.length,
+    options
+  });
+}
+
+// Comparable form of a URL, as the crawler engine stores it
+function comparableUrl(url) {
+  return crawler.normalizeUrl(url) || url;
+}
+
+/**
+ * Compare the crawled link graph with the URLs the site declares in its sitemaps
+ * @param {Array<Object>} pages - Crawled pages
+ * @param {Array<string>} sitemapUrls - Same-host sitemap URLs
+ * @param {string} startUrl - Crawl start URL (never reported as an orphan)
+ * @param {boolean} crawlComplete - Whether the crawl exhausted its frontier
+ * @param {function(string): string} rewriteQuery - The crawl's query rewrite (stripQuery, allowedQueryParams)
+ * @returns {Object} - Orphan, sitemap-missing and non-indexable sitemap URL lists
+ */
+function compareWithSitemap(pages, sitemapUrls, startUrl, crawlComplete, rewriteQuery = url => url) {
+  const sitemapSet = new Set(sitemapUrls.map(comparableUrl));
+  const startKey = comparableUrl(startUrl);
+  
+  // Every internal URL some other crawled page links to, rewritten as the
+  // engine queued it (`/b?sort=1` is `/b` with stripQuery)
+  const linked = new Set();
+  pages.forEach(page => {
+    const pageKey = comparableUrl(page.finalUrl || page.url);
+    (page.internalLinks || []).forEach(link => {
+      const url = rewriteQuery(link);
+      if (url !== pageKey) linked.add(url);
+    });
+  });
+  
+  const crawledSitemapPages = pages.filter(page => sitemapSet.has(comparableUrl(page.url)));
+  
+  const nonOkPages = crawledSitemapPages
+    .filter(page => page.statusCode !== 200 || comparableUrl(page.finalUrl || page.url) !== comparableUrl(page.url));
+  const nonOkUrls = nonOkPages.map(page => ({
+    url: page.url,
+    statusCode: page.statusCode,
+    finalUrl: page.finalUrl || null,
+    error: page.error || null
+  }));
+  
+  // A URL that didn't load is reported in nonOkUrls, not as an orphan as well
+  const nonOkKeys = new Set(nonOkPages.map(page => comparableUrl(page.url)));
+  const orphanPages = Array.from(sitemapSet)
+    .filter(url => url !== startKey && !linked.has(url) && !nonOkKeys.has(url));
+  
+  const notInSitemap = pages
+    .filter(page => page.statusCode === 200 && !page.noindex)
+    .map(page => comparableUrl(page.url))
+    .filter(url => linked.has(url) && !sitemapSet.has(url));
+  
+  const noindexUrls = crawledSitemapPages
+    .filter(page => page.noindex)
+    .map(page => page.url);
+  
+  const canonicalizedUrls = crawledSitemapPages
+    .filter(page => page.canonical && comparableUrl(page.canonical) !== comparableUrl(page.finalUrl || page.url))
+    .map(page => ({ url: page.url, canonical: page.canonical }));
+  
+  return {
+    sitemapUrls: sitemapSet.size,
+    crawledSitemapUrls: crawledSitemapPages.length,
+    // Orphan detection only sees links on crawled pages, so it is partial until the crawl completes
+    crawlComplete,
+    orphanPages,
+    notInSitemap,
+    nonOkUrls,
+    noindexUrls,
+    canonicalizedUrls
+  };
+}
+
 function calculateCommonIssues(pages) {
-  const issues = {};
+  const counts = {};
   
   pages.forEach(page => {
-    if (!page.title) {
-      issues['missing_title'] = (issues['missing_title'] || 0) + 1;
-    }
-    if (!page.metaDescription) {
-      issues['missing_meta_description'] = (issues['missing_meta_description'] || 0) + 1;
-    }
-    if (page.h1Count === 0) {
-      issues['missing_h1'] = (issues['missing_h1'] || 0) + 1;
-    }
+    (page.issues || []).forEach(issue => {
+      counts[issue.id] = (counts[issue.id] || 0) + 1;
+    });
   });
   
-  return Object.entries(issues)
-    .map(([type, count]) => ({ type, count }))
+  return Object.entries(counts)
+    .map(([id, count]) => {
+      const definition = getIssueDefinition(id);
+      return {
+        id,
+        type: id,
+        category: definition.category,
+        severity: definition.severity,
+        title: definition.title,
+        count
+      };
+    })
     .sort((a, b) => b.count - a.count);
 }
 
 function generateRecommendations(pages) {
   const recommendations = [];
   
-  const missingTitles = pages.filter(p => !p.title).length;
+  // Error pages and failed fetches have no metadata worth reporting
+  const loaded = pages.filter(p => p.statusCode >= 200 && p.statusCode < 300);
+  
+  const missingTitles = loaded.filter(p => !p.title).length;
   if (missingTitles > 0) {
     recommendations.push({
       priority: 'high',
@@ -169,7 +298,7 @@ function generateRecommendations(pages) {
     });
   }
   
-  const missingDescriptions = pages.filter(p => !p.metaDescription).length;
+  const missingDescriptions = loaded.filter(p => !p.metaDescription).length;
   if (missingDescriptions > 0) {
     recommendations.push({
       priority: 'high',
@@ -181,6 +310,29 @@ function generateRecommendations(pages) {
   return recommendations;
 }
 
+/**
+ * Why a crawl has nothing to report, if it hasn't
+ * @param {Object} report - Crawl report
+ * @param {string} startUrl - Normalized start URL
+ * @returns {ApiError|null} - The start page's failure, or null when some page loaded
+ */
+function crawlFailure(report, startUrl) {
+  if (report.pages.some(page => !page.error && page.statusCode < 400)) return null;
+
+  const startPage = report.pages.find(page => page.depth === 0);
+  if (!startPage) {
+    return report.skipped.some(item => item.reason === 'robots')
+      ? new ApiError('BLOCKED_BY_ROBOTS', 'robots.txt disallows crawling the start page; set options.respectRobots to false to crawl it anyway', { url: startUrl })
+      : null;
+  }
+
+  const details = { url: startPage.url, upstreamStatus: startPage.statusCode };
+  if (startPage.errorCode) {
+    return new ApiError(startPage.errorCode, `Could not crawl ${startPage.url}: ${startPage.error}`, details);
+  }
+  return targetError({ response: { status: startPage.statusCode } }, startPage.url);
+}
+
 /**
  * API handler
  */
@@ -195,9 +347,47 @@ async function handleFullSiteCrawl(req, res) {
       });
     }
     
-    console.log(`API: Starting full site crawl for ${url}`);
+    const startUrl = crawler.normalizeUrl(url);
+    if (!startUrl) {
+      return res.status(400).json({
+        status: 'error',
+        code: 'INVALID_URL',
+        message: 'Invalid URL provided'
+      });
+    }
     
-    const crawlResults = await crawlSite(url, options);
+    const blocked = await safeFetch.blockedError(startUrl);
+    if (blocked) {
+      return sendError(res, targetError(blocked, startUrl));
+    }
+    
+    try {
+      crawler.validateCrawlOptions(options);
+    } catch (optionsError) {
+      return res.status(400).json({
+        status: 'error',
+        message: optionsError.message
+      });
+    }
+    
+    // Never crawl more pages than the API key has left
+    const crawlOptions = req.quota
+      ? { ...options, maxPages: Math.min(options.maxPages || 10, req.quota.remaining) }
+      : options;
+    
+    logger.info('Full site crawl requested', { url, maxPages: crawlOptions.maxPages });
+    
+    const crawlResults = await crawlSite(url, crawlOptions);
+    
+    // A crawl where no page loaded has no report, and isn't charged
+    const failure = crawlFailure(crawlResults, startUrl);
+    if (failure) {
+      return sendError(res, failure, { url });
+    }
+    
+    if (req.apiKey) {
+      await apiKeys.recordUsage(req.apiKey.id, 'crawledPages', crawlResults.pages.length);
+    }
     
     return res.json({
       status: 'ok',
@@ -209,18 +399,18 @@ async function handleFullSiteCrawl(req, res) {
     });
     
   } catch (error) {
-    console.error('Full site crawl error:', error);
+    logger.error('Full site crawl error', { error });
     
-    return res.status(500).json({
-      status: 'error',
-      message: 'Failed to perform site crawl',
-      error: error.message
-    });
+    return sendError(res, error);
   }
 }
 
 module.exports = {
   crawlSite,
   analyzePage,
+  engineOptions,
+  loadSitemapSeeds,
+  toReportPage,
+  buildReport,
   handleFullSiteCrawl
 };
\ No newline at end of file
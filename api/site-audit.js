@@ -1,8 +1,9 @@
 // Simplified site audit endpoint for Railway deployment
 const cheerio = require('cheerio');
-const axios = require('axios');
+const safeFetch = require('./lib/safe-fetch');
 const { URL } = require('url');
-const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const crawler = require('./lib/crawler');
+const logger = require('./lib/logger');
 
 /**
  * Normalize URL to ensure proper format
@@ -26,65 +27,15 @@ function normalizeUrl(url) {
   return normalizedUrl;
 }
 
-/**
- * Fetch and extract links from a webpage
- */
-async function extractLinksFromPage(url, baseUrl, maxDepth) {
-  try {
-    console.log(`Fetching links from ${url}`);
-    const response = await axios.get(url, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'MardenSEOAuditBot/1.0',
-        'Accept': 'text/html',
-        'Accept-Language': 'en-US,en;q=0.5'
-      }
-    });
-
-    if (!response.data) {
-      return [];
-    }
-
-    const $ = cheerio.load(response.data);
-    const links = new Set();
-    const baseDomain = new URL(baseUrl).hostname;
-
-    // Extract all links
-    $('a[href]').each((i, el) => {
-      try {
-        const href = $(el).attr('href');
-        if (!href) return;
-
-        // Resolve relative URLs
-        const fullUrl = new URL(href, url).href;
-        const linkDomain = new URL(fullUrl).hostname;
-
-        // Only include links from the same domain and HTTP/HTTPS protocols
-        if (linkDomain === baseDomain && 
-            (fullUrl.startsWith('http://') || fullUrl.startsWith('https://'))) {
-          links.add(fullUrl);
-        }
-      } catch (e) {
-        // Skip invalid URLs
-      }
-    });
-
-    return Array.from(links);
-  } catch (error) {
-    console.error(`Error extracting links from ${url}:`, error.message);
-    return [];
-  }
-}
-
 /**
  * Perform basic SEO analysis of a URL
  */
 async function analyzePage(url) {
   try {
-    console.log(`Analyzing page: ${url}`);
+    logger.debug('Analyzing page', { url });
     const startTime = Date.now();
     
-    const response = await axios.get(url, {
+    const response = await safeFetch.get(url, {
       timeout: 15000,
       headers: {
         'User-Agent': 'MardenSEOAuditBot/1.0',
@@ -324,7 +275,7 @@ async function analyzePage(url) {
       analyzedAt: new Date().toISOString()
     };
   } catch (error) {
-    console.error(`Error analyzing ${url}:`, error.message);
+    logger.warn('Error analyzing page', { url, error: error.message });
     return {
       url,
       score: 0,
@@ -341,7 +292,7 @@ async function analyzePage(url) {
  * Crawl a website and perform SEO analysis
  */
 async function crawlAndAnalyzeSite(startUrl, options = {}) {
-  console.log(`Starting site audit for ${startUrl} with options:`, options);
+  logger.info('Starting site audit', { url: startUrl, options });
   const startTime = Date.now();
   
   try {
@@ -354,52 +305,31 @@ async function crawlAndAnalyzeSite(startUrl, options = {}) {
     const maxDepth = Math.min(options.maxDepth || 2, 3);
     const respectRobots = options.respectRobots !== false;
     
-    console.log(`Using maxPages=${maxPages}, maxDepth=${maxDepth}`);
-    
-    // Initialize data structures
-    const discoveredUrls = new Set([normalizedUrl]);
-    const crawledUrls = new Set();
-    const pageResults = [];
-    let urlsToVisit = [normalizedUrl];
-    
-    // Process until we reach max pages or run out of URLs
-    while (urlsToVisit.length > 0 && crawledUrls.size < maxPages) {
-      const url = urlsToVisit.shift();
-      
-      // Skip if already crawled
-      if (crawledUrls.has(url)) {
-        continue;
-      }
-      
-      console.log(`Processing ${url} (${crawledUrls.size + 1}/${maxPages})`);
-      
-      // Analyze the page
-      try {
-        const analysis = await analyzePage(url);
-        pageResults.push(analysis);
-        crawledUrls.add(url);
-        
-        // Only discover links if we haven't reached max pages and max depth
-        if (crawledUrls.size < maxPages && pageResults.length < maxDepth) {
-          const links = await extractLinksFromPage(url, normalizedUrl, maxDepth);
-          
-          // Add new links to the discovery queue
-          for (const link of links) {
-            if (!discoveredUrls.has(link)) {
-              discoveredUrls.add(link);
-              urlsToVisit.push(link);
-            }
-          }
-          
-          // Be nice to the server - small delay between requests
-          await delay(1000);
-        }
-      } catch (error) {
-        console.error(`Error processing ${url}:`, error.message);
-        // Still mark as crawled to avoid infinite loops
-        crawledUrls.add(url);
-      }
-    }
+    logger.debug('Site audit limits', { maxPages, maxDepth });
+    
+    // Crawl with the shared engine; every page gets the full analysis
+    const crawlResult = await crawler.crawlSite(normalizedUrl, {
+      maxPages,
+      maxDepth,
+      respectRobots,
+      concurrency: 1,
+      delay: 1000 // Be nice to the server
+    }, async ({ url }) => analyzePage(url));
+    
+    // Non-HTML responses are not analyzed
+    const pageResults = crawlResult.pages.filter(page => !page.skippedAnalysis).map(page => {
+      const { internalLinks, ...result } = page;
+      if (!page.error) return result;
+      return {
+        url: page.url,
+        score: 0,
+        status: 'error',
+        error: {
+          message: `Analysis failed for ${page.url}: ${page.error}`
+        },
+        analyzedAt: new Date().toISOString()
+      };
+    });
     
     // Calculate overall stats
     const successfulPages = pageResults.filter(p => p.status !== 'error');
@@ -462,8 +392,8 @@ async function crawlAndAnalyzeSite(startUrl, options = {}) {
       score: overallScore,
       status: overallStatus,
       crawlStats: {
-        pagesDiscovered: discoveredUrls.size,
-        pagesCrawled: crawledUrls.size,
+        pagesDiscovered: crawlResult.stats.pagesDiscovered,
+        pagesCrawled: crawlResult.pages.length,
         maxDepthReached: maxDepth,
         crawlDuration: auditDuration
       },
@@ -487,7 +417,7 @@ async function crawlAndAnalyzeSite(startUrl, options = {}) {
       timestamp: new Date().toISOString()
     };
   } catch (error) {
-    console.error('Site audit failed:', error);
+    logger.error('Site audit failed', { url: startUrl, error });
     return {
       startUrl,
       error: {
@@ -535,7 +465,7 @@ async function handleSeoAnalyze(req, res) {
       });
     }
     
-    console.log(`Handling SEO analysis request for: ${url}`);
+    logger.info('SEO analysis requested', { url });
     
     // Normalize the URL
     const normalizedUrl = normalizeUrl(url);
@@ -558,7 +488,7 @@ async function handleSeoAnalyze(req, res) {
     });
     
   } catch (error) {
-    console.error('SEO analysis error:', error);
+    logger.error('SEO analysis error', { error });
     
     return res.status(500).json({
       status: 'error',
@@ -0,0 +1,135 @@
+/**
+ * Sitemap Analysis Handler
+ * Returns the sitemap inventory of a site and its validation issues
+ */
+
+const redis = require('./lib/redis.optimized');
+const safeFetch = require('./lib/safe-fetch');
+const { analyzeSitemaps } = require('./lib/sitemap');
+const logger = require('./lib/logger');
+
+const CACHE_TTL = 3600; // Sitemaps change often, keep for 1 hour
+
+function normalizeUrl(url) {
+  if (!url) return '';
+
+  let normalized = url.trim();
+
+  // Ensure proper protocol
+  if (!normalized.startsWith('http://') && !normalized.startsWith('https://')) {
+    normalized = `https://${normalized}`;
+  }
+
+  return normalized;
+}
+
+async function handleSitemapAnalyze(req, res) {
+  const startTime = Date.now();
+
+  try {
+    // Extract URL and options from request
+    let url = '';
+    let options = {};
+    if (req.method === 'POST') {
+      url = req.body.url;
+      options = req.body.options || {};
+    } else {
+      url = req.query.url;
+      if (req.query.maxUrls) {
+        options.maxUrls = parseInt(req.query.maxUrls, 10);
+      }
+    }
+
+    if (!url) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'URL parameter is required',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let origin;
+    try {
+      origin = new URL(normalizeUrl(url)).origin;
+    } catch (error) {
+      return res.status(400).json({
+        status: 'error',
+        code: 'INVALID_URL',
+        message: 'Invalid URL provided',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const blocked = await safeFetch.blockedError(origin);
+    if (blocked) {
+      return res.status(400).json({
+        status: 'error',
+        code: blocked.code,
+        message: blocked.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const maxUrls = Math.min(Math.max(parseInt(options.maxUrls, 10) || 1000, 1), 10000);
+    const cacheKey = `sitemap-analyze:${origin}:${maxUrls}`;
+
+    // Check cache
+    if (redis.isRedisConfigured) {
+      try {
+        const cachedResult = await redis.getCache(cacheKey);
+        if (cachedResult) {
+          logger.info('Cache hit for sitemap analysis', { url: origin });
+          return res.status(200).json({
+            status: 'ok',
+            message: 'Sitemap analysis retrieved from cache',
+            url: origin,
+            cached: true,
+            cachedAt: cachedResult.timestamp,
+            timestamp: new Date().toISOString(),
+            data: cachedResult.data
+          });
+        }
+      } catch (cacheError) {
+        logger.warn('Error checking cache', { url: origin, error: cacheError });
+      }
+    }
+
+    const result = await analyzeSitemaps(origin, { maxUrls });
+    logger.info('Sitemap analysis completed', { url: origin, durationMs: Date.now() - startTime });
+
+    // Cache result
+    if (redis.isRedisConfigured) {
+      try {
+        await redis.setCache(cacheKey, {
+          data: result,
+          timestamp: new Date().toISOString()
+        }, CACHE_TTL);
+      } catch (cacheError) {
+        logger.warn('Error caching result', { url: origin, error: cacheError });
+      }
+    }
+
+    return res.status(200).json({
+      status: 'ok',
+      message: 'Sitemap analysis completed',
+      url: origin,
+      cached: false,
+      timestamp: new Date().toISOString(),
+      executionTime: Date.now() - startTime,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Sitemap analysis error', { error });
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to analyze sitemaps',
+      error: process.env.NODE_ENV === 'production' ? 'Server error' : error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  handleSitemapAnalyze
+};
@@ -0,0 +1,100 @@
+/**
+ * Webhooks Handler
+ * Manages webhook subscriptions and exposes the delivery log
+ */
+
+const webhooks = require('./lib/webhooks');
+const logger = require('./lib/logger');
+
+function sendError(res, statusCode, message) {
+  return res.status(statusCode).json({
+    status: 'error',
+    message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function sendData(res, statusCode, message, data, startTime) {
+  return res.status(statusCode).json({
+    status: 'ok',
+    message,
+    timestamp: new Date().toISOString(),
+    executionTime: Date.now() - startTime,
+    data
+  });
+}
+
+/**
+ * Handle /webhooks requests
+ *   POST   /webhooks                    subscribe
+ *   GET    /webhooks                    list subscriptions
+ *   GET    /webhooks/:id                one subscription
+ *   DELETE /webhooks/:id                unsubscribe
+ *   GET    /webhooks/deliveries         delivery log (jobId, subscriptionId, event, status)
+ *   GET    /webhooks/deliveries/:id     one delivery with its payload and attempts
+ */
+async function handleWebhooks(req, res) {
+  const startTime = Date.now();
+
+  try {
+    const [, id, deliveryId] = req.url.split('?')[0].replace(/^\/api/, '').split('/').filter(Boolean);
+    // Subscriptions and deliveries are scoped to the caller's API key
+    const apiKeyId = req.apiKey ? req.apiKey.id : null;
+
+    if (id === 'deliveries' && req.method === 'GET') {
+      if (deliveryId) {
+        const delivery = await webhooks.getDelivery(deliveryId, apiKeyId);
+        if (!delivery) return sendError(res, 404, `Delivery ${deliveryId} not found`);
+        return sendData(res, 200, 'Webhook delivery retrieved', delivery, startTime);
+      }
+
+      const { jobId, subscriptionId, event, status } = req.query;
+      const deliveries = await webhooks.listDeliveries({ apiKeyId, jobId, subscriptionId, event, status });
+      return sendData(res, 200, 'Webhook deliveries retrieved', deliveries, startTime);
+    }
+
+    if (!id && req.method === 'POST') {
+      const { url, events, secret, minScoreDrop } = req.body || {};
+      let subscription;
+      try {
+        subscription = await webhooks.createSubscription({ url, events, secret, minScoreDrop, apiKeyId });
+      } catch (validationError) {
+        return sendError(res, 400, validationError.message);
+      }
+      // The secret is only returned in full when the subscription is created
+      return sendData(res, 201, 'Webhook subscription created', subscription, startTime);
+    }
+
+    if (!id && req.method === 'GET') {
+      return sendData(res, 200, 'Webhook subscriptions retrieved', await webhooks.listSubscriptions(apiKeyId), startTime);
+    }
+
+    if (id && !deliveryId && req.method === 'GET') {
+      const subscription = await webhooks.getSubscription(id, apiKeyId);
+      if (!subscription) return sendError(res, 404, `Webhook subscription ${id} not found`);
+      return sendData(res, 200, 'Webhook subscription retrieved', subscription, startTime);
+    }
+
+    if (id && !deliveryId && req.method === 'DELETE') {
+      if (!(await webhooks.deleteSubscription(id, apiKeyId))) {
+        return sendError(res, 404, `Webhook subscription ${id} not found`);
+      }
+      return sendData(res, 200, 'Webhook subscription deleted', { id }, startTime);
+    }
+
+    return sendError(res, 404, 'Endpoint not found');
+  } catch (error) {
+    logger.error('Webhooks request error', { error });
+
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to process webhooks request',
+      error: process.env.NODE_ENV === 'production' ? 'Server error' : error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  handleWebhooks
+};
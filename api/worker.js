@@ -1,5 +1,4 @@
 // Job processor/worker - Process jobs from the queue
-const axios = require('axios');
 const cheerio = require('cheerio');
 const { 
   getNextJob, 
@@ -7,15 +6,20 @@ const {
   updateJob, 
   cacheData 
 } = require('./lib/redis.js');
+const safeFetch = require('./lib/safe-fetch');
+const webhooks = require('./lib/webhooks');
+const logger = require('./lib/logger');
 
 // Process job
-async function processJob(jobId) {
+async function runJob(jobId) {
+  const jobStart = Date.now();
+  let job = null;
   try {
     // Get job data
-    const job = await getJob(jobId);
+    job = await getJob(jobId);
     
     if (!job) {
-      console.error(`Job ${jobId} not found`);
+      logger.error('Job not found');
       return false;
     }
     
@@ -26,7 +30,7 @@ async function processJob(jobId) {
       message: 'Job processing started'
     });
     
-    console.log(`Processing job ${jobId} of type ${job.type}`);
+    logger.info('Processing job', { type: job.type, url: job.params && job.params.url });
     
     // Process based on job type
     let result = null;
@@ -36,23 +40,27 @@ async function processJob(jobId) {
     } else if (job.type === 'site_audit') {
       result = await processSiteAudit(job);
     } else {
-      console.error(`Unknown job type: ${job.type}`);
-      await updateJob(jobId, {
+      logger.error('Unknown job type', { type: job.type });
+      const failure = {
         status: 'failed',
         error: `Unknown job type: ${job.type}`,
         message: 'Job failed - unknown type'
-      });
+      };
+      await updateJob(jobId, failure);
+      await webhooks.dispatchJobFinished({ ...job, ...failure });
       return false;
     }
     
     // Update job with results
-    await updateJob(jobId, {
+    const completion = {
       status: 'completed',
       progress: 100,
       results: result,
       completed: Date.now(),
       message: 'Job completed successfully'
-    });
+    };
+    await updateJob(jobId, completion);
+    await webhooks.dispatchJobFinished({ ...job, ...completion });
     
     // Cache results based on job type and requirements
     if (job.type === 'page_audit') {
@@ -74,25 +82,33 @@ async function processJob(jobId) {
       );
     }
     
+    logger.info('Job completed', { type: job.type, url: job.params.url, durationMs: Date.now() - jobStart });
     return true;
   } catch (error) {
-    console.error(`Error processing job ${jobId}:`, error);
+    logger.error('Error processing job', { durationMs: Date.now() - jobStart, error });
     
     // Implement graceful degradation per requirement #5
     try {
-      await updateJob(jobId, {
+      const failure = {
         status: 'failed',
         error: error.message,
         message: 'Job processing failed'
-      });
+      };
+      await updateJob(jobId, failure);
+      await webhooks.dispatchJobFinished({ ...job, id: jobId, ...failure });
     } catch (updateError) {
-      console.error(`Failed to update job ${jobId} after error:`, updateError);
+      logger.error('Failed to update job after error', { error: updateError });
     }
     
     return false;
   }
 }
 
+// Everything logged while processing a job carries its ID
+function processJob(jobId) {
+  return logger.runWithContext({ jobId }, () => runJob(jobId));
+}
+
 // Process page audit job
 async function processPageAudit(job) {
   const { url } = job.params;
@@ -105,7 +121,7 @@ async function processPageAudit(job) {
   
   try {
     // Fetch page with timeout per requirement #27
-    const response = await axios.get(url, {
+    const response = await safeFetch.get(url, {
       timeout: 20000,
       headers: {
         'User-Agent': 'MardenSEOAuditBot/1.0 (+https://audit.mardenseo.com)'
@@ -539,7 +555,7 @@ async function processPageAudit(job) {
       analyzedAt: new Date().toISOString()
     };
   } catch (error) {
-    console.error(`Error in page audit for ${url}:`, error);
+    logger.error('Error in page audit', { url, error });
     throw error;
   }
 }
@@ -550,8 +566,7 @@ async function processSiteAudit(job) {
   const maxPages = Math.min(options.maxPages || 20, 100); // Default to 20 pages
   const crawlDepth = Math.min(options.depth || 3, 5);     // Default to depth 3
   
-  // Add detailed logging
-  console.log(`Starting site audit for ${url} with max pages: ${maxPages}, depth: ${crawlDepth}`);
+  logger.info('Starting site audit', { url, maxPages, depth: crawlDepth });
   
   // Update progress
   await updateJob(job.id, {
@@ -601,7 +616,7 @@ async function processSiteAudit(job) {
       if (internalCount > 0 && !mainPageResult.pageData.links.internalUrls) {
         // In this case, re-fetch the page to extract actual link URLs
         try {
-          const response = await axios.get(url, {
+          const response = await safeFetch.get(url, {
             timeout: 15000,
             headers: {
               'User-Agent': 'MardenSEOAuditBot/1.0'
@@ -633,11 +648,11 @@ async function processSiteAudit(job) {
               }
             } catch (error) {
               // Skip malformed URLs
-              console.warn(`Skipping malformed URL: ${href}`);
+              logger.debug('Skipping malformed URL', { href });
             }
           });
         } catch (error) {
-          console.error(`Error fetching links from ${url}:`, error);
+          logger.warn('Error fetching links', { url, error: error.message });
         }
       }
     }
@@ -648,7 +663,7 @@ async function processSiteAudit(job) {
       message: `Analyzed main page, found ${urlQueue.length} links to crawl`
     });
     
-    console.log(`Analyzed main page ${url}, found ${urlQueue.length} links to crawl`);
+    logger.info('Analyzed main page', { url, links: urlQueue.length });
     
     // Process queue with optimal batching for serverless environment
     // We'll process 3 pages at a time to avoid overwhelming the server
@@ -706,7 +721,7 @@ async function processSiteAudit(job) {
     for (let i = 0; i < urlQueue.length && crawledUrls.size < maxPages; i += BATCH_SIZE) {
       // Get a batch of URLs to process
       const batch = urlQueue.slice(i, i + BATCH_SIZE);
-      console.log(`Processing batch ${Math.floor(i/BATCH_SIZE) + 1}, URLs: ${batch.map(item => item.url).join(', ')}`);
+      logger.debug('Processing batch', { batch: Math.floor(i/BATCH_SIZE) + 1, urls: batch.map(item => item.url) });
       
       // Process each URL in the batch with individual error handling
       const batchPromises = batch.map(async ({ url: pageUrl, depth }) => {
@@ -758,7 +773,7 @@ async function processSiteAudit(job) {
             if (internalCount > 0 && depth < crawlDepth) {
               // Fetch the page to extract actual link URLs
               try {
-                const response = await axios.get(pageUrl, {
+                const response = await safeFetch.get(pageUrl, {
                   timeout: 15000,
                   headers: {
                     'User-Agent': 'MardenSEOAuditBot/1.0'
@@ -793,14 +808,14 @@ async function processSiteAudit(job) {
                   }
                 });
               } catch (error) {
-                console.error(`Error fetching links from ${pageUrl}:`, error);
+                logger.warn('Error fetching links', { url: pageUrl, error: error.message });
               }
             }
           }
           
           return pageResult;
         } catch (error) {
-          console.error(`Error crawling ${pageUrl}:`, error);
+          logger.warn('Error crawling page', { url: pageUrl, error: error.message });
           
           // Return error result instead of throwing
           return {
@@ -822,7 +837,7 @@ async function processSiteAudit(job) {
         message: `Crawled ${crawledUrls.size}/${maxPages} pages`
       });
       
-      console.log(`Completed batch, crawled ${crawledUrls.size}/${maxPages} pages so far`);
+      logger.debug('Completed batch', { crawled: crawledUrls.size, maxPages });
       
       // Add small delay between batches to prevent rate limiting
       await new Promise(resolve => setTimeout(resolve, 1000));
@@ -834,7 +849,7 @@ async function processSiteAudit(job) {
       message: 'Aggregating site metrics'
     });
     
-    console.log(`Site crawl completed, analyzed ${pageResults.length} pages`);
+    logger.info('Site crawl completed', { url, pages: pageResults.length });
     
     // Aggregate data from all pages
     
@@ -885,7 +900,7 @@ async function processSiteAudit(job) {
       analyzedAt: new Date().toISOString()
     };
   } catch (error) {
-    console.error(`Error in site audit for ${url}:`, error);
+    logger.error('Error in site audit', { url, error });
     throw error;
   }
 }
@@ -897,13 +912,13 @@ async function processQueue() {
     const jobId = await getNextJob();
     
     if (jobId) {
-      console.log(`Processing job ${jobId} from queue`);
+      logger.debug('Took job from queue', { jobId });
       await processJob(jobId);
     }
     
     return jobId != null; // Return true if we processed a job
   } catch (error) {
-    console.error('Error processing job queue:', error);
+    logger.error('Error processing job queue', { error });
     return false;
   }
 }
@@ -4,10 +4,10 @@
  * Optimized for Railway's 256MB memory constraints
  */
 
-const axios = require('axios');
-const cheerio = require('cheerio');
-const { URL } = require('url');
 const redis = require('./lib/redis.optimized');
+const { createIssue } = require('./lib/issue-catalog');
+const crawler = require('./lib/crawler');
+const logger = require('./lib/logger');
 
 // Memory cache for quick access
 const memoryCache = new Map();
@@ -18,173 +18,65 @@ const MEMORY_CACHE_TTL = 3600000; // 1 hour
  * Normalize URL
  */
 function normalizeUrl(url) {
-  if (!url) return '';
-  let normalized = url.trim();
-  if (!normalized.startsWith('http://') && !normalized.startsWith('https://')) {
-    normalized = `https://${normalized}`;
-  }
-  return normalized;
+  return crawler.normalizeUrl(url) || '';
 }
 
 /**
- * Extract internal links from HTML
+ * Analyze a single page efficiently
+ * Crawler analyzer hook: builds the page summary from the parsed document.
  */
-function extractInternalLinks(html, baseUrl) {
-  try {
-    const $ = cheerio.load(html, { 
-      normalizeWhitespace: false,
-      decodeEntities: false 
-    });
-    
-    const baseUrlObj = new URL(baseUrl);
-    const links = new Set();
+function analyzePage({ url, statusCode, $, links }) {
+  return {
+    url,
+    status: 'success',
+    statusCode,
     
-    // Extract from anchor tags
-    $('a[href]').each((i, el) => {
-      if (i > 50) return false; // Limit processing for memory
-      
-      const href = $(el).attr('href');
-      if (!href) return;
-      
-      try {
-        const linkUrl = new URL(href, baseUrl);
-        
-        // Only same domain links
-        if (linkUrl.hostname === baseUrlObj.hostname) {
-          // Clean URL (remove fragments, certain params)
-          linkUrl.hash = '';
-          links.add(linkUrl.href);
-        }
-      } catch (e) {
-        // Skip invalid URLs
-      }
-    });
+    // Page metadata
+    title: {
+      text: $('title').first().text().trim() || '',
+      length: $('title').first().text().trim().length
+    },
     
-    return Array.from(links).slice(0, 20); // Memory limit
-  } catch (error) {
-    console.error('Error extracting links:', error.message);
-    return [];
-  }
-}
-
-/**
- * Analyze a single page efficiently
- */
-async function analyzePage(url, timeout = 15000) {
-  console.log(`📊 Analyzing: ${url}`);
-  
-  try {
-    // Set up axios with proper config
-    const response = await axios.get(url, {
-      timeout,
-      maxContentLength: 5 * 1024 * 1024, // 5MB limit
-      headers: {
-        'User-Agent': 'Marden SEO Audit Tool (compatible crawler)',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate',
-        'Connection': 'keep-alive'
-      },
-      validateStatus: (status) => status < 400 // Accept redirects
-    });
+    metaDescription: {
+      text: $('meta[name="description"]').attr('content') || '',
+      length: ($('meta[name="description"]').attr('content') || '').length
+    },
     
-    const html = response.data;
-    const $ = cheerio.load(html, { 
-      normalizeWhitespace: false,
-      decodeEntities: false 
-    });
+    // Headings analysis
+    headings: {
+      h1Count: $('h1').length,
+      h1Texts: $('h1').map((i, el) => $(el).text().trim()).get().slice(0, 5),
+      h2Count: $('h2').length,
+      h2Texts: $('h2').map((i, el) => $(el).text().trim()).get().slice(0, 3),
+      h3Count: $('h3').length
+    },
     
-    // Extract basic SEO data efficiently
-    const analysis = {
-      url,
-      status: 'success',
-      statusCode: response.status,
-      
-      // Page metadata
-      title: {
-        text: $('title').first().text().trim() || '',
-        length: $('title').first().text().trim().length
-      },
-      
-      metaDescription: {
-        text: $('meta[name="description"]').attr('content') || '',
-        length: ($('meta[name="description"]').attr('content') || '').length
-      },
-      
-      // Headings analysis
-      headings: {
-        h1Count: $('h1').length,
-        h1Texts: $('h1').map((i, el) => $(el).text().trim()).get().slice(0, 5),
-        h2Count: $('h2').length,
-        h2Texts: $('h2').map((i, el) => $(el).text().trim()).get().slice(0, 3),
-        h3Count: $('h3').length
-      },
-      
-      // Content analysis
-      content: {
-        textLength: $('body').text().length,
-        wordCount: $('body').text().split(/\s+/).filter(word => word.length > 0).length,
-        paragraphs: $('p').length
-      },
-      
-      // Technical elements
-      images: {
-        total: $('img').length,
-        withoutAlt: $('img:not([alt]), img[alt=""]').length,
-        samples: $('img').slice(0, 3).map((i, el) => ({
-          src: $(el).attr('src') || '',
-          alt: $(el).attr('alt') || ''
-        })).get()
-      },
-      
-      // Links analysis
-      links: {
-        total: $('a[href]').length,
-        internal: 0, // Will be calculated
-        external: 0  // Will be calculated
-      },
-      
-      // Extract internal links for crawling
-      internalLinks: extractInternalLinks(html, url),
-      
-      analyzedAt: new Date().toISOString(),
-      responseTime: Date.now() - Date.now() // Will be set by caller
-    };
+    // Content analysis
+    content: {
+      textLength: $('body').text().length,
+      wordCount: $('body').text().split(/\s+/).filter(word => word.length > 0).length,
+      paragraphs: $('p').length
+    },
     
-    // Calculate internal vs external links
-    const baseHostname = new URL(url).hostname;
-    $('a[href]').each((i, el) => {
-      if (i > 100) return false; // Memory limit
-      
-      const href = $(el).attr('href');
-      if (!href) return;
-      
-      try {
-        const linkUrl = new URL(href, url);
-        if (linkUrl.hostname === baseHostname) {
-          analysis.links.internal++;
-        } else {
-          analysis.links.external++;
-        }
-      } catch (e) {
-        // Skip invalid URLs
-      }
-    });
+    // Technical elements
+    images: {
+      total: $('img').length,
+      withoutAlt: $('img:not([alt]), img[alt=""]').length,
+      samples: $('img').slice(0, 3).map((i, el) => ({
+        src: $(el).attr('src') || '',
+        alt: $(el).attr('alt') || ''
+      })).get()
+    },
     
-    return analysis;
-  } catch (error) {
-    console.error(`❌ Error analyzing ${url}:`, error.message);
+    // Links analysis
+    links: {
+      total: $('a[href]').length,
+      internal: links.internal.length,
+      external: links.external.length
+    },
     
-    return {
-      url,
-      status: 'error',
-      error: {
-        message: error.message,
-        code: error.code || 'UNKNOWN_ERROR'
-      },
-      analyzedAt: new Date().toISOString()
-    };
-  }
+    analyzedAt: new Date().toISOString()
+  };
 }
 
 /**
@@ -192,7 +84,7 @@ async function analyzePage(url, timeout = 15000) {
  */
 async function crawlSite(startUrl, options = {}) {
   const startTime = Date.now();
-  console.log(`🕷️ Starting site crawl for: ${startUrl}`);
+  logger.info('Starting site crawl', { url: startUrl });
   
   // Configuration with safe defaults
   const config = {
@@ -201,55 +93,40 @@ async function crawlSite(startUrl, options = {}) {
     timeout: options.timeout || 15000
   };
   
-  console.log(`📋 Crawl config:`, config);
+  logger.debug('Crawl config', { config });
   
-  // Crawl state
-  const crawled = new Set();
-  const toVisit = [{ url: normalizeUrl(startUrl), depth: 0 }];
   const results = [];
   const errors = [];
   
   try {
-    // Process URLs breadth-first
-    while (toVisit.length > 0 && results.length < config.maxPages) {
-      const { url, depth } = toVisit.shift();
-      
-      // Skip if already crawled
-      if (crawled.has(url)) continue;
-      crawled.add(url);
-      
-      console.log(`🔍 Crawling (depth ${depth}): ${url}`);
-      
-      // Analyze the page
-      const pageStart = Date.now();
-      const pageAnalysis = await analyzePage(url, config.timeout);
-      pageAnalysis.responseTime = Date.now() - pageStart;
-      pageAnalysis.depth = depth;
-      
-      if (pageAnalysis.status === 'success') {
+    const crawlResult = await crawler.crawlSite(startUrl, {
+      ...config,
+      concurrency: 2, // Keep memory low on Railway
+      respectRobots: options.respectRobots !== false,
+      include: options.include,
+      exclude: options.exclude,
+      stripQuery: options.stripQuery,
+      allowedQueryParams: options.allowedQueryParams,
+      includeSubdomains: options.includeSubdomains
+    }, analyzePage);
+    
+    crawlResult.pages.forEach(page => {
+      if (page.error || page.analysisError) {
+        errors.push({
+          url: page.url,
+          status: 'error',
+          statusCode: page.statusCode,
+          error: { message: page.error || page.analysisError },
+          analyzedAt: new Date().toISOString()
+        });
+      } else if (page.status === 'success') {
+        // internalLinks is only needed by the crawler
+        const { internalLinks, ...pageAnalysis } = page;
         results.push(pageAnalysis);
-        
-        // Add internal links for next depth level
-        if (depth < config.maxDepth && pageAnalysis.internalLinks) {
-          for (const link of pageAnalysis.internalLinks) {
-            if (!crawled.has(link) && !toVisit.some(item => item.url === link)) {
-              toVisit.push({ url: link, depth: depth + 1 });
-            }
-          }
-        }
-      } else {
-        errors.push(pageAnalysis);
       }
-      
-      // Memory management - force garbage collection periodically
-      if (results.length % 3 === 0) {
-        if (global.gc) {
-          global.gc();
-        }
-      }
-    }
+    });
   } catch (error) {
-    console.error('❌ Crawl error:', error.message);
+    logger.error('Crawl error', { url: startUrl, error: error.message });
     errors.push({
       url: startUrl,
       status: 'error',
@@ -295,10 +172,20 @@ async function crawlSite(startUrl, options = {}) {
     analyzedAt: new Date().toISOString()
   };
   
-  console.log(`✅ Crawl completed: ${results.length} pages in ${crawlTime}ms`);
+  logger.info('Crawl completed', { url: startUrl, pages: results.length, durationMs: crawlTime });
   return crawlResult;
 }
 
+/**
+ * Build a site-wide issue entry referencing the issue catalogue
+ */
+function commonIssue(id, count, description) {
+  return {
+    ...createIssue(id, { description }),
+    count
+  };
+}
+
 /**
  * Find common issues across crawled pages
  */
@@ -312,32 +199,17 @@ function findCommonIssues(pages) {
   const longTitles = pages.filter(p => p.title.length > 60).length;
   
   if (noTitles > 0) {
-    issues.push({
-      type: 'missing_titles',
-      count: noTitles,
-      severity: 'high',
-      description: `${noTitles} pages are missing title tags`
-    });
+    issues.push(commonIssue('missing_title', noTitles, `${noTitles} pages are missing title tags`));
   }
   
   if (longTitles > pages.length / 2) {
-    issues.push({
-      type: 'long_titles',
-      count: longTitles,
-      severity: 'medium',
-      description: `${longTitles} pages have titles longer than 60 characters`
-    });
+    issues.push(commonIssue('long_title', longTitles, `${longTitles} pages have titles longer than 60 characters`));
   }
   
   // Check for meta description issues
   const noDescriptions = pages.filter(p => !p.metaDescription.text).length;
   if (noDescriptions > 0) {
-    issues.push({
-      type: 'missing_meta_descriptions',
-      count: noDescriptions,
-      severity: 'high',
-      description: `${noDescriptions} pages are missing meta descriptions`
-    });
+    issues.push(commonIssue('missing_description', noDescriptions, `${noDescriptions} pages are missing meta descriptions`));
   }
   
   // Check for H1 issues
@@ -345,32 +217,17 @@ function findCommonIssues(pages) {
   const noH1s = pages.filter(p => p.headings.h1Count === 0).length;
   
   if (multipleH1s > 0) {
-    issues.push({
-      type: 'multiple_h1s',
-      count: multipleH1s,
-      severity: 'medium',
-      description: `${multipleH1s} pages have multiple H1 tags`
-    });
+    issues.push(commonIssue('multiple_h1', multipleH1s, `${multipleH1s} pages have multiple H1 tags`));
   }
   
   if (noH1s > 0) {
-    issues.push({
-      type: 'missing_h1s',
-      count: noH1s,
-      severity: 'high',
-      description: `${noH1s} pages are missing H1 tags`
-    });
+    issues.push(commonIssue('missing_h1', noH1s, `${noH1s} pages are missing H1 tags`));
   }
   
   // Check for image alt text issues
   const totalImagesWithoutAlt = pages.reduce((sum, p) => sum + (p.images.withoutAlt || 0), 0);
   if (totalImagesWithoutAlt > 0) {
-    issues.push({
-      type: 'missing_alt_text',
-      count: totalImagesWithoutAlt,
-      severity: 'medium',
-      description: `${totalImagesWithoutAlt} images are missing alt text across the site`
-    });
+    issues.push(commonIssue('images_without_alt', totalImagesWithoutAlt, `${totalImagesWithoutAlt} images are missing alt text across the site`));
   }
   
   return issues.slice(0, 10); // Limit for memory
@@ -427,7 +284,7 @@ function generateRecommendations(pages) {
  */
 async function handleSiteCrawl(req, res) {
   const startTime = Date.now();
-  console.log('🕷️ Site crawl request received');
+  logger.debug('Site crawl request received');
   
   try {
     // Extract URL and options
@@ -454,16 +311,37 @@ async function handleSiteCrawl(req, res) {
     }
     
     const normalizedUrl = normalizeUrl(url);
-    console.log(`🎯 Crawling: ${normalizedUrl}`);
+    if (!normalizedUrl) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid URL provided',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    try {
+      crawler.validateCrawlOptions(options);
+    } catch (optionsError) {
+      return res.status(400).json({
+        status: 'error',
+        message: optionsError.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    logger.info('Site crawl requested', { url: normalizedUrl });
     
-    // Check cache first
-    const cacheKey = `site-crawl:${normalizedUrl}:${options.maxPages || 5}:${options.maxDepth || 2}`;
+    // Check cache first; URL filters change the result so they are part of the key
+    const filters = ['include', 'exclude', 'stripQuery', 'allowedQueryParams', 'includeSubdomains']
+      .filter(key => options[key] !== undefined)
+      .map(key => `${key}=${JSON.stringify(options[key])}`)
+      .join('&');
+    const cacheKey = `site-crawl:${normalizedUrl}:${options.maxPages || 5}:${options.maxDepth || 2}${filters ? `:${filters}` : ''}`;
     
     // Memory cache check
     if (memoryCache.has(cacheKey)) {
       const cached = memoryCache.get(cacheKey);
       if (Date.now() - cached.timestamp < MEMORY_CACHE_TTL) {
-        console.log('💾 Memory cache hit for site crawl');
+        logger.info('Memory cache hit for site crawl', { url: normalizedUrl });
         return res.status(200).json({
           status: 'ok',
           message: 'Site crawl results (cached)',
@@ -483,7 +361,7 @@ async function handleSiteCrawl(req, res) {
       try {
         const cachedResult = await redis.getCache(cacheKey);
         if (cachedResult) {
-          console.log('🔄 Redis cache hit for site crawl');
+          logger.info('Redis cache hit for site crawl', { url: normalizedUrl });
           
           // Update memory cache
           if (memoryCache.size >= MEMORY_CACHE_MAX_SIZE) {
@@ -506,12 +384,11 @@ async function handleSiteCrawl(req, res) {
           });
         }
       } catch (cacheError) {
-        console.error('Cache error:', cacheError.message);
+        logger.warn('Error checking cache', { url: normalizedUrl, error: cacheError.message });
       }
     }
     
     // Perform the crawl
-    console.log('🚀 Starting fresh site crawl...');
     const crawlResult = await crawlSite(normalizedUrl, options);
     
     // Cache the result
@@ -535,12 +412,12 @@ async function handleSiteCrawl(req, res) {
       try {
         await redis.setCache(cacheKey, cacheData, 86400); // 24 hour TTL
       } catch (cacheError) {
-        console.error('Redis cache error:', cacheError.message);
+        logger.warn('Error caching result', { url: normalizedUrl, error: cacheError.message });
       }
     }
     
     const totalTime = Date.now() - startTime;
-    console.log(`✅ Site crawl completed in ${totalTime}ms`);
+    logger.info('Site crawl completed', { url: normalizedUrl, durationMs: totalTime });
     
     return res.status(200).json({
       status: 'ok',
@@ -553,7 +430,7 @@ async function handleSiteCrawl(req, res) {
     });
     
   } catch (error) {
-    console.error('❌ Site crawl error:', error.message);
+    logger.error('Site crawl error', { error: error.message });
     
     return res.status(500).json({
       status: 'error',
@@ -1,18 +1,20 @@
 // Main application entry point for Railway deployment
 const express = require('express');
-const cors = require('cors');
 const path = require('path');
+const logger = require('./api/lib/logger');
+const shutdown = require('./api/lib/shutdown');
+const browser = require('./api/lib/browser');
 
 // Configure safer error handling
 process.on('uncaughtException', (err) => {
-  console.error('UNCAUGHT EXCEPTION! 💥 Shutting down gracefully...');
-  console.error(err.name, err.message, err.stack);
-  // Don't exit - let Railway handle restarts
+  logger.error('Uncaught exception', { error: err });
+  // The process may be left in a broken state, so it drains and exits;
+  // Railway restarts it
+  gracefulShutdown('uncaughtException', 1);
 });
 
 process.on('unhandledRejection', (err) => {
-  console.error('UNHANDLED REJECTION! 💥 Continuing operation...');
-  console.error(err.name, err.message, err.stack);
+  logger.error('Unhandled rejection', { error: err });
   // Don't exit - continue operating
 });
 
@@ -22,52 +24,43 @@ const PORT = process.env.PORT || 3000;
 const MAX_CONCURRENCY = parseInt(process.env.MAX_CONCURRENCY || '3', 10);
 const MAX_MEMORY_PERCENT = parseInt(process.env.MAX_MEMORY_PERCENT || '80', 10);
 
+// Proxy hops in front of the app (Railway adds one), so req.ip is the client's
+// address for per-client rate limits rather than the proxy's
+app.set('trust proxy', process.env.TRUST_PROXY ? parseInt(process.env.TRUST_PROXY, 10) : 1);
+
 // Safer API loading - continue even if it fails
 let apiHandler;
 try {
   // Use optimized API with error handling
   apiHandler = require('./api/index.js');
-  console.log('API handler loaded successfully');
+  logger.info('API handler loaded');
 } catch (err) {
-  console.error('Failed to load API handler:', err.message);
+  logger.error('Failed to load API handler', { error: err });
   // Provide a fallback that doesn't crash
   apiHandler = (req, res) => {
     res.status(503).json({
       status: 'error',
+      code: 'SERVICE_UNAVAILABLE',
       message: 'API temporarily unavailable',
       error: 'Internal configuration error'
     });
   };
 }
 
-// Set up allowed origins from environment variable
-const corsOrigins = process.env.CORS_ORIGIN ? 
-  process.env.CORS_ORIGIN.split(',') : 
-  ['https://audit.mardenseo.com', 'https://glittering-granita-92b678.netlify.app', 'http://localhost:9090'];
+// Allowed origins come from CORS_ORIGIN (see api/lib/cors.js)
+const { ALLOWED_ORIGINS, setCorsHeaders } = require('./api/lib/cors');
+const { prepareErrorEnvelope } = require('./api/lib/errors');
 
-console.log('CORS origins:', corsOrigins);
+logger.info('CORS origins', { origins: ALLOWED_ORIGINS });
 
 // Add middleware
-// More permissive CORS configuration for testing
-app.use(cors({
-  origin: true, // Allow all origins for now
-  methods: ['GET', 'POST', 'OPTIONS', 'HEAD'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin', 'X-Requested-With'],
-  credentials: false,
-  preflightContinue: false,
-  optionsSuccessStatus: 200
-}));
-
-// Additional CORS handling for all routes
+// Request ID, the error model, and CORS headers for the configured origins, on every route
 app.use((req, res, next) => {
-  const origin = req.headers.origin || '*';
-  res.header('Access-Control-Allow-Origin', origin);
-  res.header('Access-Control-Allow-Methods', 'GET,POST,OPTIONS,HEAD');
-  res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,Accept,Origin,X-Requested-With');
-  res.header('Access-Control-Max-Age', '86400');
+  prepareErrorEnvelope(req, res);
+  setCorsHeaders(req, res);
   
   if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+    return res.status(204).end();
   }
   next();
 });
@@ -76,18 +69,24 @@ app.use((req, res, next) => {
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Add basic logging middleware
+// Request logging; everything logged while handling a request carries its ID
+// (after the body parsers, whose callbacks would lose the context)
 app.use((req, res, next) => {
   const start = Date.now();
-  console.log(`${req.method} ${req.url} - Started at ${new Date().toISOString()}`);
+  // Event streams may carry the API key in the query string
+  const fields = {
+    requestId: req.id,
+    method: req.method,
+    path: req.originalUrl.replace(/([?&]apiKey=)[^&]*/, '$1[redacted]')
+  };
+  logger.debug('Request started', fields);
   
   // Log after response
   res.on('finish', () => {
-    const duration = Date.now() - start;
-    console.log(`${req.method} ${req.url} - ${res.statusCode} - ${duration}ms`);
+    logger.info('Request completed', { ...fields, status: res.statusCode, durationMs: Date.now() - start });
   });
   
-  next();
+  logger.runWithContext({ requestId: req.id }, next);
 });
 
 // Add memory monitoring
@@ -96,7 +95,8 @@ app.use((req, res, next) => {
   const memPercent = (memUsage.heapUsed / memUsage.heapTotal * 100).toFixed(1);
   
   if (memUsage.heapUsed / memUsage.heapTotal > MAX_MEMORY_PERCENT / 100) {
-    console.warn(`WARNING: Memory usage high (${memPercent}%)`, {
+    logger.warn('Memory usage high', {
+      heapPercent: Number(memPercent),
       rss: `${Math.round(memUsage.rss / 1024 / 1024)}MB`,
       heapUsed: `${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`,
       heapTotal: `${Math.round(memUsage.heapTotal / 1024 / 1024)}MB`
@@ -104,7 +104,7 @@ app.use((req, res, next) => {
     
     // Run garbage collection if available (V8 engine only)
     if (global.gc) {
-      console.log('Running garbage collection...');
+      logger.info('Running garbage collection');
       global.gc();
     }
   }
@@ -137,11 +137,11 @@ app.all('/api/*', (req, res) => {
     // Remove the /api prefix before passing to handler
     const originalUrl = req.url;
     req.url = originalUrl.replace(/^\/api/, '');
-    console.log(`Redirecting ${originalUrl} to ${req.url}`);
+    logger.debug('Forwarding request', { from: originalUrl, to: req.url });
     
     apiHandler(req, res);
   } catch (err) {
-    console.error('Error handling API request:', err);
+    logger.error('Error handling API request', { error: err });
     if (!res.headersSent) {
       res.status(500).json({
         status: 'error',
@@ -163,16 +163,23 @@ app.all('/health', (req, res) => {
       memory: `${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB / ${Math.round(process.memoryUsage().heapTotal / 1024 / 1024)}MB`
     });
   } catch (err) {
-    console.error('Health check error:', err);
+    logger.error('Health check error', { error: err });
     res.status(500).json({ status: 'error', message: 'Health check failed' });
   }
 });
 
+// Probes that check the process and its dependencies
+app.all(['/health/live', '/health/ready'], (req, res) => {
+  req.url = '/api' + req.url;
+  logger.debug('Forwarding request', { to: req.url });
+  apiHandler(req, res);
+});
+
 app.all('/seo-analyze', (req, res) => {
   // Create new URL using current url but with /api prefix
   const originalUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
   req.url = '/api/seo-analyze' + (originalUrl.search || '');
-  console.log(`Forwarding to: ${req.url}`);
+  logger.debug('Forwarding request', { to: req.url });
   apiHandler(req, res);
 });
 
@@ -180,7 +187,7 @@ app.all('/basic-audit', (req, res) => {
   // Create new URL using current url but with /api prefix
   const originalUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
   req.url = '/api/basic-audit' + (originalUrl.search || '');
-  console.log(`Forwarding to: ${req.url}`);
+  logger.debug('Forwarding request', { to: req.url });
   apiHandler(req, res);
 });
 
@@ -188,7 +195,7 @@ app.all('/batch-audit', (req, res) => {
   // Create new URL using current url but with /api prefix
   const originalUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
   req.url = '/api/batch-audit' + (originalUrl.search || '');
-  console.log(`Forwarding to: ${req.url}`);
+  logger.debug('Forwarding request', { to: req.url });
   apiHandler(req, res);
 });
 
@@ -196,21 +203,100 @@ app.all('/batch-audit', (req, res) => {
 app.all('/enhanced-seo-analyze', (req, res) => {
   const originalUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
   req.url = '/api/enhanced-seo-analyze' + (originalUrl.search || '');
-  console.log(`Forwarding to: ${req.url}`);
+  logger.debug('Forwarding request', { to: req.url });
   apiHandler(req, res);
 });
 
 app.all('/schema-analyze', (req, res) => {
   const originalUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
   req.url = '/api/schema-analyze' + (originalUrl.search || '');
-  console.log(`Forwarding to: ${req.url}`);
+  logger.debug('Forwarding request', { to: req.url });
   apiHandler(req, res);
 });
 
 app.all('/mobile-analyze', (req, res) => {
   const originalUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
   req.url = '/api/mobile-analyze' + (originalUrl.search || '');
-  console.log(`Forwarding to: ${req.url}`);
+  logger.debug('Forwarding request', { to: req.url });
+  apiHandler(req, res);
+});
+
+app.all('/full-site-crawl', (req, res) => {
+  const originalUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  req.url = '/api/full-site-crawl' + (originalUrl.search || '');
+  logger.debug('Forwarding request', { to: req.url });
+  apiHandler(req, res);
+});
+
+app.all('/sitemap-analyze', (req, res) => {
+  const originalUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  req.url = '/api/sitemap-analyze' + (originalUrl.search || '');
+  logger.debug('Forwarding request', { to: req.url });
+  apiHandler(req, res);
+});
+
+app.all('/robots-analyze', (req, res) => {
+  const originalUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  req.url = '/api/robots-analyze' + (originalUrl.search || '');
+  logger.debug('Forwarding request', { to: req.url });
+  apiHandler(req, res);
+});
+
+app.all('/performance-analyze', (req, res) => {
+  const originalUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  req.url = '/api/performance-analyze' + (originalUrl.search || '');
+  logger.debug('Forwarding request', { to: req.url });
+  apiHandler(req, res);
+});
+
+app.all('/resource-analyze', (req, res) => {
+  const originalUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  req.url = '/api/resource-analyze' + (originalUrl.search || '');
+  logger.debug('Forwarding request', { to: req.url });
+  apiHandler(req, res);
+});
+
+app.all(['/crawl-jobs', '/crawl-jobs/*'], (req, res) => {
+  req.url = '/api' + req.url;
+  logger.debug('Forwarding request', { to: req.url });
+  apiHandler(req, res);
+});
+
+app.all(['/webhooks', '/webhooks/*'], (req, res) => {
+  req.url = '/api' + req.url;
+  logger.debug('Forwarding request', { to: req.url });
+  apiHandler(req, res);
+});
+
+app.all(['/admin/api-keys', '/admin/api-keys/*'], (req, res) => {
+  req.url = '/api' + req.url;
+  logger.debug('Forwarding request', { to: req.url });
+  apiHandler(req, res);
+});
+
+app.get('/job/:id/events', (req, res) => {
+  req.url = '/api' + req.url;
+  logger.debug('Forwarding request', { to: req.path });
+  apiHandler(req, res);
+});
+
+app.all('/issue-catalog', (req, res) => {
+  const originalUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  req.url = '/api/issue-catalog' + (originalUrl.search || '');
+  logger.debug('Forwarding request', { to: req.url });
+  apiHandler(req, res);
+});
+
+app.all('/openapi.json', (req, res) => {
+  const originalUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  req.url = '/api/openapi.json' + (originalUrl.search || '');
+  logger.debug('Forwarding request', { to: req.url });
+  apiHandler(req, res);
+});
+
+app.all('/metrics', (req, res) => {
+  req.url = '/api/metrics';
+  logger.debug('Forwarding request', { to: req.url });
   apiHandler(req, res);
 });
 
@@ -221,12 +307,26 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: [
       '/health',
+      '/health/live',
+      '/health/ready',
       '/seo-analyze',
       '/basic-audit',
       '/batch-audit',
       '/enhanced-seo-analyze',
       '/schema-analyze',
-      '/mobile-analyze'
+      '/mobile-analyze',
+      '/full-site-crawl',
+      '/sitemap-analyze',
+      '/robots-analyze',
+      '/performance-analyze',
+      '/resource-analyze',
+      '/crawl-jobs',
+      '/job/:id/events',
+      '/webhooks',
+      '/issue-catalog',
+      '/openapi.json',
+      '/metrics',
+      '/admin/api-keys'
     ],
     documentation: 'https://github.com/Kr8thor/marden-audit-backend'
   });
@@ -235,43 +335,70 @@ app.get('/', (req, res) => {
 // Unhandled route middleware
 app.use((req, res) => {
   res.status(404).json({
-    error: 'Not Found',
+    status: 'error',
+    code: 'NOT_FOUND',
     message: `Endpoint ${req.method} ${req.url} not found`
   });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  // Bodies the JSON parser rejected
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      status: 'error',
+      code: 'INVALID_REQUEST',
+      message: `Request body is not valid JSON: ${err.message}`
+    });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      status: 'error',
+      code: 'PAYLOAD_TOO_LARGE',
+      message: `Request body is larger than the ${err.limit} byte limit`
+    });
+  }
+  
+  logger.error('Unhandled error', { requestId: req.id, error: err });
   res.status(500).json({
-    error: 'Internal Server Error',
-    message: process.env.NODE_ENV === 'production' ? 
+    status: 'error',
+    code: 'INTERNAL_ERROR',
+    message: 'Internal server error',
+    error: process.env.NODE_ENV === 'production' ? 
       'An unexpected error occurred' : 
       err.message
   });
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT} in ${process.env.NODE_ENV || 'development'} mode`);
+const server = app.listen(PORT, () => {
+  logger.info('Server running', { port: Number(PORT), environment: process.env.NODE_ENV || 'development' });
   
   // Log memory usage on startup
   const memUsage = process.memoryUsage();
-  console.log('Initial memory usage:', {
+  logger.info('Initial memory usage', {
     rss: `${Math.round(memUsage.rss / 1024 / 1024)}MB`,
     heapUsed: `${Math.round(memUsage.heapUsed / 1024 / 1024)}MB`,
     heapTotal: `${Math.round(memUsage.heapTotal / 1024 / 1024)}MB`
   });
   
+  // Pick up crawl jobs and webhook retries a previous process left unfinished
+  try {
+    require('./api/crawl-jobs').resumeInterruptedJobs();
+    require('./api/lib/webhooks').resumePendingDeliveries();
+  } catch (err) {
+    logger.error('Failed to resume crawl jobs', { error: err });
+  }
+  
   // Enable scheduled garbage collection every 30 minutes
   setInterval(() => {
     if (global.gc) {
-      console.log('Running scheduled garbage collection...');
+      logger.info('Running scheduled garbage collection');
       global.gc();
       
       // Log memory after GC
       const memUsageAfter = process.memoryUsage();
-      console.log('Memory after GC:', {
+      logger.info('Memory after GC', {
         rss: `${Math.round(memUsageAfter.rss / 1024 / 1024)}MB`,
         heapUsed: `${Math.round(memUsageAfter.heapUsed / 1024 / 1024)}MB`,
         heapTotal: `${Math.round(memUsageAfter.heapTotal / 1024 / 1024)}MB`
@@ -280,13 +407,41 @@ app.listen(PORT, () => {
   }, 30 * 60 * 1000); // 30 minutes
 });
 
-// Handle process termination
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+let exiting = false;
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
+/**
+ * Stop taking connections, let requests and crawl jobs drain (up to
+ * SHUTDOWN_TIMEOUT, see api/lib/shutdown.js), close browsers and exit
+ * @param {string} reason - Signal or event that started the shutdown
+ * @param {number} exitCode - Exit code
+ */
+async function gracefulShutdown(reason, exitCode = 0) {
+  if (exiting) return;
+  exiting = true;
+  const start = Date.now();
+  logger.info('Shutting down gracefully', { reason, timeoutMs: shutdown.SHUTDOWN_TIMEOUT });
+  
+  try {
+    // Connections already open stay open until the drain is over
+    server.close();
+    const { timedOut } = await shutdown.drain();
+    const browsers = await browser.closeAll();
+    if (server.closeAllConnections) server.closeAllConnections();
+    logger.info('Shutdown complete', { timedOut, browsersClosed: browsers, durationMs: Date.now() - start });
+  } catch (err) {
+    logger.error('Shutdown failed', { error: err });
+    exitCode = 1;
+  }
+  process.exit(exitCode);
+}
+
+// Handle process termination; a second signal exits at once
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.on(signal, () => {
+    if (exiting) {
+      logger.warn('Second signal received, exiting without draining', { signal });
+      process.exit(1);
+    }
+    gracefulShutdown(signal);
+  });
 });
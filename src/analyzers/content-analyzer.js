@@ -1,4 +1,5 @@
 import logger from '../utils/logger.js';
+import { createIssue } from '../../api/lib/issue-catalog.js';
 
 /**
  * Analyzes page content including headings, text, and structure
@@ -52,11 +53,7 @@ const contentAnalyzer = {
     } catch (error) {
       logger.error(`Error analyzing content for ${page.url}:`, error);
       return {
-        issues: [{
-          type: 'error',
-          message: `Error analyzing content: ${error.message}`,
-          impact: 'high',
-        }],
+        issues: [createIssue('analysis_error', { message: `Error analyzing content: ${error.message}` })],
         score: 0,
         maxScore: 1,
         percentage: 0,
@@ -75,11 +72,9 @@ const contentAnalyzer = {
     
     // Check if H1 exists
     if (!page.h1 || page.headings.h1.length === 0) {
-      results.issues.push({
-        type: 'missing_h1',
+      results.issues.push(createIssue('missing_h1', {
         message: 'Page is missing an H1 heading',
-        impact: 'high',
-      });
+      }));
       
       results.recommendations.push({
         type: 'missing_h1',
@@ -89,14 +84,12 @@ const contentAnalyzer = {
       });
     } else if (page.headings.h1.length > 1) {
       // Check if there are multiple H1s
-      results.issues.push({
-        type: 'multiple_h1',
+      results.issues.push(createIssue('multiple_h1', {
         message: `Page has multiple H1 headings (${page.headings.h1.length})`,
-        impact: 'medium',
         details: {
           h1s: page.headings.h1.map(h => h.text),
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'multiple_h1',
@@ -114,15 +107,13 @@ const contentAnalyzer = {
       // Very basic similarity check
       if (!h1.includes(title.substring(0, 10)) && 
           !title.includes(h1.substring(0, 10))) {
-        results.issues.push({
-          type: 'h1_different_from_title',
+        results.issues.push(createIssue('h1_different_from_title', {
           message: 'H1 heading is significantly different from title',
-          impact: 'medium',
           details: {
             h1: page.h1,
             title: page.title,
           },
-        });
+        }));
         
         results.recommendations.push({
           type: 'h1_different_from_title',
@@ -156,14 +147,12 @@ const contentAnalyzer = {
     }
     
     if (hasSkippedLevel) {
-      results.issues.push({
-        type: 'skipped_heading_level',
+      results.issues.push(createIssue('skipped_heading_level', {
         message: 'Page has skipped heading levels (e.g., H1 to H3 without H2)',
-        impact: 'low',
         details: {
           headingLevels,
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'skipped_heading_level',
@@ -198,19 +187,17 @@ const contentAnalyzer = {
     
     // Rough heuristic for detecting thin content pages
     if (headingCount <= 1 && imageCount < 2 && linkCount < 5) {
-      results.issues.push({
-        type: 'thin_content',
+      results.issues.push(createIssue('low_word_count', {
         message: 'Page appears to have thin content',
-        impact: 'high',
         details: {
           headings: headingCount,
           images: imageCount,
           links: linkCount,
         },
-      });
+      }));
       
       results.recommendations.push({
-        type: 'thin_content',
+        type: 'low_word_count',
         message: 'Add more valuable content to the page',
         impact: 'high',
         details: 'Thin content provides little value to users and typically performs poorly in search results.',
@@ -220,11 +207,9 @@ const contentAnalyzer = {
     // Check if structured data is present
     if (!page.seoData?.structuredData || 
         page.seoData.structuredData.length === 0) {
-      results.issues.push({
-        type: 'missing_structured_data',
+      results.issues.push(createIssue('missing_structured_data', {
         message: 'Page has no structured data',
-        impact: 'medium',
-      });
+      }));
       
       results.recommendations.push({
         type: 'missing_structured_data',
@@ -252,18 +237,16 @@ const contentAnalyzer = {
     const imagesWithoutAlt = page.images.filter(img => !img.alt);
     
     if (imagesWithoutAlt.length > 0) {
-      results.issues.push({
-        type: 'images_missing_alt',
+      results.issues.push(createIssue('images_without_alt', {
         message: `${imagesWithoutAlt.length} image(s) missing alt text`,
-        impact: 'medium',
         details: {
           count: imagesWithoutAlt.length,
           images: imagesWithoutAlt.map(img => img.src),
         },
-      });
+      }));
       
       results.recommendations.push({
-        type: 'images_missing_alt',
+        type: 'images_without_alt',
         message: 'Add descriptive alt text to all images',
         impact: 'medium',
         details: 'Alt text is essential for accessibility and provides contextual information for search engines.',
@@ -276,15 +259,13 @@ const contentAnalyzer = {
     );
     
     if (imagesWithoutDimensions.length > 0) {
-      results.issues.push({
-        type: 'images_missing_dimensions',
+      results.issues.push(createIssue('images_missing_dimensions', {
         message: `${imagesWithoutDimensions.length} image(s) missing width/height attributes`,
-        impact: 'low',
         details: {
           count: imagesWithoutDimensions.length,
           images: imagesWithoutDimensions.map(img => img.src),
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'images_missing_dimensions',
@@ -300,14 +281,12 @@ const contentAnalyzer = {
     );
     
     if (imagesWithoutLazyLoading.length > 3) { // Only flag if multiple images aren't lazy loaded
-      results.issues.push({
-        type: 'images_not_lazy_loaded',
+      results.issues.push(createIssue('images_not_lazy_loaded', {
         message: `${imagesWithoutLazyLoading.length} image(s) not using lazy loading`,
-        impact: 'low',
         details: {
           count: imagesWithoutLazyLoading.length,
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'images_not_lazy_loaded',
@@ -327,11 +306,9 @@ const contentAnalyzer = {
     results.maxScore += 3;
     
     if (!page.links || page.links.length === 0) {
-      results.issues.push({
-        type: 'no_links',
+      results.issues.push(createIssue('no_links', {
         message: 'Page has no links',
-        impact: 'medium',
-      });
+      }));
       
       results.recommendations.push({
         type: 'no_links',
@@ -347,15 +324,13 @@ const contentAnalyzer = {
     const emptyLinks = page.links.filter(link => !link.text || link.text.trim() === '');
     
     if (emptyLinks.length > 0) {
-      results.issues.push({
-        type: 'empty_link_text',
+      results.issues.push(createIssue('empty_link_text', {
         message: `${emptyLinks.length} link(s) have empty or missing link text`,
-        impact: 'medium',
         details: {
           count: emptyLinks.length,
           links: emptyLinks.map(link => link.url),
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'empty_link_text',
@@ -372,10 +347,8 @@ const contentAnalyzer = {
     );
     
     if (genericLinks.length > 2) { // Only flag if multiple generic links
-      results.issues.push({
-        type: 'generic_link_text',
+      results.issues.push(createIssue('generic_link_text', {
         message: `${genericLinks.length} link(s) use generic text like "click here" or "read more"`,
-        impact: 'low',
         details: {
           count: genericLinks.length,
           examples: genericLinks.slice(0, 5).map(link => ({
@@ -383,7 +356,7 @@ const contentAnalyzer = {
             url: link.url,
           })),
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'generic_link_text',
@@ -398,16 +371,14 @@ const contentAnalyzer = {
     const totalLinks = page.links.length;
     
     if (externalLinks.length > 0 && externalLinks.length / totalLinks > 0.5) {
-      results.issues.push({
-        type: 'excessive_external_links',
+      results.issues.push(createIssue('excessive_external_links', {
         message: `Page has a high ratio of external links (${externalLinks.length} of ${totalLinks})`,
-        impact: 'medium',
         details: {
           externalCount: externalLinks.length,
           totalCount: totalLinks,
           ratio: (externalLinks.length / totalLinks).toFixed(2),
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'excessive_external_links',
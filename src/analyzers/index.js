@@ -2,6 +2,7 @@ import metaAnalyzer from './meta-analyzer.js';
 import contentAnalyzer from './content-analyzer.js';
 import technicalAnalyzer from './technical-analyzer.js';
 import logger from '../utils/logger.js';
+import { createIssue } from '../../api/lib/issue-catalog.js';
 
 /**
  * Main SEO analyzer that combines results from all specialized analyzers
@@ -24,11 +25,11 @@ const seoAnalyzer = {
         technicalAnalyzer.analyze(page, options),
       ]);
       
-      // Combine all issues
+      // Combine all issues (each carries its catalogue category)
       const allIssues = [
-        ...metaResults.issues.map(issue => ({ ...issue, category: 'meta' })),
-        ...contentResults.issues.map(issue => ({ ...issue, category: 'content' })),
-        ...technicalResults.issues.map(issue => ({ ...issue, category: 'technical' })),
+        ...metaResults.issues,
+        ...contentResults.issues,
+        ...technicalResults.issues,
       ];
       
       // Calculate overall score
@@ -89,12 +90,7 @@ const seoAnalyzer = {
           content: 0,
           technical: 0,
         },
-        issues: [{
-          type: 'error',
-          message: `Error during analysis: ${error.message}`,
-          impact: 'high',
-          category: 'general',
-        }],
+        issues: [createIssue('analysis_error', { message: `Error during analysis: ${error.message}` })],
         issueCount: 1,
         recommendations: [],
       };
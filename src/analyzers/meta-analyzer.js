@@ -1,4 +1,5 @@
 import logger from '../utils/logger.js';
+import { createIssue } from '../../api/lib/issue-catalog.js';
 
 /**
  * Analyzes meta information and title tags
@@ -58,11 +59,7 @@ const metaAnalyzer = {
     } catch (error) {
       logger.error(`Error analyzing meta tags for ${page.url}:`, error);
       return {
-        issues: [{
-          type: 'error',
-          message: `Error analyzing meta tags: ${error.message}`,
-          impact: 'high',
-        }],
+        issues: [createIssue('analysis_error', { message: `Error analyzing meta tags: ${error.message}` })],
         score: 0,
         maxScore: 1,
         percentage: 0,
@@ -81,11 +78,9 @@ const metaAnalyzer = {
     
     // Check if title exists
     if (!page.title) {
-      results.issues.push({
-        type: 'missing_title',
+      results.issues.push(createIssue('missing_title', {
         message: 'Page is missing a title tag',
-        impact: 'high',
-      });
+      }));
       
       results.recommendations.push({
         type: 'missing_title',
@@ -99,35 +94,31 @@ const metaAnalyzer = {
     
     // Check title length (Google typically displays the first 50-60 characters)
     if (page.title.length < 10) {
-      results.issues.push({
-        type: 'title_too_short',
+      results.issues.push(createIssue('short_title', {
         message: 'Page title is too short (less than 10 characters)',
-        impact: 'medium',
         details: {
           title: page.title,
           length: page.title.length,
         },
-      });
+      }));
       
       results.recommendations.push({
-        type: 'title_too_short',
+        type: 'short_title',
         message: 'Expand the page title to be more descriptive',
         impact: 'medium',
         details: 'Short titles may not provide enough context for search engines and users.',
       });
     } else if (page.title.length > 60) {
-      results.issues.push({
-        type: 'title_too_long',
+      results.issues.push(createIssue('long_title', {
         message: 'Page title is too long (more than 60 characters)',
-        impact: 'low',
         details: {
           title: page.title,
           length: page.title.length,
         },
-      });
+      }));
       
       results.recommendations.push({
-        type: 'title_too_long',
+        type: 'long_title',
         message: 'Consider shortening the page title to under 60 characters',
         impact: 'low',
         details: 'Long titles may be truncated in search results, potentially hiding important information.',
@@ -138,14 +129,12 @@ const metaAnalyzer = {
     if (page.title.toLowerCase().includes('untitled') || 
         page.title.toLowerCase().includes('new page') ||
         page.title === 'Home') {
-      results.issues.push({
-        type: 'generic_title',
+      results.issues.push(createIssue('generic_title', {
         message: 'Page has a generic or default title',
-        impact: 'medium',
         details: {
           title: page.title,
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'generic_title',
@@ -166,14 +155,12 @@ const metaAnalyzer = {
     
     // Check if meta description exists
     if (!page.description) {
-      results.issues.push({
-        type: 'missing_meta_description',
+      results.issues.push(createIssue('missing_description', {
         message: 'Page is missing a meta description',
-        impact: 'medium',
-      });
+      }));
       
       results.recommendations.push({
-        type: 'missing_meta_description',
+        type: 'missing_description',
         message: 'Add a meta description to the page',
         impact: 'medium',
         details: 'Meta descriptions are often shown in search results and influence click-through rates.',
@@ -184,35 +171,31 @@ const metaAnalyzer = {
     
     // Check description length (Google typically displays around 155-160 characters)
     if (page.description.length < 50) {
-      results.issues.push({
-        type: 'description_too_short',
+      results.issues.push(createIssue('short_description', {
         message: 'Meta description is too short (less than 50 characters)',
-        impact: 'low',
         details: {
           description: page.description,
           length: page.description.length,
         },
-      });
+      }));
       
       results.recommendations.push({
-        type: 'description_too_short',
+        type: 'short_description',
         message: 'Expand the meta description to be more descriptive',
         impact: 'low',
         details: 'Short descriptions may not provide enough information to attract clicks from search results.',
       });
     } else if (page.description.length > 160) {
-      results.issues.push({
-        type: 'description_too_long',
+      results.issues.push(createIssue('long_description', {
         message: 'Meta description is too long (more than 160 characters)',
-        impact: 'low',
         details: {
           description: page.description,
           length: page.description.length,
         },
-      });
+      }));
       
       results.recommendations.push({
-        type: 'description_too_long',
+        type: 'long_description',
         message: 'Consider shortening the meta description to under 160 characters',
         impact: 'low',
         details: 'Long descriptions may be truncated in search results, potentially hiding important information.',
@@ -222,14 +205,12 @@ const metaAnalyzer = {
     // Check for generic descriptions
     if (page.description.toLowerCase().includes('welcome to') ||
         page.description.toLowerCase().includes('this is a website')) {
-      results.issues.push({
-        type: 'generic_description',
+      results.issues.push(createIssue('generic_description', {
         message: 'Meta description is generic',
-        impact: 'medium',
         details: {
           description: page.description,
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'generic_description',
@@ -252,11 +233,9 @@ const metaAnalyzer = {
     
     // Check if canonical exists
     if (!canonical) {
-      results.issues.push({
-        type: 'missing_canonical',
+      results.issues.push(createIssue('missing_canonical', {
         message: 'Page is missing a canonical tag',
-        impact: 'low',
-      });
+      }));
       
       results.recommendations.push({
         type: 'missing_canonical',
@@ -275,15 +254,13 @@ const metaAnalyzer = {
       // Check if canonical points to a different page
       if (canonicalUrl.href !== page.url && 
           canonicalUrl.href !== page.url.replace(/\/$/, '')) {
-        results.issues.push({
-          type: 'non_self_canonical',
+        results.issues.push(createIssue('non_self_canonical', {
           message: 'Canonical URL points to a different page',
-          impact: 'medium',
           details: {
             pageUrl: page.url,
             canonical: canonical,
           },
-        });
+        }));
         
         results.recommendations.push({
           type: 'non_self_canonical',
@@ -293,15 +270,13 @@ const metaAnalyzer = {
         });
       }
     } catch (error) {
-      results.issues.push({
-        type: 'invalid_canonical',
+      results.issues.push(createIssue('invalid_canonical', {
         message: 'Canonical URL is invalid',
-        impact: 'medium',
         details: {
           canonical: canonical,
           error: error.message,
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'invalid_canonical',
@@ -327,14 +302,12 @@ const metaAnalyzer = {
       
       if (robotsValue.includes('noindex') || 
           robotsValue.includes('none')) {
-        results.issues.push({
-          type: 'noindex',
+        results.issues.push(createIssue('noindex', {
           message: 'Page has noindex directive',
-          impact: 'high',
           details: {
             robots: robotsMeta,
           },
-        });
+        }));
         
         results.recommendations.push({
           type: 'noindex',
@@ -346,14 +319,12 @@ const metaAnalyzer = {
       
       if (robotsValue.includes('nofollow') || 
           robotsValue.includes('none')) {
-        results.issues.push({
-          type: 'nofollow',
+        results.issues.push(createIssue('nofollow', {
           message: 'Page has nofollow directive',
-          impact: 'medium',
           details: {
             robots: robotsMeta,
           },
-        });
+        }));
         
         results.recommendations.push({
           type: 'nofollow',
@@ -378,14 +349,12 @@ const metaAnalyzer = {
     const missingTags = requiredOgTags.filter(tag => !ogTags[tag]);
     
     if (missingTags.length > 0) {
-      results.issues.push({
-        type: 'missing_og_tags',
+      results.issues.push(createIssue('missing_og_tags', {
         message: 'Page is missing important Open Graph tags',
-        impact: 'low',
         details: {
           missingTags,
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'missing_og_tags',
@@ -407,11 +376,9 @@ const metaAnalyzer = {
     const twitterTags = page.seoData?.twitterTags || {};
     
     if (!twitterTags['twitter:card']) {
-      results.issues.push({
-        type: 'missing_twitter_card',
+      results.issues.push(createIssue('missing_twitter_card', {
         message: 'Page is missing Twitter card markup',
-        impact: 'low',
-      });
+      }));
       
       results.recommendations.push({
         type: 'missing_twitter_card',
@@ -1,4 +1,5 @@
 import logger from '../utils/logger.js';
+import { createIssue } from '../../api/lib/issue-catalog.js';
 
 /**
  * Analyzes technical SEO aspects
@@ -55,11 +56,7 @@ const technicalAnalyzer = {
     } catch (error) {
       logger.error(`Error during technical analysis for ${page.url}:`, error);
       return {
-        issues: [{
-          type: 'error',
-          message: `Error during technical analysis: ${error.message}`,
-          impact: 'high',
-        }],
+        issues: [createIssue('analysis_error', { message: `Error during technical analysis: ${error.message}` })],
         score: 0,
         maxScore: 1,
         percentage: 0,
@@ -77,11 +74,9 @@ const technicalAnalyzer = {
     results.maxScore += 1;
     
     if (!page.statusCode) {
-      results.issues.push({
-        type: 'unknown_status',
+      results.issues.push(createIssue('unknown_status', {
         message: 'Page status code is unknown',
-        impact: 'high',
-      });
+      }));
       
       results.recommendations.push({
         type: 'unknown_status',
@@ -94,14 +89,12 @@ const technicalAnalyzer = {
     }
     
     if (page.statusCode >= 400) {
-      results.issues.push({
-        type: 'error_status',
+      results.issues.push(createIssue('error_status', {
         message: `Page returned error status code ${page.statusCode}`,
-        impact: 'high',
         details: {
           statusCode: page.statusCode,
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'error_status',
@@ -112,14 +105,12 @@ const technicalAnalyzer = {
     } else if (page.statusCode >= 300 && page.statusCode < 400) {
       // Redirects are handled in checkRedirects
     } else if (page.statusCode !== 200) {
-      results.issues.push({
-        type: 'non_standard_status',
+      results.issues.push(createIssue('non_standard_status', {
         message: `Page returned non-standard status code ${page.statusCode}`,
-        impact: 'medium',
         details: {
           statusCode: page.statusCode,
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'non_standard_status',
@@ -139,15 +130,13 @@ const technicalAnalyzer = {
     results.maxScore += 1;
     
     if (page.statusCode >= 300 && page.statusCode < 400) {
-      results.issues.push({
-        type: 'redirect',
+      results.issues.push(createIssue('redirect', {
         message: `Page is a ${page.statusCode} redirect`,
-        impact: 'medium',
         details: {
           statusCode: page.statusCode,
           redirectTo: page.redirect || 'Unknown destination',
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'redirect',
@@ -158,15 +147,13 @@ const technicalAnalyzer = {
     }
     
     if (page.redirect && page.statusCode !== 301 && page.statusCode !== 308) {
-      results.issues.push({
-        type: 'non_permanent_redirect',
+      results.issues.push(createIssue('non_permanent_redirect', {
         message: `Page uses a temporary redirect (${page.statusCode}) instead of a permanent redirect`,
-        impact: 'medium',
         details: {
           statusCode: page.statusCode,
           redirectTo: page.redirect,
         },
-      });
+      }));
       
       results.recommendations.push({
         type: 'non_permanent_redirect',
@@ -190,15 +177,13 @@ const technicalAnalyzer = {
       
       // Check URL length (too long URLs are not good for SEO)
       if (page.url.length > 100) {
-        results.issues.push({
-          type: 'url_too_long',
+        results.issues.push(createIssue('url_too_long', {
           message: 'URL is too long',
-          impact: 'low',
           details: {
             url: page.url,
             length: page.url.length,
           },
-        });
+        }));
         
         results.recommendations.push({
           type: 'url_too_long',
@@ -210,14 +195,12 @@ const technicalAnalyzer = {
       
       // Check for URL parameters (can cause duplicate content issues)
       if (url.search && url.search.length > 0) {
-        results.issues.push({
-          type: 'url_has_parameters',
+        results.issues.push(createIssue('url_has_parameters', {
           message: 'URL contains query parameters',
-          impact: 'low',
           details: {
             parameters: url.search,
           },
-        });
+        }));
         
         results.recommendations.push({
           type: 'url_has_parameters',
@@ -229,14 +212,12 @@ const technicalAnalyzer = {
       
       // Check for uppercase letters in URL
       if (/[A-Z]/.test(url.pathname)) {
-        results.issues.push({
-          type: 'url_uppercase',
+        results.issues.push(createIssue('url_uppercase', {
           message: 'URL contains uppercase letters',
-          impact: 'low',
           details: {
             pathname: url.pathname,
           },
-        });
+        }));
         
         results.recommendations.push({
           type: 'url_uppercase',
@@ -248,14 +229,12 @@ const technicalAnalyzer = {
       
       // Check for special characters in URL
       if (/[^\w\-\./]/.test(url.pathname)) {
-        results.issues.push({
-          type: 'url_special_chars',
+        results.issues.push(createIssue('url_special_chars', {
           message: 'URL contains special characters',
-          impact: 'low',
           details: {
             pathname: url.pathname,
           },
-        });
+        }));
         
         results.recommendations.push({
           type: 'url_special_chars',
@@ -267,14 +246,12 @@ const technicalAnalyzer = {
       
       // Check for multiple slashes in URL
       if (url.pathname.includes('//')) {
-        results.issues.push({
-          type: 'url_multiple_slashes',
+        results.issues.push(createIssue('url_multiple_slashes', {
           message: 'URL contains multiple consecutive slashes',
-          impact: 'low',
           details: {
             pathname: url.pathname,
           },
-        });
+        }));
         
         results.recommendations.push({
           type: 'url_multiple_slashes',
@@ -299,14 +276,12 @@ const technicalAnalyzer = {
     // Basic page load time check based on crawler data
     if (page.loadTime) {
       if (page.loadTime > 3000) {
-        results.issues.push({
-          type: 'slow_page_load',
+        results.issues.push(createIssue('slow_page_load', {
           message: `Page load time is slow (${Math.round(page.loadTime)}ms)`,
-          impact: 'high',
           details: {
             loadTime: page.loadTime,
           },
-        });
+        }));
         
         results.recommendations.push({
           type: 'slow_page_load',
@@ -321,14 +296,12 @@ const technicalAnalyzer = {
     if (page.metrics) {
       // Time to First Byte (TTFB)
       if (page.metrics.ttfb && page.metrics.ttfb > 600) {
-        results.issues.push({
-          type: 'high_ttfb',
+        results.issues.push(createIssue('high_ttfb', {
           message: `Time to First Byte (TTFB) is high (${page.metrics.ttfb}ms)`,
-          impact: 'medium',
           details: {
             ttfb: page.metrics.ttfb,
           },
-        });
+        }));
         
         results.recommendations.push({
           type: 'high_ttfb',
@@ -340,14 +313,12 @@ const technicalAnalyzer = {
       
       // DOM Content Loaded
       if (page.metrics.domContentLoaded && page.metrics.domContentLoaded > 2500) {
-        results.issues.push({
-          type: 'slow_dom_content_loaded',
+        results.issues.push(createIssue('slow_dom_content_loaded', {
           message: `DOM Content Loaded time is slow (${page.metrics.domContentLoaded}ms)`,
-          impact: 'medium',
           details: {
             domContentLoaded: page.metrics.domContentLoaded,
           },
-        });
+        }));
         
         results.recommendations.push({
           type: 'slow_dom_content_loaded',
@@ -385,11 +356,9 @@ const technicalAnalyzer = {
       }
       
       if (!hasViewport) {
-        results.issues.push({
-          type: 'potentially_not_mobile_friendly',
+        results.issues.push(createIssue('potentially_not_mobile_friendly', {
           message: 'Page may not be mobile-friendly',
-          impact: 'high',
-        });
+        }));
         
         results.recommendations.push({
           type: 'potentially_not_mobile_friendly',
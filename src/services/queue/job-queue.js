@@ -2,6 +2,7 @@ import { nanoid } from 'nanoid';
 import config from '../../config/index.js';
 import kvStore from '../storage/kv-store.js';
 import logger from '../../utils/logger.js';
+import webhooks from '../../../api/lib/webhooks.js';
 
 const { jobPrefix, queueKey, processingQueueKey } = config.keys;
 
@@ -103,12 +104,17 @@ const jobQueue = {
    */
   async completeJob(jobId, results) {
     try {
-      return await this.updateJob(jobId, {
+      const job = await this.updateJob(jobId, {
         status: 'completed',
         progress: 100,
         results,
         completed: Date.now(),
       });
+      
+      // Sends job.completed to webhook subscriptions; never throws
+      await webhooks.dispatchJobFinished(job);
+      
+      return job;
     } catch (error) {
       logger.error(`Error completing job ${jobId}:`, error);
       throw error;
@@ -127,11 +133,16 @@ const jobQueue = {
         ? { message: error }
         : { message: error.message, stack: error.stack };
       
-      return await this.updateJob(jobId, {
+      const job = await this.updateJob(jobId, {
         status: 'failed',
         error: errorData,
         completed: Date.now(),
       });
+      
+      // Sends job.failed to webhook subscriptions; never throws
+      await webhooks.dispatchJobFinished(job);
+      
+      return job;
     } catch (err) {
       logger.error(`Error marking job ${jobId} as failed:`, err);
       throw err;